@@ -0,0 +1,69 @@
+import mongoose from 'mongoose';
+import AuditLog from '../models/AuditLog.js';
+
+const escapeRegex = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// @desc    Get audit log entries, newest first. `action` is an exact action (claim.paid) or a
+//          prefix ending in * (claim.*); actor and targetId are user/record IDs
+// @route   GET /api/audit-logs?action=&actor=&targetType=&targetId=&from=&to=&page=&limit=
+// @access  Private (audit:read)
+export const getAuditLogs = async (req, res) => {
+  try {
+    const { action, actor, targetType, targetId, from, to } = req.query;
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 50));
+
+    for (const [name, value] of [['actor', actor], ['targetId', targetId]]) {
+      if (value && !mongoose.isValidObjectId(value)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid ${name}`,
+        });
+      }
+    }
+
+    const query = {};
+    if (action) {
+      query.action = String(action).endsWith('*')
+        ? { $regex: `^${escapeRegex(String(action).slice(0, -1))}` }
+        : String(action);
+    }
+    if (actor) query.actor = actor;
+    if (targetType) query.targetType = String(targetType);
+    if (targetId) query.targetId = targetId;
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) query.createdAt.$lte = new Date(to);
+      if (Object.values(query.createdAt).some((d) => Number.isNaN(d.getTime()))) {
+        return res.status(400).json({
+          success: false,
+          message: 'from and to must be dates',
+        });
+      }
+    }
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(query)
+        .populate('actor', 'name email role')
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      AuditLog.countDocuments(query),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: entries.length,
+      total,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      data: entries,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
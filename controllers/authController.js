@@ -1,7 +1,161 @@
 import User from '../models/User.js';
-import generateToken from '../utils/generateToken.js';
 import { validatePasswordStrength } from '../utils/passwordValidation.js';
 import { verifyFirebaseToken } from '../config/firebaseAdmin.js';
+import { createOneTimeToken, hashToken, isIssuedBeforePasswordChange } from '../utils/authTokens.js';
+import { generateTwoFactorChallenge, verifyTwoFactorChallenge } from '../utils/generateToken.js';
+import {
+  buildClientUrl,
+  emailVerificationEmail,
+  passwordChangedEmail,
+  passwordResetEmail,
+  twoFactorChangedEmail,
+  accountDeletionScheduledEmail,
+} from '../utils/emailTemplates.js';
+import { sendMail } from '../services/mailService.js';
+import {
+  createSession,
+  getActiveSessions,
+  revokeSession,
+  revokeUserSessions,
+  rotateSession,
+} from '../services/sessionService.js';
+import Session from '../models/Session.js';
+import LoginEvent from '../models/LoginEvent.js';
+import { describeUserAgent } from '../utils/userAgent.js';
+import { getLinkedProviders, getUnlinkError, isRecentAuthentication } from '../utils/identityLinking.js';
+import { getUserRoles } from '../utils/roles.js';
+import { getLockRemainingSeconds, isAccountLocked } from '../utils/loginSecurity.js';
+import { clearFailedLogins, recordLoginEvent, registerFailedLogin } from '../services/loginSecurityService.js';
+import { getUserPermissions, isRequestableRole } from '../services/permissionService.js';
+import { getPendingPoints } from '../services/pointsService.js';
+import {
+  beginEnrollment,
+  confirmEnrollment,
+  disableTwoFactor as turnOffTwoFactor,
+  isTwoFactorRequired,
+  regenerateRecoveryCodes as replaceRecoveryCodes,
+  verifySecondFactor,
+} from '../services/twoFactorService.js';
+import {
+  buildAccountExport,
+  cancelAccountDeletion,
+  countOpenClaims,
+  scheduleAccountDeletion,
+} from '../services/accountService.js';
+
+// Read on use: this module is imported before server.js loads .env
+const positiveIntFromEnv = (name, fallback) => {
+  const value = Number.parseInt(process.env[name] || '', 10);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+
+const getPasswordResetTtlMinutes = () => positiveIntFromEnv('PASSWORD_RESET_TOKEN_TTL_MINUTES', 30);
+
+const getEmailVerificationTtlHours = () => positiveIntFromEnv('EMAIL_VERIFICATION_TOKEN_TTL_HOURS', 24);
+
+// Store a fresh verification token on the user and email the link (replaces any earlier token)
+const sendVerificationEmail = async (user) => {
+  const ttlHours = getEmailVerificationTtlHours();
+  const { token, hash } = createOneTimeToken();
+  user.emailVerificationToken = hash;
+  user.emailVerificationExpires = new Date(Date.now() + ttlHours * 60 * 60 * 1000);
+  await user.save({ validateBeforeSave: false });
+
+  await sendMail({
+    to: user.email,
+    ...emailVerificationEmail({
+      name: user.name,
+      verifyUrl: buildClientUrl(`/verify-email/${token}`),
+      expiresInHours: ttlHours,
+    }),
+  });
+};
+
+// 423 for a password login on a locked account; Retry-After tells clients when to try again
+const lockedResponse = (res, retryAfterSeconds) => {
+  const minutes = Math.max(1, Math.ceil(retryAfterSeconds / 60));
+  res.set('Retry-After', String(retryAfterSeconds));
+  return res.status(423).json({
+    success: false,
+    message: `Too many failed login attempts. This account is locked for ${minutes} minute(s). You can also reset your password.`,
+    code: 'ACCOUNT_LOCKED',
+    retryAfter: retryAfterSeconds,
+  });
+};
+
+// A Firebase ID token used to change sign-in methods must come from a sign-in moments ago
+const verifyReauthFirebaseToken = async (idToken) => {
+  if (!idToken) return { error: 'Firebase ID token is required', status: 400 };
+
+  let decoded;
+  try {
+    decoded = await verifyFirebaseToken(idToken);
+  } catch (err) {
+    return { error: 'Invalid or expired Firebase token', status: 401 };
+  }
+
+  if (!isRecentAuthentication(decoded.auth_time)) {
+    return { error: 'Please sign in with Google again to confirm it is you', status: 401 };
+  }
+  return { decoded };
+};
+
+const identitiesPayload = (user) => ({
+  providers: getLinkedProviders(user),
+  firebase: user.firebaseUid
+    ? { email: user.firebaseEmail, signInProvider: user.firebaseProvider, linkedAt: user.firebaseLinkedAt }
+    : null,
+});
+
+// Record the login and send the user's profile with fresh session tokens
+const startLoginSession = async (req, res, user, method, extra = {}) => {
+  user.lastLogin = new Date();
+  await user.save({ validateBeforeSave: false });
+  await recordLoginEvent({ userId: user._id, req, success: true, method });
+
+  const tokens = await createSession(user, req);
+  return res.status(200).json({
+    success: true,
+    message: 'Login successful',
+    data: {
+      id: user._id,
+      name: user.name,
+      email: user.email,
+      role: user.role,
+      roles: getUserRoles(user),
+      status: user.status,
+      avatar: user.avatar,
+      points: user.points,
+      totalEarnings: user.totalEarnings,
+      claimedMilestones: user.claimedMilestones || [],
+      twoFactorEnabled: user.twoFactorEnabled,
+      ...extra,
+      ...tokens,
+    },
+  });
+};
+
+// Password or Firebase check passed: ask for the second factor (or for 2FA setup when the
+// role requires it) before starting a session
+const completeFirstFactor = (req, res, user, method) => {
+  if (user.twoFactorEnabled) {
+    return res.status(200).json({
+      success: true,
+      message: 'Enter the code from your authenticator app',
+      data: { twoFactorRequired: true, ...generateTwoFactorChallenge(user._id, 'login', method) },
+    });
+  }
+
+  if (isTwoFactorRequired(user)) {
+    return res.status(200).json({
+      success: true,
+      message: 'Your role requires two-factor authentication. Set it up to continue.',
+      data: { twoFactorSetupRequired: true, ...generateTwoFactorChallenge(user._id, 'setup', method) },
+    });
+  }
+
+  return startLoginSession(req, res, user, method);
+};
 
 // @desc    Register new user (sends request for approval)
 // @route   POST /api/auth/signup
@@ -44,6 +198,14 @@ export const signup = async (req, res) => {
       });
     }
 
+    // Signup may pick a requestable role; anything else needs a role request or an admin
+    if (role && role !== 'others' && !(await isRequestableRole(role))) {
+      return res.status(400).json({
+        success: false,
+        message: 'This role cannot be chosen at signup',
+      });
+    }
+
     // Create user with pending status
     const user = await User.create({
       name,
@@ -53,15 +215,26 @@ export const signup = async (req, res) => {
       status: 'pending',
     });
 
+    // The account exists either way; a failed send can be retried via resend-verification
+    let verificationEmailSent = true;
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      verificationEmailSent = false;
+      console.error('Verification Mail Error:', mailError.message);
+    }
+
     res.status(201).json({
       success: true,
-      message: 'Registration successful! Your request has been sent to admin for approval.',
+      message: 'Registration successful! Please verify your email address. Your request has been sent to admin for approval.',
       data: {
         id: user._id,
         name: user.name,
         email: user.email,
         role: user.role,
         status: user.status,
+        emailVerified: user.emailVerified,
+        verificationEmailSent,
       },
     });
   } catch (error) {
@@ -98,16 +271,37 @@ export const login = async (req, res) => {
       });
     }
 
+    // Locked accounts are refused before the password is checked, so guessing gains nothing
+    if (isAccountLocked(user)) {
+      await recordLoginEvent({ userId: user._id, req, success: false, reason: 'locked' });
+      return lockedResponse(res, getLockRemainingSeconds(user));
+    }
+
     // Check password
     const isMatch = await user.matchPassword(password);
     if (!isMatch) {
+      const lockUntil = await registerFailedLogin(user._id);
+      await recordLoginEvent({ userId: user._id, req, success: false, reason: 'invalid_password' });
+      if (lockUntil) {
+        return lockedResponse(res, Math.ceil((lockUntil.getTime() - Date.now()) / 1000));
+      }
       return res.status(401).json({
         success: false,
         message: 'Invalid email or password',
       });
     }
 
+    // The password was right, so the failure streak ends whatever the account status. With 2FA
+    // on, it only ends once the code is right too, so code guesses keep counting towards a lock.
+    if (!user.twoFactorEnabled && (user.failedLoginAttempts || user.lockUntil)) {
+      await clearFailedLogins(user._id);
+    }
+
     // Check user status
+    if (['pending', 'rejected', 'blocked'].includes(user.status)) {
+      await recordLoginEvent({ userId: user._id, req, success: false, reason: user.status });
+    }
+
     if (user.status === 'pending') {
       return res.status(403).json({
         success: false,
@@ -132,27 +326,7 @@ export const login = async (req, res) => {
       });
     }
 
-    // Update last login
-    user.lastLogin = new Date();
-    await user.save({ validateBeforeSave: false });
-
-    // Generate token and send response
-    res.status(200).json({
-      success: true,
-      message: 'Login successful',
-      data: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role,
-        status: user.status,
-        avatar: user.avatar,
-        points: user.points,
-        totalEarnings: user.totalEarnings,
-        claimedMilestones: user.claimedMilestones || [],
-        token: generateToken(user._id),
-      },
-    });
+    await completeFirstFactor(req, res, user, 'password');
   } catch (error) {
     console.error('Login Error:', error);
     res.status(500).json({
@@ -194,23 +368,51 @@ export const firebaseLogin = async (req, res) => {
       });
     }
 
-    let user = await User.findOne({ $or: [{ email }, { firebaseUid: uid }] });
+    let user = await User.findOne({ firebaseUid: uid });
+
+    // Firebase has already confirmed the address for Google sign-ins and verified email accounts
+    const firebaseEmailVerified = decoded.email_verified === true;
 
     if (!user) {
+      // An account with this email exists but is not linked to this identity. Never merge
+      // silently: its owner has to log in and link it (POST /api/auth/me/identities/firebase).
+      const existing = await User.findOne({ email: email.toLowerCase() });
+      if (existing) {
+        return res.status(409).json({
+          success: false,
+          code: 'ACCOUNT_EXISTS',
+          message: existing.firebaseUid
+            ? 'This email belongs to an account that is linked to a different Google login.'
+            : 'An account with this email already exists. Log in with your password, then link Google from your profile.',
+        });
+      }
+
       user = await User.create({
         name: name || email.split('@')[0],
         email,
         firebaseUid: uid,
+        firebaseEmail: email,
+        firebaseProvider: decoded.firebase?.sign_in_provider || null,
+        firebaseLinkedAt: new Date(),
         role: 'others',
         status: 'pending',
         avatar: picture || '',
+        emailVerified: firebaseEmailVerified,
+        emailVerifiedAt: firebaseEmailVerified ? new Date() : null,
       });
-    } else if (!user.firebaseUid) {
-      user.firebaseUid = uid;
-      if (picture) user.avatar = picture;
+    }
+
+    // A linked Google account may use another address; it only verifies the account email if they match
+    if (firebaseEmailVerified && !user.emailVerified && user.email === email.toLowerCase()) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
       await user.save({ validateBeforeSave: false });
     }
 
+    if (['pending', 'rejected', 'blocked'].includes(user.status)) {
+      await recordLoginEvent({ userId: user._id, req, success: false, reason: user.status, method: 'firebase' });
+    }
+
     if (user.status === 'pending') {
       return res.status(403).json({
         success: false,
@@ -229,25 +431,7 @@ export const firebaseLogin = async (req, res) => {
       });
     }
 
-    user.lastLogin = new Date();
-    await user.save({ validateBeforeSave: false });
-
-    res.status(200).json({
-      success: true,
-      message: 'Login successful',
-      data: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role,
-        status: user.status,
-        avatar: user.avatar,
-        points: user.points,
-        totalEarnings: user.totalEarnings,
-        claimedMilestones: user.claimedMilestones || [],
-        token: generateToken(user._id),
-      },
-    });
+    await completeFirstFactor(req, res, user, 'firebase');
   } catch (error) {
     console.error('Firebase Login Error:', error);
     res.status(500).json({
@@ -271,6 +455,9 @@ export const getMe = async (req, res) => {
         name: user.name,
         email: user.email,
         role: user.role,
+        roles: getUserRoles(user),
+        permissions: [...(await getUserPermissions(user))],
+        moderatedSections: user.moderatedSections,
         status: user.status,
         avatar: user.avatar,
         bio: user.bio,
@@ -278,7 +465,14 @@ export const getMe = async (req, res) => {
         location: user.location,
         website: user.website,
         linkedin: user.linkedin,
+        showOnLeaderboard: user.showOnLeaderboard,
+        emailVerified: user.emailVerified,
+        twoFactorEnabled: user.twoFactorEnabled,
+        twoFactorRequired: isTwoFactorRequired(user),
+        deletionScheduledFor: user.deletionScheduledFor,
+        // Confirmed points (claimable); pending ones wait for their posts to be reviewed
         points: user.points,
+        pendingPoints: await getPendingPoints(user._id),
         totalEarnings: user.totalEarnings,
         claimedMilestones: user.claimedMilestones || [],
         createdAt: user.createdAt,
@@ -298,7 +492,7 @@ export const getMe = async (req, res) => {
 // @access  Private
 export const updateProfile = async (req, res) => {
   try {
-    const { name, bio, phone, avatar, location, website, linkedin } = req.body;
+    const { name, bio, phone, avatar, location, website, linkedin, showOnLeaderboard } = req.body;
 
     const user = await User.findById(req.user.id);
 
@@ -310,6 +504,7 @@ export const updateProfile = async (req, res) => {
       user.location = location !== undefined ? location : user.location;
       user.website = website !== undefined ? website : user.website;
       user.linkedin = linkedin !== undefined ? linkedin : user.linkedin;
+      if (typeof showOnLeaderboard === 'boolean') user.showOnLeaderboard = showOnLeaderboard;
 
       const updatedUser = await user.save();
 
@@ -321,6 +516,7 @@ export const updateProfile = async (req, res) => {
           name: updatedUser.name,
           email: updatedUser.email,
           role: updatedUser.role,
+          roles: getUserRoles(updatedUser),
           status: updatedUser.status,
           bio: updatedUser.bio,
           phone: updatedUser.phone,
@@ -328,6 +524,7 @@ export const updateProfile = async (req, res) => {
           location: updatedUser.location,
           website: updatedUser.website,
           linkedin: updatedUser.linkedin,
+          showOnLeaderboard: updatedUser.showOnLeaderboard,
           points: updatedUser.points,
           totalEarnings: updatedUser.totalEarnings,
           claimedMilestones: updatedUser.claimedMilestones || [],
@@ -385,9 +582,960 @@ export const changePassword = async (req, res) => {
     user.password = newPassword;
     await user.save();
 
+    // Sign out every other device; the one making the change stays signed in
+    await revokeUserSessions(user._id, 'password_changed', { exceptSessionId: req.sessionId });
+
+    res.status(200).json({
+      success: true,
+      message: 'Password changed successfully. Other devices have been signed out.',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Email a one-time password reset link
+// @route   POST /api/auth/forgot-password
+// @access  Public
+export const forgotPassword = async (req, res) => {
+  // Same answer whether or not the email is registered, so accounts cannot be discovered
+  const genericResponse = {
+    success: true,
+    message: 'If an account exists for this email, a password reset link has been sent.',
+  };
+
+  try {
+    const { email } = req.body;
+    const user = await User.findOne({ email });
+
+    if (!user || user.status === 'blocked') {
+      return res.status(200).json(genericResponse);
+    }
+
+    // A new request replaces any earlier, still-unused token
+    const ttlMinutes = getPasswordResetTtlMinutes();
+    const { token, hash } = createOneTimeToken();
+    user.passwordResetToken = hash;
+    user.passwordResetExpires = new Date(Date.now() + ttlMinutes * 60 * 1000);
+    await user.save({ validateBeforeSave: false });
+
+    try {
+      await sendMail({
+        to: user.email,
+        ...passwordResetEmail({
+          name: user.name,
+          resetUrl: buildClientUrl('/reset-password', { token }),
+          expiresInMinutes: ttlMinutes,
+        }),
+      });
+    } catch (mailError) {
+      // Logged only: an error here (and not for unknown emails) would reveal the account exists
+      console.error('Forgot Password Mail Error:', mailError);
+      user.passwordResetToken = null;
+      user.passwordResetExpires = null;
+      await user
+        .save({ validateBeforeSave: false })
+        .catch((saveError) => console.error('Forgot Password Cleanup Error:', saveError.message));
+    }
+
+    res.status(200).json(genericResponse);
+  } catch (error) {
+    console.error('Forgot Password Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Could not process the request. Please try again later.',
+    });
+  }
+};
+
+// @desc    Set a new password with a reset token (signs out every existing session)
+// @route   POST /api/auth/reset-password
+// @access  Public
+export const resetPassword = async (req, res) => {
+  try {
+    const { token, password, confirmPassword } = req.body;
+
+    const pwdCheck = validatePasswordStrength(password);
+    if (!pwdCheck.valid) {
+      return res.status(400).json({
+        success: false,
+        message: pwdCheck.message,
+      });
+    }
+
+    if (password !== confirmPassword) {
+      return res.status(400).json({
+        success: false,
+        message: 'Passwords do not match',
+      });
+    }
+
+    // Consume the token atomically so it can only ever be used once
+    const user = await User.findOneAndUpdate(
+      { passwordResetToken: hashToken(token), passwordResetExpires: { $gt: new Date() } },
+      { $set: { passwordResetToken: null, passwordResetExpires: null } },
+      { new: true }
+    ).select('+password');
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'This reset link is invalid or has expired. Please request a new one.',
+      });
+    }
+
+    user.password = password;
+    user.passwordChangedAt = new Date();
+    // Proving control of the mailbox lifts a lockout
+    user.failedLoginAttempts = 0;
+    user.lockUntil = null;
+    await user.save();
+    await revokeUserSessions(user._id, 'password_reset');
+
+    sendMail({ to: user.email, ...passwordChangedEmail({ name: user.name }) })
+      .catch((err) => console.error('Password Changed Mail Error:', err.message));
+
+    res.status(200).json({
+      success: true,
+      message: 'Password has been reset. Please log in with your new password.',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Confirm an email address with the emailed token
+// @route   GET /api/auth/verify-email/:token
+// @access  Public
+export const verifyEmail = async (req, res) => {
+  try {
+    const user = await User.findOneAndUpdate(
+      {
+        emailVerificationToken: hashToken(req.params.token),
+        emailVerificationExpires: { $gt: new Date() },
+      },
+      {
+        $set: {
+          emailVerified: true,
+          emailVerifiedAt: new Date(),
+          emailVerificationToken: null,
+          emailVerificationExpires: null,
+        },
+      },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'This verification link is invalid or has expired. Please request a new one.',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: user.status === 'pending'
+        ? 'Email verified. Your account is awaiting admin approval.'
+        : 'Email verified successfully.',
+      data: {
+        email: user.email,
+        emailVerified: user.emailVerified,
+        status: user.status,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Send a new verification email
+// @route   POST /api/auth/resend-verification
+// @access  Public
+export const resendVerificationEmail = async (req, res) => {
+  // Same answer for unknown and already verified addresses, so accounts cannot be discovered
+  const genericResponse = {
+    success: true,
+    message: 'If this email needs verification, a new link has been sent.',
+  };
+
+  try {
+    const { email } = req.body;
+    const user = await User.findOne({ email });
+
+    if (!user || user.emailVerified || user.status === 'blocked') {
+      return res.status(200).json(genericResponse);
+    }
+
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      // Logged only: an error here (and not for unknown emails) would reveal the account exists
+      console.error('Resend Verification Mail Error:', mailError);
+    }
+
+    res.status(200).json(genericResponse);
+  } catch (error) {
+    console.error('Resend Verification Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Could not process the request. Please try again later.',
+    });
+  }
+};
+
+// @desc    Exchange a refresh token for new access and refresh tokens
+// @route   POST /api/auth/refresh
+// @access  Public (refresh token)
+export const refreshSession = async (req, res) => {
+  try {
+    const { session, tokens, error } = await rotateSession(req.body.refreshToken, req);
+
+    if (error) {
+      return res.status(401).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    const user = await User.findById(session.user);
+    if (!user || (user.status !== 'approved' && user.role !== 'super_admin')) {
+      await revokeSession(session._id, user ? user.status : 'user_deleted');
+      return res.status(401).json({
+        success: false,
+        message: 'Session expired. Please log in again.',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: tokens,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Sign out the current session (by refresh token, or by the access token's session)
+// @route   POST /api/auth/logout
+// @access  Public (refresh token or access token)
+export const logout = async (req, res) => {
+  try {
+    const { refreshToken } = req.body || {};
+
+    if (typeof refreshToken === 'string' && refreshToken) {
+      const hash = hashToken(refreshToken);
+      const session = await Session.findOne({
+        $or: [{ refreshTokenHash: hash }, { previousRefreshTokenHash: hash }],
+      }).select('_id');
+      if (session) await revokeSession(session._id, 'logout');
+    } else if (req.sessionId) {
+      await revokeSession(req.sessionId, 'logout');
+    } else {
+      return res.status(400).json({
+        success: false,
+        message: 'Refresh token or access token is required',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out successfully',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    List the devices the current user is signed in on
+// @route   GET /api/auth/sessions
+// @access  Private
+export const getSessions = async (req, res) => {
+  try {
+    const sessions = await getActiveSessions(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      count: sessions.length,
+      data: sessions.map((s) => ({
+        id: s._id,
+        device: describeUserAgent(s.userAgent),
+        userAgent: s.userAgent,
+        ip: s.ip,
+        createdAt: s.createdAt,
+        lastUsedAt: s.lastUsedAt,
+        expiresAt: s.expiresAt,
+        current: String(s._id) === String(req.sessionId),
+      })),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Sign out one of the current user's devices
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+export const revokeSessionById = async (req, res) => {
+  try {
+    const session = await Session.findOne({ _id: req.params.id, user: req.user.id, revokedAt: null });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found',
+      });
+    }
+
+    await revokeSession(session._id, 'revoked_by_user');
+
+    res.status(200).json({
+      success: true,
+      message: String(session._id) === String(req.sessionId) ? 'Logged out successfully' : 'Device signed out',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Sign out every device except the current one
+// @route   DELETE /api/auth/sessions
+// @access  Private
+export const revokeOtherSessions = async (req, res) => {
+  try {
+    const revoked = await revokeUserSessions(req.user.id, 'revoked_by_user', { exceptSessionId: req.sessionId });
+
+    res.status(200).json({
+      success: true,
+      message: `${revoked} other device(s) signed out`,
+      data: { revoked },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Login history of the current user (newest first)
+// @route   GET /api/auth/me/logins
+// @access  Private
+export const getLoginHistory = async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const filter = { user: req.user.id };
+    if (req.query.success === 'true' || req.query.success === 'false') {
+      filter.success = req.query.success === 'true';
+    }
+
+    const [events, total] = await Promise.all([
+      LoginEvent.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .select('method success reason ip userAgent device anomalies createdAt'),
+      LoginEvent.countDocuments(filter),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: events.length,
+      total,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      data: events,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Finish a login with a code from the authenticator app or a recovery code
+// @route   POST /api/auth/2fa/verify
+// @access  Public (challenge token from login)
+export const verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    const challenge = verifyTwoFactorChallenge(challengeToken, 'login');
+    const user = challenge && await User.findById(challenge.id);
+    if (!user || !user.twoFactorEnabled || isIssuedBeforePasswordChange(challenge.iat, user.passwordChangedAt)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Login expired. Please log in again.',
+      });
+    }
+
+    if (user.status !== 'approved') {
+      return res.status(403).json({
+        success: false,
+        message: 'Your account is not approved yet',
+        status: user.status,
+      });
+    }
+
+    if (isAccountLocked(user)) {
+      await recordLoginEvent({ userId: user._id, req, success: false, reason: 'locked', method: challenge.method });
+      return lockedResponse(res, getLockRemainingSeconds(user));
+    }
+
+    const result = await verifySecondFactor(user._id, { code, recoveryCode });
+    if (!result.ok) {
+      const lockUntil = await registerFailedLogin(user._id);
+      await recordLoginEvent({ userId: user._id, req, success: false, reason: 'invalid_2fa_code', method: challenge.method });
+      if (lockUntil) {
+        return lockedResponse(res, Math.ceil((lockUntil.getTime() - Date.now()) / 1000));
+      }
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code',
+      });
+    }
+
+    if (user.failedLoginAttempts || user.lockUntil) await clearFailedLogins(user._id);
+
+    await startLoginSession(
+      req,
+      res,
+      user,
+      challenge.method,
+      result.usedRecoveryCode ? { recoveryCodesRemaining: result.recoveryCodesRemaining } : {}
+    );
+  } catch (error) {
+    console.error('Two-Factor Login Error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Start two-factor setup (new secret and otpauth:// URI for the QR code)
+// @route   POST /api/auth/2fa/setup
+// @access  Private (or the challenge token of a login that requires 2FA setup)
+export const setupTwoFactor = async (req, res) => {
+  try {
+    if (req.user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled',
+      });
+    }
+
+    const enrollment = await beginEnrollment(req.user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then enter a code to confirm',
+      data: enrollment,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Confirm a code for the new secret and turn two-factor authentication on
+// @route   POST /api/auth/2fa/enable
+// @access  Private (or the challenge token of a login that requires 2FA setup)
+export const enableTwoFactor = async (req, res) => {
+  try {
+    if (req.user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled',
+      });
+    }
+
+    const { recoveryCodes, error } = await confirmEnrollment(req.user._id, req.body.code);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    sendMail({ to: req.user.email, ...twoFactorChangedEmail({ name: req.user.name, enabled: true }) })
+      .catch((err) => console.error('Two-Factor Mail Error:', err.message));
+
+    // Mandatory setup during login: enabling it completes that login
+    if (req.twoFactorChallenge) {
+      const user = await User.findById(req.user._id);
+      return startLoginSession(req, res, user, req.twoFactorChallenge.method, { recoveryCodes });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication enabled. Save your recovery codes; they are shown only once.',
+      data: { recoveryCodes },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Turn two-factor authentication off (password and a current code required)
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+export const disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    if (!req.user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled',
+      });
+    }
+
+    if (isTwoFactorRequired(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication is required for your role',
+      });
+    }
+
+    // Firebase-only accounts have no password; the code alone confirms it is them
+    const user = await User.findById(req.user.id).select('+password');
+    if (user.password && !(await user.matchPassword(password || ''))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Current password is incorrect',
+      });
+    }
+
+    const result = await verifySecondFactor(user._id, { code, recoveryCode });
+    if (!result.ok) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code',
+      });
+    }
+
+    await turnOffTwoFactor(user._id);
+    sendMail({ to: user.email, ...twoFactorChangedEmail({ name: user.name, enabled: false }) })
+      .catch((err) => console.error('Two-Factor Mail Error:', err.message));
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication disabled',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Replace the recovery codes (needs a code from the authenticator app)
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private
+export const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    if (!req.user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled',
+      });
+    }
+
+    const result = await verifySecondFactor(req.user._id, { code: req.body.code, allowRecoveryCode: false });
+    if (!result.ok) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code',
+      });
+    }
+
+    const recoveryCodes = await replaceRecoveryCodes(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'New recovery codes generated. The old ones no longer work.',
+      data: { recoveryCodes },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Download everything stored about the current user as JSON
+// @route   GET /api/auth/me/export
+// @access  Private
+export const exportMyData = async (req, res) => {
+  try {
+    const archive = await buildAccountExport(req.user.id);
+    const date = new Date().toISOString().slice(0, 10);
+
+    res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="edulumix-data-${date}.json"`);
+    res.status(200).send(JSON.stringify(archive, null, 2));
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Schedule deletion of the current user's account (after a cooling-off period)
+// @route   DELETE /api/auth/me
+// @access  Private
+export const deleteMyAccount = async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+    const user = await User.findById(req.user.id).select('+password');
+
+    if (user.role === 'super_admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Cannot delete super admin',
+      });
+    }
+
+    if (user.deletionScheduledFor) {
+      return res.status(400).json({
+        success: false,
+        message: 'Account deletion is already scheduled',
+        data: { deletionScheduledFor: user.deletionScheduledFor },
+      });
+    }
+
+    // Firebase-only accounts have no password; the session (and 2FA, if on) confirms it is them
+    if (user.password && !(await user.matchPassword(password || ''))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Current password is incorrect',
+      });
+    }
+
+    if (user.twoFactorEnabled) {
+      const result = await verifySecondFactor(user._id, { code, recoveryCode });
+      if (!result.ok) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid authentication code',
+        });
+      }
+    }
+
+    const openClaims = await countOpenClaims(user._id);
+    if (openClaims > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'You have claims waiting for payout. Delete your account after they are processed.',
+      });
+    }
+
+    const deletionScheduledFor = await scheduleAccountDeletion(user._id);
+    // Keep this device signed in so the deletion can still be cancelled
+    await revokeUserSessions(user._id, 'account_deletion_requested', { exceptSessionId: req.sessionId });
+
+    sendMail({ to: user.email, ...accountDeletionScheduledEmail({ name: user.name, scheduledFor: deletionScheduledFor }) })
+      .catch((err) => console.error('Account Deletion Mail Error:', err.message));
+
+    res.status(200).json({
+      success: true,
+      message: `Your account will be deleted on ${deletionScheduledFor.toDateString()}. You can cancel until then.`,
+      data: { deletionScheduledFor },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Cancel a scheduled account deletion
+// @route   POST /api/auth/me/cancel-deletion
+// @access  Private
+export const cancelMyAccountDeletion = async (req, res) => {
+  try {
+    if (!req.user.deletionScheduledFor) {
+      return res.status(400).json({
+        success: false,
+        message: 'No account deletion is scheduled',
+      });
+    }
+
+    await cancelAccountDeletion(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Account deletion cancelled',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    List the sign-in methods linked to the current user
+// @route   GET /api/auth/me/identities
+// @access  Private
+export const getIdentities = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('+password');
+
+    res.status(200).json({
+      success: true,
+      data: identitiesPayload(user),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Link a Google / Firebase login (current password and a fresh Firebase sign-in required)
+// @route   POST /api/auth/me/identities/firebase
+// @access  Private
+export const linkFirebaseIdentity = async (req, res) => {
+  try {
+    const { idToken, password } = req.body;
+    const user = await User.findById(req.user.id).select('+password');
+
+    if (user.firebaseUid) {
+      return res.status(400).json({
+        success: false,
+        message: 'A Google login is already linked. Unlink it first.',
+      });
+    }
+
+    if (!(await user.matchPassword(password || ''))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Current password is incorrect',
+      });
+    }
+
+    const { decoded, error, status } = await verifyReauthFirebaseToken(idToken);
+    if (error) {
+      return res.status(status).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    const owner = await User.findOne({ firebaseUid: decoded.uid }).select('_id');
+    if (owner) {
+      return res.status(409).json({
+        success: false,
+        code: 'IDENTITY_IN_USE',
+        message: 'This Google login is already linked to another EduLumix account',
+      });
+    }
+
+    const link = {
+      firebaseUid: decoded.uid,
+      firebaseEmail: decoded.email || null,
+      firebaseProvider: decoded.firebase?.sign_in_provider || null,
+      firebaseLinkedAt: new Date(),
+    };
+    try {
+      await User.updateOne({ _id: user._id, firebaseUid: null }, { $set: link });
+    } catch (err) {
+      // Linked to another account at the same moment (unique firebaseUid index)
+      if (err.code === 11000) {
+        return res.status(409).json({
+          success: false,
+          code: 'IDENTITY_IN_USE',
+          message: 'This Google login is already linked to another EduLumix account',
+        });
+      }
+      throw err;
+    }
+
+    user.set(link);
+    res.status(200).json({
+      success: true,
+      message: 'Google login linked',
+      data: identitiesPayload(user),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Unlink the Google / Firebase login (current password required)
+// @route   DELETE /api/auth/me/identities/firebase
+// @access  Private
+export const unlinkFirebaseIdentity = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('+password');
+
+    const unlinkError = getUnlinkError(user, 'firebase');
+    if (unlinkError) {
+      return res.status(400).json({
+        success: false,
+        message: unlinkError,
+      });
+    }
+
+    if (!(await user.matchPassword(req.body.password || ''))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Current password is incorrect',
+      });
+    }
+
+    const unlink = { firebaseUid: null, firebaseEmail: null, firebaseProvider: null, firebaseLinkedAt: null };
+    await User.updateOne({ _id: user._id }, { $set: unlink });
+
+    user.set(unlink);
+    res.status(200).json({
+      success: true,
+      message: 'Google login unlinked',
+      data: identitiesPayload(user),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Add a password to an account created with Google (fresh Firebase sign-in required)
+// @route   POST /api/auth/me/identities/password
+// @access  Private
+export const addPasswordLogin = async (req, res) => {
+  try {
+    const { idToken, password, confirmPassword } = req.body;
+    const user = await User.findById(req.user.id).select('+password');
+
+    if (user.password) {
+      return res.status(400).json({
+        success: false,
+        message: 'This account already has a password. Use change password instead.',
+      });
+    }
+
+    const pwdCheck = validatePasswordStrength(password);
+    if (!pwdCheck.valid) {
+      return res.status(400).json({
+        success: false,
+        message: pwdCheck.message,
+      });
+    }
+
+    if (password !== confirmPassword) {
+      return res.status(400).json({
+        success: false,
+        message: 'Passwords do not match',
+      });
+    }
+
+    const { decoded, error, status } = await verifyReauthFirebaseToken(idToken);
+    if (error) {
+      return res.status(status).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    if (decoded.uid !== user.firebaseUid) {
+      return res.status(403).json({
+        success: false,
+        message: 'Sign in with the Google account linked to this profile',
+      });
+    }
+
+    user.password = password;
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Password added. You can now also log in with your email and password.',
+      data: identitiesPayload(user),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Remove the password so the account only logs in with Google (fresh Firebase sign-in required)
+// @route   DELETE /api/auth/me/identities/password
+// @access  Private
+export const removePasswordLogin = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('+password');
+
+    const unlinkError = getUnlinkError(user, 'password');
+    if (unlinkError) {
+      return res.status(400).json({
+        success: false,
+        message: unlinkError,
+      });
+    }
+
+    const { decoded, error, status } = await verifyReauthFirebaseToken(req.body.idToken);
+    if (error) {
+      return res.status(status).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    if (decoded.uid !== user.firebaseUid) {
+      return res.status(403).json({
+        success: false,
+        message: 'Sign in with the Google account linked to this profile',
+      });
+    }
+
+    await User.updateOne({ _id: user._id }, { $unset: { password: 1 }, $set: { failedLoginAttempts: 0, lockUntil: null } });
+
+    user.password = undefined;
     res.status(200).json({
       success: true,
-      message: 'Password changed successfully',
+      message: 'Password removed. Log in with Google from now on.',
+      data: identitiesPayload(user),
     });
   } catch (error) {
     res.status(500).json({
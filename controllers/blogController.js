@@ -1,10 +1,13 @@
 import Blog from '../models/Blog.js';
-import User from '../models/User.js';
 import { runExternalBlogFetch } from '../utils/runBlogFetch.js';
+import { hasPermission } from '../utils/permissions.js';
+import { recordModeration } from '../services/auditLogService.js';
+import { applyContentReward, applyEngagementRewards, applyRemovalReward } from '../services/rewardService.js';
+import { describeTransaction } from '../utils/rewardRules.js';
 
-// @desc    Fetch tech blogs from Dev.to, Medium, HN etc (Super Admin only)
+// @desc    Fetch tech blogs from Dev.to, Medium, HN etc
 // @route   POST /api/blogs/fetch-external
-// @access  Private (super_admin only)
+// @access  Private (blogs:import)
 export const fetchExternalBlogs = async (req, res) => {
   try {
     const opts = req.body || {};
@@ -16,15 +19,15 @@ export const fetchExternalBlogs = async (req, res) => {
   }
 };
 
-// @desc    Get all blogs (Super Admin - includes unpublished and soft-deleted)
+// @desc    Get all blogs (blogs:manage - includes unpublished and soft-deleted)
 // @route   GET /api/blogs/all
-// @access  Private (super_admin only)
+// @access  Private (blogs:manage)
 export const getAllBlogs = async (req, res) => {
   try {
     const { author, category, isPublished, search, page = 1, limit = 50 } = req.query;
 
     const query = {};
-    // Super admin sees ALL blogs including soft-deleted
+    // Managers see ALL blogs including soft-deleted
     if (author) query.author = author;
     if (category) query.category = category;
     if (isPublished !== undefined && isPublished !== '') query.isPublished = isPublished === 'true' || isPublished === true;
@@ -63,7 +66,7 @@ export const getBlogs = async (req, res) => {
     const query = { isPublished: true };
 
     // Public/contributors should not see soft-deleted blogs
-    if (!req.user || req.user.role !== 'super_admin') {
+    if (!hasPermission(req.permissions, 'blogs:manage')) {
       query.isDeleted = { $ne: true }; // Show posts where isDeleted is false OR doesn't exist
     }
 
@@ -109,7 +112,7 @@ export const getBlogs = async (req, res) => {
 export const getFeaturedBlogs = async (req, res) => {
   try {
     const query = { isPublished: true, isFeatured: true };
-    if (!req.user || req.user.role !== 'super_admin') {
+    if (!hasPermission(req.permissions, 'blogs:manage')) {
       query.isDeleted = { $ne: true };
     }
 
@@ -137,7 +140,7 @@ export const getFeaturedBlogs = async (req, res) => {
 export const getBlogBySlug = async (req, res) => {
   try {
     const query = { slug: req.params.slug, isPublished: true };
-    if (!req.user || req.user.role !== 'super_admin') {
+    if (!hasPermission(req.permissions, 'blogs:manage')) {
       query.isDeleted = { $ne: true };
     }
 
@@ -154,6 +157,14 @@ export const getBlogBySlug = async (req, res) => {
     // Increment views
     blog.views += 1;
     await blog.save();
+    await applyEngagementRewards({
+      contentType: 'Blog',
+      record: blog,
+      ownerId: blog.author,
+      metric: 'views',
+      previous: blog.views - 1,
+      current: blog.views,
+    });
 
     res.status(200).json({
       success: true,
@@ -169,7 +180,7 @@ export const getBlogBySlug = async (req, res) => {
 
 // @desc    Create blog
 // @route   POST /api/blogs
-// @access  Private (blog_poster, tech_blog_poster, super_admin)
+// @access  Private (blogs:create or blogs:manage)
 export const createBlog = async (req, res) => {
   try {
     const content = req.body.content || '';
@@ -182,23 +193,18 @@ export const createBlog = async (req, res) => {
 
     const blog = await Blog.create(blogData);
 
-    // Add 1 point to user (except super_admin)
-    if (req.user.role !== 'super_admin') {
-      try {
-        const updatedUser = await User.findByIdAndUpdate(
-          req.user.id, 
-          { $inc: { points: 1 } },
-          { new: true, runValidators: true }
-        );
-        console.log(`Points updated for user ${req.user.id}: ${updatedUser.points}`);
-      } catch (pointsError) {
-        console.error('Error updating points:', pointsError);
-      }
-    }
+    // Points per the reward rules, pending until the post is reviewed (none for super admins)
+    const reward = await applyContentReward({
+      req,
+      event: 'content_created',
+      contentType: 'Blog',
+      record: blog,
+      ownerId: req.user._id,
+    });
 
     res.status(201).json({
       success: true,
-      message: 'Blog created successfully. You earned 1 point!',
+      message: `Blog created successfully. ${describeTransaction(reward)}`.trim(),
       data: blog,
     });
   } catch (error) {
@@ -211,7 +217,7 @@ export const createBlog = async (req, res) => {
 
 // @desc    Update blog
 // @route   PUT /api/blogs/:id
-// @access  Private (owner or super_admin)
+// @access  Private (owner or blogs:manage)
 export const updateBlog = async (req, res) => {
   try {
     let blog = await Blog.findById(req.params.id);
@@ -224,7 +230,7 @@ export const updateBlog = async (req, res) => {
     }
 
     // Check ownership
-    if (blog.author.toString() !== req.user.id && req.user.role !== 'super_admin') {
+    if (blog.author.toString() !== req.user.id && !hasPermission(req.permissions, 'blogs:manage')) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to update this blog',
@@ -243,6 +249,15 @@ export const updateBlog = async (req, res) => {
       runValidators: true,
     });
 
+    await recordModeration({
+      req,
+      action: 'blog.updated',
+      targetType: 'Blog',
+      record: blog,
+      ownerId: blog.author,
+      details: { fields: Object.keys(updateData) },
+    });
+
     res.status(200).json({
       success: true,
       message: 'Blog updated successfully',
@@ -258,7 +273,7 @@ export const updateBlog = async (req, res) => {
 
 // @desc    Delete blog
 // @route   DELETE /api/blogs/:id
-// @access  Private (owner or super_admin)
+// @access  Private (owner or blogs:manage)
 export const deleteBlog = async (req, res) => {
   try {
     const blog = await Blog.findById(req.params.id);
@@ -271,49 +286,65 @@ export const deleteBlog = async (req, res) => {
     }
 
     // Check ownership
-    if (blog.author.toString() !== req.user.id && req.user.role !== 'super_admin') {
+    if (blog.author.toString() !== req.user.id && !hasPermission(req.permissions, 'blogs:manage')) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to delete this blog',
       });
     }
 
-    // Super admin: Permanently delete
-    if (req.user.role === 'super_admin') {
+    // Permanent delete needs blogs:purge; everyone else soft-deletes
+    if (hasPermission(req.permissions, 'blogs:purge')) {
       await Blog.findByIdAndDelete(req.params.id);
-      
+
+      // A soft-deleted post was already charged for
+      if (!blog.isDeleted) {
+        await applyRemovalReward({
+          req,
+          contentType: 'Blog',
+          record: blog,
+          ownerId: blog.author,
+        });
+      }
+
+      await recordModeration({
+        req,
+        action: 'blog.purged',
+        targetType: 'Blog',
+        record: blog,
+        ownerId: blog.author,
+      });
+
       return res.status(200).json({
         success: true,
         message: 'Blog permanently deleted',
       });
     }
 
-    // Contributor: Soft delete (mark as deleted)
+    // Soft delete (mark as deleted)
     blog.isDeleted = true;
     blog.deletedAt = new Date();
     await blog.save();
 
-    // Deduct 1 point from user (except super_admin)
-    if (req.user.role !== 'super_admin') {
-      try {
-        const updatedUser = await User.findByIdAndUpdate(
-          blog.author, 
-          { $inc: { points: -1 } },
-          { new: true, runValidators: true }
-        );
-        // Ensure points don't go below 0
-        if (updatedUser.points < 0) {
-          await User.findByIdAndUpdate(blog.author, { points: 0 });
-        }
-        console.log(`Points deducted for user ${blog.author}: ${updatedUser.points}`);
-      } catch (pointsError) {
-        console.error('Error updating points:', pointsError);
-      }
-    }
+    // Author deleting their own post, or a moderator removing it; never below 0
+    const reward = await applyRemovalReward({
+      req,
+      contentType: 'Blog',
+      record: blog,
+      ownerId: blog.author,
+    });
+
+    await recordModeration({
+      req,
+      action: 'blog.deleted',
+      targetType: 'Blog',
+      record: blog,
+      ownerId: blog.author,
+    });
 
     res.status(200).json({
       success: true,
-      message: 'Blog deleted successfully. 1 point deducted.',
+      message: `Blog deleted successfully. ${describeTransaction(reward)}`.trim(),
     });
   } catch (error) {
     res.status(500).json({
@@ -339,6 +370,14 @@ export const likeBlog = async (req, res) => {
 
     blog.likes += 1;
     await blog.save();
+    await applyEngagementRewards({
+      contentType: 'Blog',
+      record: blog,
+      ownerId: blog.author,
+      metric: 'likes',
+      previous: blog.likes - 1,
+      current: blog.likes,
+    });
 
     res.status(200).json({
       success: true,
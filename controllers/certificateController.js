@@ -0,0 +1,145 @@
+import Certificate from '../models/Certificate.js';
+import TestAttempt from '../models/TestAttempt.js';
+import { issueCertificateForAttempt } from '../services/certificateService.js';
+import { hasPermission } from '../utils/permissions.js';
+import {
+  getCertificateVerifyUrl,
+  normalizeCertificateCode,
+  renderCertificatePdf,
+} from '../utils/certificate.js';
+
+const toCertificatePayload = (certificate) => ({
+  code: certificate.code,
+  recipientName: certificate.recipientName,
+  testTitle: certificate.testTitle,
+  score: certificate.score,
+  totalMarks: certificate.totalMarks,
+  percentage: certificate.percentage,
+  issuedAt: certificate.issuedAt,
+  verifyUrl: getCertificateVerifyUrl(certificate.code),
+});
+
+// @desc    Verify a certificate (only the recipient's name is disclosed)
+// @route   GET /api/certificates/:code
+// @access  Public
+export const verifyCertificate = async (req, res) => {
+  try {
+    const code = normalizeCertificateCode(req.params.code);
+    const certificate = code ? await Certificate.findOne({ code }) : null;
+
+    if (!certificate) {
+      return res.status(404).json({
+        success: false,
+        message: 'No certificate found with this ID',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        valid: true,
+        ...toCertificatePayload(certificate),
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Get current user's certificates
+// @route   GET /api/certificates/my
+// @access  Private
+export const getMyCertificates = async (req, res) => {
+  try {
+    const certificates = await Certificate.find({ user: req.user.id })
+      .sort({ issuedAt: -1 })
+      .populate('test', 'title slug category');
+
+    res.status(200).json({
+      success: true,
+      count: certificates.length,
+      data: certificates.map((c) => ({
+        ...toCertificatePayload(c),
+        attemptId: c.attempt,
+        test: c.test,
+      })),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Issue (or fetch) the certificate for one of the user's passed attempts
+// @route   POST /api/certificates/attempts/:attemptId
+// @access  Private
+export const issueAttemptCertificate = async (req, res) => {
+  try {
+    const attempt = await TestAttempt.findOne({ _id: req.params.attemptId, user: req.user.id });
+
+    if (!attempt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attempt not found',
+      });
+    }
+
+    const certificate = await issueCertificateForAttempt(attempt);
+    if (!certificate) {
+      return res.status(400).json({
+        success: false,
+        message: 'Certificates are only issued for submitted attempts that meet the passing marks',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: toCertificatePayload(certificate),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Download a certificate as PDF
+// @route   GET /api/certificates/:code/pdf
+// @access  Private (recipient or mocktests:manage)
+export const downloadCertificatePdf = async (req, res) => {
+  try {
+    const code = normalizeCertificateCode(req.params.code);
+    const certificate = code ? await Certificate.findOne({ code }) : null;
+
+    if (!certificate) {
+      return res.status(404).json({
+        success: false,
+        message: 'Certificate not found',
+      });
+    }
+
+    if (String(certificate.user) !== String(req.user.id) && !hasPermission(req.permissions, 'mocktests:manage')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to download this certificate',
+      });
+    }
+
+    const pdf = await renderCertificatePdf(certificate);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="certificate-${certificate.code}.pdf"`);
+    res.status(200).send(pdf);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
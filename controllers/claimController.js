@@ -1,39 +1,59 @@
 import Claim from '../models/Claim.js';
 import User from '../models/User.js';
-import { applyClaimStatusEffects, isValidClaimStatusTransition } from '../utils/claimStatusRules.js';
+import { isValidClaimStatusTransition } from '../utils/claimStatusRules.js';
+import { hasPermission } from '../utils/permissions.js';
+import { changeClaimStatus } from '../services/claimService.js';
+import { getPendingPoints, spendPoints } from '../services/pointsService.js';
+import { getMilestones } from '../services/rewardService.js';
+import { findMilestone } from '../utils/rewardRules.js';
+
+// Why the user cannot claim the milestone, or null if they can
+const getClaimBlocker = async (user, milestone) => {
+  if (user.claimedMilestones && user.claimedMilestones.includes(milestone.points)) {
+    return `You have already claimed the ${milestone.points} points milestone. Each milestone can only be claimed once.`;
+  }
+
+  // Only confirmed points can be spent; pending ones are not part of user.points
+  if (user.points < milestone.points) {
+    const pending = await getPendingPoints(user._id);
+    return `Insufficient points. You have ${user.points} confirmed points but need ${milestone.points} points.` +
+      (pending > 0 ? ` ${pending} more will count once your posts are reviewed.` : '');
+  }
 
-// @desc    Create a new claim request
+  return null;
+};
+
+const PENDING_CLAIM_MESSAGE = 'You already have a pending claim. Please wait for it to be processed.';
+
+// @desc    Create a new claim request. The checks below give friendly errors; what makes
+//          parallel requests safe is the unique pending-claim index and the conditional
+//          balance update in spendPoints.
 // @route   POST /api/claims
 // @access  Private (Contributors)
 export const createClaim = async (req, res) => {
   try {
     const { points, paymentMethod, paymentDetails } = req.body;
 
-    // Validate milestone points
-    const validMilestones = { 10: 15, 25: 30, 50: 60, 100: 120 };
-    
-    if (!validMilestones[points]) {
+    // Validate milestone points against the configured milestones
+    const milestones = await getMilestones();
+    const milestone = findMilestone(milestones, points);
+
+    if (!milestone) {
+      const valid = milestones.filter((m) => m.isActive !== false).map((m) => m.points);
       return res.status(400).json({
         success: false,
-        message: 'Invalid milestone. Valid milestones are 10, 25, 50, and 100 points.',
+        message: `Invalid milestone. Valid milestones are ${valid.join(', ')} points.`,
       });
     }
 
     // Get user's current points
     const user = await User.findById(req.user.id);
-    
-    // Check if user has already claimed this milestone
-    if (user.claimedMilestones && user.claimedMilestones.includes(points)) {
-      return res.status(400).json({
-        success: false,
-        message: `You have already claimed the ${points} points milestone. Each milestone can only be claimed once.`,
-      });
-    }
-    
-    if (user.points < points) {
+
+    const blocker = await getClaimBlocker(user, milestone);
+    if (blocker) {
       return res.status(400).json({
         success: false,
-        message: `Insufficient points. You have ${user.points} points but need ${points} points.`,
+        message: blocker,
       });
     }
 
@@ -46,26 +66,51 @@ export const createClaim = async (req, res) => {
     if (pendingClaim) {
       return res.status(400).json({
         success: false,
-        message: 'You already have a pending claim. Please wait for it to be processed.',
+        message: PENDING_CLAIM_MESSAGE,
       });
     }
 
-    // Create claim
-    const claim = await Claim.create({
-      user: req.user.id,
-      points,
-      amount: validMilestones[points],
-      paymentMethod,
-      paymentDetails,
+    // Create claim; a parallel request that got here first makes this fail on the unique index
+    let claim;
+    try {
+      claim = await Claim.create({
+        user: req.user.id,
+        points: milestone.points,
+        amount: milestone.amount,
+        paymentMethod,
+        paymentDetails,
+      });
+    } catch (err) {
+      if (err.code === 11000) {
+        return res.status(400).json({
+          success: false,
+          message: PENDING_CLAIM_MESSAGE,
+        });
+      }
+      throw err;
+    }
+
+    // Deduct points and mark the milestone as claimed in one write, only if still possible
+    const spent = await spendPoints({
+      req,
+      userId: user._id,
+      amount: milestone.points,
+      reason: 'claim_submitted',
+      sourceType: 'Claim',
+      sourceId: claim._id,
+      condition: { claimedMilestones: { $ne: milestone.points } },
+      update: { $addToSet: { claimedMilestones: milestone.points } },
     });
 
-    // Deduct points from user and mark milestone as claimed
-    user.points -= points;
-    if (!user.claimedMilestones) {
-      user.claimedMilestones = [];
+    if (!spent) {
+      await Claim.deleteOne({ _id: claim._id });
+      const current = await User.findById(req.user.id);
+      return res.status(400).json({
+        success: false,
+        message: (current && (await getClaimBlocker(current, milestone))) ||
+          'Your points changed while the claim was being submitted. Please try again.',
+      });
     }
-    user.claimedMilestones.push(points);
-    await user.save();
 
     const populatedClaim = await Claim.findById(claim._id).populate('user', 'name email avatar');
 
@@ -107,7 +152,7 @@ export const getMyClaims = async (req, res) => {
 
 // @desc    Get all claims (Super Admin)
 // @route   GET /api/claims
-// @access  Private/SuperAdmin
+// @access  Private (claims:review)
 export const getAllClaims = async (req, res) => {
   try {
     const { status, page = 1, limit = 20 } = req.query;
@@ -142,7 +187,7 @@ export const getAllClaims = async (req, res) => {
 
 // @desc    Get pending claims count (Super Admin)
 // @route   GET /api/claims/pending/count
-// @access  Private/SuperAdmin
+// @access  Private (claims:review)
 export const getPendingClaimsCount = async (req, res) => {
   try {
     const count = await Claim.countDocuments({ status: 'pending' });
@@ -159,9 +204,9 @@ export const getPendingClaimsCount = async (req, res) => {
   }
 };
 
-// @desc    Update claim status (Super Admin)
+// @desc    Update claim status
 // @route   PUT /api/claims/:id
-// @access  Private/SuperAdmin
+// @access  Private (claims:review; marking as paid needs claims:pay)
 export const updateClaim = async (req, res) => {
   try {
     const { status, transactionId, notes } = req.body;
@@ -185,20 +230,20 @@ export const updateClaim = async (req, res) => {
       });
     }
 
-    // Update claim
-    claim.status = nextStatus;
-    claim.transactionId = transactionId || claim.transactionId;
-    claim.notes = notes || claim.notes;
-    claim.processedBy = req.user.id;
-    claim.processedAt = new Date();
-
-    await claim.save();
+    const requiredPermission = nextStatus === 'paid' && previousStatus !== 'paid' ? 'claims:pay' : 'claims:review';
+    if (!hasPermission(req.permissions, requiredPermission)) {
+      return res.status(403).json({
+        success: false,
+        message: `Updating this claim requires the ${requiredPermission} permission`,
+      });
+    }
 
-    // Apply side effects only on status transition to keep operation idempotent
-    if (previousStatus !== nextStatus) {
-      const user = await User.findById(claim.user._id);
-      applyClaimStatusEffects({ previousStatus, nextStatus, claim, user });
-      await user.save();
+    const changed = await changeClaimStatus({ req, claim, nextStatus, transactionId, notes });
+    if (!changed) {
+      return res.status(409).json({
+        success: false,
+        message: 'This claim was updated by someone else. Reload it and try again.',
+      });
     }
 
     const updatedClaim = await Claim.findById(claim._id)
@@ -221,7 +266,7 @@ export const updateClaim = async (req, res) => {
 
 // @desc    Get claim stats (Super Admin)
 // @route   GET /api/claims/stats
-// @access  Private/SuperAdmin
+// @access  Private (claims:review)
 export const getClaimStats = async (req, res) => {
   try {
     const stats = await Claim.aggregate([
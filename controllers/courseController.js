@@ -1,10 +1,18 @@
 import Course from '../models/Course.js';
 import User from '../models/User.js';
 import { runExternalCourseFetch } from '../utils/runCourseFetch.js';
+import { hasPermission, canModifyRecord } from '../utils/permissions.js';
+import { recordAudit, recordModeration } from '../services/auditLogService.js';
 
-// @desc    Fetch courses from Udemy (Super Admin only)
+const COURSE_PERMISSIONS = { createPermission: 'courses:create', managePermission: 'courses:manage' };
+// Courses are deleted outright, so removing someone else's needs courses:purge
+const COURSE_DELETE_PERMISSIONS = { createPermission: 'courses:create', managePermission: 'courses:purge' };
+
+const forbidden = (res, message) => res.status(403).json({ success: false, message });
+
+// @desc    Fetch courses from Udemy
 // @route   POST /api/courses/fetch-external
-// @access  Private (super_admin only)
+// @access  Private (courses:import)
 export const fetchExternalCourses = async (req, res) => {
   try {
     const { limit = 15 } = req.body || {};
@@ -148,14 +156,15 @@ export const getCourseFilterOptions = async (req, res) => {
   }
 };
 
-// @desc    Get all courses (admin - all courses)
+// @desc    Get all courses (admin - all courses; course authors - their own)
 // @route   GET /api/courses/all
-// @access  Private (Super Admin)
+// @access  Private (courses:manage or courses:create)
 export const getAllCourses = async (req, res) => {
   try {
     const { category, level, isPublished, isFeatured, search, page = 1, limit = 20 } = req.query;
 
-    const query = {};
+    const scope = hasPermission(req.permissions, 'courses:manage') ? {} : { postedBy: req.user._id };
+    const query = { ...scope };
 
     if (category) query.category = category;
     if (level) query.level = level;
@@ -178,13 +187,13 @@ export const getAllCourses = async (req, res) => {
 
     // Stats
     const stats = {
-      total: await Course.countDocuments(),
-      published: await Course.countDocuments({ isPublished: true }),
-      drafts: await Course.countDocuments({ isPublished: false }),
-      featured: await Course.countDocuments({ isFeatured: true }),
-      free: await Course.countDocuments({ isFree: true }),
-      totalViews: await Course.aggregate([{ $group: { _id: null, total: { $sum: '$views' } } }]).then(r => r[0]?.total || 0),
-      totalEnrollments: await Course.aggregate([{ $group: { _id: null, total: { $sum: '$enrollments' } } }]).then(r => r[0]?.total || 0),
+      total: await Course.countDocuments(scope),
+      published: await Course.countDocuments({ ...scope, isPublished: true }),
+      drafts: await Course.countDocuments({ ...scope, isPublished: false }),
+      featured: await Course.countDocuments({ ...scope, isFeatured: true }),
+      free: await Course.countDocuments({ ...scope, isFree: true }),
+      totalViews: await Course.aggregate([{ $match: scope }, { $group: { _id: null, total: { $sum: '$views' } } }]).then(r => r[0]?.total || 0),
+      totalEnrollments: await Course.aggregate([{ $match: scope }, { $group: { _id: null, total: { $sum: '$enrollments' } } }]).then(r => r[0]?.total || 0),
     };
 
     res.status(200).json({
@@ -261,7 +270,7 @@ export const getCourse = async (req, res) => {
 
 // @desc    Get course by ID (Admin)
 // @route   GET /api/courses/id/:id
-// @access  Private
+// @access  Private (owner with courses:create, or courses:manage)
 export const getCourseById = async (req, res) => {
   try {
     const course = await Course.findById(req.params.id)
@@ -274,6 +283,10 @@ export const getCourseById = async (req, res) => {
       });
     }
 
+    if (!canModifyRecord(req.permissions, COURSE_PERMISSIONS, course.postedBy, req.user._id)) {
+      return forbidden(res, 'Not authorized to view this course');
+    }
+
     res.status(200).json({
       success: true,
       data: course,
@@ -288,13 +301,18 @@ export const getCourseById = async (req, res) => {
 
 // @desc    Create course
 // @route   POST /api/courses
-// @access  Private (Super Admin)
+// @access  Private (courses:create or courses:manage)
 export const createCourse = async (req, res) => {
   try {
     const courseData = {
       ...req.body,
       postedBy: req.user.id,
     };
+    // Authors without courses:publish create drafts
+    if (!hasPermission(req.permissions, 'courses:publish')) {
+      delete courseData.isPublished;
+      delete courseData.isFeatured;
+    }
 
     const course = await Course.create(courseData);
 
@@ -313,7 +331,7 @@ export const createCourse = async (req, res) => {
 
 // @desc    Update course
 // @route   PUT /api/courses/:id
-// @access  Private (Super Admin)
+// @access  Private (owner with courses:create, or courses:manage)
 export const updateCourse = async (req, res) => {
   try {
     let course = await Course.findById(req.params.id);
@@ -325,6 +343,10 @@ export const updateCourse = async (req, res) => {
       });
     }
 
+    if (!canModifyRecord(req.permissions, COURSE_PERMISSIONS, course.postedBy, req.user._id)) {
+      return forbidden(res, 'Not authorized to update this course');
+    }
+
     const allowedFields = [
       'title',
       'description',
@@ -355,6 +377,10 @@ export const updateCourse = async (req, res) => {
     for (const field of allowedFields) {
       if (req.body[field] !== undefined) updateData[field] = req.body[field];
     }
+    if (!hasPermission(req.permissions, 'courses:publish')) {
+      delete updateData.isPublished;
+      delete updateData.isFeatured;
+    }
 
     // Recalculate totals if lessons are updated
     if (updateData.lessons) {
@@ -367,6 +393,15 @@ export const updateCourse = async (req, res) => {
       runValidators: true,
     });
 
+    await recordModeration({
+      req,
+      action: 'course.updated',
+      targetType: 'Course',
+      record: course,
+      ownerId: course.postedBy,
+      details: { fields: Object.keys(updateData) },
+    });
+
     res.status(200).json({
       success: true,
       message: 'Course updated successfully',
@@ -382,7 +417,7 @@ export const updateCourse = async (req, res) => {
 
 // @desc    Delete course
 // @route   DELETE /api/courses/:id
-// @access  Private (Super Admin)
+// @access  Private (owner with courses:create, or courses:purge)
 export const deleteCourse = async (req, res) => {
   try {
     const course = await Course.findById(req.params.id);
@@ -394,8 +429,20 @@ export const deleteCourse = async (req, res) => {
       });
     }
 
+    if (!canModifyRecord(req.permissions, COURSE_DELETE_PERMISSIONS, course.postedBy, req.user._id)) {
+      return forbidden(res, 'Not authorized to delete this course');
+    }
+
     await Course.findByIdAndDelete(req.params.id);
 
+    await recordModeration({
+      req,
+      action: 'course.deleted',
+      targetType: 'Course',
+      record: course,
+      ownerId: course.postedBy,
+    });
+
     res.status(200).json({
       success: true,
       message: 'Course deleted successfully',
@@ -410,7 +457,7 @@ export const deleteCourse = async (req, res) => {
 
 // @desc    Toggle course publish status
 // @route   PUT /api/courses/:id/publish
-// @access  Private (Super Admin)
+// @access  Private (courses:publish)
 export const togglePublish = async (req, res) => {
   try {
     const course = await Course.findById(req.params.id);
@@ -425,6 +472,14 @@ export const togglePublish = async (req, res) => {
     course.isPublished = !course.isPublished;
     await course.save();
 
+    await recordAudit({
+      req,
+      action: 'course.publish_toggled',
+      targetType: 'Course',
+      targetId: course._id,
+      details: { isPublished: course.isPublished },
+    });
+
     res.status(200).json({
       success: true,
       message: `Course ${course.isPublished ? 'published' : 'unpublished'} successfully`,
@@ -440,7 +495,7 @@ export const togglePublish = async (req, res) => {
 
 // @desc    Toggle course featured status
 // @route   PUT /api/courses/:id/featured
-// @access  Private (Super Admin)
+// @access  Private (courses:publish)
 export const toggleFeatured = async (req, res) => {
   try {
     const course = await Course.findById(req.params.id);
@@ -455,6 +510,14 @@ export const toggleFeatured = async (req, res) => {
     course.isFeatured = !course.isFeatured;
     await course.save();
 
+    await recordAudit({
+      req,
+      action: 'course.featured_toggled',
+      targetType: 'Course',
+      targetId: course._id,
+      details: { isFeatured: course.isFeatured },
+    });
+
     res.status(200).json({
       success: true,
       message: `Course ${course.isFeatured ? 'featured' : 'unfeatured'} successfully`,
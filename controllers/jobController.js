@@ -1,10 +1,13 @@
 import Job from '../models/Job.js';
-import User from '../models/User.js';
 import { runExternalJobFetch } from '../utils/runJobFetch.js';
+import { hasPermission } from '../utils/permissions.js';
+import { recordModeration } from '../services/auditLogService.js';
+import { applyContentReward, applyEngagementRewards, applyRemovalReward } from '../services/rewardService.js';
+import { describeTransaction } from '../utils/rewardRules.js';
 
-// @desc    Fetch jobs from Adzuna + JSearch and store in DB (Super Admin only)
+// @desc    Fetch jobs from Adzuna + JSearch and store in DB
 // @route   POST /api/jobs/fetch-external
-// @access  Private (super_admin only)
+// @access  Private (jobs:import)
 export const fetchExternalJobs = async (req, res) => {
   try {
     const { adzunaLimit = 20, jsearchPages = 2 } = req.body || {};
@@ -24,9 +27,9 @@ export const fetchExternalJobs = async (req, res) => {
   }
 };
 
-// @desc    Get all jobs (public, super_admin sees all including deleted)
+// @desc    Get all jobs (public, jobs:manage sees all including deleted)
 // @route   GET /api/jobs
-// @access  Public (optionalAuth for super_admin)
+// @access  Public (optionalAuth for jobs:manage)
 const escapeRegex = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 
 export const getJobs = async (req, res) => {
@@ -46,8 +49,8 @@ export const getJobs = async (req, res) => {
     const clauses = [];
 
     // Public/contributors should not see soft-deleted jobs
-    // Super admin can see all jobs (including soft-deleted)
-    if (!req.user || req.user.role !== 'super_admin') {
+    // Users with jobs:manage can see all jobs (including soft-deleted)
+    if (!hasPermission(req.permissions, 'jobs:manage')) {
       clauses.push({ isDeleted: { $ne: true } });
     }
 
@@ -65,7 +68,7 @@ export const getJobs = async (req, res) => {
       const rx = new RegExp(`^${escapeRegex(cityTrim)}(\\s*,|$)`, 'i');
       clauses.push({ location: { $regex: rx } });
     }
-    if (postedBy && req.user?.role === 'super_admin') {
+    if (postedBy && hasPermission(req.permissions, 'jobs:manage')) {
       clauses.push({ postedBy });
     }
 
@@ -117,7 +120,7 @@ export const getJobs = async (req, res) => {
 export const getJobFilterOptions = async (req, res) => {
   try {
     const base =
-      !req.user || req.user.role !== 'super_admin' ? { isDeleted: { $ne: true } } : {};
+      !hasPermission(req.permissions, 'jobs:manage') ? { isDeleted: { $ne: true } } : {};
 
     const [locations, experiencesInDb] = await Promise.all([
       Job.distinct('location', base),
@@ -170,12 +173,12 @@ const JOB_CATEGORY_KEYS = [
 export const getJobStats = async (req, res) => {
   try {
     const baseQuery =
-      !req.user || req.user.role !== 'super_admin' ? { isDeleted: { $ne: true } } : {};
+      !hasPermission(req.permissions, 'jobs:manage') ? { isDeleted: { $ne: true } } : {};
 
     const total = await Job.countDocuments(baseQuery);
 
     const data = { total };
-    if (req.user?.role === 'super_admin') {
+    if (hasPermission(req.permissions, 'jobs:manage')) {
       data.open = await Job.countDocuments({ ...baseQuery, status: 'Open' });
       data.closed = await Job.countDocuments({ ...baseQuery, status: 'Closed' });
       const viewsAgg = await Job.aggregate([
@@ -206,7 +209,7 @@ export const getJobsGrouped = async (req, res) => {
 
     const groupedJobs = {};
 
-    const baseQuery = (!req.user || req.user.role !== 'super_admin') ? { isDeleted: { $ne: true } } : {};
+    const baseQuery = !hasPermission(req.permissions, 'jobs:manage') ? { isDeleted: { $ne: true } } : {};
     for (const category of categories) {
       const jobs = await Job.find({ ...baseQuery, category })
         .populate('postedBy', 'name avatar')
@@ -239,7 +242,7 @@ export const getJobsGrouped = async (req, res) => {
 export const getJob = async (req, res) => {
   try {
     const job = await Job.findById(req.params.id).populate('postedBy', 'name email avatar role');
-    if (job.isDeleted && (!req.user || req.user.role !== 'super_admin')) {
+    if (job.isDeleted && !hasPermission(req.permissions, 'jobs:manage')) {
       return res.status(404).json({
         success: false,
         message: 'Job not found',
@@ -257,6 +260,14 @@ export const getJob = async (req, res) => {
     // Increment views
     job.views += 1;
     await job.save();
+    await applyEngagementRewards({
+      contentType: 'Job',
+      record: job,
+      ownerId: job.postedBy,
+      metric: 'views',
+      previous: job.views - 1,
+      current: job.views,
+    });
 
     res.status(200).json({
       success: true,
@@ -272,7 +283,7 @@ export const getJob = async (req, res) => {
 
 // @desc    Create job
 // @route   POST /api/jobs
-// @access  Private (job_poster, super_admin)
+// @access  Private (jobs:create or jobs:manage)
 export const createJob = async (req, res) => {
   try {
     const jobData = {
@@ -282,23 +293,18 @@ export const createJob = async (req, res) => {
 
     const job = await Job.create(jobData);
 
-    // Add 1 point to user (except super_admin)
-    if (req.user.role !== 'super_admin') {
-      try {
-        const updatedUser = await User.findByIdAndUpdate(
-          req.user.id, 
-          { $inc: { points: 1 } },
-          { new: true, runValidators: true }
-        );
-        console.log(`Points updated for user ${req.user.id}: ${updatedUser.points}`);
-      } catch (pointsError) {
-        console.error('Error updating points:', pointsError);
-      }
-    }
+    // Points per the reward rules, pending until the post is reviewed (none for super admins)
+    const reward = await applyContentReward({
+      req,
+      event: 'content_created',
+      contentType: 'Job',
+      record: job,
+      ownerId: req.user._id,
+    });
 
     res.status(201).json({
       success: true,
-      message: 'Job posted successfully. You earned 1 point!',
+      message: `Job posted successfully. ${describeTransaction(reward)}`.trim(),
       data: job,
     });
   } catch (error) {
@@ -311,7 +317,7 @@ export const createJob = async (req, res) => {
 
 // @desc    Update job
 // @route   PUT /api/jobs/:id
-// @access  Private (owner or super_admin)
+// @access  Private (owner or jobs:manage)
 export const updateJob = async (req, res) => {
   try {
     let job = await Job.findById(req.params.id);
@@ -323,8 +329,8 @@ export const updateJob = async (req, res) => {
       });
     }
 
-    // Check ownership (unless super_admin)
-    if (job.postedBy.toString() !== req.user.id && req.user.role !== 'super_admin') {
+    // Check ownership (unless allowed to manage all jobs)
+    if (job.postedBy.toString() !== req.user.id && !hasPermission(req.permissions, 'jobs:manage')) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to update this job',
@@ -356,6 +362,15 @@ export const updateJob = async (req, res) => {
       runValidators: true,
     });
 
+    await recordModeration({
+      req,
+      action: 'job.updated',
+      targetType: 'Job',
+      record: job,
+      ownerId: job.postedBy,
+      details: { fields: Object.keys(updateData) },
+    });
+
     res.status(200).json({
       success: true,
       message: 'Job updated successfully',
@@ -371,7 +386,7 @@ export const updateJob = async (req, res) => {
 
 // @desc    Delete job
 // @route   DELETE /api/jobs/:id
-// @access  Private (owner or super_admin)
+// @access  Private (owner or jobs:manage)
 export const deleteJob = async (req, res) => {
   try {
     const job = await Job.findById(req.params.id);
@@ -383,50 +398,66 @@ export const deleteJob = async (req, res) => {
       });
     }
 
-    // Check ownership (unless super_admin)
-    if (job.postedBy.toString() !== req.user.id && req.user.role !== 'super_admin') {
+    // Check ownership (unless allowed to manage all jobs)
+    if (job.postedBy.toString() !== req.user.id && !hasPermission(req.permissions, 'jobs:manage')) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to delete this job',
       });
     }
 
-    // Super admin: Permanently delete
-    if (req.user.role === 'super_admin') {
+    // Permanent delete needs jobs:purge; everyone else soft-deletes
+    if (hasPermission(req.permissions, 'jobs:purge')) {
       await Job.findByIdAndDelete(req.params.id);
-      
+
+      // A soft-deleted post was already charged for
+      if (!job.isDeleted) {
+        await applyRemovalReward({
+          req,
+          contentType: 'Job',
+          record: job,
+          ownerId: job.postedBy,
+        });
+      }
+
+      await recordModeration({
+        req,
+        action: 'job.purged',
+        targetType: 'Job',
+        record: job,
+        ownerId: job.postedBy,
+      });
+
       return res.status(200).json({
         success: true,
         message: 'Job permanently deleted',
       });
     }
 
-    // Contributor: Soft delete (mark as deleted)
+    // Soft delete (mark as deleted)
     job.isDeleted = true;
     job.deletedAt = new Date();
     await job.save();
 
-    // Deduct 1 point from user (except super_admin)
-    if (req.user.role !== 'super_admin') {
-      try {
-        const updatedUser = await User.findByIdAndUpdate(
-          job.postedBy, 
-          { $inc: { points: -1 } },
-          { new: true, runValidators: true }
-        );
-        // Ensure points don't go below 0
-        if (updatedUser.points < 0) {
-          await User.findByIdAndUpdate(job.postedBy, { points: 0 });
-        }
-        console.log(`Points deducted for user ${job.postedBy}: ${updatedUser.points}`);
-      } catch (pointsError) {
-        console.error('Error updating points:', pointsError);
-      }
-    }
+    // Author deleting their own post, or a moderator removing it; never below 0
+    const reward = await applyRemovalReward({
+      req,
+      contentType: 'Job',
+      record: job,
+      ownerId: job.postedBy,
+    });
+
+    await recordModeration({
+      req,
+      action: 'job.deleted',
+      targetType: 'Job',
+      record: job,
+      ownerId: job.postedBy,
+    });
 
     res.status(200).json({
       success: true,
-      message: 'Job deleted successfully. 1 point deducted.',
+      message: `Job deleted successfully. ${describeTransaction(reward)}`.trim(),
     });
   } catch (error) {
     res.status(500).json({
@@ -450,6 +481,8 @@ export const likeJob = async (req, res) => {
       });
     }
 
+    const previousLikes = job.likesCount;
+
     // If user is logged in, track their like
     if (req.user) {
       const userIdStr = req.user.id.toString();
@@ -470,6 +503,14 @@ export const likeJob = async (req, res) => {
     }
 
     await job.save();
+    await applyEngagementRewards({
+      contentType: 'Job',
+      record: job,
+      ownerId: job.postedBy,
+      metric: 'likes',
+      previous: previousLikes,
+      current: job.likesCount,
+    });
 
     res.status(200).json({
       success: true,
@@ -490,7 +531,7 @@ export const likeJob = async (req, res) => {
 export const getJobBySlug = async (req, res) => {
   try {
     const job = await Job.findOne({ slug: req.params.slug }).populate('postedBy', 'name email avatar role');
-    if (job.isDeleted && (!req.user || req.user.role !== 'super_admin')) {
+    if (job.isDeleted && !hasPermission(req.permissions, 'jobs:manage')) {
       return res.status(404).json({
         success: false,
         message: 'Job not found',
@@ -508,6 +549,14 @@ export const getJobBySlug = async (req, res) => {
     // Increment views
     job.views += 1;
     await job.save();
+    await applyEngagementRewards({
+      contentType: 'Job',
+      record: job,
+      ownerId: job.postedBy,
+      metric: 'views',
+      previous: job.views - 1,
+      current: job.views,
+    });
 
     res.status(200).json({
       success: true,
@@ -1,8 +1,51 @@
 import MockTest from '../models/MockTest.js';
 import User from '../models/User.js';
+import TestAttempt from '../models/TestAttempt.js';
+import {
+  getAnswerKey,
+  questionType,
+  sanitizeQuestionsForCandidate,
+  summarizeWeakAreas,
+} from '../utils/mockTestGrading.js';
+import {
+  finalizeAttempt,
+  getBestAttemptsForTest,
+  getCandidateQuestions,
+  getCandidateResponses,
+  getSubmissionGraceMs,
+  getUserRanking,
+  GRADED_ATTEMPT_STATUSES,
+  isPastDeadline,
+  isPastGracePeriod,
+  isSectionTimed,
+  mergeResponses,
+  moveToNextSection,
+  startAttempt,
+  syncSectionTimers,
+} from '../services/testAttemptService.js';
+import { rankLeaderboardEntries } from '../utils/leaderboard.js';
+import { usesQuestionPool, validatePoolSettings } from '../utils/mockTestShuffle.js';
+import { getSectionsDuration, summarizeSections, validateSections } from '../utils/mockTestSections.js';
+import {
+  parseQuestionsFile,
+  questionsToCsv,
+  questionsToJson,
+  validateQuestionsInput,
+} from '../utils/mockTestQuestions.js';
+import { getDataFileFormat } from '../middleware/uploadMiddleware.js';
+import { buildAttemptAnalytics } from '../utils/mockTestAnalytics.js';
+import { getCertificateVerifyUrl } from '../utils/certificate.js';
+import { hasPermission, canModifyRecord } from '../utils/permissions.js';
+import { recordAudit, recordModeration } from '../services/auditLogService.js';
 
 const escapeRegex = (s) => String(s).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 
+const MOCK_TEST_PERMISSIONS = { createPermission: 'mocktests:create', managePermission: 'mocktests:manage' };
+// Mock tests are deleted outright, so removing someone else's needs mocktests:purge
+const MOCK_TEST_DELETE_PERMISSIONS = { createPermission: 'mocktests:create', managePermission: 'mocktests:purge' };
+
+const forbidden = (res, message) => res.status(403).json({ success: false, message });
+
 const MOCK_TEST_CATEGORY_ENUM = [
   'Aptitude',
   'Logical Reasoning',
@@ -129,12 +172,13 @@ export const getMockTestFilterOptions = async (req, res) => {
 
 // @desc    Get all mock tests (admin - all tests)
 // @route   GET /api/mocktests/all
-// @access  Private (Super Admin)
+// @access  Private (mocktests:manage; mocktests:create sees own tests)
 export const getAllMockTests = async (req, res) => {
   try {
     const { category, difficulty, isPublished, isFeatured, search, page = 1, limit = 20 } = req.query;
 
-    const query = {};
+    const scope = hasPermission(req.permissions, 'mocktests:manage') ? {} : { postedBy: req.user._id };
+    const query = { ...scope };
 
     if (category) query.category = category;
     if (difficulty) query.difficulty = difficulty;
@@ -158,14 +202,14 @@ export const getAllMockTests = async (req, res) => {
 
     // Stats
     const stats = {
-      total: await MockTest.countDocuments(),
-      published: await MockTest.countDocuments({ isPublished: true }),
-      drafts: await MockTest.countDocuments({ isPublished: false }),
-      featured: await MockTest.countDocuments({ isFeatured: true }),
-      free: await MockTest.countDocuments({ isFree: true }),
-      totalViews: await MockTest.aggregate([{ $group: { _id: null, total: { $sum: '$views' } } }]).then(r => r[0]?.total || 0),
-      totalAttempts: await MockTest.aggregate([{ $group: { _id: null, total: { $sum: '$attempts' } } }]).then(r => r[0]?.total || 0),
-      totalQuestions: await MockTest.aggregate([{ $group: { _id: null, total: { $sum: '$totalQuestions' } } }]).then(r => r[0]?.total || 0),
+      total: await MockTest.countDocuments(scope),
+      published: await MockTest.countDocuments({ ...scope, isPublished: true }),
+      drafts: await MockTest.countDocuments({ ...scope, isPublished: false }),
+      featured: await MockTest.countDocuments({ ...scope, isFeatured: true }),
+      free: await MockTest.countDocuments({ ...scope, isFree: true }),
+      totalViews: await MockTest.aggregate([{ $match: scope }, { $group: { _id: null, total: { $sum: '$views' } } }]).then(r => r[0]?.total || 0),
+      totalAttempts: await MockTest.aggregate([{ $match: scope }, { $group: { _id: null, total: { $sum: '$attempts' } } }]).then(r => r[0]?.total || 0),
+      totalQuestions: await MockTest.aggregate([{ $match: scope }, { $group: { _id: null, total: { $sum: '$totalQuestions' } } }]).then(r => r[0]?.total || 0),
     };
 
     res.status(200).json({
@@ -209,7 +253,7 @@ export const getFeaturedMockTests = async (req, res) => {
   }
 };
 
-// @desc    Get single mock test by slug (with questions for taking test)
+// @desc    Get single mock test by slug (questions without answer keys)
 // @route   GET /api/mocktests/:slug
 // @access  Public
 export const getMockTest = async (req, res) => {
@@ -228,9 +272,14 @@ export const getMockTest = async (req, res) => {
     test.views += 1;
     await test.save();
 
+    // Never expose correct answers or explanations before submission.
+    // Pooled tests hide the whole pool; questions are drawn per attempt via /start.
+    const data = test.toObject();
+    data.questions = usesQuestionPool(test) ? [] : sanitizeQuestionsForCandidate(test.questions);
+
     res.status(200).json({
       success: true,
-      data: test,
+      data,
     });
   } catch (error) {
     res.status(500).json({
@@ -242,7 +291,7 @@ export const getMockTest = async (req, res) => {
 
 // @desc    Get mock test by ID (Admin)
 // @route   GET /api/mocktests/id/:id
-// @access  Private
+// @access  Private (owner with mocktests:create, or mocktests:manage)
 export const getMockTestById = async (req, res) => {
   try {
     const test = await MockTest.findById(req.params.id)
@@ -255,6 +304,10 @@ export const getMockTestById = async (req, res) => {
       });
     }
 
+    if (!canModifyRecord(req.permissions, MOCK_TEST_PERMISSIONS, test.postedBy, req.user._id)) {
+      return forbidden(res, 'Not authorized to view this mock test');
+    }
+
     res.status(200).json({
       success: true,
       data: test,
@@ -269,13 +322,51 @@ export const getMockTestById = async (req, res) => {
 
 // @desc    Create mock test
 // @route   POST /api/mocktests
-// @access  Private (Super Admin)
+// @access  Private (mocktests:create or mocktests:manage)
 export const createMockTest = async (req, res) => {
   try {
     const testData = {
       ...req.body,
       postedBy: req.user.id,
     };
+    // Authors without mocktests:publish create drafts
+    if (!hasPermission(req.permissions, 'mocktests:publish')) {
+      delete testData.isPublished;
+      delete testData.isFeatured;
+    }
+
+    if (testData.questions !== undefined) {
+      const { questions, errors } = validateQuestionsInput(testData.questions);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `${errors.length} invalid question(s)`,
+          errors,
+        });
+      }
+      testData.questions = questions;
+    }
+
+    const poolError = validatePoolSettings(testData);
+    if (poolError) {
+      return res.status(400).json({
+        success: false,
+        message: poolError,
+      });
+    }
+
+    const sectionError = validateSections(testData);
+    if (sectionError) {
+      return res.status(400).json({
+        success: false,
+        message: sectionError,
+      });
+    }
+
+    if (testData.sections?.length > 0) {
+      testData.sections = summarizeSections(testData.sections, testData.questions || []);
+      testData.duration = getSectionsDuration(testData) ?? testData.duration;
+    }
 
     // Calculate totals
     if (testData.questions && testData.questions.length > 0) {
@@ -303,7 +394,7 @@ export const createMockTest = async (req, res) => {
 
 // @desc    Update mock test
 // @route   PUT /api/mocktests/:id
-// @access  Private (Super Admin)
+// @access  Private (owner with mocktests:create, or mocktests:manage)
 export const updateMockTest = async (req, res) => {
   try {
     let test = await MockTest.findById(req.params.id);
@@ -315,6 +406,10 @@ export const updateMockTest = async (req, res) => {
       });
     }
 
+    if (!canModifyRecord(req.permissions, MOCK_TEST_PERMISSIONS, test.postedBy, req.user._id)) {
+      return forbidden(res, 'Not authorized to update this mock test');
+    }
+
     const allowedFields = [
       'title',
       'description',
@@ -333,11 +428,60 @@ export const updateMockTest = async (req, res) => {
       'whatsappNumber',
       'passingMarks',
       'externalId',
+      'questionsPerAttempt',
+      'difficultyMix',
+      'shuffleQuestions',
+      'shuffleOptions',
+      'sections',
     ];
     const updateData = {};
     for (const field of allowedFields) {
       if (req.body[field] !== undefined) updateData[field] = req.body[field];
     }
+    if (!hasPermission(req.permissions, 'mocktests:publish')) {
+      delete updateData.isPublished;
+      delete updateData.isFeatured;
+    }
+
+    if (updateData.questions !== undefined) {
+      const { questions, errors } = validateQuestionsInput(updateData.questions);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `${errors.length} invalid question(s)`,
+          errors,
+        });
+      }
+      updateData.questions = questions;
+    }
+
+    const poolError = validatePoolSettings({
+      questions: updateData.questions ?? test.questions,
+      questionsPerAttempt: updateData.questionsPerAttempt ?? test.questionsPerAttempt,
+      difficultyMix: updateData.difficultyMix ?? test.difficultyMix,
+    });
+    if (poolError) {
+      return res.status(400).json({
+        success: false,
+        message: poolError,
+      });
+    }
+
+    const sections = updateData.sections ?? test.sections;
+    const questions = updateData.questions ?? test.questions;
+    const sectionError = validateSections({ sections, questions });
+    if (sectionError) {
+      return res.status(400).json({
+        success: false,
+        message: sectionError,
+      });
+    }
+
+    if (updateData.sections !== undefined || updateData.questions !== undefined) {
+      updateData.sections = summarizeSections(sections, questions);
+      const sectionsDuration = getSectionsDuration({ sections: updateData.sections });
+      if (sectionsDuration) updateData.duration = sectionsDuration;
+    }
 
     // Recalculate totals if questions are updated
     if (updateData.questions) {
@@ -350,6 +494,15 @@ export const updateMockTest = async (req, res) => {
       runValidators: true,
     });
 
+    await recordModeration({
+      req,
+      action: 'mocktest.updated',
+      targetType: 'MockTest',
+      record: test,
+      ownerId: test.postedBy,
+      details: { fields: Object.keys(updateData) },
+    });
+
     res.status(200).json({
       success: true,
       message: 'Mock test updated successfully',
@@ -365,7 +518,7 @@ export const updateMockTest = async (req, res) => {
 
 // @desc    Delete mock test
 // @route   DELETE /api/mocktests/:id
-// @access  Private (Super Admin)
+// @access  Private (owner with mocktests:create, or mocktests:purge)
 export const deleteMockTest = async (req, res) => {
   try {
     const test = await MockTest.findById(req.params.id);
@@ -377,8 +530,20 @@ export const deleteMockTest = async (req, res) => {
       });
     }
 
+    if (!canModifyRecord(req.permissions, MOCK_TEST_DELETE_PERMISSIONS, test.postedBy, req.user._id)) {
+      return forbidden(res, 'Not authorized to delete this mock test');
+    }
+
     await MockTest.findByIdAndDelete(req.params.id);
 
+    await recordModeration({
+      req,
+      action: 'mocktest.deleted',
+      targetType: 'MockTest',
+      record: test,
+      ownerId: test.postedBy,
+    });
+
     res.status(200).json({
       success: true,
       message: 'Mock test deleted successfully',
@@ -393,7 +558,7 @@ export const deleteMockTest = async (req, res) => {
 
 // @desc    Toggle mock test publish status
 // @route   PUT /api/mocktests/:id/publish
-// @access  Private (Super Admin)
+// @access  Private (mocktests:publish)
 export const togglePublish = async (req, res) => {
   try {
     const test = await MockTest.findById(req.params.id);
@@ -408,6 +573,14 @@ export const togglePublish = async (req, res) => {
     test.isPublished = !test.isPublished;
     await test.save();
 
+    await recordAudit({
+      req,
+      action: 'mocktest.publish_toggled',
+      targetType: 'MockTest',
+      targetId: test._id,
+      details: { isPublished: test.isPublished },
+    });
+
     res.status(200).json({
       success: true,
       message: `Mock test ${test.isPublished ? 'published' : 'unpublished'} successfully`,
@@ -423,7 +596,7 @@ export const togglePublish = async (req, res) => {
 
 // @desc    Toggle mock test featured status
 // @route   PUT /api/mocktests/:id/featured
-// @access  Private (Super Admin)
+// @access  Private (mocktests:publish)
 export const toggleFeatured = async (req, res) => {
   try {
     const test = await MockTest.findById(req.params.id);
@@ -438,6 +611,14 @@ export const toggleFeatured = async (req, res) => {
     test.isFeatured = !test.isFeatured;
     await test.save();
 
+    await recordAudit({
+      req,
+      action: 'mocktest.featured_toggled',
+      targetType: 'MockTest',
+      targetId: test._id,
+      details: { isFeatured: test.isFeatured },
+    });
+
     res.status(200).json({
       success: true,
       message: `Mock test ${test.isFeatured ? 'featured' : 'unfeatured'} successfully`,
@@ -451,20 +632,329 @@ export const toggleFeatured = async (req, res) => {
   }
 };
 
-// @desc    Submit test result (increment attempts)
+// Section timers and cutoffs for the candidate; `currentSection` is null when sections are untimed
+const buildSectionsPayload = (attempt) => {
+  const sections = (attempt.sections || []).map((s) => ({
+    name: s.name,
+    duration: s.duration,
+    startedAt: s.startedAt,
+    deadline: s.deadline,
+    closedAt: s.closedAt,
+    totalQuestions: s.totalQuestions,
+    totalMarks: s.totalMarks,
+    passingMarks: s.passingMarks,
+  }));
+  const current = isSectionTimed(attempt) ? sections.find((s) => s.startedAt && !s.closedAt) : null;
+  return { sections, currentSection: current ? current.name : null };
+};
+
+// Candidate-facing view of an in-progress attempt (no answer keys)
+const buildSessionPayload = (attempt, test) => ({
+  attemptId: attempt._id,
+  status: attempt.status,
+  startedAt: attempt.startedAt,
+  deadline: attempt.deadline,
+  serverTime: new Date(),
+  graceSeconds: getSubmissionGraceMs() / 1000,
+  totalQuestions: attempt.totalQuestions,
+  totalMarks: attempt.totalMarks,
+  ...buildSectionsPayload(attempt),
+  questions: getCandidateQuestions(attempt, test),
+  responses: getCandidateResponses(attempt, test),
+});
+
+const buildResultPayload = async ({ attempt, result, certificate }) => ({
+  attemptId: attempt._id,
+  status: attempt.status,
+  timeTaken: attempt.timeTaken,
+  ...result,
+  ranking: await getUserRanking(attempt.test, attempt.user),
+  certificate: certificate
+    ? { code: certificate.code, verifyUrl: getCertificateVerifyUrl(certificate.code) }
+    : null,
+});
+
+// @desc    Start (or resume) a timed attempt
+// @route   POST /api/mocktests/:id/start
+// @access  Private
+export const startMockTest = async (req, res) => {
+  try {
+    const test = await MockTest.findById(req.params.id);
+
+    if (!test || !test.isPublished) {
+      return res.status(404).json({
+        success: false,
+        message: 'Mock test not found',
+      });
+    }
+
+    if (!test.questions || test.questions.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'This mock test has no questions yet',
+      });
+    }
+
+    // Resume an open session; close it first if its time has run out
+    const open = await TestAttempt.findOne({ user: req.user.id, test: test._id, status: 'in_progress' })
+      .sort({ createdAt: -1 });
+    if (open) syncSectionTimers(open);
+
+    if (open && !isPastDeadline(open)) {
+      return res.status(200).json({
+        success: true,
+        message: 'Resuming your attempt',
+        data: buildSessionPayload(open, test),
+      });
+    }
+
+    if (open) {
+      await finalizeAttempt(open, test, { autoSubmitted: true });
+    }
+
+    // A parallel /start that got here first makes this fail on the unique index; resume its attempt
+    let attempt;
+    try {
+      attempt = await startAttempt(test, req.user.id);
+    } catch (err) {
+      if (err.code !== 11000) throw err;
+      const started = await TestAttempt.findOne({ user: req.user.id, test: test._id, status: 'in_progress' });
+      if (!started) throw err;
+      return res.status(200).json({
+        success: true,
+        message: 'Resuming your attempt',
+        data: buildSessionPayload(started, test),
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Test started',
+      data: buildSessionPayload(attempt, test),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Load an attempt owned by the current user together with its test
+const loadOwnAttempt = async (req, res, attemptId) => {
+  const query = { user: req.user.id, test: req.params.id };
+  if (attemptId) query._id = attemptId;
+  else query.status = 'in_progress';
+
+  const attempt = await TestAttempt.findOne(query).sort({ createdAt: -1 });
+  if (!attempt) {
+    res.status(404).json({
+      success: false,
+      message: attemptId ? 'Attempt not found' : 'No active attempt. Start the test first.',
+    });
+    return null;
+  }
+
+  const test = await MockTest.findById(attempt.test);
+  if (!test) {
+    res.status(404).json({
+      success: false,
+      message: 'Mock test not found',
+    });
+    return null;
+  }
+
+  return { attempt, test };
+};
+
+// @desc    Save answers progressively during an attempt
+// @route   PUT /api/mocktests/:id/attempts/:attemptId/answers
+// @access  Private
+export const saveAttemptAnswers = async (req, res) => {
+  try {
+    const { answers } = req.body || {};
+    if (!answers || typeof answers !== 'object') {
+      return res.status(400).json({
+        success: false,
+        message: 'Answers are required',
+      });
+    }
+
+    const loaded = await loadOwnAttempt(req, res, req.params.attemptId);
+    if (!loaded) return;
+    const { attempt, test } = loaded;
+
+    if (attempt.status !== 'in_progress') {
+      return res.status(409).json({
+        success: false,
+        message: 'This attempt has already been submitted',
+      });
+    }
+
+    syncSectionTimers(attempt, Date.now(), getSubmissionGraceMs());
+    if (isPastGracePeriod(attempt)) {
+      const finalized = await finalizeAttempt(attempt, test, { autoSubmitted: true });
+      return res.status(409).json({
+        success: false,
+        message: 'Time is up. Your attempt was auto-submitted with the answers saved before the deadline.',
+        data: finalized ? await buildResultPayload(finalized) : null,
+      });
+    }
+
+    mergeResponses(attempt, test, answers);
+    await attempt.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Answers saved',
+      data: {
+        attemptId: attempt._id,
+        deadline: attempt.deadline,
+        serverTime: new Date(),
+        lastSavedAt: attempt.lastSavedAt,
+        ...buildSectionsPayload(attempt),
+        responses: getCandidateResponses(attempt, test),
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Submit an attempt and grade it on the server
 // @route   POST /api/mocktests/:id/submit
 // @access  Private
 export const submitTestResult = async (req, res) => {
   try {
-    const rawScore = req.body?.score ?? req.body?.answers?.score;
-    const score = Number(rawScore);
-    if (!Number.isFinite(score) || score < 0) {
+    const { attemptId, answers } = req.body || {};
+
+    const loaded = await loadOwnAttempt(req, res, attemptId);
+    if (!loaded) return;
+    const { attempt, test } = loaded;
+
+    if (attempt.status !== 'in_progress') {
+      return res.status(409).json({
+        success: false,
+        message: 'This attempt has already been submitted',
+      });
+    }
+
+    // Late submissions only count what was saved before the deadline
+    syncSectionTimers(attempt, Date.now(), getSubmissionGraceMs());
+    if (isPastGracePeriod(attempt)) {
+      const finalized = await finalizeAttempt(attempt, test, { autoSubmitted: true });
+      return res.status(409).json({
+        success: false,
+        message: 'Submission rejected: the time limit has passed. Your attempt was auto-submitted with the answers saved before the deadline.',
+        data: finalized ? await buildResultPayload(finalized) : null,
+      });
+    }
+
+    if (answers && typeof answers === 'object') {
+      mergeResponses(attempt, test, answers);
+    }
+
+    const finalized = await finalizeAttempt(attempt, test);
+    if (!finalized) {
+      return res.status(409).json({
+        success: false,
+        message: 'This attempt has already been submitted',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Test result submitted',
+      data: await buildResultPayload(finalized),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Close the current timed section (saving any answers sent) and open the next one;
+//          closing the last section submits the attempt
+// @route   POST /api/mocktests/:id/attempts/:attemptId/sections/next
+// @access  Private
+export const submitSection = async (req, res) => {
+  try {
+    const { answers } = req.body || {};
+
+    const loaded = await loadOwnAttempt(req, res, req.params.attemptId);
+    if (!loaded) return;
+    const { attempt, test } = loaded;
+
+    if (attempt.status !== 'in_progress') {
+      return res.status(409).json({
+        success: false,
+        message: 'This attempt has already been submitted',
+      });
+    }
+
+    if (!isSectionTimed(attempt)) {
       return res.status(400).json({
         success: false,
-        message: 'Valid score is required',
+        message: 'This test does not have timed sections',
       });
     }
-    const test = await MockTest.findById(req.params.id);
+
+    syncSectionTimers(attempt, Date.now(), getSubmissionGraceMs());
+    if (isPastGracePeriod(attempt)) {
+      const finalized = await finalizeAttempt(attempt, test, { autoSubmitted: true });
+      return res.status(409).json({
+        success: false,
+        message: 'Time is up. Your attempt was auto-submitted with the answers saved before the deadline.',
+        data: finalized ? await buildResultPayload(finalized) : null,
+      });
+    }
+
+    if (answers && typeof answers === 'object') {
+      mergeResponses(attempt, test, answers);
+    }
+
+    if (moveToNextSection(attempt) === -1) {
+      const finalized = await finalizeAttempt(attempt, test);
+      if (!finalized) {
+        return res.status(409).json({
+          success: false,
+          message: 'This attempt has already been submitted',
+        });
+      }
+      return res.status(200).json({
+        success: true,
+        message: 'Test result submitted',
+        data: await buildResultPayload(finalized),
+      });
+    }
+
+    await attempt.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Section submitted',
+      data: buildSessionPayload(attempt, test),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Leaderboard of best attempts per user (opted-out users hidden)
+// @route   GET /api/mocktests/:slug/leaderboard
+// @access  Public (optionalAuth adds the caller's own ranking)
+export const getLeaderboard = async (req, res) => {
+  try {
+    const test = await MockTest.findOne({ slug: req.params.slug, isPublished: true })
+      .select('title slug totalMarks');
 
     if (!test) {
       return res.status(404).json({
@@ -473,24 +963,340 @@ export const submitTestResult = async (req, res) => {
       });
     }
 
-    // Update attempts and average score
-    const newAttempts = test.attempts + 1;
-    const newAvgScore = ((test.avgScore * test.attempts) + score) / newAttempts;
+    const lim = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), 100);
 
-    test.attempts = newAttempts;
-    test.avgScore = Math.round(newAvgScore * 100) / 100;
-    await test.save();
+    // Ranks are computed over all participants; opted-out users are only hidden from the list
+    const ranked = rankLeaderboardEntries(await getBestAttemptsForTest(test._id));
+    const users = await User.find({ _id: { $in: ranked.map((e) => e.user) } })
+      .select('name avatar showOnLeaderboard');
+    const usersById = new Map(users.map((u) => [String(u._id), u]));
+
+    const leaderboard = [];
+    for (const entry of ranked) {
+      if (leaderboard.length >= lim) break;
+      const user = usersById.get(String(entry.user));
+      if (!user || user.showOnLeaderboard === false) continue;
+      leaderboard.push({
+        rank: entry.rank,
+        user: { _id: user._id, name: user.name, avatar: user.avatar },
+        score: entry.score,
+        totalMarks: entry.totalMarks,
+        percentage: entry.percentage,
+        timeTaken: entry.timeTaken,
+        submittedAt: entry.submittedAt,
+      });
+    }
+
+    const me = req.user ? ranked.find((e) => String(e.user) === String(req.user._id)) : null;
+
+    res.status(200).json({
+      success: true,
+      totalParticipants: ranked.length,
+      data: {
+        test: { _id: test._id, title: test.title, slug: test.slug, totalMarks: test.totalMarks },
+        leaderboard,
+        me: me
+          ? { rank: me.rank, score: me.score, timeTaken: me.timeTaken, percentage: me.percentage }
+          : null,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Get current user's attempt history
+// @route   GET /api/mocktests/my/attempts
+// @access  Private
+export const getMyAttempts = async (req, res) => {
+  try {
+    const { test, status, page = 1, limit = 20 } = req.query;
+
+    const query = { user: req.user.id };
+    if (test) query.test = test;
+    if (status) query.status = status;
+
+    const lim = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+    const pg = Math.max(parseInt(page, 10) || 1, 1);
+
+    const attempts = await TestAttempt.find(query)
+      .select('-answers -responses')
+      .populate('test', 'title slug category company difficulty duration totalMarks')
+      .sort({ createdAt: -1 })
+      .limit(lim)
+      .skip((pg - 1) * lim);
+
+    const total = await TestAttempt.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      count: attempts.length,
+      total,
+      totalPages: Math.ceil(total / lim) || 1,
+      currentPage: pg,
+      data: attempts,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Topic-wise performance analytics with recommendations for weak categories
+// @route   GET /api/mocktests/my/analytics?trendBy=attempt|week
+// @access  Private
+export const getMyAnalytics = async (req, res) => {
+  try {
+    const attempts = await TestAttempt.find({ user: req.user.id, status: { $in: GRADED_ATTEMPT_STATUSES } })
+      .select('test answers score totalMarks percentage submittedAt')
+      .populate('test', 'title slug category tags')
+      .sort({ submittedAt: -1 })
+      .limit(500)
+      .lean();
+
+    const analytics = buildAttemptAnalytics(attempts, {
+      trendBy: req.query.trendBy === 'week' ? 'week' : 'attempt',
+    });
+
+    // Suggest published tests in the weakest categories, preferring ones not yet attempted
+    const attemptedTestIds = [...new Set(attempts.map((a) => String(a.test?._id)).filter(Boolean))];
+    const recommendations = await Promise.all(
+      analytics.weakestCategories.map(async (weak) => {
+        const tests = await MockTest.find({
+          isPublished: true,
+          category: weak.key,
+          _id: { $nin: attemptedTestIds },
+        })
+          .select('title slug category difficulty duration totalQuestions isFree')
+          .sort({ isFeatured: -1, attempts: -1 })
+          .limit(3);
+        return { category: weak.key, accuracy: weak.accuracy, tests };
+      })
+    );
 
     res.status(200).json({
       success: true,
-      message: 'Test result submitted',
       data: {
-        score,
+        ...analytics,
+        recommendations,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Review a single attempt with answers, explanations and weak areas
+// @route   GET /api/mocktests/:id/attempts/:attemptId
+// @access  Private (owner or mocktests:manage)
+export const getAttemptById = async (req, res) => {
+  try {
+    const attempt = await TestAttempt.findOne({ _id: req.params.attemptId, test: req.params.id });
+
+    if (!attempt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attempt not found',
+      });
+    }
+
+    if (String(attempt.user) !== String(req.user.id) && !hasPermission(req.permissions, 'mocktests:manage')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this attempt',
+      });
+    }
+
+    const test = await MockTest.findById(attempt.test)
+      .select('title slug category company difficulty duration totalMarks passingMarks sections questions');
+
+    // Answer keys stay hidden until the attempt is graded
+    if (attempt.status === 'in_progress') {
+      syncSectionTimers(attempt);
+      return res.status(200).json({
+        success: true,
+        data: test ? buildSessionPayload(attempt, test) : { attemptId: attempt._id, status: attempt.status },
+      });
+    }
+
+    const questionsById = new Map((test?.questions || []).map((q) => [String(q._id), q]));
+    const sectionPenalty = new Map((test?.sections || []).map((s) => [s.name, s.negativeMarks || 0]));
+    const review = attempt.answers.map((a) => {
+      const q = questionsById.get(String(a.questionId));
+      return {
+        questionId: a.questionId,
+        type: q ? questionType(q) : a.type,
+        section: a.section,
+        question: q?.question ?? null,
+        code: q?.code ?? '',
+        options: q?.options ?? [],
+        selectedOption: a.selectedOption,
+        correctAnswer: q ? getAnswerKey(q) : null,
+        isCorrect: a.isCorrect,
+        marks: a.marks,
+        marksAwarded: a.marksAwarded,
+        negativeMarks: q?.negativeMarks || sectionPenalty.get(a.section) || 0,
+        difficulty: a.difficulty,
+        explanation: q?.explanation ?? '',
+      };
+    });
+
+    const data = attempt.toObject();
+    delete data.answers;
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...data,
+        test: test
+          ? { _id: test._id, title: test.title, slug: test.slug, category: test.category, company: test.company }
+          : null,
+        review,
+        weakAreas: summarizeWeakAreas(attempt.answers),
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Import questions from a CSV/JSON file into a new or existing mock test
+// @route   POST /api/mocktests/import  (new test; title, category, duration as form fields)
+// @route   POST /api/mocktests/:id/import?mode=append|replace&skipInvalid=true
+// @access  Private (mocktests:create for own tests, or mocktests:manage)
+export const importMockTestQuestions = async (req, res) => {
+  try {
+    const { questions, errors, total } = parseQuestionsFile(req.file.buffer, getDataFileFormat(req.file));
+    const skipInvalid = req.query.skipInvalid === 'true';
+    const report = { total, valid: questions.length, invalid: errors.length, errors };
+
+    // All-or-nothing unless the admin explicitly chose to skip invalid rows
+    if (questions.length === 0 || (errors.length > 0 && !skipInvalid)) {
+      return res.status(400).json({
+        success: false,
+        message: questions.length === 0
+          ? 'No valid questions found in file'
+          : `${errors.length} invalid row(s). Fix them or retry with skipInvalid=true.`,
+        data: report,
+      });
+    }
+
+    let test;
+    let statusCode = 200;
+    if (req.params.id) {
+      test = await MockTest.findById(req.params.id);
+      if (!test) {
+        return res.status(404).json({
+          success: false,
+          message: 'Mock test not found',
+        });
+      }
+      if (!canModifyRecord(req.permissions, MOCK_TEST_PERMISSIONS, test.postedBy, req.user._id)) {
+        return forbidden(res, 'Not authorized to update this mock test');
+      }
+      const mode = req.query.mode === 'replace' ? 'replace' : 'append';
+      const nextQuestions = mode === 'replace' ? questions : [...test.questions.map((q) => q.toObject()), ...questions];
+
+      const settingsError = validatePoolSettings({
+        questions: nextQuestions,
+        questionsPerAttempt: test.questionsPerAttempt,
+        difficultyMix: test.difficultyMix,
+      }) || validateSections({ sections: test.sections, questions: nextQuestions });
+      if (settingsError) {
+        return res.status(400).json({
+          success: false,
+          message: settingsError,
+          data: report,
+        });
+      }
+
+      test.questions = nextQuestions;
+      await test.save();
+      await recordModeration({
+        req,
+        action: 'mocktest.questions_imported',
+        targetType: 'MockTest',
+        record: test,
+        ownerId: test.postedBy,
+        details: { mode, imported: questions.length },
+      });
+    } else {
+      const { title, category, duration, description, company, difficulty } = req.body;
+      test = await MockTest.create({
+        title,
+        category,
+        duration: Number(duration),
+        description,
+        company,
+        difficulty,
+        questions,
+        isPublished: false,
+        postedBy: req.user.id,
+      });
+      statusCode = 201;
+    }
+
+    res.status(statusCode).json({
+      success: true,
+      message: `${questions.length} question(s) imported`,
+      data: {
+        ...report,
+        testId: test._id,
+        slug: test.slug,
+        totalQuestions: test.totalQuestions,
         totalMarks: test.totalMarks,
-        passed: score >= test.passingMarks,
-        passingMarks: test.passingMarks,
       },
     });
+  } catch (error) {
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Export a mock test's questions as CSV or JSON
+// @route   GET /api/mocktests/:id/export?format=csv|json
+// @access  Private (owner with mocktests:create, or mocktests:manage)
+export const exportMockTestQuestions = async (req, res) => {
+  try {
+    const test = await MockTest.findById(req.params.id).select('title slug questions postedBy');
+
+    if (!test) {
+      return res.status(404).json({
+        success: false,
+        message: 'Mock test not found',
+      });
+    }
+
+    if (!canModifyRecord(req.permissions, MOCK_TEST_PERMISSIONS, test.postedBy, req.user._id)) {
+      return forbidden(res, 'Not authorized to export this mock test');
+    }
+
+    const baseName = (test.slug || String(test._id)).replace(/[^a-zA-Z0-9-]/g, '');
+
+    if (req.query.format === 'json') {
+      res.setHeader('Content-Disposition', `attachment; filename="${baseName}-questions.json"`);
+      return res.status(200).json({
+        title: test.title,
+        questions: questionsToJson(test.questions),
+      });
+    }
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${baseName}-questions.csv"`);
+    res.status(200).send(questionsToCsv(test.questions));
   } catch (error) {
     res.status(500).json({
       success: false,
@@ -0,0 +1,323 @@
+import mongoose from 'mongoose';
+import Claim from '../models/Claim.js';
+import PayoutBatch from '../models/PayoutBatch.js';
+import { isValidClaimStatusTransition } from '../utils/claimStatusRules.js';
+import { MAX_BATCH_CLAIMS, formatBatchReference, parseReconciliationCsv, payoutBatchToCsv } from '../utils/payoutBatch.js';
+import { recordAudit } from '../services/auditLogService.js';
+import { changeClaimStatus, refreshBatch } from '../services/claimService.js';
+import { getDataFileFormat } from '../middleware/uploadMiddleware.js';
+
+const batchNotFound = (res) =>
+  res.status(404).json({
+    success: false,
+    message: 'Payout batch not found',
+  });
+
+// @desc    Put approved claims into a new payout batch (all unbatched ones, or the given claimIds)
+// @route   POST /api/claims/batches
+// @access  Private (claims:pay)
+export const createPayoutBatch = async (req, res) => {
+  try {
+    const { claimIds } = req.body;
+
+    if (claimIds !== undefined && (!Array.isArray(claimIds) || claimIds.length === 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'claimIds must be a non-empty array when given',
+      });
+    }
+    const invalidIds = (claimIds || []).filter((id) => !mongoose.isValidObjectId(id));
+    if (invalidIds.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid claim ID(s): ${invalidIds.join(', ')}`,
+      });
+    }
+    if (claimIds && claimIds.length > MAX_BATCH_CLAIMS) {
+      return res.status(400).json({
+        success: false,
+        message: `A batch can hold at most ${MAX_BATCH_CLAIMS} claims`,
+      });
+    }
+
+    const available = { status: 'processing', payoutBatch: null };
+    if (claimIds) available._id = { $in: claimIds };
+    const candidates = await Claim.find(available).sort({ createdAt: 1 }).limit(MAX_BATCH_CLAIMS).select('_id');
+
+    if (candidates.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No approved claims are waiting for a payout batch',
+      });
+    }
+
+    const batch = new PayoutBatch({ createdBy: req.user._id });
+    batch.reference = formatBatchReference(batch._id);
+    await batch.save();
+
+    // Claims batched or paid by someone else in the meantime stay out
+    await Claim.updateMany(
+      { _id: { $in: candidates.map((c) => c._id) }, ...available },
+      { $set: { payoutBatch: batch._id } }
+    );
+    await refreshBatch(batch);
+
+    if (batch.claimCount === 0) {
+      await PayoutBatch.deleteOne({ _id: batch._id });
+      return res.status(409).json({
+        success: false,
+        message: 'These claims were just batched or updated by someone else',
+      });
+    }
+
+    const batched = new Set(
+      (await Claim.find({ payoutBatch: batch._id }).select('_id')).map((c) => String(c._id))
+    );
+    const skipped = (claimIds || []).filter((id) => !batched.has(String(id)));
+
+    await recordAudit({
+      req,
+      action: 'payout_batch.created',
+      targetType: 'PayoutBatch',
+      targetId: batch._id,
+      details: { reference: batch.reference, claimCount: batch.claimCount, totalAmount: batch.totalAmount },
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Payout batch ${batch.reference} created with ${batch.claimCount} claim(s)`,
+      data: batch,
+      skipped,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Get payout batches
+// @route   GET /api/claims/batches?status=&page=&limit=
+// @access  Private (claims:pay)
+export const getPayoutBatches = async (req, res) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+    const query = req.query.status ? { status: req.query.status } : {};
+
+    const [batches, total] = await Promise.all([
+      PayoutBatch.find(query)
+        .populate('createdBy', 'name')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      PayoutBatch.countDocuments(query),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: batches.length,
+      total,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      data: batches,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Get a payout batch with its claims
+// @route   GET /api/claims/batches/:id
+// @access  Private (claims:pay)
+export const getPayoutBatch = async (req, res) => {
+  try {
+    const batch = await PayoutBatch.findById(req.params.id).populate('createdBy', 'name');
+    if (!batch) return batchNotFound(res);
+
+    const claims = await Claim.find({ payoutBatch: batch._id })
+      .populate('user', 'name email')
+      .sort({ createdAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: { ...batch.toObject(), claims },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Download the payout CSV for a batch's unpaid claims
+// @route   GET /api/claims/batches/:id/export
+// @access  Private (claims:pay)
+export const exportPayoutBatch = async (req, res) => {
+  try {
+    const batch = await PayoutBatch.findById(req.params.id);
+    if (!batch) return batchNotFound(res);
+
+    const claims = await Claim.find({ payoutBatch: batch._id, status: 'processing' })
+      .populate('user', 'name email')
+      .sort({ createdAt: 1 });
+
+    batch.exportedAt = new Date();
+    await batch.save();
+
+    await recordAudit({
+      req,
+      action: 'payout_batch.exported',
+      targetType: 'PayoutBatch',
+      targetId: batch._id,
+      details: { reference: batch.reference, claims: claims.length },
+    });
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${batch.reference}.csv"`);
+    res.status(200).send(payoutBatchToCsv(batch.reference, claims));
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Upload the bank/UPI reconciliation CSV (claim_id, transaction_id): marks each listed
+//          claim paid. Rows are applied one by one; the report lists every row that failed.
+// @route   POST /api/claims/batches/:id/reconcile  (multipart, field "file")
+// @access  Private (claims:pay)
+export const reconcilePayoutBatch = async (req, res) => {
+  try {
+    const batch = await PayoutBatch.findById(req.params.id);
+    if (!batch) return batchNotFound(res);
+
+    if (batch.status === 'cancelled') {
+      return res.status(400).json({
+        success: false,
+        message: 'This batch was cancelled',
+      });
+    }
+    if (getDataFileFormat(req.file) !== 'csv') {
+      return res.status(400).json({
+        success: false,
+        message: 'Upload the reconciliation as a .csv file',
+      });
+    }
+
+    const { rows, skipped, errors, total } = parseReconciliationCsv(req.file.buffer.toString('utf8'));
+    const claims = await Claim.find({ _id: { $in: rows.map((r) => r.claimId) } });
+    const claimsById = new Map(claims.map((c) => [String(c._id), c]));
+
+    let paid = 0;
+    let alreadyPaid = 0;
+    for (const { row, claimId, transactionId } of rows) {
+      const fail = (message) => errors.push({ row, claimId, errors: [message] });
+      const claim = claimsById.get(claimId.toLowerCase());
+
+      if (!claim || String(claim.payoutBatch) !== String(batch._id)) {
+        fail('claim is not in this batch');
+        continue;
+      }
+      if (claim.status === 'paid') {
+        if (claim.transactionId === transactionId) {
+          alreadyPaid += 1;
+        } else {
+          fail(`claim was already paid with transaction ${claim.transactionId || '(none)'}`);
+        }
+        continue;
+      }
+      if (!isValidClaimStatusTransition(claim.status, 'paid')) {
+        fail(`a ${claim.status} claim cannot be marked paid`);
+        continue;
+      }
+
+      const changed = await changeClaimStatus({
+        req,
+        claim,
+        nextStatus: 'paid',
+        transactionId,
+        details: { payoutBatch: batch.reference },
+      });
+      if (changed) {
+        paid += 1;
+      } else {
+        fail('claim was updated by someone else during the upload; upload the row again');
+      }
+    }
+
+    batch.lastReconciledAt = new Date();
+    await refreshBatch(batch);
+
+    errors.sort((a, b) => a.row - b.row);
+    const report = { total, paid, alreadyPaid, skipped: skipped.length, failed: errors.length, errors };
+
+    await recordAudit({
+      req,
+      action: 'payout_batch.reconciled',
+      targetType: 'PayoutBatch',
+      targetId: batch._id,
+      details: { reference: batch.reference, total, paid, alreadyPaid, skipped: skipped.length, failed: errors.length },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `${paid} claim(s) marked paid${errors.length ? `, ${errors.length} row(s) failed` : ''}`,
+      data: { batch, report },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Cancel a batch: its unpaid claims go back to the queue for another batch
+// @route   PUT /api/claims/batches/:id/cancel
+// @access  Private (claims:pay)
+export const cancelPayoutBatch = async (req, res) => {
+  try {
+    const batch = await PayoutBatch.findById(req.params.id);
+    if (!batch) return batchNotFound(res);
+
+    if (batch.status !== 'open') {
+      return res.status(400).json({
+        success: false,
+        message: `Only open batches can be cancelled; this one is ${batch.status}`,
+      });
+    }
+
+    const { modifiedCount } = await Claim.updateMany(
+      { payoutBatch: batch._id, status: { $ne: 'paid' } },
+      { $set: { payoutBatch: null } }
+    );
+    batch.status = 'cancelled';
+    await refreshBatch(batch);
+
+    await recordAudit({
+      req,
+      action: 'payout_batch.cancelled',
+      targetType: 'PayoutBatch',
+      targetId: batch._id,
+      details: { reference: batch.reference, released: modifiedCount },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Payout batch ${batch.reference} cancelled; ${modifiedCount} claim(s) released`,
+      data: batch,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
@@ -1,9 +1,12 @@
 import DigitalProduct from '../models/DigitalProduct.js';
-import User from '../models/User.js';
 import {
   digitalProductSortAndPaginateStages,
   digitalProductPostedByLookup,
 } from '../utils/digitalProductListPipeline.js';
+import { hasPermission } from '../utils/permissions.js';
+import { recordAudit, recordModeration } from '../services/auditLogService.js';
+import { applyContentReward, applyEngagementRewards, applyRemovalReward } from '../services/rewardService.js';
+import { describeTransaction } from '../utils/rewardRules.js';
 
 const escapeRegex = (s) => String(s).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 
@@ -106,7 +109,7 @@ export const getProductFilterOptions = async (req, res) => {
 
 // @desc    Get all products (admin - all products)
 // @route   GET /api/products/all
-// @access  Private (Super Admin)
+// @access  Private (products:manage)
 export const getAllProducts = async (req, res) => {
   try {
     const { category, isAvailable, isFeatured, search, page = 1, limit = 20 } = req.query;
@@ -235,6 +238,14 @@ export const getProduct = async (req, res) => {
     // Increment views
     product.views += 1;
     await product.save();
+    await applyEngagementRewards({
+      contentType: 'DigitalProduct',
+      record: product,
+      ownerId: product.postedBy,
+      metric: 'views',
+      previous: product.views - 1,
+      current: product.views,
+    });
 
     res.status(200).json({
       success: true,
@@ -250,7 +261,7 @@ export const getProduct = async (req, res) => {
 
 // @desc    Create product
 // @route   POST /api/products
-// @access  Private (digital_product_poster, super_admin)
+// @access  Private (products:create or products:manage)
 export const createProduct = async (req, res) => {
   try {
     const productData = {
@@ -260,23 +271,18 @@ export const createProduct = async (req, res) => {
 
     const product = await DigitalProduct.create(productData);
 
-    // Add 1 point to user (except super_admin)
-    if (req.user.role !== 'super_admin') {
-      try {
-        const updatedUser = await User.findByIdAndUpdate(
-          req.user.id, 
-          { $inc: { points: 1 } },
-          { new: true, runValidators: true }
-        );
-        console.log(`Points updated for user ${req.user.id}: ${updatedUser.points}`);
-      } catch (pointsError) {
-        console.error('Error updating points:', pointsError);
-      }
-    }
+    // Points per the reward rules, pending until the post is reviewed (none for super admins)
+    const reward = await applyContentReward({
+      req,
+      event: 'content_created',
+      contentType: 'DigitalProduct',
+      record: product,
+      ownerId: req.user._id,
+    });
 
     res.status(201).json({
       success: true,
-      message: 'Product added successfully. You earned 1 point!',
+      message: `Product added successfully. ${describeTransaction(reward)}`.trim(),
       data: product,
     });
   } catch (error) {
@@ -289,7 +295,7 @@ export const createProduct = async (req, res) => {
 
 // @desc    Update product
 // @route   PUT /api/products/:id
-// @access  Private (owner or super_admin)
+// @access  Private (owner or products:manage)
 export const updateProduct = async (req, res) => {
   try {
     let product = await DigitalProduct.findById(req.params.id);
@@ -302,7 +308,7 @@ export const updateProduct = async (req, res) => {
     }
 
     // Check ownership
-    if (product.postedBy.toString() !== req.user.id && req.user.role !== 'super_admin') {
+    if (product.postedBy.toString() !== req.user.id && !hasPermission(req.permissions, 'products:manage')) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to update this product',
@@ -332,6 +338,15 @@ export const updateProduct = async (req, res) => {
       runValidators: true,
     });
 
+    await recordModeration({
+      req,
+      action: 'product.updated',
+      targetType: 'DigitalProduct',
+      record: product,
+      ownerId: product.postedBy,
+      details: { fields: Object.keys(updateData) },
+    });
+
     res.status(200).json({
       success: true,
       message: 'Product updated successfully',
@@ -347,7 +362,7 @@ export const updateProduct = async (req, res) => {
 
 // @desc    Delete product
 // @route   DELETE /api/products/:id
-// @access  Private (owner or super_admin)
+// @access  Private (owner or products:purge)
 export const deleteProduct = async (req, res) => {
   try {
     const product = await DigitalProduct.findById(req.params.id);
@@ -359,8 +374,8 @@ export const deleteProduct = async (req, res) => {
       });
     }
 
-    // Check ownership
-    if (product.postedBy.toString() !== req.user.id && req.user.role !== 'super_admin') {
+    // Products are deleted outright, so removing someone else's needs products:purge
+    if (product.postedBy.toString() !== req.user.id && !hasPermission(req.permissions, 'products:purge')) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to delete this product',
@@ -369,27 +384,25 @@ export const deleteProduct = async (req, res) => {
 
     await DigitalProduct.findByIdAndDelete(req.params.id);
 
-    // Deduct 1 point from user (except super_admin)
-    if (req.user.role !== 'super_admin') {
-      try {
-        const updatedUser = await User.findByIdAndUpdate(
-          product.postedBy, 
-          { $inc: { points: -1 } },
-          { new: true, runValidators: true }
-        );
-        // Ensure points don't go below 0
-        if (updatedUser.points < 0) {
-          await User.findByIdAndUpdate(product.postedBy, { points: 0 });
-        }
-        console.log(`Points deducted for user ${product.postedBy}: ${updatedUser.points}`);
-      } catch (pointsError) {
-        console.error('Error updating points:', pointsError);
-      }
-    }
+    // Author deleting their own post, or a moderator removing it; never below 0
+    const reward = await applyRemovalReward({
+      req,
+      contentType: 'DigitalProduct',
+      record: product,
+      ownerId: product.postedBy,
+    });
+
+    await recordModeration({
+      req,
+      action: 'product.deleted',
+      targetType: 'DigitalProduct',
+      record: product,
+      ownerId: product.postedBy,
+    });
 
     res.status(200).json({
       success: true,
-      message: 'Product deleted successfully. 1 point deducted.',
+      message: `Product deleted successfully. ${describeTransaction(reward)}`.trim(),
     });
   } catch (error) {
     res.status(500).json({
@@ -441,7 +454,7 @@ export const getProductsCount = async (req, res) => {
 
 // @desc    Toggle product availability
 // @route   PUT /api/products/:id/toggle-availability
-// @access  Private (Super Admin)
+// @access  Private (products:publish)
 export const toggleAvailability = async (req, res) => {
   try {
     const product = await DigitalProduct.findById(req.params.id);
@@ -456,6 +469,14 @@ export const toggleAvailability = async (req, res) => {
     product.isAvailable = !product.isAvailable;
     await product.save();
 
+    await recordAudit({
+      req,
+      action: 'product.availability_toggled',
+      targetType: 'DigitalProduct',
+      targetId: product._id,
+      details: { isAvailable: product.isAvailable },
+    });
+
     res.status(200).json({
       success: true,
       message: `Product ${product.isAvailable ? 'made available' : 'made unavailable'}`,
@@ -471,7 +492,7 @@ export const toggleAvailability = async (req, res) => {
 
 // @desc    Toggle product featured
 // @route   PUT /api/products/:id/toggle-featured
-// @access  Private (Super Admin)
+// @access  Private (products:publish)
 export const toggleFeatured = async (req, res) => {
   try {
     const product = await DigitalProduct.findById(req.params.id);
@@ -486,6 +507,14 @@ export const toggleFeatured = async (req, res) => {
     product.isFeatured = !product.isFeatured;
     await product.save();
 
+    await recordAudit({
+      req,
+      action: 'product.featured_toggled',
+      targetType: 'DigitalProduct',
+      targetId: product._id,
+      details: { isFeatured: product.isFeatured },
+    });
+
     res.status(200).json({
       success: true,
       message: `Product ${product.isFeatured ? 'featured' : 'unfeatured'}`,
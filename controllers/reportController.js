@@ -0,0 +1,178 @@
+import ContentReport from '../models/ContentReport.js';
+import { recordAudit } from '../services/auditLogService.js';
+import { voidPendingPoints } from '../services/pointsService.js';
+import { findLiveContent } from '../services/rewardService.js';
+import { getReviewableContentTypes } from '../utils/rewardRules.js';
+
+// @desc    Report a post to moderators; its pending points are held until the report is resolved
+// @route   POST /api/reports
+// @access  Private
+export const createReport = async (req, res) => {
+  try {
+    const { contentType, contentId, reason } = req.body;
+
+    const content = await findLiveContent(contentType, contentId);
+    if (!content) {
+      return res.status(404).json({
+        success: false,
+        message: 'Post not found',
+      });
+    }
+
+    if (String(content.ownerId) === String(req.user._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot report your own post',
+      });
+    }
+
+    let report;
+    try {
+      report = await ContentReport.create({
+        contentType,
+        contentId,
+        contentOwner: content.ownerId || null,
+        reporter: req.user._id,
+        reason,
+      });
+    } catch (err) {
+      if (err.code === 11000) {
+        return res.status(409).json({
+          success: false,
+          message: 'You have already reported this post',
+        });
+      }
+      throw err;
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Thanks, a moderator will review this post',
+      data: report,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Get reports in the sections I moderate
+// @route   GET /api/reports?status=open&contentType=&page=&limit=
+// @access  Private (jobs, resources, blogs or products :manage)
+export const getReports = async (req, res) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+
+    let contentTypes = getReviewableContentTypes(req.permissions);
+    if (req.query.contentType) contentTypes = contentTypes.filter((t) => t === req.query.contentType);
+
+    const query = { contentType: { $in: contentTypes }, status: req.query.status || 'open' };
+
+    const [reports, total] = await Promise.all([
+      ContentReport.find(query)
+        .populate('reporter', 'name email')
+        .populate('contentOwner', 'name email')
+        .populate('reviewedBy', 'name')
+        .sort({ createdAt: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      ContentReport.countDocuments(query),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: reports.length,
+      total,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      data: reports,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Dismiss or uphold a report. This resolves every open report on the same post; upholding
+//          voids the post's pending points (remove the post itself through its delete route).
+// @route   PUT /api/reports/:id
+// @access  Private (manage permission for the post's section)
+export const resolveReport = async (req, res) => {
+  try {
+    const { status, note = '' } = req.body;
+
+    if (!['dismissed', 'upheld'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Status must be dismissed or upheld',
+      });
+    }
+
+    const report = await ContentReport.findById(req.params.id);
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report not found',
+      });
+    }
+
+    if (!getReviewableContentTypes(req.permissions).includes(report.contentType)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not moderate this section',
+      });
+    }
+
+    if (report.status !== 'open') {
+      return res.status(409).json({
+        success: false,
+        message: `Report is already ${report.status}`,
+      });
+    }
+
+    const resolution = {
+      status,
+      reviewedBy: req.user._id,
+      reviewedAt: new Date(),
+      reviewNote: String(note).slice(0, 500),
+    };
+    const { modifiedCount } = await ContentReport.updateMany(
+      { contentId: report.contentId, status: 'open' },
+      { $set: resolution }
+    );
+
+    const voided = status === 'upheld' ? await voidPendingPoints({ sourceId: report.contentId }) : [];
+
+    await recordAudit({
+      req,
+      action: `report.${status}`,
+      targetType: report.contentType,
+      targetId: report.contentId,
+      details: {
+        reportId: report._id,
+        reportsResolved: modifiedCount,
+        pointsVoided: voided.reduce((sum, t) => sum + t.delta, 0),
+        note: resolution.reviewNote,
+      },
+    });
+
+    Object.assign(report, resolution);
+
+    res.status(200).json({
+      success: true,
+      message: status === 'upheld' ? 'Report upheld; pending points for this post were voided' : 'Report dismissed',
+      data: report,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
@@ -1,6 +1,9 @@
 import Resource from '../models/Resource.js';
-import User from '../models/User.js';
 import { runExternalResourceFetch } from '../utils/runResourceFetch.js';
+import { hasPermission } from '../utils/permissions.js';
+import { recordModeration } from '../services/auditLogService.js';
+import { applyContentReward, applyEngagementRewards, applyRemovalReward } from '../services/rewardService.js';
+import { describeTransaction } from '../utils/rewardRules.js';
 
 const escapeRegex = (s) => String(s).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 
@@ -14,9 +17,9 @@ const RESOURCE_CATEGORY_KEYS = [
   'Hardware Project',
 ];
 
-// @desc    Fetch resources from Dev.to, freeCodeCamp, Hashnode, YouTube (Super Admin only)
+// @desc    Fetch resources from Dev.to, freeCodeCamp, Hashnode, YouTube
 // @route   POST /api/resources/fetch-external
-// @access  Private (super_admin only)
+// @access  Private (resources:import)
 export const fetchExternalResources = async (req, res) => {
   try {
     const opts = req.body || {};
@@ -35,9 +38,9 @@ export const fetchExternalResources = async (req, res) => {
   }
 };
 
-// @desc    Get all resources (public, super_admin sees all including deleted)
+// @desc    Get all resources (public, resources:manage sees all including deleted)
 // @route   GET /api/resources
-// @access  Public (optionalAuth for super_admin)
+// @access  Public (optionalAuth for resources:manage)
 export const getResources = async (req, res) => {
   try {
     const {
@@ -53,8 +56,8 @@ export const getResources = async (req, res) => {
     const query = {};
 
     // Public/contributors should not see soft-deleted resources
-    // Super admin can see all resources (including soft-deleted)
-    if (!req.user || req.user.role !== 'super_admin') {
+    // Users with resources:manage can see all resources (including soft-deleted)
+    if (!hasPermission(req.permissions, 'resources:manage')) {
       query.isDeleted = { $ne: true }; // Show posts where isDeleted is false OR doesn't exist
     }
 
@@ -104,7 +107,7 @@ export const getResources = async (req, res) => {
 export const getResourceFilterOptions = async (req, res) => {
   try {
     const base =
-      !req.user || req.user.role !== 'super_admin' ? { isDeleted: { $ne: true } } : {};
+      !hasPermission(req.permissions, 'resources:manage') ? { isDeleted: { $ne: true } } : {};
 
     const [rawSubs, sourcesInDb] = await Promise.all([
       Resource.distinct('subcategory', base),
@@ -195,7 +198,7 @@ export const getResourcesGrouped = async (req, res) => {
 export const getResource = async (req, res) => {
   try {
     const resource = await Resource.findById(req.params.id).populate('postedBy', 'name email avatar role');
-    if (resource.isDeleted && (!req.user || req.user.role !== 'super_admin')) {
+    if (resource.isDeleted && !hasPermission(req.permissions, 'resources:manage')) {
       return res.status(404).json({
         success: false,
         message: 'Resource not found',
@@ -224,7 +227,7 @@ export const getResource = async (req, res) => {
 
 // @desc    Create resource
 // @route   POST /api/resources
-// @access  Private (resource_poster, super_admin)
+// @access  Private (resources:create or resources:manage)
 export const createResource = async (req, res) => {
   try {
     // Check if link is YouTube
@@ -239,23 +242,18 @@ export const createResource = async (req, res) => {
 
     const resource = await Resource.create(resourceData);
 
-    // Add 1 point to user (except super_admin)
-    if (req.user.role !== 'super_admin') {
-      try {
-        const updatedUser = await User.findByIdAndUpdate(
-          req.user.id, 
-          { $inc: { points: 1 } },
-          { new: true, runValidators: true }
-        );
-        console.log(`Points updated for user ${req.user.id}: ${updatedUser.points}`);
-      } catch (pointsError) {
-        console.error('Error updating points:', pointsError);
-      }
-    }
+    // Points per the reward rules, pending until the post is reviewed (none for super admins)
+    const reward = await applyContentReward({
+      req,
+      event: 'content_created',
+      contentType: 'Resource',
+      record: resource,
+      ownerId: req.user._id,
+    });
 
     res.status(201).json({
       success: true,
-      message: 'Resource uploaded successfully. You earned 1 point!',
+      message: `Resource uploaded successfully. ${describeTransaction(reward)}`.trim(),
       data: resource,
     });
   } catch (error) {
@@ -268,7 +266,7 @@ export const createResource = async (req, res) => {
 
 // @desc    Update resource
 // @route   PUT /api/resources/:id
-// @access  Private (owner or super_admin)
+// @access  Private (owner or resources:manage)
 export const updateResource = async (req, res) => {
   try {
     let resource = await Resource.findById(req.params.id);
@@ -281,7 +279,7 @@ export const updateResource = async (req, res) => {
     }
 
     // Check ownership
-    if (resource.postedBy.toString() !== req.user.id && req.user.role !== 'super_admin') {
+    if (resource.postedBy.toString() !== req.user.id && !hasPermission(req.permissions, 'resources:manage')) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to update this resource',
@@ -303,6 +301,15 @@ export const updateResource = async (req, res) => {
       runValidators: true,
     });
 
+    await recordModeration({
+      req,
+      action: 'resource.updated',
+      targetType: 'Resource',
+      record: resource,
+      ownerId: resource.postedBy,
+      details: { fields: Object.keys(updateData) },
+    });
+
     res.status(200).json({
       success: true,
       message: 'Resource updated successfully',
@@ -318,7 +325,7 @@ export const updateResource = async (req, res) => {
 
 // @desc    Delete resource
 // @route   DELETE /api/resources/:id
-// @access  Private (owner or super_admin)
+// @access  Private (owner or resources:manage)
 export const deleteResource = async (req, res) => {
   try {
     const resource = await Resource.findById(req.params.id);
@@ -331,49 +338,65 @@ export const deleteResource = async (req, res) => {
     }
 
     // Check ownership
-    if (resource.postedBy.toString() !== req.user.id && req.user.role !== 'super_admin') {
+    if (resource.postedBy.toString() !== req.user.id && !hasPermission(req.permissions, 'resources:manage')) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to delete this resource',
       });
     }
 
-    // Super admin: Permanently delete
-    if (req.user.role === 'super_admin') {
+    // Permanent delete needs resources:purge; everyone else soft-deletes
+    if (hasPermission(req.permissions, 'resources:purge')) {
       await Resource.findByIdAndDelete(req.params.id);
-      
+
+      // A soft-deleted post was already charged for
+      if (!resource.isDeleted) {
+        await applyRemovalReward({
+          req,
+          contentType: 'Resource',
+          record: resource,
+          ownerId: resource.postedBy,
+        });
+      }
+
+      await recordModeration({
+        req,
+        action: 'resource.purged',
+        targetType: 'Resource',
+        record: resource,
+        ownerId: resource.postedBy,
+      });
+
       return res.status(200).json({
         success: true,
         message: 'Resource permanently deleted',
       });
     }
 
-    // Contributor: Soft delete (mark as deleted)
+    // Soft delete (mark as deleted)
     resource.isDeleted = true;
     resource.deletedAt = new Date();
     await resource.save();
 
-    // Deduct 1 point from user (except super_admin)
-    if (req.user.role !== 'super_admin') {
-      try {
-        const updatedUser = await User.findByIdAndUpdate(
-          resource.postedBy, 
-          { $inc: { points: -1 } },
-          { new: true, runValidators: true }
-        );
-        // Ensure points don't go below 0
-        if (updatedUser.points < 0) {
-          await User.findByIdAndUpdate(resource.postedBy, { points: 0 });
-        }
-        console.log(`Points deducted for user ${resource.postedBy}: ${updatedUser.points}`);
-      } catch (pointsError) {
-        console.error('Error updating points:', pointsError);
-      }
-    }
+    // Author deleting their own post, or a moderator removing it; never below 0
+    const reward = await applyRemovalReward({
+      req,
+      contentType: 'Resource',
+      record: resource,
+      ownerId: resource.postedBy,
+    });
+
+    await recordModeration({
+      req,
+      action: 'resource.deleted',
+      targetType: 'Resource',
+      record: resource,
+      ownerId: resource.postedBy,
+    });
 
     res.status(200).json({
       success: true,
-      message: 'Resource deleted successfully. 1 point deducted.',
+      message: `Resource deleted successfully. ${describeTransaction(reward)}`.trim(),
     });
   } catch (error) {
     res.status(500).json({
@@ -399,6 +422,14 @@ export const likeResource = async (req, res) => {
 
     resource.likes += 1;
     await resource.save();
+    await applyEngagementRewards({
+      contentType: 'Resource',
+      record: resource,
+      ownerId: resource.postedBy,
+      metric: 'likes',
+      previous: resource.likes - 1,
+      current: resource.likes,
+    });
 
     res.status(200).json({
       success: true,
@@ -0,0 +1,327 @@
+import RewardMilestone from '../models/RewardMilestone.js';
+import RewardRule from '../models/RewardRule.js';
+import { getMilestones, getRewardRules, invalidateRewardCache } from '../services/rewardService.js';
+import { recordAudit } from '../services/auditLogService.js';
+import { ENGAGEMENT_METRICS, REWARD_CONTENT_TYPES, REWARD_EVENTS } from '../utils/rewardRules.js';
+
+const RULE_FIELDS = ['label', 'contentType', 'metric', 'threshold', 'points', 'isActive'];
+const MILESTONE_FIELDS = ['amount', 'isActive'];
+
+const ruleDetails = (rule) => ({
+  name: rule.name,
+  event: rule.event,
+  contentType: rule.contentType,
+  metric: rule.metric,
+  threshold: rule.threshold,
+  points: rule.points,
+  isActive: rule.isActive,
+});
+
+// Saves a rule or milestone, answering 400/409 for invalid input; returns false if it answered
+const saveOrReject = async (doc, res, duplicateMessage) => {
+  try {
+    await doc.save();
+    return true;
+  } catch (err) {
+    if (err.code === 11000) {
+      res.status(409).json({
+        success: false,
+        message: duplicateMessage,
+      });
+      return false;
+    }
+    if (err.name === 'ValidationError' || err.name === 'CastError') {
+      res.status(400).json({
+        success: false,
+        message: err.message,
+      });
+      return false;
+    }
+    throw err;
+  }
+};
+
+// @desc    How points are earned and what they can be claimed for
+// @route   GET /api/rewards
+// @access  Public
+export const getRewardSummary = async (req, res) => {
+  try {
+    const [rules, milestones] = await Promise.all([getRewardRules(), getMilestones()]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        rules: rules
+          .filter((r) => r.isActive !== false && r.points)
+          .map(({ name, label, event, contentType, metric, threshold, points }) => ({
+            name,
+            label,
+            event,
+            contentType,
+            metric,
+            threshold,
+            points,
+          })),
+        milestones: milestones
+          .filter((m) => m.isActive !== false)
+          .map(({ points, amount }) => ({ points, amount })),
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Get every reward rule, including inactive ones, and the values a rule can use
+// @route   GET /api/rewards/rules
+// @access  Private (rewards:manage)
+export const getRules = async (req, res) => {
+  try {
+    const rules = await RewardRule.find().sort({ isSystem: -1, event: 1, name: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: rules.length,
+      data: rules,
+      options: {
+        events: REWARD_EVENTS,
+        contentTypes: REWARD_CONTENT_TYPES,
+        metrics: ENGAGEMENT_METRICS,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Create a reward rule
+// @route   POST /api/rewards/rules
+// @access  Private (rewards:manage)
+export const createRule = async (req, res) => {
+  try {
+    const { name, event } = req.body;
+    const rule = new RewardRule({ name, event, isSystem: false });
+    for (const field of RULE_FIELDS) {
+      if (req.body[field] !== undefined) rule[field] = req.body[field];
+    }
+
+    if (!(await saveOrReject(rule, res, 'A reward rule with this name already exists'))) return;
+    invalidateRewardCache();
+
+    await recordAudit({
+      req,
+      action: 'reward_rule.created',
+      targetType: 'RewardRule',
+      targetId: rule._id,
+      details: ruleDetails(rule),
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Reward rule ${rule.name} created`,
+      data: rule,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Update a reward rule (built-in rules keep their event)
+// @route   PUT /api/rewards/rules/:name
+// @access  Private (rewards:manage)
+export const updateRule = async (req, res) => {
+  try {
+    const rule = await RewardRule.findOne({ name: req.params.name });
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reward rule not found',
+      });
+    }
+
+    if (rule.isSystem && req.body.event !== undefined && req.body.event !== rule.event) {
+      return res.status(400).json({
+        success: false,
+        message: 'The event of a built-in rule cannot change',
+      });
+    }
+
+    const previous = ruleDetails(rule);
+    if (req.body.event !== undefined) rule.event = req.body.event;
+    for (const field of RULE_FIELDS) {
+      if (req.body[field] !== undefined) rule[field] = req.body[field];
+    }
+
+    if (!(await saveOrReject(rule, res, 'A reward rule with this name already exists'))) return;
+    invalidateRewardCache();
+
+    await recordAudit({
+      req,
+      action: 'reward_rule.updated',
+      targetType: 'RewardRule',
+      targetId: rule._id,
+      details: { previous, current: ruleDetails(rule) },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Reward rule ${rule.name} updated`,
+      data: rule,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Delete a custom reward rule (built-in rules can only be deactivated)
+// @route   DELETE /api/rewards/rules/:name
+// @access  Private (rewards:manage)
+export const deleteRule = async (req, res) => {
+  try {
+    const rule = await RewardRule.findOne({ name: req.params.name });
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reward rule not found',
+      });
+    }
+
+    if (rule.isSystem) {
+      return res.status(400).json({
+        success: false,
+        message: 'Built-in rules cannot be deleted. Deactivate the rule instead.',
+      });
+    }
+
+    await RewardRule.deleteOne({ _id: rule._id });
+    invalidateRewardCache();
+
+    await recordAudit({
+      req,
+      action: 'reward_rule.deleted',
+      targetType: 'RewardRule',
+      targetId: rule._id,
+      details: ruleDetails(rule),
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Reward rule ${rule.name} deleted`,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Get every claim milestone, including inactive ones
+// @route   GET /api/rewards/milestones
+// @access  Private (rewards:manage)
+export const getMilestoneList = async (req, res) => {
+  try {
+    const milestones = await RewardMilestone.find().sort({ points: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: milestones.length,
+      data: milestones,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Create a claim milestone
+// @route   POST /api/rewards/milestones
+// @access  Private (rewards:manage)
+export const createMilestone = async (req, res) => {
+  try {
+    const { points, amount, isActive = true } = req.body;
+    const milestone = new RewardMilestone({ points, amount, isActive });
+
+    if (!(await saveOrReject(milestone, res, `A ${points} points milestone already exists`))) return;
+    invalidateRewardCache();
+
+    await recordAudit({
+      req,
+      action: 'reward_milestone.created',
+      targetType: 'RewardMilestone',
+      targetId: milestone._id,
+      details: { points: milestone.points, amount: milestone.amount, isActive: milestone.isActive },
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `${milestone.points} points milestone created`,
+      data: milestone,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Change a milestone's amount or active flag. Milestones are deactivated rather than
+//          deleted, and their points are fixed, since users' claimedMilestones refer to them.
+// @route   PUT /api/rewards/milestones/:points
+// @access  Private (rewards:manage)
+export const updateMilestone = async (req, res) => {
+  try {
+    const milestone = await RewardMilestone.findOne({ points: Number(req.params.points) });
+
+    if (!milestone) {
+      return res.status(404).json({
+        success: false,
+        message: 'Milestone not found',
+      });
+    }
+
+    const previous = { amount: milestone.amount, isActive: milestone.isActive };
+    for (const field of MILESTONE_FIELDS) {
+      if (req.body[field] !== undefined) milestone[field] = req.body[field];
+    }
+
+    if (!(await saveOrReject(milestone, res, 'Milestone already exists'))) return;
+    invalidateRewardCache();
+
+    await recordAudit({
+      req,
+      action: 'reward_milestone.updated',
+      targetType: 'RewardMilestone',
+      targetId: milestone._id,
+      details: { points: milestone.points, previous, amount: milestone.amount, isActive: milestone.isActive },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `${milestone.points} points milestone updated`,
+      data: milestone,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
@@ -0,0 +1,237 @@
+import Role from '../models/Role.js';
+import User from '../models/User.js';
+import { PERMISSIONS, canGrantPermissions } from '../utils/permissions.js';
+import { invalidateRoleCache } from '../services/permissionService.js';
+import { recordAudit } from '../services/auditLogService.js';
+
+const EDITABLE_FIELDS = ['label', 'description', 'permissions', 'requestable', 'sectionScoped'];
+
+const cannotGrant = (res) =>
+  res.status(403).json({
+    success: false,
+    message: 'You cannot grant permissions you do not have',
+  });
+
+// @desc    Get all roles with their permissions and how many users hold each
+// @route   GET /api/roles
+// @access  Private (roles:manage)
+export const getRoles = async (req, res) => {
+  try {
+    const roles = await Role.find().sort({ isSystem: -1, name: 1 }).lean();
+
+    const counts = await User.aggregate([
+      { $project: { roles: { $setUnion: [['$role'], { $ifNull: ['$additionalRoles', []] }] } } },
+      { $unwind: '$roles' },
+      { $group: { _id: '$roles', count: { $sum: 1 } } },
+    ]);
+    const countByRole = new Map(counts.map((c) => [c._id, c.count]));
+
+    res.status(200).json({
+      success: true,
+      count: roles.length,
+      data: roles.map((role) => ({ ...role, userCount: countByRole.get(role.name) || 0 })),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Get every permission a role can grant
+// @route   GET /api/roles/permissions
+// @access  Private (roles:manage)
+export const getPermissionCatalogue = async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description })),
+  });
+};
+
+// @desc    Create a role
+// @route   POST /api/roles
+// @access  Private (roles:manage)
+export const createRole = async (req, res) => {
+  try {
+    const { name, label, description, permissions = [], requestable = false, sectionScoped = false } = req.body;
+
+    if (!Array.isArray(permissions)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Permissions must be an array',
+      });
+    }
+    if (!canGrantPermissions(req.permissions, permissions)) return cannotGrant(res);
+
+    let role;
+    try {
+      role = await Role.create({ name, label, description, permissions, requestable, sectionScoped, isSystem: false });
+    } catch (err) {
+      if (err.code === 11000) {
+        return res.status(409).json({
+          success: false,
+          message: 'A role with this name already exists',
+        });
+      }
+      if (err.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: err.message,
+        });
+      }
+      throw err;
+    }
+    invalidateRoleCache();
+
+    await recordAudit({
+      req,
+      action: 'role.created',
+      targetType: 'Role',
+      targetId: role._id,
+      details: { name: role.name, permissions: role.permissions, requestable: role.requestable, sectionScoped: role.sectionScoped },
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Role ${role.name} created`,
+      data: role,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Update a role's label, description, permissions or requestable flag
+// @route   PUT /api/roles/:name
+// @access  Private (roles:manage)
+export const updateRole = async (req, res) => {
+  try {
+    const role = await Role.findOne({ name: req.params.name });
+
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found',
+      });
+    }
+
+    const changesAccess = ['permissions', 'requestable', 'sectionScoped'].some((field) => req.body[field] !== undefined);
+    if (role.name === 'super_admin' && changesAccess) {
+      return res.status(403).json({
+        success: false,
+        message: 'The super admin role always has every permission',
+      });
+    }
+
+    if (req.body.permissions !== undefined && !Array.isArray(req.body.permissions)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Permissions must be an array',
+      });
+    }
+
+    // Editing a role changes what its holders can do, so both old and new bundles must be grantable
+    const previousPermissions = [...role.permissions];
+    const nextPermissions = req.body.permissions ?? previousPermissions;
+    if (!canGrantPermissions(req.permissions, [...previousPermissions, ...nextPermissions])) {
+      return cannotGrant(res);
+    }
+
+    for (const field of EDITABLE_FIELDS) {
+      if (req.body[field] !== undefined) role[field] = req.body[field];
+    }
+    try {
+      await role.save();
+    } catch (err) {
+      if (err.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: err.message,
+        });
+      }
+      throw err;
+    }
+    invalidateRoleCache();
+
+    await recordAudit({
+      req,
+      action: 'role.updated',
+      targetType: 'Role',
+      targetId: role._id,
+      details: {
+        name: role.name,
+        previousPermissions,
+        permissions: role.permissions,
+        requestable: role.requestable,
+        sectionScoped: role.sectionScoped,
+      },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Role ${role.name} updated`,
+      data: role,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Delete a custom role nobody holds
+// @route   DELETE /api/roles/:name
+// @access  Private (roles:manage)
+export const deleteRole = async (req, res) => {
+  try {
+    const role = await Role.findOne({ name: req.params.name });
+
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found',
+      });
+    }
+
+    if (role.isSystem) {
+      return res.status(400).json({
+        success: false,
+        message: 'Built-in roles cannot be deleted',
+      });
+    }
+
+    const holders = await User.countDocuments({ $or: [{ role: role.name }, { additionalRoles: role.name }] });
+    if (holders > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `${holders} user(s) still hold this role. Reassign them first.`,
+      });
+    }
+
+    await Role.deleteOne({ _id: role._id });
+    invalidateRoleCache();
+
+    await recordAudit({
+      req,
+      action: 'role.deleted',
+      targetType: 'Role',
+      targetId: role._id,
+      details: { name: role.name, permissions: role.permissions },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Role ${role.name} deleted`,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
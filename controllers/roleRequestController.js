@@ -0,0 +1,280 @@
+import RoleRequest from '../models/RoleRequest.js';
+import User from '../models/User.js';
+import { applyRoleChange, getUserRoles } from '../utils/roles.js';
+import { recordAudit } from '../services/auditLogService.js';
+import { getRolesByName, isRequestableRole } from '../services/permissionService.js';
+import { canGrantPermissions } from '../utils/permissions.js';
+import { sendMail } from '../services/mailService.js';
+import { roleRequestReviewedEmail } from '../utils/emailTemplates.js';
+
+// @desc    Request another contributor role
+// @route   POST /api/role-requests
+// @access  Private
+export const createRoleRequest = async (req, res) => {
+  try {
+    const { role, mode = 'add', justification } = req.body;
+
+    if (req.user.role === 'super_admin') {
+      return res.status(400).json({
+        success: false,
+        message: 'Super admin already has every permission',
+      });
+    }
+
+    if (!(await isRequestableRole(role))) {
+      return res.status(400).json({
+        success: false,
+        message: 'This role cannot be requested',
+      });
+    }
+
+    if (getUserRoles(req.user).includes(role) && !(mode === 'replace' && req.user.role !== role)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You already have this role',
+      });
+    }
+
+    const existing = await RoleRequest.findOne({ user: req.user.id, requestedRole: role, status: 'pending' });
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: 'You already have a pending request for this role',
+        data: existing,
+      });
+    }
+
+    let request;
+    try {
+      request = await RoleRequest.create({
+        user: req.user.id,
+        requestedRole: role,
+        mode,
+        currentRole: req.user.role,
+        justification,
+      });
+    } catch (err) {
+      // Same request submitted twice at once (unique pending index)
+      if (err.code === 11000) {
+        return res.status(409).json({
+          success: false,
+          message: 'You already have a pending request for this role',
+        });
+      }
+      throw err;
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Role request submitted. An admin will review it.',
+      data: request,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Get my role requests
+// @route   GET /api/role-requests/my
+// @access  Private
+export const getMyRoleRequests = async (req, res) => {
+  try {
+    const requests = await RoleRequest.find({ user: req.user.id }).sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: requests.length,
+      data: requests,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Withdraw a pending role request
+// @route   DELETE /api/role-requests/:id
+// @access  Private
+export const cancelRoleRequest = async (req, res) => {
+  try {
+    const request = await RoleRequest.findOneAndUpdate(
+      { _id: req.params.id, user: req.user.id, status: 'pending' },
+      { $set: { status: 'cancelled' } },
+      { new: true }
+    );
+
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pending role request not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Role request withdrawn',
+      data: request,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Get role requests for review (oldest first)
+// @route   GET /api/users/role-requests?status=pending
+// @access  Private (roles:assign)
+export const getRoleRequests = async (req, res) => {
+  try {
+    const { status = 'pending' } = req.query;
+    const query = status === 'all' ? {} : { status };
+
+    const requests = await RoleRequest.find(query)
+      .populate('user', 'name email role additionalRoles status avatar')
+      .populate('reviewedBy', 'name email')
+      .sort({ createdAt: status === 'pending' ? 1 : -1 });
+
+    res.status(200).json({
+      success: true,
+      count: requests.length,
+      data: requests,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// Mark a pending request as reviewed; null if someone else reviewed or it was withdrawn meanwhile
+const closeRequest = (req, status, reviewNote = '') =>
+  RoleRequest.findOneAndUpdate(
+    { _id: req.params.id, status: 'pending' },
+    { $set: { status, reviewNote, reviewedBy: req.user._id, reviewedAt: new Date() } },
+    { new: true }
+  );
+
+// @desc    Approve a role request and update the user's roles
+// @route   PUT /api/users/role-requests/:id/approve
+// @access  Private (roles:assign)
+export const approveRoleRequest = async (req, res) => {
+  try {
+    const pending = await RoleRequest.findOne({ _id: req.params.id, status: 'pending' });
+    if (!pending) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pending role request not found',
+      });
+    }
+
+    const user = await User.findById(pending.user);
+    if (!user || user.status !== 'approved' || user.role === 'super_admin') {
+      return res.status(400).json({
+        success: false,
+        message: 'This user can no longer receive roles',
+      });
+    }
+
+    const requestedRole = (await getRolesByName()).get(pending.requestedRole);
+    if (!requestedRole) {
+      return res.status(400).json({
+        success: false,
+        message: 'The requested role no longer exists',
+      });
+    }
+    if (!canGrantPermissions(req.permissions, requestedRole.permissions || [])) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot assign roles with permissions you do not have',
+      });
+    }
+
+    const request = await closeRequest(req, 'approved', req.body.note || '');
+    if (!request) {
+      return res.status(409).json({
+        success: false,
+        message: 'This request was already reviewed or withdrawn',
+      });
+    }
+
+    const previousRoles = getUserRoles(user);
+    const { role, additionalRoles } = applyRoleChange(user, request.requestedRole, request.mode);
+    user.role = role;
+    user.additionalRoles = additionalRoles;
+    await user.save();
+
+    await recordAudit({
+      req,
+      action: 'role_request.approved',
+      targetType: 'User',
+      targetId: user._id,
+      details: { requestId: request._id, requestedRole: request.requestedRole, mode: request.mode, previousRoles, roles: getUserRoles(user) },
+    });
+
+    sendMail({ to: user.email, ...roleRequestReviewedEmail({ name: user.name, role: request.requestedRole, approved: true }) })
+      .catch((err) => console.error('Role Request Mail Error:', err.message));
+
+    res.status(200).json({
+      success: true,
+      message: `${user.name} now has the ${request.requestedRole} role`,
+      data: { request, roles: getUserRoles(user) },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Reject a role request
+// @route   PUT /api/users/role-requests/:id/reject
+// @access  Private (roles:assign)
+export const rejectRoleRequest = async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    const request = await closeRequest(req, 'rejected', reason || '');
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pending role request not found',
+      });
+    }
+
+    await recordAudit({
+      req,
+      action: 'role_request.rejected',
+      targetType: 'User',
+      targetId: request.user,
+      details: { requestId: request._id, requestedRole: request.requestedRole, mode: request.mode, reason: reason || '' },
+    });
+
+    const user = await User.findById(request.user).select('name email');
+    if (user) {
+      sendMail({
+        to: user.email,
+        ...roleRequestReviewedEmail({ name: user.name, role: request.requestedRole, approved: false, note: reason }),
+      }).catch((err) => console.error('Role Request Mail Error:', err.message));
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Role request rejected',
+      data: request,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
@@ -1,6 +1,20 @@
 import User from '../models/User.js';
-
-const VALID_ROLES = ['resource_poster', 'job_poster', 'blog_poster', 'tech_blog_poster', 'digital_product_poster', 'others'];
+import PointTransaction from '../models/PointTransaction.js';
+import { revokeUserSessions } from '../services/sessionService.js';
+import { recordAudit } from '../services/auditLogService.js';
+import { getUserRoles } from '../utils/roles.js';
+import { MODERATION_SECTIONS, canGrantPermissions, hasPermission } from '../utils/permissions.js';
+import { getRolesByName, getUserPermissions } from '../services/permissionService.js';
+import {
+  confirmPendingPointsForSource,
+  getPendingPoints,
+  getPointHistory,
+  reconcilePointBalances,
+  resetPointBalance,
+  voidPendingPoints,
+} from '../services/pointsService.js';
+import { getPendingPointsQueue } from '../services/rewardService.js';
+import { getReviewableContentTypes } from '../utils/rewardRules.js';
 
 // @desc    Get all public users (for homepage contributors)
 // @route   GET /api/users/all-public
@@ -25,17 +39,23 @@ export const getAllPublicUsers = async (req, res) => {
 };
 
 // @desc    Get all pending users (for admin approval)
-// @route   GET /api/users/pending
-// @access  Private/SuperAdmin
+// @route   GET /api/users/pending?emailVerified=true|false
+// @access  Private (users:approve)
 export const getPendingUsers = async (req, res) => {
   try {
-    const users = await User.find({ status: 'pending' })
-      .select('-password')
-      .sort({ createdAt: -1 });
+    const query = { status: 'pending' };
+    if (req.query.emailVerified === 'true') query.emailVerified = true;
+    if (req.query.emailVerified === 'false') query.emailVerified = { $ne: true };
+
+    const [users, unverifiedCount] = await Promise.all([
+      User.find(query).select('-password').sort({ emailVerified: -1, createdAt: -1 }),
+      User.countDocuments({ status: 'pending', emailVerified: { $ne: true } }),
+    ]);
 
     res.status(200).json({
       success: true,
       count: users.length,
+      unverifiedCount,
       data: users,
     });
   } catch (error) {
@@ -48,7 +68,7 @@ export const getPendingUsers = async (req, res) => {
 
 // @desc    Get all approved users (including blocked for management)
 // @route   GET /api/users/approved
-// @access  Private/SuperAdmin
+// @access  Private (users:manage)
 export const getApprovedUsers = async (req, res) => {
   try {
     const users = await User.find({ 
@@ -73,7 +93,7 @@ export const getApprovedUsers = async (req, res) => {
 
 // @desc    Get single user details
 // @route   GET /api/users/:id
-// @access  Private/SuperAdmin
+// @access  Private (users:manage)
 export const getUserById = async (req, res) => {
   try {
     const user = await User.findById(req.params.id).select('-password');
@@ -99,7 +119,7 @@ export const getUserById = async (req, res) => {
 
 // @desc    Get all users (with filters)
 // @route   GET /api/users
-// @access  Private/SuperAdmin
+// @access  Private (users:manage)
 export const getAllUsers = async (req, res) => {
   try {
     const { status, role, page = 1, limit = 10 } = req.query;
@@ -135,7 +155,7 @@ export const getAllUsers = async (req, res) => {
 
 // @desc    Approve user
 // @route   PUT /api/users/:id/approve
-// @access  Private/SuperAdmin
+// @access  Private (users:approve)
 export const approveUser = async (req, res) => {
   try {
     const user = await User.findById(req.params.id);
@@ -154,10 +174,25 @@ export const approveUser = async (req, res) => {
       });
     }
 
+    // users:approve covers signups awaiting review; changing anyone else's status needs users:manage
+    if (user.status !== 'pending' && !hasPermission(req.permissions, 'users:manage')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only pending users can be approved with your permissions',
+      });
+    }
+
     user.status = 'approved';
     user.rejectionReason = '';
     await user.save();
 
+    await recordAudit({
+      req,
+      action: 'user.approved',
+      targetType: 'User',
+      targetId: user._id,
+    });
+
     res.status(200).json({
       success: true,
       message: `User ${user.name} has been approved`,
@@ -173,7 +208,7 @@ export const approveUser = async (req, res) => {
 
 // @desc    Reject user
 // @route   PUT /api/users/:id/reject
-// @access  Private/SuperAdmin
+// @access  Private (users:approve)
 export const rejectUser = async (req, res) => {
   try {
     const { reason } = req.body;
@@ -193,10 +228,26 @@ export const rejectUser = async (req, res) => {
       });
     }
 
+    // users:approve covers signups awaiting review; changing anyone else's status needs users:manage
+    if (user.status !== 'pending' && !hasPermission(req.permissions, 'users:manage')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only pending users can be rejected with your permissions',
+      });
+    }
+
     user.status = 'rejected';
     user.rejectionReason = reason || 'No reason provided';
     await user.save();
 
+    await recordAudit({
+      req,
+      action: 'user.rejected',
+      targetType: 'User',
+      targetId: user._id,
+      details: { reason: user.rejectionReason },
+    });
+
     res.status(200).json({
       success: true,
       message: `User ${user.name} has been rejected`,
@@ -212,7 +263,7 @@ export const rejectUser = async (req, res) => {
 
 // @desc    Block user
 // @route   PUT /api/users/:id/block
-// @access  Private/SuperAdmin
+// @access  Private (users:manage)
 export const blockUser = async (req, res) => {
   try {
     const user = await User.findById(req.params.id);
@@ -233,6 +284,7 @@ export const blockUser = async (req, res) => {
 
     user.status = 'blocked';
     await user.save();
+    await revokeUserSessions(user._id, 'blocked');
 
     res.status(200).json({
       success: true,
@@ -249,7 +301,7 @@ export const blockUser = async (req, res) => {
 
 // @desc    Unblock user
 // @route   PUT /api/users/:id/unblock
-// @access  Private/SuperAdmin
+// @access  Private (users:manage)
 export const unblockUser = async (req, res) => {
   try {
     const user = await User.findById(req.params.id);
@@ -284,9 +336,62 @@ export const unblockUser = async (req, res) => {
   }
 };
 
+// @desc    Get accounts currently locked out after failed logins
+// @route   GET /api/users/locked
+// @access  Private (users:manage)
+export const getLockedUsers = async (req, res) => {
+  try {
+    const users = await User.find({ lockUntil: { $gt: new Date() } })
+      .select('name email role status failedLoginAttempts lockUntil lastLogin')
+      .sort({ lockUntil: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: users.length,
+      data: users,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Lift a login lockout
+// @route   PUT /api/users/:id/unlock
+// @access  Private (users:manage)
+export const unlockUser = async (req, res) => {
+  try {
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { $set: { failedLoginAttempts: 0, lockUntil: null } },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `User ${user.name} has been unlocked`,
+      data: user,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
 // @desc    Change user role
 // @route   PUT /api/users/:id/role
-// @access  Private/SuperAdmin
+// @access  Private (roles:assign)
 export const changeUserRole = async (req, res) => {
   try {
     const { role } = req.body;
@@ -313,16 +418,39 @@ export const changeUserRole = async (req, res) => {
       });
     }
 
-    if (!role || !VALID_ROLES.includes(role)) {
+    const rolesByName = await getRolesByName();
+    if (!role || !rolesByName.has(role)) {
       return res.status(400).json({
         success: false,
-        message: `Invalid role. Must be one of: ${VALID_ROLES.join(', ')}`,
+        message: `Invalid role. Must be one of: ${[...rolesByName.keys()].filter((r) => r !== 'super_admin').join(', ')}`,
+      });
+    }
+
+    // No escalation: both the new role and the user's current access must be within the caller's
+    const currentPermissions = [...(await getUserPermissions(user))];
+    if (
+      !canGrantPermissions(req.permissions, rolesByName.get(role).permissions || [])
+      || !canGrantPermissions(req.permissions, currentPermissions)
+    ) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot assign roles with permissions you do not have',
       });
     }
 
+    const previousRoles = getUserRoles(user);
     user.role = role;
+    user.additionalRoles = (user.additionalRoles || []).filter((r) => r !== role);
     await user.save();
 
+    await recordAudit({
+      req,
+      action: 'user.role_changed',
+      targetType: 'User',
+      targetId: user._id,
+      details: { previousRoles, roles: getUserRoles(user) },
+    });
+
     res.status(200).json({
       success: true,
       message: `User role changed to ${role}`,
@@ -336,9 +464,72 @@ export const changeUserRole = async (req, res) => {
   }
 };
 
+// @desc    Set the content sections a moderator works in
+// @route   PUT /api/users/:id/moderated-sections
+// @access  Private (roles:assign)
+export const setModeratedSections = async (req, res) => {
+  try {
+    const { sections } = req.body;
+
+    if (!Array.isArray(sections) || !sections.every((s) => MODERATION_SECTIONS.includes(s))) {
+      return res.status(400).json({
+        success: false,
+        message: `Sections must be a list of: ${MODERATION_SECTIONS.join(', ')}`,
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    if (user.role === 'super_admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Cannot modify super admin',
+      });
+    }
+
+    const previousSections = [...user.moderatedSections];
+    user.moderatedSections = [...new Set(sections)];
+
+    if (!canGrantPermissions(req.permissions, [...(await getUserPermissions(user))])) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot assign roles with permissions you do not have',
+      });
+    }
+
+    await user.save();
+
+    await recordAudit({
+      req,
+      action: 'user.moderated_sections_changed',
+      targetType: 'User',
+      targetId: user._id,
+      details: { previousSections, sections: user.moderatedSections },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Moderated sections updated for ${user.name}`,
+      data: user,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
 // @desc    Delete user
 // @route   DELETE /api/users/:id
-// @access  Private/SuperAdmin
+// @access  Private (users:manage)
 export const deleteUser = async (req, res) => {
   try {
     const user = await User.findById(req.params.id);
@@ -358,6 +549,7 @@ export const deleteUser = async (req, res) => {
     }
 
     await User.findByIdAndDelete(req.params.id);
+    await revokeUserSessions(user._id, 'user_deleted');
 
     res.status(200).json({
       success: true,
@@ -371,9 +563,227 @@ export const deleteUser = async (req, res) => {
   }
 };
 
+const pointHistoryResponse = async (req, res, user) => {
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+  const [{ transactions, total }, pendingBalance] = await Promise.all([
+    getPointHistory(user._id, { page, limit }),
+    getPendingPoints(user._id),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    balance: user.points,
+    pendingBalance,
+    count: transactions.length,
+    total,
+    totalPages: Math.ceil(total / limit),
+    currentPage: page,
+    data: transactions,
+  });
+};
+
+// @desc    Get my points history (every change to my balance)
+// @route   GET /api/users/me/points/history?page=&limit=
+// @access  Private
+export const getMyPointsHistory = async (req, res) => {
+  try {
+    await pointHistoryResponse(req, res, req.user);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Get a user's points history
+// @route   GET /api/users/:id/points/history?page=&limit=
+// @access  Private (points:manage)
+export const getUserPointsHistory = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select('points');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    await pointHistoryResponse(req, res, user);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    List users whose stored points differ from their ledger
+// @route   GET /api/users/points/drift
+// @access  Private (points:manage)
+export const getPointsDrift = async (req, res) => {
+  try {
+    const result = await reconcilePointBalances();
+
+    res.status(200).json({
+      success: true,
+      count: result.drifted.length,
+      data: result,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Check every balance against the ledger now and flag drift in the audit log (balances
+//          are not changed; see PUT /api/users/:id/points/reconcile)
+// @route   POST /api/users/points/reconcile
+// @access  Private (points:manage)
+export const reconcilePoints = async (req, res) => {
+  try {
+    const result = await reconcilePointBalances({ openLedgers: true, flag: true, req });
+
+    res.status(200).json({
+      success: true,
+      message: `${result.drifted.length} drifted balance(s) flagged`,
+      data: result,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Reset one user's drifted balance to their ledger total
+// @route   PUT /api/users/:id/points/reconcile
+// @access  Private (points:manage)
+export const reconcileUserPoints = async (req, res) => {
+  try {
+    const result = await resetPointBalance({ userId: req.params.id, req });
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+    if (result.difference !== 0 && !result.fixed) {
+      return res.status(409).json({
+        success: false,
+        message: 'The balance changed while it was being reset; check it again',
+        data: result,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: result.fixed ? `Balance reset to ${result.ledgerBalance} points` : 'Balance already matches the ledger',
+      data: result,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Get pending point awards for posts in the sections I moderate, oldest first
+// @route   GET /api/users/points/pending?contentType=&page=&limit=
+// @access  Private (jobs, resources, blogs or products :manage)
+export const getPendingPointsReview = async (req, res) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+
+    let contentTypes = getReviewableContentTypes(req.permissions);
+    if (req.query.contentType) contentTypes = contentTypes.filter((t) => t === req.query.contentType);
+
+    const { transactions, total } = await getPendingPointsQueue({ contentTypes, page, limit });
+
+    res.status(200).json({
+      success: true,
+      count: transactions.length,
+      total,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      data: transactions,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Approve or reject a post's pending points: confirms (or voids) every pending award
+//          for the same post, without waiting for the holding period
+// @route   PUT /api/users/points/pending/:id
+// @access  Private (manage permission for the post's section)
+export const reviewPendingPoints = async (req, res) => {
+  try {
+    const { action } = req.body;
+
+    if (!['confirm', 'void'].includes(action)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Action must be confirm or void',
+      });
+    }
+
+    const transaction = await PointTransaction.findById(req.params.id);
+
+    if (!transaction || transaction.status !== 'pending') {
+      return res.status(404).json({
+        success: false,
+        message: 'Pending points not found',
+      });
+    }
+
+    if (!getReviewableContentTypes(req.permissions).includes(transaction.sourceType)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not moderate this section',
+      });
+    }
+
+    const reviewed = action === 'confirm'
+      ? await confirmPendingPointsForSource(transaction.sourceId)
+      : await voidPendingPoints({ sourceId: transaction.sourceId });
+    const points = reviewed.reduce((sum, t) => sum + t.delta, 0);
+
+    await recordAudit({
+      req,
+      action: action === 'confirm' ? 'points.confirmed' : 'points.voided',
+      targetType: transaction.sourceType,
+      targetId: transaction.sourceId,
+      details: { user: transaction.user, transactions: reviewed.length, points },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `${points} pending point(s) ${action === 'confirm' ? 'confirmed' : 'voided'}`,
+      data: { transactions: reviewed.length, points },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
 // @desc    Get dashboard stats
 // @route   GET /api/users/stats
-// @access  Private/SuperAdmin
+// @access  Private (users:manage)
 export const getDashboardStats = async (req, res) => {
   try {
     const [
@@ -0,0 +1,52 @@
+/**
+ * Account deletion cron: anonymizes accounts whose deletion cooling-off period has ended.
+ * Default: daily at 4:15 AM.
+ */
+import cron from 'node-cron';
+import { processDueAccountDeletions } from '../services/accountService.js';
+
+let scheduledTask = null;
+let running = false;
+
+export function startAccountDeletionCron() {
+  // Read here rather than at import: server.js loads .env after its imports
+  const ENABLED = process.env.ACCOUNT_DELETION_CRON_ENABLED !== 'false';
+  const SCHEDULE = process.env.ACCOUNT_DELETION_CRON_SCHEDULE || '15 4 * * *';
+
+  if (!ENABLED) {
+    console.log('⏸️  Account deletion cron is disabled (ACCOUNT_DELETION_CRON_ENABLED=false)');
+    return;
+  }
+
+  if (!cron.validate(SCHEDULE)) {
+    console.warn('⚠️  Invalid ACCOUNT_DELETION_CRON_SCHEDULE:', SCHEDULE, '- account deletion cron not started');
+    return;
+  }
+
+  const runSweep = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const result = await processDueAccountDeletions();
+      if (result.deleted > 0 || result.skipped > 0) {
+        console.log(`🗑️  [Cron] Deleted ${result.deleted} account(s), ${result.skipped} still waiting`);
+      }
+    } catch (err) {
+      console.error('❌ [Cron] Account deletion sweep failed:', err.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  scheduledTask = cron.schedule(SCHEDULE, runSweep);
+
+  console.log(`⏰ Account deletion cron: ${SCHEDULE}`);
+}
+
+export function stopAccountDeletionCron() {
+  if (scheduledTask) {
+    scheduledTask.stop();
+    scheduledTask = null;
+    console.log('🛑 Account deletion cron stopped');
+  }
+}
@@ -0,0 +1,57 @@
+/**
+ * Points confirmation cron: confirms pending points for posts that have been up for
+ * POINTS_HOLD_DAYS (default 7) without being deleted or reported, and voids points for posts
+ * deleted in the meantime. Moderators can confirm sooner from the pending points queue.
+ * Default: hourly at :30.
+ */
+import cron from 'node-cron';
+import { confirmDuePoints } from '../services/rewardService.js';
+
+let scheduledTask = null;
+let running = false;
+
+export function startPointsConfirmationCron() {
+  // Read here rather than at import: server.js loads .env after its imports
+  const ENABLED = process.env.POINTS_CONFIRM_CRON_ENABLED !== 'false';
+  const SCHEDULE = process.env.POINTS_CONFIRM_CRON_SCHEDULE || '30 * * * *';
+
+  if (!ENABLED) {
+    console.log('⏸️  Points confirmation cron is disabled (POINTS_CONFIRM_CRON_ENABLED=false)');
+    return;
+  }
+
+  if (!cron.validate(SCHEDULE)) {
+    console.warn('⚠️  Invalid POINTS_CONFIRM_CRON_SCHEDULE:', SCHEDULE, '- points confirmation cron not started');
+    return;
+  }
+
+  const runConfirmation = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const { confirmed, voided, held } = await confirmDuePoints();
+      if (confirmed > 0 || voided > 0) {
+        console.log(`✅ [Cron] Confirmed ${confirmed} and voided ${voided} pending point award(s)`);
+      }
+      if (held > 0) {
+        console.log(`🚩 [Cron] ${held} pending point award(s) held for reported posts`);
+      }
+    } catch (err) {
+      console.error('❌ [Cron] Points confirmation failed:', err.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  scheduledTask = cron.schedule(SCHEDULE, runConfirmation);
+
+  console.log(`⏰ Points confirmation cron: ${SCHEDULE}`);
+}
+
+export function stopPointsConfirmationCron() {
+  if (scheduledTask) {
+    scheduledTask.stop();
+    scheduledTask = null;
+    console.log('🛑 Points confirmation cron stopped');
+  }
+}
@@ -0,0 +1,58 @@
+/**
+ * Points reconciliation cron: compares each user's stored points with their ledger and records
+ * a `points.drift_detected` audit entry for every mismatch. Balances are not changed here; an
+ * admin resets one after looking into it, with PUT /api/users/:id/points/reconcile.
+ * Users whose ledger was never opened get it opened first (see openPointsLedger).
+ * Default: daily at 4:45 AM.
+ */
+import cron from 'node-cron';
+import { reconcilePointBalances } from '../services/pointsService.js';
+
+let scheduledTask = null;
+let running = false;
+
+export function startPointsReconciliationCron() {
+  // Read here rather than at import: server.js loads .env after its imports
+  const ENABLED = process.env.POINTS_RECONCILE_CRON_ENABLED !== 'false';
+  const SCHEDULE = process.env.POINTS_RECONCILE_CRON_SCHEDULE || '45 4 * * *';
+
+  if (!ENABLED) {
+    console.log('⏸️  Points reconciliation cron is disabled (POINTS_RECONCILE_CRON_ENABLED=false)');
+    return;
+  }
+
+  if (!cron.validate(SCHEDULE)) {
+    console.warn('⚠️  Invalid POINTS_RECONCILE_CRON_SCHEDULE:', SCHEDULE, '- points reconciliation cron not started');
+    return;
+  }
+
+  const runCheck = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const result = await reconcilePointBalances({ openLedgers: true, flag: true });
+      if (result.drifted.length > 0) {
+        console.warn(`⚠️  [Cron] ${result.drifted.length} user(s) have points that do not match the ledger`);
+      }
+      if (result.ledgersOpened > 0) {
+        console.log(`🧾 [Cron] Opened ledgers for ${result.ledgersOpened} user(s)`);
+      }
+    } catch (err) {
+      console.error('❌ [Cron] Points reconciliation failed:', err.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  scheduledTask = cron.schedule(SCHEDULE, runCheck);
+
+  console.log(`⏰ Points reconciliation cron: ${SCHEDULE}`);
+}
+
+export function stopPointsReconciliationCron() {
+  if (scheduledTask) {
+    scheduledTask.stop();
+    scheduledTask = null;
+    console.log('🛑 Points reconciliation cron stopped');
+  }
+}
@@ -0,0 +1,53 @@
+/**
+ * Mock test sweep cron: auto-submits timed attempts whose deadline (plus grace) has passed.
+ * Default: every minute.
+ */
+import cron from 'node-cron';
+import { autoSubmitExpiredAttempts } from '../services/testAttemptService.js';
+
+let scheduledTask = null;
+let running = false;
+
+export function startTestAttemptSweepCron() {
+  // Read here rather than at import: server.js loads .env after its imports
+  const ENABLED = process.env.MOCK_TEST_SWEEP_CRON_ENABLED !== 'false';
+  const SCHEDULE = process.env.MOCK_TEST_SWEEP_CRON_SCHEDULE || '* * * * *';
+
+  if (!ENABLED) {
+    console.log('⏸️  Mock test sweep cron is disabled (MOCK_TEST_SWEEP_CRON_ENABLED=false)');
+    return;
+  }
+
+  if (!cron.validate(SCHEDULE)) {
+    console.warn('⚠️  Invalid MOCK_TEST_SWEEP_CRON_SCHEDULE:', SCHEDULE, '- sweep cron not started');
+    return;
+  }
+
+  const runSweep = async () => {
+    // Skip a tick if the previous sweep is still grading
+    if (running) return;
+    running = true;
+    try {
+      const result = await autoSubmitExpiredAttempts();
+      if (result.submitted > 0) {
+        console.log(`⏱️  [Cron] Auto-submitted ${result.submitted} expired mock test attempt(s)`);
+      }
+    } catch (err) {
+      console.error('❌ [Cron] Mock test sweep failed:', err.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  scheduledTask = cron.schedule(SCHEDULE, runSweep);
+
+  console.log(`⏰ Mock test sweep cron: ${SCHEDULE}`);
+}
+
+export function stopTestAttemptSweepCron() {
+  if (scheduledTask) {
+    scheduledTask.stop();
+    scheduledTask = null;
+    console.log('🛑 Mock test sweep cron stopped');
+  }
+}
@@ -1,5 +1,19 @@
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import Session from '../models/Session.js';
+import { isIssuedBeforePasswordChange } from '../utils/authTokens.js';
+import { isSessionActive } from '../services/sessionService.js';
+import { verifyTwoFactorChallenge } from '../utils/generateToken.js';
+import { hasAnyRole } from '../utils/roles.js';
+import { hasAnyPermission } from '../utils/permissions.js';
+import { getUserPermissions } from '../services/permissionService.js';
+
+// Access tokens are only valid while their session is (tokens without a session id predate sessions)
+const hasActiveSession = async (decoded) => {
+  if (!decoded.sid) return false;
+  const session = await Session.findById(decoded.sid).select('user revokedAt expiresAt');
+  return isSessionActive(session) && String(session.user) === String(decoded.id);
+};
 
 // Protect routes - verify JWT token
 export const protect = async (req, res, next) => {
@@ -23,6 +37,18 @@ export const protect = async (req, res, next) => {
         });
       }
 
+      // Signed out, revoked, or from before a password reset
+      if (
+        isIssuedBeforePasswordChange(decoded.iat, req.user.passwordChangedAt)
+        || !(await hasActiveSession(decoded))
+      ) {
+        return res.status(401).json({
+          success: false,
+          message: 'Session expired. Please log in again.',
+        });
+      }
+      req.sessionId = decoded.sid;
+
       // Check if user is approved
       if (req.user.status !== 'approved' && req.user.role !== 'super_admin') {
         return res.status(403).json({
@@ -32,8 +58,17 @@ export const protect = async (req, res, next) => {
         });
       }
 
+      req.permissions = await getUserPermissions(req.user);
       next();
     } catch (error) {
+      // Expected every few minutes; the client should call /api/auth/refresh
+      if (error.name === 'TokenExpiredError') {
+        return res.status(401).json({
+          success: false,
+          message: 'Access token expired',
+          code: 'TOKEN_EXPIRED',
+        });
+      }
       console.error('Auth Error:', error);
       return res.status(401).json({
         success: false,
@@ -50,6 +85,42 @@ export const protect = async (req, res, next) => {
   }
 };
 
+// 2FA enrollment: a signed-in user, or one whose login is waiting on mandatory 2FA setup
+// (`challengeToken` in the body). Sets req.twoFactorChallenge in the second case.
+export const protectOrTwoFactorSetup = async (req, res, next) => {
+  if (!req.body?.challengeToken) return protect(req, res, next);
+
+  try {
+    const decoded = verifyTwoFactorChallenge(req.body.challengeToken, 'setup');
+    const user = decoded && await User.findById(decoded.id).select('-password');
+    if (!user || isIssuedBeforePasswordChange(decoded.iat, user.passwordChangedAt)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Login expired. Please log in again.',
+      });
+    }
+
+    if (user.status !== 'approved') {
+      return res.status(403).json({
+        success: false,
+        message: 'Your account is not approved yet',
+        status: user.status,
+      });
+    }
+
+    req.user = user;
+    req.permissions = new Set();
+    req.twoFactorChallenge = decoded;
+    next();
+  } catch (error) {
+    console.error('Auth Error:', error);
+    return res.status(401).json({
+      success: false,
+      message: 'Not authorized, token invalid',
+    });
+  }
+};
+
 // Optional auth - sets user if token exists, otherwise continues
 export const optionalAuth = async (req, res, next) => {
   let token;
@@ -59,6 +130,16 @@ export const optionalAuth = async (req, res, next) => {
       token = req.headers.authorization.split(' ')[1];
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
       req.user = await User.findById(decoded.id).select('-password');
+      if (
+        req.user
+        && (isIssuedBeforePasswordChange(decoded.iat, req.user.passwordChangedAt) || !(await hasActiveSession(decoded)))
+      ) {
+        req.user = null;
+      }
+      if (req.user) {
+        req.sessionId = decoded.sid;
+        req.permissions = await getUserPermissions(req.user);
+      }
     } catch (error) {
       // Token invalid, but that's okay for optional auth
       req.user = null;
@@ -68,22 +149,10 @@ export const optionalAuth = async (req, res, next) => {
   next();
 };
 
-// Check if user is Super Admin
-export const superAdminOnly = (req, res, next) => {
-  if (req.user && req.user.role === 'super_admin') {
-    next();
-  } else {
-    return res.status(403).json({
-      success: false,
-      message: 'Access denied. Super Admin only.',
-    });
-  }
-};
-
-// Check if user has specific role(s)
+// Check if user has specific role(s) (primary or additional)
 export const authorize = (...roles) => {
   return (req, res, next) => {
-    if (!roles.includes(req.user.role)) {
+    if (!hasAnyRole(req.user, roles)) {
       return res.status(403).json({
         success: false,
         message: `Role '${req.user.role}' is not authorized to access this route`,
@@ -93,54 +162,38 @@ export const authorize = (...roles) => {
   };
 };
 
-// Check if user can post jobs
-export const canPostJobs = (req, res, next) => {
-  const allowedRoles = ['super_admin', 'job_poster'];
-  if (allowedRoles.includes(req.user.role)) {
-    next();
-  } else {
-    return res.status(403).json({
-      success: false,
-      message: 'You are not authorized to post jobs',
-    });
-  }
+const permissionGuard = (permissions, message) => (req, res, next) => {
+  if (req.user && hasAnyPermission(req.permissions || [], permissions)) return next();
+  return res.status(403).json({
+    success: false,
+    message,
+  });
 };
 
+// Require any one of the given permissions (granted through the user's roles, see models/Role.js)
+export const requirePermission = (...permissions) =>
+  permissionGuard(permissions, 'You do not have permission to perform this action');
+
+// Check if user can post jobs
+export const canPostJobs = permissionGuard(['jobs:create', 'jobs:manage'], 'You are not authorized to post jobs');
+
 // Check if user can post resources
-export const canPostResources = (req, res, next) => {
-  const allowedRoles = ['super_admin', 'resource_poster'];
-  if (allowedRoles.includes(req.user.role)) {
-    next();
-  } else {
-    return res.status(403).json({
-      success: false,
-      message: 'You are not authorized to post resources',
-    });
-  }
-};
+export const canPostResources = permissionGuard(
+  ['resources:create', 'resources:manage'],
+  'You are not authorized to post resources'
+);
 
 // Check if user can post blogs
-export const canPostBlogs = (req, res, next) => {
-  const allowedRoles = ['super_admin', 'blog_poster', 'tech_blog_poster'];
-  if (allowedRoles.includes(req.user.role)) {
-    next();
-  } else {
-    return res.status(403).json({
-      success: false,
-      message: 'You are not authorized to post blogs',
-    });
-  }
-};
+export const canPostBlogs = permissionGuard(['blogs:create', 'blogs:manage'], 'You are not authorized to post blogs');
 
 // Check if user can post digital products
-export const canPostProducts = (req, res, next) => {
-  const allowedRoles = ['super_admin', 'digital_product_poster'];
-  if (allowedRoles.includes(req.user.role)) {
-    next();
-  } else {
-    return res.status(403).json({
-      success: false,
-      message: 'You are not authorized to post digital products',
-    });
-  }
-};
+export const canPostProducts = permissionGuard(
+  ['products:create', 'products:manage'],
+  'You are not authorized to post digital products'
+);
+
+// Check if user moderates any section whose posts earn points (reports and pending points)
+export const canReviewContent = permissionGuard(
+  ['jobs:manage', 'resources:manage', 'blogs:manage', 'products:manage'],
+  'You are not authorized to review posts'
+);
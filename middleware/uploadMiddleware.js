@@ -0,0 +1,41 @@
+import multer from 'multer';
+import path from 'path';
+
+const MAX_DATA_FILE_SIZE = 2 * 1024 * 1024; // 2 MB
+
+// CSV/JSON data files are parsed in memory, never written to disk
+const dataFileUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_DATA_FILE_SIZE, files: 1 },
+  fileFilter: (req, file, cb) => {
+    const ext = path.extname(file.originalname || '').toLowerCase();
+    if (ext === '.csv' || ext === '.json') {
+      cb(null, true);
+    } else {
+      cb(new Error('Only .csv or .json files are allowed'));
+    }
+  },
+});
+
+// Detect file format from the uploaded file's extension
+export const getDataFileFormat = (file) =>
+  path.extname(file?.originalname || '').toLowerCase() === '.json' ? 'json' : 'csv';
+
+// Accept a single CSV/JSON file in the given form field; multer errors become 400 responses
+export const uploadDataFile = (fieldName = 'file') => (req, res, next) => {
+  dataFileUpload.single(fieldName)(req, res, (err) => {
+    if (err) {
+      return res.status(400).json({
+        success: false,
+        message: err.code === 'LIMIT_FILE_SIZE' ? 'File too large. Maximum size is 2 MB.' : err.message,
+      });
+    }
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: `Please upload a .csv or .json file in the "${fieldName}" field`,
+      });
+    }
+    next();
+  });
+};
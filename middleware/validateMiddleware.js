@@ -1,4 +1,6 @@
 import { body, param, query, validationResult } from 'express-validator';
+import { ROLE_NAME_PATTERN } from '../utils/roles.js';
+import { REWARD_CONTENT_TYPES } from '../utils/rewardRules.js';
 
 // Handle validation errors
 export const handleValidationErrors = (req, res, next) => {
@@ -59,6 +61,101 @@ export const loginValidation = [
   body('password').notEmpty().withMessage('Password is required'),
 ];
 
+export const forgotPasswordValidation = [
+  body('email')
+    .trim()
+    .notEmpty()
+    .withMessage('Email is required')
+    .isEmail()
+    .withMessage('Invalid email address')
+    .normalizeEmail(),
+];
+
+export const refreshTokenValidation = [
+  body('refreshToken')
+    .isString()
+    .withMessage('Refresh token is required')
+    .isHexadecimal()
+    .withMessage('Invalid refresh token')
+    .isLength({ min: 32, max: 128 })
+    .withMessage('Invalid refresh token'),
+];
+
+export const resendVerificationValidation = forgotPasswordValidation;
+
+export const verifyEmailValidation = [
+  param('token')
+    .isHexadecimal()
+    .withMessage('Invalid verification token')
+    .isLength({ min: 32, max: 128 })
+    .withMessage('Invalid verification token'),
+];
+
+export const resetPasswordValidation = [
+  body('token')
+    .isString()
+    .withMessage('Reset token is required')
+    .trim()
+    .isLength({ min: 32, max: 128 })
+    .withMessage('Invalid reset token'),
+  body('password').notEmpty().withMessage('Password is required'),
+  body('confirmPassword').notEmpty().withMessage('Confirm password is required'),
+];
+
+export const roleRequestValidation = [
+  body('role')
+    .isString()
+    .matches(ROLE_NAME_PATTERN)
+    .withMessage('A valid role is required'),
+  body('mode')
+    .optional()
+    .isIn(['add', 'replace'])
+    .withMessage('Mode must be add or replace'),
+  body('justification')
+    .isString()
+    .withMessage('Please explain why you need this role')
+    .trim()
+    .isLength({ min: 20, max: 1000 })
+    .withMessage('Justification must be 20-1000 characters'),
+];
+
+export const contentReportValidation = [
+  body('contentType')
+    .isIn(REWARD_CONTENT_TYPES)
+    .withMessage(`Content type must be one of ${REWARD_CONTENT_TYPES.join(', ')}`),
+  body('contentId')
+    .isMongoId()
+    .withMessage('A valid content id is required'),
+  body('reason')
+    .isString()
+    .withMessage('Please say what is wrong with this post')
+    .trim()
+    .isLength({ min: 5, max: 1000 })
+    .withMessage('Reason must be 5-1000 characters'),
+];
+
+export const twoFactorCodeValidation = [
+  body('code')
+    .isString()
+    .withMessage('Authentication code is required')
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage('Enter the 6-digit code from your authenticator app'),
+];
+
+// A TOTP code or a recovery code
+export const twoFactorProofValidation = [
+  body('code').optional().isString().trim(),
+  body('recoveryCode').optional().isString().trim(),
+  body().custom((value) => Boolean(value?.code || value?.recoveryCode))
+    .withMessage('Enter an authentication code or a recovery code'),
+];
+
+export const twoFactorLoginValidation = [
+  body('challengeToken').isString().withMessage('Challenge token is required'),
+  ...twoFactorProofValidation,
+];
+
 // Chat validation (prevent empty prompts)
 export const chatValidation = [
   body('message')
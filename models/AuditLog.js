@@ -0,0 +1,45 @@
+import mongoose from 'mongoose';
+
+// Append-only record of administrative actions (who did what to which record)
+const auditLogSchema = new mongoose.Schema(
+  {
+    // null for actions taken by the system (cron jobs)
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    // Dotted verb, e.g. role_request.approved
+    action: {
+      type: String,
+      required: true,
+    },
+    targetType: {
+      type: String,
+      default: '',
+    },
+    targetId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    details: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    ip: {
+      type: String,
+      default: '',
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+export default AuditLog;
@@ -0,0 +1,63 @@
+import mongoose from 'mongoose';
+
+// Issued for a passed mock test attempt. Name, title and score are copied at issue time
+// so the certificate stays the same if the profile or test is edited later.
+const certificateSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    test: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'MockTest',
+      required: true,
+    },
+    attempt: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'TestAttempt',
+      required: true,
+      unique: true,
+    },
+    recipientName: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    testTitle: {
+      type: String,
+      required: true,
+    },
+    score: {
+      type: Number,
+      required: true,
+    },
+    totalMarks: {
+      type: Number,
+      required: true,
+    },
+    percentage: {
+      type: Number,
+      default: 0,
+    },
+    issuedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+certificateSchema.index({ user: 1, issuedAt: -1 });
+
+const Certificate = mongoose.model('Certificate', certificateSchema);
+
+export default Certificate;
@@ -7,15 +7,16 @@ const claimSchema = new mongoose.Schema(
       ref: 'User',
       required: true,
     },
+    // The RewardMilestone claimed, copied so later milestone edits do not change past claims
     points: {
       type: Number,
       required: true,
-      enum: [10, 25, 50, 100],
+      min: 1,
     },
     amount: {
       type: Number,
       required: true,
-      enum: [15, 30, 60, 120],
+      min: 0,
     },
     paymentMethod: {
       type: String,
@@ -49,12 +50,23 @@ const claimSchema = new mongoose.Schema(
       type: Date,
       default: null,
     },
+    // The payout batch it is to be (or was) paid in; cleared if the batch is cancelled unpaid
+    payoutBatch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PayoutBatch',
+      default: null,
+    },
   },
   {
     timestamps: true,
   }
 );
 
+// At most one pending claim per user; createClaim relies on this when requests race. Duplicates
+// from before the index are cleared at startup (resolveDuplicatePendingClaims in claimService)
+claimSchema.index({ user: 1 }, { unique: true, partialFilterExpression: { status: 'pending' } });
+claimSchema.index({ payoutBatch: 1, status: 1 });
+
 const Claim = mongoose.model('Claim', claimSchema);
 
 export default Claim;
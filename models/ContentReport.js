@@ -0,0 +1,66 @@
+import mongoose from 'mongoose';
+import { REWARD_CONTENT_TYPES } from '../utils/rewardRules.js';
+
+// A user flagging a post for moderators. While a report is open, the post's pending points are
+// not confirmed by the holding period (see services/rewardService.js).
+const contentReportSchema = new mongoose.Schema(
+  {
+    contentType: {
+      type: String,
+      enum: REWARD_CONTENT_TYPES,
+      required: true,
+    },
+    contentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    // Author of the post, so moderators can spot repeat offenders
+    contentOwner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    reporter: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    reason: {
+      type: String,
+      required: [true, 'Please say what is wrong with this post'],
+      trim: true,
+      maxlength: [1000, 'Reason cannot exceed 1000 characters'],
+    },
+    // upheld: the post broke the rules and its pending points are voided
+    status: {
+      type: String,
+      enum: ['open', 'dismissed', 'upheld'],
+      default: 'open',
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    reviewedAt: {
+      type: Date,
+      default: null,
+    },
+    reviewNote: {
+      type: String,
+      default: '',
+      maxlength: [500, 'Review note cannot exceed 500 characters'],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// One report per user per post
+contentReportSchema.index({ contentId: 1, reporter: 1 }, { unique: true });
+contentReportSchema.index({ status: 1, contentType: 1, createdAt: 1 });
+
+const ContentReport = mongoose.model('ContentReport', contentReportSchema);
+
+export default ContentReport;
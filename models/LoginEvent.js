@@ -0,0 +1,55 @@
+import mongoose from 'mongoose';
+
+// One login attempt on an existing account (password or Firebase)
+const loginEventSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    method: {
+      type: String,
+      enum: ['password', 'firebase'],
+      default: 'password',
+    },
+    success: {
+      type: Boolean,
+      required: true,
+    },
+    // Why a login failed or was refused: invalid_password, locked, pending, rejected, blocked
+    reason: {
+      type: String,
+      default: '',
+    },
+    ip: {
+      type: String,
+      default: '',
+    },
+    userAgent: {
+      type: String,
+      default: '',
+      maxlength: 500,
+    },
+    // Short label such as "Chrome on Windows"
+    device: {
+      type: String,
+      default: '',
+    },
+    anomalies: [{
+      type: String,
+      enum: ['new_device', 'new_ip', 'after_failures'],
+    }],
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+loginEventSchema.index({ user: 1, createdAt: -1 });
+// Login history is kept for 180 days
+loginEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: 180 * 24 * 60 * 60 });
+
+const LoginEvent = mongoose.model('LoginEvent', loginEventSchema);
+
+export default LoginEvent;
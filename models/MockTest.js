@@ -1,17 +1,90 @@
 import mongoose from 'mongoose';
+import { getSectionsDuration, summarizeSections } from '../utils/mockTestSections.js';
+
+// A section of the test (e.g. Quant, Reasoning); questions refer to it by name
+const sectionSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Section name is required'],
+      trim: true,
+      maxlength: [60, 'Section name cannot exceed 60 characters'],
+    },
+    duration: {
+      type: Number, // in minutes; 0 = no separate time limit
+      default: 0,
+      min: 0,
+    },
+    // Marks deducted per wrong answer for questions that do not set their own
+    negativeMarks: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Sectional cutoff; the test is only passed when every section reaches its cutoff
+    passingMarks: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    totalQuestions: {
+      type: Number,
+      default: 0,
+    },
+    totalMarks: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { _id: false }
+);
 
 const questionSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['single', 'multiple', 'numeric', 'code_output'],
+    default: 'single',
+  },
   question: {
     type: String,
     required: true,
   },
+  // Name of the section this question belongs to (tests with sections only)
+  section: {
+    type: String,
+    default: '',
+    trim: true,
+  },
+  // Code snippet shown with the question (code_output questions)
+  code: {
+    type: String,
+    default: '',
+  },
   options: [{
     type: String,
     required: true,
   }],
   correctAnswer: {
-    type: Number, // Index of correct option (0-based)
-    required: true,
+    type: Number, // Index of correct option (0-based) for single-choice questions
+    required: function () {
+      return (this.type || 'single') === 'single';
+    },
+  },
+  correctAnswers: [{
+    type: Number, // Indexes of all correct options (0-based) for multi-select questions
+  }],
+  numericAnswer: {
+    type: Number,
+    default: null,
+  },
+  tolerance: {
+    type: Number, // Accepted absolute difference from numericAnswer
+    default: 0,
+    min: 0,
+  },
+  expectedOutput: {
+    type: String,
+    default: '',
   },
   explanation: {
     type: String,
@@ -26,6 +99,12 @@ const questionSchema = new mongoose.Schema({
     type: Number,
     default: 1,
   },
+  // Marks deducted for a wrong answer (unanswered questions are not penalised)
+  negativeMarks: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
 });
 
 const mockTestSchema = new mongoose.Schema(
@@ -95,7 +174,28 @@ const mockTestSchema = new mongoose.Schema(
       type: Number,
       default: 0,
     },
+    sections: [sectionSchema],
     questions: [questionSchema],
+    // Question pool: draw this many questions per attempt (0 = use all)
+    questionsPerAttempt: {
+      type: Number,
+      default: 0,
+      min: [0, 'Questions per attempt cannot be negative'],
+    },
+    // Questions of each difficulty to draw per attempt (counted within questionsPerAttempt)
+    difficultyMix: {
+      Easy: { type: Number, default: 0, min: 0 },
+      Medium: { type: Number, default: 0, min: 0 },
+      Hard: { type: Number, default: 0, min: 0 },
+    },
+    shuffleQuestions: {
+      type: Boolean,
+      default: false,
+    },
+    shuffleOptions: {
+      type: Boolean,
+      default: false,
+    },
     instructions: [{
       type: String,
     }],
@@ -170,6 +270,12 @@ mockTestSchema.pre('save', function (next) {
       this.passingMarks = Math.ceil(this.totalMarks * 0.4); // 40% passing by default
     }
   }
+
+  if (this.sections && this.sections.length > 0) {
+    this.sections = summarizeSections(this.sections, this.questions || []);
+    const sectionsDuration = getSectionsDuration(this);
+    if (sectionsDuration) this.duration = sectionsDuration;
+  }
   
   next();
 });
@@ -0,0 +1,54 @@
+import mongoose from 'mongoose';
+
+// A group of approved claims paid out together (see utils/payoutBatch.js). The claims point to
+// the batch through Claim.payoutBatch.
+const payoutBatchSchema = new mongoose.Schema(
+  {
+    reference: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // open: awaiting payment; completed: every claim paid; cancelled: unpaid claims released
+    status: {
+      type: String,
+      enum: ['open', 'completed', 'cancelled'],
+      default: 'open',
+    },
+    claimCount: {
+      type: Number,
+      default: 0,
+    },
+    // Rupees
+    totalAmount: {
+      type: Number,
+      default: 0,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    exportedAt: {
+      type: Date,
+      default: null,
+    },
+    lastReconciledAt: {
+      type: Date,
+      default: null,
+    },
+    completedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+payoutBatchSchema.index({ status: 1, createdAt: -1 });
+
+const PayoutBatch = mongoose.model('PayoutBatch', payoutBatchSchema);
+
+export default PayoutBatch;
@@ -0,0 +1,73 @@
+import mongoose from 'mongoose';
+import { POINT_REASONS, POINT_STATUSES } from '../utils/pointsLedger.js';
+
+// One change to a contributor's points balance (see utils/pointsLedger.js)
+const pointTransactionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    delta: {
+      type: Number,
+      required: true,
+    },
+    reason: {
+      type: String,
+      enum: POINT_REASONS,
+      required: true,
+    },
+    // Only confirmed transactions count towards User.points
+    status: {
+      type: String,
+      enum: POINT_STATUSES,
+      default: 'confirmed',
+    },
+    // When a pending transaction was confirmed or voided
+    resolvedAt: {
+      type: Date,
+      default: null,
+    },
+    // The document that caused the change, e.g. the Job that was posted or the Claim submitted
+    sourceType: {
+      type: String,
+      default: '',
+    },
+    sourceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    // The reward rule that set the amount, if any (see RewardRule)
+    rule: {
+      type: String,
+      default: '',
+    },
+    // Who triggered it; null for the system (cron jobs)
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    balanceAfter: {
+      type: Number,
+      default: null,
+    },
+    // Set for changes that may happen only once per source (see getPointTransactionKey)
+    key: {
+      type: String,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+pointTransactionSchema.index({ user: 1, createdAt: -1 });
+pointTransactionSchema.index({ key: 1 }, { unique: true, sparse: true });
+pointTransactionSchema.index({ status: 1, createdAt: 1 });
+pointTransactionSchema.index({ sourceId: 1, status: 1 });
+
+const PointTransaction = mongoose.model('PointTransaction', pointTransactionSchema);
+
+export default PointTransaction;
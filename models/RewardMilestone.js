@@ -0,0 +1,37 @@
+import mongoose from 'mongoose';
+
+// A points total contributors can cash in once, and what it pays (see Claim)
+const rewardMilestoneSchema = new mongoose.Schema(
+  {
+    points: {
+      type: Number,
+      required: [true, 'Milestone points are required'],
+      unique: true,
+      min: [1, 'Milestone points must be at least 1'],
+      // Users' claimedMilestones refer to it
+      immutable: true,
+      validate: {
+        validator: Number.isInteger,
+        message: 'Milestone points must be a whole number',
+      },
+    },
+    // Rupees
+    amount: {
+      type: Number,
+      required: [true, 'Milestone amount is required'],
+      min: [0, 'Milestone amount cannot be negative'],
+    },
+    // Inactive milestones cannot be claimed (there is no delete); past claims keep their amount
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const RewardMilestone = mongoose.model('RewardMilestone', rewardMilestoneSchema);
+
+export default RewardMilestone;
@@ -0,0 +1,84 @@
+import mongoose from 'mongoose';
+import { ENGAGEMENT_METRICS, REWARD_CONTENT_TYPES, REWARD_EVENTS } from '../utils/rewardRules.js';
+
+// How many points a contributor gets when something happens to their post (see utils/rewardRules.js)
+const rewardRuleSchema = new mongoose.Schema(
+  {
+    // Stable identifier; built-in rules are seeded by name
+    name: {
+      type: String,
+      required: [true, 'Rule name is required'],
+      unique: true,
+      trim: true,
+      lowercase: true,
+      match: [/^[a-z][a-z0-9_]{1,59}$/, 'Rule name must be 2-60 lowercase letters, digits or underscores'],
+      immutable: true,
+    },
+    label: {
+      type: String,
+      required: [true, 'Rule label is required'],
+      trim: true,
+      maxlength: [100, 'Label cannot exceed 100 characters'],
+    },
+    event: {
+      type: String,
+      enum: REWARD_EVENTS,
+      required: [true, 'Rule event is required'],
+    },
+    // null: every content type
+    contentType: {
+      type: String,
+      enum: [...REWARD_CONTENT_TYPES, null],
+      default: null,
+    },
+    // Engagement rules only
+    metric: {
+      type: String,
+      enum: [...ENGAGEMENT_METRICS, null],
+      default: null,
+    },
+    threshold: {
+      type: Number,
+      default: null,
+    },
+    // Negative for penalties
+    points: {
+      type: Number,
+      required: [true, 'Points are required'],
+      validate: {
+        validator: Number.isInteger,
+        message: 'Points must be a whole number',
+      },
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    // Built-in rules are seeded on startup and cannot be deleted, only changed or deactivated
+    isSystem: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Checked on the whole rule, since changing the event changes which fields are needed
+rewardRuleSchema.pre('validate', function (next) {
+  if (this.event === 'engagement') {
+    if (!this.metric) this.invalidate('metric', 'Engagement rules need a metric (views or likes)');
+    if (!Number.isInteger(this.threshold) || this.threshold < 1) {
+      this.invalidate('threshold', 'Engagement rules need a whole-number threshold of at least 1');
+    }
+  } else {
+    this.metric = null;
+    this.threshold = null;
+  }
+  next();
+});
+
+const RewardRule = mongoose.model('RewardRule', rewardRuleSchema);
+
+export default RewardRule;
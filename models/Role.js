@@ -0,0 +1,60 @@
+import mongoose from 'mongoose';
+import { isValidPermission } from '../utils/permissions.js';
+import { ROLE_NAME_PATTERN } from '../utils/roles.js';
+
+// A named bundle of permissions (see utils/permissions.js)
+const roleSchema = new mongoose.Schema(
+  {
+    // Stored on users (User.role / additionalRoles), so it cannot change once created
+    name: {
+      type: String,
+      required: [true, 'Role name is required'],
+      unique: true,
+      trim: true,
+      lowercase: true,
+      match: [ROLE_NAME_PATTERN, 'Role name must be 2-40 lowercase letters, digits or underscores'],
+      immutable: true,
+    },
+    label: {
+      type: String,
+      required: [true, 'Role label is required'],
+      trim: true,
+      maxlength: [60, 'Label cannot exceed 60 characters'],
+    },
+    description: {
+      type: String,
+      default: '',
+      maxlength: [300, 'Description cannot exceed 300 characters'],
+    },
+    permissions: {
+      type: [String],
+      default: [],
+      validate: {
+        validator: (permissions) => permissions.every(isValidPermission),
+        message: 'Unknown permission in role',
+      },
+    },
+    // Users may ask for this role through a role request
+    requestable: {
+      type: Boolean,
+      default: false,
+    },
+    // Content permissions apply only in the holder's User.moderatedSections (see utils/permissions.js)
+    sectionScoped: {
+      type: Boolean,
+      default: false,
+    },
+    // Built-in roles are seeded on startup and cannot be deleted
+    isSystem: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const Role = mongoose.model('Role', roleSchema);
+
+export default Role;
@@ -0,0 +1,69 @@
+import mongoose from 'mongoose';
+import { ROLE_NAME_PATTERN } from '../utils/roles.js';
+
+// A user's request for another (requestable) role, reviewed by an admin with roles:assign
+const roleRequestSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    requestedRole: {
+      type: String,
+      match: [ROLE_NAME_PATTERN, 'Invalid role name'],
+      required: true,
+    },
+    // add: keep the current role as well; replace: switch to the requested role
+    mode: {
+      type: String,
+      enum: ['add', 'replace'],
+      default: 'add',
+    },
+    // Role when the request was made, so reviewers see what would change
+    currentRole: {
+      type: String,
+      default: '',
+    },
+    justification: {
+      type: String,
+      required: [true, 'Please explain why you need this role'],
+      trim: true,
+      maxlength: [1000, 'Justification cannot exceed 1000 characters'],
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'approved', 'rejected', 'cancelled'],
+      default: 'pending',
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    reviewedAt: {
+      type: Date,
+      default: null,
+    },
+    reviewNote: {
+      type: String,
+      default: '',
+      maxlength: [500, 'Review note cannot exceed 500 characters'],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+roleRequestSchema.index({ status: 1, createdAt: 1 });
+roleRequestSchema.index({ user: 1, createdAt: -1 });
+// At most one open request per user and role
+roleRequestSchema.index(
+  { user: 1, requestedRole: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+
+const RoleRequest = mongoose.model('RoleRequest', roleRequestSchema);
+
+export default RoleRequest;
@@ -0,0 +1,223 @@
+import mongoose from 'mongoose';
+
+const attemptAnswerSchema = new mongoose.Schema(
+  {
+    questionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    type: {
+      type: String,
+      default: 'single',
+    },
+    section: {
+      type: String,
+      default: '',
+    },
+    // Option index, index array, number or text depending on the question type
+    selectedOption: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    isCorrect: {
+      type: Boolean,
+      default: false,
+    },
+    marks: {
+      type: Number,
+      default: 1,
+    },
+    marksAwarded: {
+      type: Number, // Negative when negative marking applies
+      default: 0,
+    },
+    difficulty: {
+      type: String,
+      enum: ['Easy', 'Medium', 'Hard'],
+      default: 'Medium',
+    },
+  },
+  { _id: false }
+);
+
+// Ungraded answer saved while the attempt is still in progress
+const responseSchema = new mongoose.Schema(
+  {
+    questionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    selectedOption: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+  },
+  { _id: false }
+);
+
+// One drawn question in display order; optionOrder[displayIndex] = original option index
+const layoutEntrySchema = new mongoose.Schema(
+  {
+    questionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    optionOrder: [{
+      type: Number,
+    }],
+  },
+  { _id: false }
+);
+
+// Timing and result of one section; timers are only set when the test's sections are timed
+const attemptSectionSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+    },
+    duration: {
+      type: Number, // in minutes
+      default: 0,
+    },
+    startedAt: {
+      type: Date,
+      default: null,
+    },
+    deadline: {
+      type: Date,
+      default: null,
+    },
+    closedAt: {
+      type: Date,
+      default: null,
+    },
+    totalQuestions: {
+      type: Number,
+      default: 0,
+    },
+    totalMarks: {
+      type: Number,
+      default: 0,
+    },
+    passingMarks: {
+      type: Number,
+      default: 0,
+    },
+    score: {
+      type: Number,
+      default: 0,
+    },
+    percentage: {
+      type: Number,
+      default: 0,
+    },
+    correctCount: {
+      type: Number,
+      default: 0,
+    },
+    attemptedCount: {
+      type: Number,
+      default: 0,
+    },
+    passed: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  { _id: false }
+);
+
+const testAttemptSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    test: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'MockTest',
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ['in_progress', 'submitted', 'auto_submitted'],
+      default: 'in_progress',
+    },
+    layout: [layoutEntrySchema],
+    sections: [attemptSectionSchema],
+    responses: [responseSchema],
+    answers: [attemptAnswerSchema],
+    score: {
+      type: Number,
+      default: 0,
+    },
+    totalMarks: {
+      type: Number,
+      default: 0,
+    },
+    passingMarks: {
+      type: Number,
+      default: 0,
+    },
+    percentage: {
+      type: Number,
+      default: 0,
+    },
+    passed: {
+      type: Boolean,
+      default: false,
+    },
+    correctCount: {
+      type: Number,
+      default: 0,
+    },
+    attemptedCount: {
+      type: Number,
+      default: 0,
+    },
+    totalQuestions: {
+      type: Number,
+      default: 0,
+    },
+    timeTaken: {
+      type: Number, // in seconds
+      default: 0,
+      min: 0,
+    },
+    startedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    deadline: {
+      type: Date,
+      required: true,
+    },
+    lastSavedAt: {
+      type: Date,
+      default: null,
+    },
+    submittedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+testAttemptSchema.index({ user: 1, createdAt: -1 });
+testAttemptSchema.index({ test: 1, user: 1, status: 1 });
+testAttemptSchema.index({ status: 1, deadline: 1 });
+// At most one open attempt per user and test; startMockTest relies on this when requests race.
+// Duplicates from before the index are closed at startup (resolveDuplicateOpenAttempts)
+testAttemptSchema.index(
+  { user: 1, test: 1 },
+  { unique: true, partialFilterExpression: { status: 'in_progress' } }
+);
+
+const TestAttempt = mongoose.model('TestAttempt', testAttemptSchema);
+
+export default TestAttempt;
@@ -1,5 +1,7 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import { ROLE_NAME_PATTERN } from '../utils/roles.js';
+import { MODERATION_SECTIONS } from '../utils/permissions.js';
 
 const userSchema = new mongoose.Schema(
   {
@@ -23,32 +25,50 @@ const userSchema = new mongoose.Schema(
     password: {
       type: String,
       required: function () {
-        return !this.firebaseUid;
+        return !this.firebaseUid && this.status !== 'deleted';
       },
       minlength: [8, 'Password must be at least 8 characters'],
       select: false, // Don't return password by default
     },
+    // Unique among linked accounts; many users have none (see index below)
     firebaseUid: {
       type: String,
       default: null,
-      sparse: true, // Allow multiple nulls
     },
+    // Linked Firebase identity: its email may differ from the account email
+    firebaseEmail: {
+      type: String,
+      default: null,
+    },
+    // Firebase sign_in_provider, e.g. google.com or password
+    firebaseProvider: {
+      type: String,
+      default: null,
+    },
+    firebaseLinkedAt: {
+      type: Date,
+      default: null,
+    },
+    // Name of a Role (models/Role.js); controllers check that it exists before assigning it
     role: {
       type: String,
-      enum: [
-        'super_admin',
-        'resource_poster',
-        'job_poster',
-        'blog_poster',
-        'tech_blog_poster',
-        'digital_product_poster',
-        'others',
-      ],
+      match: [ROLE_NAME_PATTERN, 'Invalid role name'],
       default: 'others',
     },
+    // Roles granted on top of `role` (see utils/roles.js)
+    additionalRoles: {
+      type: [{ type: String, match: [ROLE_NAME_PATTERN, 'Invalid role name'] }],
+      default: [],
+    },
+    // Sections where section-scoped roles (moderator) apply; set by an admin with roles:assign
+    moderatedSections: {
+      type: [{ type: String, enum: MODERATION_SECTIONS }],
+      default: [],
+    },
     status: {
       type: String,
-      enum: ['pending', 'approved', 'rejected', 'blocked'],
+      // deleted: anonymized after a self-service deletion (see utils/accountDeletion.js)
+      enum: ['pending', 'approved', 'rejected', 'blocked', 'deleted'],
       default: 'pending',
     },
     avatar: {
@@ -98,6 +118,105 @@ const userSchema = new mongoose.Schema(
       type: [Number],
       default: [],
     },
+    // Set when the points ledger took over this balance (see openPointsLedger in pointsService)
+    pointsLedgerOpenedAt: {
+      type: Date,
+      default: null,
+    },
+    showOnLeaderboard: {
+      type: Boolean,
+      default: true,
+    },
+    emailVerified: {
+      type: Boolean,
+      default: false,
+    },
+    emailVerifiedAt: {
+      type: Date,
+      default: null,
+    },
+    // SHA-256 of the emailed verification token
+    emailVerificationToken: {
+      type: String,
+      default: null,
+      select: false,
+    },
+    emailVerificationExpires: {
+      type: Date,
+      default: null,
+      select: false,
+    },
+    // Tokens issued before this time are rejected (set when the password is reset)
+    passwordChangedAt: {
+      type: Date,
+      default: null,
+    },
+    // SHA-256 of the emailed reset token; the token itself is never stored
+    passwordResetToken: {
+      type: String,
+      default: null,
+      select: false,
+    },
+    passwordResetExpires: {
+      type: Date,
+      default: null,
+      select: false,
+    },
+    // Consecutive failed password logins; reset by a successful login
+    failedLoginAttempts: {
+      type: Number,
+      default: 0,
+    },
+    // Password logins are refused until this time (see utils/loginSecurity.js)
+    lockUntil: {
+      type: Date,
+      default: null,
+    },
+    // TOTP two-factor authentication (see utils/totp.js)
+    twoFactorEnabled: {
+      type: Boolean,
+      default: false,
+    },
+    twoFactorEnabledAt: {
+      type: Date,
+      default: null,
+    },
+    twoFactorSecret: {
+      type: String,
+      default: null,
+      select: false,
+    },
+    // Secret shown during enrollment; becomes twoFactorSecret once a code from it is confirmed
+    twoFactorPendingSecret: {
+      type: String,
+      default: null,
+      select: false,
+    },
+    // Last accepted TOTP time step, so a code cannot be replayed within its validity window
+    twoFactorLastUsedStep: {
+      type: Number,
+      default: null,
+      select: false,
+    },
+    // SHA-256 of the unused recovery codes
+    twoFactorRecoveryCodes: {
+      type: [String],
+      default: [],
+      select: false,
+    },
+    // Self-service deletion: the account is anonymized once deletionScheduledFor passes
+    deletionRequestedAt: {
+      type: Date,
+      default: null,
+    },
+    deletionScheduledFor: {
+      type: Date,
+      default: null,
+    },
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
   },
   {
     timestamps: true,
@@ -120,6 +239,16 @@ userSchema.methods.matchPassword = async function (enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
+userSchema.index({ passwordResetToken: 1 });
+userSchema.index({ emailVerificationToken: 1 });
+userSchema.index({ lockUntil: 1 });
+userSchema.index({ deletionScheduledFor: 1 });
+// One Firebase identity can be linked to one account only
+userSchema.index(
+  { firebaseUid: 1 },
+  { name: 'firebaseUid_unique', unique: true, partialFilterExpression: { firebaseUid: { $type: 'string' } } }
+);
+
 const User = mongoose.model('User', userSchema);
 
 export default User;
@@ -0,0 +1,10 @@
+import express from 'express';
+import { getAuditLogs } from '../controllers/auditLogController.js';
+import { protect, requirePermission } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+// Read-only: entries are written by services/auditLogService.js where the actions happen
+router.get('/', protect, requirePermission('audit:read'), getAuditLogs);
+
+export default router;
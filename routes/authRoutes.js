@@ -7,11 +7,42 @@ import {
   getMe,
   updateProfile,
   changePassword,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerificationEmail,
+  refreshSession,
+  logout,
+  getSessions,
+  revokeSessionById,
+  revokeOtherSessions,
+  getLoginHistory,
+  verifyTwoFactorLogin,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  exportMyData,
+  deleteMyAccount,
+  cancelMyAccountDeletion,
+  getIdentities,
+  linkFirebaseIdentity,
+  unlinkFirebaseIdentity,
+  addPasswordLogin,
+  removePasswordLogin,
 } from '../controllers/authController.js';
-import { protect } from '../middleware/authMiddleware.js';
+import { protect, optionalAuth, protectOrTwoFactorSetup } from '../middleware/authMiddleware.js';
 import {
   signupValidation,
   loginValidation,
+  forgotPasswordValidation,
+  resetPasswordValidation,
+  verifyEmailValidation,
+  resendVerificationValidation,
+  refreshTokenValidation,
+  twoFactorCodeValidation,
+  twoFactorProofValidation,
+  twoFactorLoginValidation,
   handleValidationErrors,
 } from '../middleware/validateMiddleware.js';
 
@@ -26,14 +57,50 @@ const authLimiter = rateLimit({
   legacyHeaders: false,
 });
 
+// Refreshing is routine (every few minutes per open tab), so it gets a looser limit than login
+const refreshLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: 30,
+  message: { success: false, message: 'Too many attempts. Please try again later.' },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
 // Public routes (with rate limiting + validation)
 router.post('/signup', authLimiter, signupValidation, handleValidationErrors, signup);
 router.post('/login', authLimiter, loginValidation, handleValidationErrors, login);
 router.post('/firebase-login', authLimiter, firebaseLogin);
+router.post('/forgot-password', authLimiter, forgotPasswordValidation, handleValidationErrors, forgotPassword);
+router.post('/reset-password', authLimiter, resetPasswordValidation, handleValidationErrors, resetPassword);
+router.post('/refresh', refreshLimiter, refreshTokenValidation, handleValidationErrors, refreshSession);
+router.post('/logout', optionalAuth, logout);
+router.get('/verify-email/:token', authLimiter, verifyEmailValidation, handleValidationErrors, verifyEmail);
+router.post('/2fa/verify', authLimiter, twoFactorLoginValidation, handleValidationErrors, verifyTwoFactorLogin);
+router.post('/resend-verification', authLimiter, resendVerificationValidation, handleValidationErrors, resendVerificationEmail);
 
 // Protected routes
 router.get('/me', protect, getMe);
+router.get('/me/logins', protect, getLoginHistory);
+router.get('/me/export', authLimiter, protect, exportMyData);
+router.delete('/me', authLimiter, protect, deleteMyAccount);
+router.post('/me/cancel-deletion', protect, cancelMyAccountDeletion);
+
+// Sign-in methods (each change re-authenticates with the password or a fresh Google sign-in)
+router.get('/me/identities', protect, getIdentities);
+router.post('/me/identities/firebase', authLimiter, protect, linkFirebaseIdentity);
+router.delete('/me/identities/firebase', authLimiter, protect, unlinkFirebaseIdentity);
+router.post('/me/identities/password', authLimiter, protect, addPasswordLogin);
+router.delete('/me/identities/password', authLimiter, protect, removePasswordLogin);
 router.put('/profile', protect, updateProfile);
 router.put('/change-password', protect, changePassword);
+router.get('/sessions', protect, getSessions);
+router.delete('/sessions', protect, revokeOtherSessions);
+router.delete('/sessions/:id', protect, revokeSessionById);
+
+// Two-factor setup also accepts the challenge token of a login that requires 2FA
+router.post('/2fa/setup', authLimiter, protectOrTwoFactorSetup, setupTwoFactor);
+router.post('/2fa/enable', authLimiter, protectOrTwoFactorSetup, twoFactorCodeValidation, handleValidationErrors, enableTwoFactor);
+router.post('/2fa/disable', authLimiter, protect, twoFactorProofValidation, handleValidationErrors, disableTwoFactor);
+router.post('/2fa/recovery-codes', authLimiter, protect, twoFactorCodeValidation, handleValidationErrors, regenerateRecoveryCodes);
 
 export default router;
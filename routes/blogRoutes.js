@@ -12,7 +12,7 @@ import {
   getMyBlogs,
   fetchExternalBlogs,
 } from '../controllers/blogController.js';
-import { protect, canPostBlogs, superAdminOnly, optionalAuth } from '../middleware/authMiddleware.js';
+import { protect, canPostBlogs, requirePermission, optionalAuth } from '../middleware/authMiddleware.js';
 
 const router = express.Router();
 const engagementLimiter = rateLimit({
@@ -24,9 +24,9 @@ const engagementLimiter = rateLimit({
 });
 
 // Protected routes (MUST come before parameterized routes)
-router.post('/fetch-external', protect, superAdminOnly, fetchExternalBlogs);
+router.post('/fetch-external', protect, requirePermission('blogs:import'), fetchExternalBlogs);
 router.get('/my/blogs', protect, getMyBlogs);
-router.get('/all', protect, superAdminOnly, getAllBlogs);
+router.get('/all', protect, requirePermission('blogs:manage'), getAllBlogs);
 
 // Public routes
 router.get('/', optionalAuth, getBlogs);
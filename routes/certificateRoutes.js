@@ -0,0 +1,20 @@
+import express from 'express';
+import {
+  verifyCertificate,
+  getMyCertificates,
+  issueAttemptCertificate,
+  downloadCertificatePdf,
+} from '../controllers/certificateController.js';
+import { protect } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+// Student routes
+router.get('/my', protect, getMyCertificates);
+router.post('/attempts/:attemptId', protect, issueAttemptCertificate);
+router.get('/:code/pdf', protect, downloadCertificatePdf);
+
+// Public verification
+router.get('/:code', verifyCertificate);
+
+export default router;
@@ -22,7 +22,7 @@ const EDULUMIX_KNOWLEDGE_BASE = `
   - About the mission: /about
   - Contact: /contact
   - Policies: /privacy-policy, /terms-of-service, /cookie-policy, /refund-policy
-  - Sign in / sign up: /login, /signup
+  - Sign in / sign up: /login, /signup (forgotten passwords can be reset from the sign-in page)
   - Approved contributors use /contributor (dashboard, create posts, profile, rewards). Super admins use /super-admin (management consoles).
 - Users can browse jobs and much content without an account; posting or admin features need login and appropriate roles.
 - The site emphasizes verified-style listings, categories, and filters (jobs and other hubs). Exact counts, prices, and availability change daily—tell users to open the relevant page on EduLumix for live data.
@@ -48,7 +48,8 @@ ${EDULUMIX_KNOWLEDGE_BASE}
 ### Behaviour rules
 - Do **not** invent specific job URLs, salaries, or product prices—say listings vary and they should use search/filters on the site.
 - Do **not** claim you can log into their account or see private data.
-- For password resets, payments, or account-specific issues: direct them to **Contact** (/contact) or appropriate policy pages.
+- For a forgotten password: tell them to use **Forgot password** on the sign-in page (/login); a one-time reset link is emailed to them and expires after a short time. Resetting signs them out on all devices.
+- For payments or other account-specific issues: direct them to **Contact** (/contact) or appropriate policy pages.
 - Do not expose API keys, server internals, or unpublished admin details.
 
 ${process.env.EDULUMIX_CHAT_EXTRA_CONTEXT ? `\n### Additional context from operator\n${process.env.EDULUMIX_CHAT_EXTRA_CONTEXT.trim()}\n` : ''}`.trim();
@@ -7,7 +7,16 @@ import {
   updateClaim,
   getClaimStats,
 } from '../controllers/claimController.js';
-import { protect, superAdminOnly } from '../middleware/authMiddleware.js';
+import {
+  createPayoutBatch,
+  getPayoutBatches,
+  getPayoutBatch,
+  exportPayoutBatch,
+  reconcilePayoutBatch,
+  cancelPayoutBatch,
+} from '../controllers/payoutController.js';
+import { protect, requirePermission } from '../middleware/authMiddleware.js';
+import { uploadDataFile } from '../middleware/uploadMiddleware.js';
 
 const router = express.Router();
 
@@ -15,10 +24,20 @@ const router = express.Router();
 router.post('/', protect, createClaim);
 router.get('/my-claims', protect, getMyClaims);
 
-// Super Admin routes
-router.get('/stats', protect, superAdminOnly, getClaimStats);
-router.get('/pending/count', protect, superAdminOnly, getPendingClaimsCount);
-router.get('/', protect, superAdminOnly, getAllClaims);
-router.put('/:id', protect, superAdminOnly, updateClaim);
+// Reviewer routes (payouts additionally need claims:pay, checked in updateClaim)
+const canReviewClaims = requirePermission('claims:review', 'claims:pay');
+router.get('/stats', protect, canReviewClaims, getClaimStats);
+router.get('/pending/count', protect, canReviewClaims, getPendingClaimsCount);
+router.get('/', protect, canReviewClaims, getAllClaims);
+router.put('/:id', protect, canReviewClaims, updateClaim);
+
+// Payout batches: bulk export of approved claims and reconciliation of the bank/UPI payout
+const canPayClaims = requirePermission('claims:pay');
+router.post('/batches', protect, canPayClaims, createPayoutBatch);
+router.get('/batches', protect, canPayClaims, getPayoutBatches);
+router.get('/batches/:id', protect, canPayClaims, getPayoutBatch);
+router.get('/batches/:id/export', protect, canPayClaims, exportPayoutBatch);
+router.post('/batches/:id/reconcile', protect, canPayClaims, uploadDataFile('file'), reconcilePayoutBatch);
+router.put('/batches/:id/cancel', protect, canPayClaims, cancelPayoutBatch);
 
 export default router;
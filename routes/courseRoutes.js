@@ -14,18 +14,20 @@ import {
   fetchExternalCourses,
   getCourseFilterOptions,
 } from '../controllers/courseController.js';
-import { protect, superAdminOnly } from '../middleware/authMiddleware.js';
+import { protect, requirePermission } from '../middleware/authMiddleware.js';
 
 const router = express.Router();
 
-// Super Admin only - fetch external courses (MUST be before /:id)
-router.post('/fetch-external', protect, superAdminOnly, fetchExternalCourses);
+const canAuthorCourses = requirePermission('courses:create', 'courses:manage');
 
-// Admin routes (Super Admin only) - MUST come before parameterized routes
-router.get('/all', protect, superAdminOnly, getAllCourses);
-router.get('/id/:id', protect, superAdminOnly, getCourseById);
-router.put('/:id/toggle-publish', protect, superAdminOnly, togglePublish);
-router.put('/:id/toggle-featured', protect, superAdminOnly, toggleFeatured);
+// Fetch external courses (MUST be before /:id)
+router.post('/fetch-external', protect, requirePermission('courses:import'), fetchExternalCourses);
+
+// Admin and author routes - MUST come before parameterized routes
+router.get('/all', protect, canAuthorCourses, getAllCourses);
+router.get('/id/:id', protect, canAuthorCourses, getCourseById);
+router.put('/:id/toggle-publish', protect, requirePermission('courses:publish'), togglePublish);
+router.put('/:id/toggle-featured', protect, requirePermission('courses:publish'), toggleFeatured);
 
 // Public routes
 router.get('/', getCourses);
@@ -34,9 +36,9 @@ router.get('/featured', getFeaturedCourses);
 router.get('/count', getCoursesCount);
 
 // CRUD routes
-router.post('/', protect, superAdminOnly, createCourse);
-router.put('/:id', protect, superAdminOnly, updateCourse);
-router.delete('/:id', protect, superAdminOnly, deleteCourse);
+router.post('/', protect, canAuthorCourses, createCourse);
+router.put('/:id', protect, canAuthorCourses, updateCourse);
+router.delete('/:id', protect, canAuthorCourses, deleteCourse);
 
 // This must be last as it catches /:slug
 router.get('/:slug', getCourse);
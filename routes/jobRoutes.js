@@ -14,7 +14,7 @@ import {
   fetchExternalJobs,
   getJobFilterOptions,
 } from '../controllers/jobController.js';
-import { protect, canPostJobs, optionalAuth, superAdminOnly } from '../middleware/authMiddleware.js';
+import { protect, canPostJobs, optionalAuth, requirePermission } from '../middleware/authMiddleware.js';
 
 const router = express.Router();
 const engagementLimiter = rateLimit({
@@ -25,13 +25,13 @@ const engagementLimiter = rateLimit({
   legacyHeaders: false,
 });
 
-// Super Admin only - fetch external jobs (MUST be before /:id)
-router.post('/fetch-external', protect, superAdminOnly, fetchExternalJobs);
+// Fetch external jobs (MUST be before /:id)
+router.post('/fetch-external', protect, requirePermission('jobs:import'), fetchExternalJobs);
 
 // Protected routes (MUST come before parameterized routes)
 router.get('/my/jobs', protect, getMyJobs);
 
-// Public routes (optionalAuth allows super_admin to see all posts)
+// Public routes (optionalAuth lets managers see deleted posts too)
 router.get('/', optionalAuth, getJobs);
 router.get('/stats', optionalAuth, getJobStats);
 router.get('/filter-options', optionalAuth, getJobFilterOptions);
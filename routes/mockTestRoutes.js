@@ -13,27 +13,51 @@ import {
   submitTestResult,
   getMockTestsCount,
   getMockTestFilterOptions,
+  getMyAttempts,
+  getAttemptById,
+  startMockTest,
+  saveAttemptAnswers,
+  submitSection,
+  getLeaderboard,
+  importMockTestQuestions,
+  exportMockTestQuestions,
+  getMyAnalytics,
 } from '../controllers/mockTestController.js';
-import { protect, superAdminOnly } from '../middleware/authMiddleware.js';
+import { protect, requirePermission, optionalAuth } from '../middleware/authMiddleware.js';
+import { uploadDataFile } from '../middleware/uploadMiddleware.js';
 
 const router = express.Router();
 
-// Admin routes (Super Admin only) - MUST come before parameterized routes
-router.get('/all', protect, superAdminOnly, getAllMockTests);
-router.get('/id/:id', protect, superAdminOnly, getMockTestById);
-router.put('/:id/toggle-publish', protect, superAdminOnly, togglePublish);
-router.put('/:id/toggle-featured', protect, superAdminOnly, toggleFeatured);
+const canAuthorMockTests = requirePermission('mocktests:create', 'mocktests:manage');
+
+// Admin and author routes - MUST come before parameterized routes
+router.get('/all', protect, canAuthorMockTests, getAllMockTests);
+router.get('/id/:id', protect, canAuthorMockTests, getMockTestById);
+router.put('/:id/toggle-publish', protect, requirePermission('mocktests:publish'), togglePublish);
+router.put('/:id/toggle-featured', protect, requirePermission('mocktests:publish'), toggleFeatured);
+router.post('/import', protect, canAuthorMockTests, uploadDataFile('file'), importMockTestQuestions);
+router.post('/:id/import', protect, canAuthorMockTests, uploadDataFile('file'), importMockTestQuestions);
+router.get('/:id/export', protect, canAuthorMockTests, exportMockTestQuestions);
+
+// Student attempt history and analytics
+router.get('/my/attempts', protect, getMyAttempts);
+router.get('/my/analytics', protect, getMyAnalytics);
+router.get('/:id/attempts/:attemptId', protect, getAttemptById);
 
 // Public routes
 router.get('/', getMockTests);
 router.get('/filter-options', getMockTestFilterOptions);
 router.get('/featured', getFeaturedMockTests);
 router.get('/count', getMockTestsCount);
+router.get('/:slug/leaderboard', optionalAuth, getLeaderboard);
 
 // CRUD routes
-router.post('/', protect, superAdminOnly, createMockTest);
-router.put('/:id', protect, superAdminOnly, updateMockTest);
-router.delete('/:id', protect, superAdminOnly, deleteMockTest);
+router.post('/', protect, canAuthorMockTests, createMockTest);
+router.put('/:id', protect, canAuthorMockTests, updateMockTest);
+router.delete('/:id', protect, canAuthorMockTests, deleteMockTest);
+router.post('/:id/start', protect, startMockTest);
+router.put('/:id/attempts/:attemptId/answers', protect, saveAttemptAnswers);
+router.post('/:id/attempts/:attemptId/sections/next', protect, submitSection);
 router.post('/:id/submit', protect, submitTestResult);
 
 // This must be last as it catches /:slug
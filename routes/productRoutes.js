@@ -14,7 +14,7 @@ import {
   toggleFeatured,
   getProductFilterOptions,
 } from '../controllers/productController.js';
-import { protect, canPostProducts, superAdminOnly } from '../middleware/authMiddleware.js';
+import { protect, canPostProducts, requirePermission } from '../middleware/authMiddleware.js';
 
 const router = express.Router();
 
@@ -22,9 +22,9 @@ const router = express.Router();
 router.get('/my/products', protect, getMyProducts);
 
 // Admin routes
-router.get('/all', protect, superAdminOnly, getAllProducts);
-router.put('/:id/toggle-availability', protect, superAdminOnly, toggleAvailability);
-router.put('/:id/toggle-featured', protect, superAdminOnly, toggleFeatured);
+router.get('/all', protect, requirePermission('products:manage'), getAllProducts);
+router.put('/:id/toggle-availability', protect, requirePermission('products:publish'), toggleAvailability);
+router.put('/:id/toggle-featured', protect, requirePermission('products:publish'), toggleFeatured);
 
 // Public routes
 router.get('/', getProducts);
@@ -0,0 +1,14 @@
+import express from 'express';
+import { createReport, getReports, resolveReport } from '../controllers/reportController.js';
+import { canReviewContent, protect } from '../middleware/authMiddleware.js';
+import { contentReportValidation, handleValidationErrors } from '../middleware/validateMiddleware.js';
+
+const router = express.Router();
+
+router.post('/', protect, contentReportValidation, handleValidationErrors, createReport);
+
+// Moderators see and resolve reports for the sections they manage (checked per report)
+router.get('/', protect, canReviewContent, getReports);
+router.put('/:id', protect, canReviewContent, resolveReport);
+
+export default router;
@@ -13,7 +13,7 @@ import {
   fetchExternalResources,
   getResourceFilterOptions,
 } from '../controllers/resourceController.js';
-import { protect, canPostResources, optionalAuth, superAdminOnly } from '../middleware/authMiddleware.js';
+import { protect, canPostResources, optionalAuth, requirePermission } from '../middleware/authMiddleware.js';
 
 const router = express.Router();
 const engagementLimiter = rateLimit({
@@ -24,13 +24,13 @@ const engagementLimiter = rateLimit({
   legacyHeaders: false,
 });
 
-// Super Admin only - fetch external resources (MUST be before /:id)
-router.post('/fetch-external', protect, superAdminOnly, fetchExternalResources);
+// Fetch external resources (MUST be before /:id)
+router.post('/fetch-external', protect, requirePermission('resources:import'), fetchExternalResources);
 
 // Protected routes (MUST come before parameterized routes)
 router.get('/my/resources', protect, getMyResources);
 
-// Public routes (optionalAuth allows super_admin to see all posts)
+// Public routes (optionalAuth lets managers see deleted posts too)
 router.get('/', optionalAuth, getResources);
 router.get('/filter-options', optionalAuth, getResourceFilterOptions);
 router.get('/grouped', getResourcesGrouped);
@@ -0,0 +1,28 @@
+import express from 'express';
+import {
+  getRewardSummary,
+  getRules,
+  createRule,
+  updateRule,
+  deleteRule,
+  getMilestoneList,
+  createMilestone,
+  updateMilestone,
+} from '../controllers/rewardController.js';
+import { protect, requirePermission } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+// Public: how points are earned and the milestones they can be claimed for
+router.get('/', getRewardSummary);
+
+const canManageRewards = requirePermission('rewards:manage');
+router.get('/rules', protect, canManageRewards, getRules);
+router.post('/rules', protect, canManageRewards, createRule);
+router.put('/rules/:name', protect, canManageRewards, updateRule);
+router.delete('/rules/:name', protect, canManageRewards, deleteRule);
+router.get('/milestones', protect, canManageRewards, getMilestoneList);
+router.post('/milestones', protect, canManageRewards, createMilestone);
+router.put('/milestones/:points', protect, canManageRewards, updateMilestone);
+
+export default router;
@@ -0,0 +1,17 @@
+import express from 'express';
+import {
+  createRoleRequest,
+  getMyRoleRequests,
+  cancelRoleRequest,
+} from '../controllers/roleRequestController.js';
+import { protect } from '../middleware/authMiddleware.js';
+import { roleRequestValidation, handleValidationErrors } from '../middleware/validateMiddleware.js';
+
+const router = express.Router();
+
+// Users request roles here; admins with roles:assign review them under /api/users/role-requests
+router.post('/', protect, roleRequestValidation, handleValidationErrors, createRoleRequest);
+router.get('/my', protect, getMyRoleRequests);
+router.delete('/:id', protect, cancelRoleRequest);
+
+export default router;
@@ -0,0 +1,22 @@
+import express from 'express';
+import {
+  getRoles,
+  getPermissionCatalogue,
+  createRole,
+  updateRole,
+  deleteRole,
+} from '../controllers/roleController.js';
+import { protect, requirePermission } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+// Role bundles are edited here; assigning them to users lives under /api/users
+router.use(protect, requirePermission('roles:manage'));
+
+router.get('/', getRoles);
+router.get('/permissions', getPermissionCatalogue);
+router.post('/', createRole);
+router.put('/:name', updateRole);
+router.delete('/:name', deleteRole);
+
+export default router;
@@ -9,31 +9,66 @@ import {
   rejectUser,
   blockUser,
   unblockUser,
+  getLockedUsers,
+  unlockUser,
   changeUserRole,
+  setModeratedSections,
+  getMyPointsHistory,
+  getUserPointsHistory,
+  getPointsDrift,
+  reconcilePoints,
+  reconcileUserPoints,
+  getPendingPointsReview,
+  reviewPendingPoints,
   deleteUser,
   getDashboardStats,
 } from '../controllers/userController.js';
-import { protect, superAdminOnly } from '../middleware/authMiddleware.js';
+import {
+  getRoleRequests,
+  approveRoleRequest,
+  rejectRoleRequest,
+} from '../controllers/roleRequestController.js';
+import { canReviewContent, protect, requirePermission } from '../middleware/authMiddleware.js';
 
 const router = express.Router();
 
 // Public route MUST be before any /:id to avoid "all-public" being matched as id
 router.get('/all-public', getAllPublicUsers);
 
-// All other routes require authentication and super admin access
-router.use(protect, superAdminOnly);
-
-router.get('/pending', getPendingUsers);
-router.get('/approved', getApprovedUsers);
-router.get('/', getAllUsers);
-router.get('/stats', getDashboardStats);
-router.get('/:id', getUserById);
-
-router.put('/:id/approve', approveUser);
-router.put('/:id/reject', rejectUser);
-router.put('/:id/block', blockUser);
-router.put('/:id/unblock', unblockUser);
-router.put('/:id/role', changeUserRole);
-router.delete('/:id', deleteUser);
+// All other routes need the matching permission (see utils/permissions.js)
+router.use(protect);
+
+const canApproveUsers = requirePermission('users:approve');
+const canManageUsers = requirePermission('users:manage');
+const canAssignRoles = requirePermission('roles:assign');
+const canManagePoints = requirePermission('points:manage');
+
+router.get('/me/points/history', getMyPointsHistory);
+router.get('/points/drift', canManagePoints, getPointsDrift);
+router.post('/points/reconcile', canManagePoints, reconcilePoints);
+// Moderators approve or reject pending points for posts in their sections (checked per post)
+router.get('/points/pending', canReviewContent, getPendingPointsReview);
+router.put('/points/pending/:id', canReviewContent, reviewPendingPoints);
+
+router.get('/pending', canApproveUsers, getPendingUsers);
+router.get('/role-requests', canAssignRoles, getRoleRequests);
+router.put('/role-requests/:id/approve', canAssignRoles, approveRoleRequest);
+router.put('/role-requests/:id/reject', canAssignRoles, rejectRoleRequest);
+router.get('/approved', canManageUsers, getApprovedUsers);
+router.get('/', canManageUsers, getAllUsers);
+router.get('/stats', canManageUsers, getDashboardStats);
+router.get('/locked', canManageUsers, getLockedUsers);
+router.get('/:id', canManageUsers, getUserById);
+router.get('/:id/points/history', canManagePoints, getUserPointsHistory);
+
+router.put('/:id/approve', canApproveUsers, approveUser);
+router.put('/:id/reject', canApproveUsers, rejectUser);
+router.put('/:id/block', canManageUsers, blockUser);
+router.put('/:id/unblock', canManageUsers, unblockUser);
+router.put('/:id/unlock', canManageUsers, unlockUser);
+router.put('/:id/role', canAssignRoles, changeUserRole);
+router.put('/:id/moderated-sections', canAssignRoles, setModeratedSections);
+router.put('/:id/points/reconcile', canManagePoints, reconcileUserPoints);
+router.delete('/:id', canManageUsers, deleteUser);
 
 export default router;
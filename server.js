@@ -15,6 +15,10 @@ import { startDailyJobFetchCron } from './cron/dailyJobFetch.js';
 import { startDailyResourceFetchCron } from './cron/dailyResourceFetch.js';
 import { startDailyBlogFetchCron } from './cron/dailyBlogFetch.js';
 import { startDailyCourseFetchCron } from './cron/dailyCourseFetch.js';
+import { startTestAttemptSweepCron } from './cron/testAttemptSweep.js';
+import { startAccountDeletionCron } from './cron/accountDeletionSweep.js';
+import { startPointsReconciliationCron } from './cron/pointsReconciliation.js';
+import { startPointsConfirmationCron } from './cron/pointsConfirmation.js';
 
 // Route imports
 import authRoutes from './routes/authRoutes.js';
@@ -30,6 +34,16 @@ import courseRoutes from './routes/courseRoutes.js';
 import mockTestRoutes from './routes/mockTestRoutes.js';
 import claimRoutes from './routes/claimRoutes.js';
 import chatRoutes from './routes/chatRoutes.js';
+import certificateRoutes from './routes/certificateRoutes.js';
+import roleRequestRoutes from './routes/roleRequestRoutes.js';
+import roleRoutes from './routes/roleRoutes.js';
+import rewardRoutes from './routes/rewardRoutes.js';
+import reportRoutes from './routes/reportRoutes.js';
+import auditLogRoutes from './routes/auditLogRoutes.js';
+import { ensureDefaultRoles } from './services/permissionService.js';
+import { ensureDefaultRewards } from './services/rewardService.js';
+import { resolveDuplicatePendingClaims } from './services/claimService.js';
+import { resolveDuplicateOpenAttempts } from './services/testAttemptService.js';
 
 // Load env vars (from backend/.env even when run from project root)
 dotenv.config({ path: path.join(__dirname, '.env') });
@@ -44,8 +58,18 @@ if (!process.env.GROQ_API_KEY || process.env.GROQ_API_KEY.startsWith('your_')) {
   console.warn('⚠️  GROQ_API_KEY missing or placeholder — POST /api/chat will return "Chat service is not configured"');
 }
 
-// Connect to database
-connectDB();
+// Connect to database, then add any built-in roles and reward rules that are missing
+connectDB()
+  .then(ensureDefaultRoles)
+  .then(ensureDefaultRewards)
+  .catch((error) => console.error('Role/Reward Seed Error:', error.message))
+  // Clear duplicate pending claims left from before the unique index, then build it
+  .then(resolveDuplicatePendingClaims)
+  .catch((error) => console.error('Pending Claim Index Error:', error.message))
+  // Close duplicate open test attempts left from before the unique index, then build it
+  .then(resolveDuplicateOpenAttempts)
+  .catch((error) => console.error('Open Attempt Index Error:', error.message));
+
 
 const cronEnabled = process.env.ENABLE_CRON_JOBS !== 'false';
 if (cronEnabled) {
@@ -54,6 +78,10 @@ if (cronEnabled) {
   startDailyResourceFetchCron();
   startDailyBlogFetchCron();
   startDailyCourseFetchCron();
+  startTestAttemptSweepCron();
+  startAccountDeletionCron();
+  startPointsReconciliationCron();
+  startPointsConfirmationCron();
 } else {
   console.log('⏸️  Cron jobs disabled (ENABLE_CRON_JOBS=false)');
 }
@@ -158,6 +186,12 @@ app.use('/api/courses', courseRoutes);
 app.use('/api/mocktests', mockTestRoutes);
 app.use('/api/claims', claimRoutes);
 app.use('/api/chat', chatRoutes);
+app.use('/api/certificates', certificateRoutes);
+app.use('/api/role-requests', roleRequestRoutes);
+app.use('/api/roles', roleRoutes);
+app.use('/api/rewards', rewardRoutes);
+app.use('/api/reports', reportRoutes);
+app.use('/api/audit-logs', auditLogRoutes);
 
 // Health check route
 app.get('/api/health', (req, res) => {
@@ -0,0 +1,152 @@
+/**
+ * Personal data export and self-service account deletion.
+ * Deletion is scheduled with a cooling-off period; the sweep cron then anonymizes the user,
+ * soft-deletes their jobs, resources and blogs, and hands products, courses and mock tests
+ * (which others may rely on and which cannot be soft-deleted) to a super admin.
+ */
+import User from '../models/User.js';
+import Job from '../models/Job.js';
+import Resource from '../models/Resource.js';
+import Blog from '../models/Blog.js';
+import DigitalProduct from '../models/DigitalProduct.js';
+import Course from '../models/Course.js';
+import MockTest from '../models/MockTest.js';
+import Claim from '../models/Claim.js';
+import TestAttempt from '../models/TestAttempt.js';
+import Certificate from '../models/Certificate.js';
+import LoginEvent from '../models/LoginEvent.js';
+import PointTransaction from '../models/PointTransaction.js';
+import { revokeUserSessions } from './sessionService.js';
+import { sendMail } from './mailService.js';
+import { accountDeletedEmail } from '../utils/emailTemplates.js';
+import {
+  DELETED_USER_NAME,
+  buildAnonymizedUserUpdate,
+  getDeletionDate,
+  sanitizeUserForExport,
+} from '../utils/accountDeletion.js';
+
+// Claims still waiting for a payout; an account cannot be deleted while it has any
+const OPEN_CLAIM_STATUSES = ['pending', 'processing'];
+
+// Read on use: this module is imported before server.js loads .env
+export const getDeletionCoolingOffDays = () => {
+  const days = Number.parseInt(process.env.ACCOUNT_DELETION_COOLING_OFF_DAYS || '', 10);
+  return Number.isFinite(days) && days >= 0 ? days : 14;
+};
+
+export const countOpenClaims = (userId) =>
+  Claim.countDocuments({ user: userId, status: { $in: OPEN_CLAIM_STATUSES } });
+
+/** Everything stored about a user, as one JSON-serialisable object. */
+export const buildAccountExport = async (userId) => {
+  const [user, jobs, resources, blogs, products, courses, mockTests, claims, attempts, certificates, logins, pointHistory] =
+    await Promise.all([
+      User.findById(userId),
+      Job.find({ postedBy: userId }).select('-likes').lean(),
+      Resource.find({ postedBy: userId }).lean(),
+      Blog.find({ author: userId }).lean(),
+      DigitalProduct.find({ postedBy: userId }).lean(),
+      Course.find({ postedBy: userId }).lean(),
+      MockTest.find({ postedBy: userId }).select('-questions').lean(),
+      Claim.find({ user: userId }).select('-processedBy').sort({ createdAt: -1 }).lean(),
+      TestAttempt.find({ user: userId })
+        .select('test status score totalMarks percentage passed correctCount attemptedCount totalQuestions timeTaken startedAt submittedAt')
+        .populate('test', 'title')
+        .sort({ startedAt: -1 })
+        .lean(),
+      Certificate.find({ user: userId }).sort({ issuedAt: -1 }).lean(),
+      LoginEvent.find({ user: userId }).sort({ createdAt: -1 }).lean(),
+      PointTransaction.find({ user: userId }).select('-actor -key').sort({ createdAt: -1 }).lean(),
+    ]);
+
+  return {
+    exportedAt: new Date(),
+    profile: sanitizeUserForExport(user),
+    points: {
+      balance: user.points,
+      pendingBalance: pointHistory.filter((t) => t.status === 'pending').reduce((sum, t) => sum + t.delta, 0),
+      totalEarnings: user.totalEarnings,
+      claimedMilestones: user.claimedMilestones || [],
+      history: pointHistory,
+      claims,
+    },
+    posts: { jobs, resources, blogs, products, courses, mockTests },
+    mockTestAttempts: attempts,
+    certificates,
+    loginHistory: logins,
+  };
+};
+
+/** Start the cooling-off period. @returns {Promise<Date>} when the account will be deleted */
+export const scheduleAccountDeletion = async (userId, now = new Date()) => {
+  const deletionScheduledFor = getDeletionDate(now, getDeletionCoolingOffDays());
+  await User.updateOne({ _id: userId }, { $set: { deletionRequestedAt: now, deletionScheduledFor } });
+  return deletionScheduledFor;
+};
+
+export const cancelAccountDeletion = (userId) =>
+  User.updateOne({ _id: userId }, { $set: { deletionRequestedAt: null, deletionScheduledFor: null } });
+
+/**
+ * Anonymize one account whose cooling-off period has ended. Content steps are idempotent and
+ * run first, so a failure part-way is simply retried by the next sweep.
+ * @returns {Promise<boolean>} false if the account is not due (cancelled, or claims still open)
+ */
+export const anonymizeAccount = async (userId, now = new Date()) => {
+  const user = await User.findOne({ _id: userId, deletionScheduledFor: { $lte: now }, status: { $ne: 'deleted' } });
+  if (!user || user.role === 'super_admin') return false;
+  if (await countOpenClaims(userId) > 0) return false;
+
+  const softDelete = { $set: { isDeleted: true, deletedAt: now } };
+  await Promise.all([
+    Job.updateMany({ postedBy: userId, isDeleted: { $ne: true } }, softDelete),
+    Resource.updateMany({ postedBy: userId, isDeleted: { $ne: true } }, softDelete),
+    Blog.updateMany({ author: userId, isDeleted: { $ne: true } }, softDelete),
+  ]);
+
+  const newOwner = await User.findOne({ role: 'super_admin', status: { $ne: 'deleted' } }).sort({ createdAt: 1 });
+  if (newOwner) {
+    const reassign = { $set: { postedBy: newOwner._id } };
+    await Promise.all([
+      DigitalProduct.updateMany({ postedBy: userId }, reassign),
+      Course.updateMany({ postedBy: userId }, reassign),
+      MockTest.updateMany({ postedBy: userId }, reassign),
+    ]);
+  }
+
+  await PointTransaction.updateMany({ user: userId, status: 'pending' }, { $set: { status: 'voided', resolvedAt: now } });
+
+  // Payout records stay for accounting, without the UPI id / phone number
+  await Claim.updateMany({ user: userId }, { $set: { paymentDetails: '[removed]' } });
+  await Certificate.updateMany({ user: userId }, { $set: { recipientName: DELETED_USER_NAME } });
+  await LoginEvent.deleteMany({ user: userId });
+  await revokeUserSessions(userId, 'account_deleted');
+
+  const result = await User.updateOne(
+    { _id: userId, deletionScheduledFor: { $lte: now }, status: { $ne: 'deleted' } },
+    buildAnonymizedUserUpdate(userId, now)
+  );
+  if (result.modifiedCount !== 1) return false;
+
+  sendMail({ to: user.email, ...accountDeletedEmail({ name: user.name }) })
+    .catch((err) => console.error('Account Deleted Mail Error:', err.message));
+  return true;
+};
+
+/** Anonymize every account whose cooling-off period has ended (called by the sweep cron). */
+export const processDueAccountDeletions = async (now = new Date()) => {
+  const due = await User.find({ deletionScheduledFor: { $lte: now }, status: { $ne: 'deleted' } }).select('_id');
+  let deleted = 0;
+  let skipped = 0;
+  for (const { _id } of due) {
+    try {
+      if (await anonymizeAccount(_id, now)) deleted += 1;
+      else skipped += 1;
+    } catch (err) {
+      skipped += 1;
+      console.error('Account Deletion Error:', _id.toString(), err.message);
+    }
+  }
+  return { deleted, skipped };
+};
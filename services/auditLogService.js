@@ -0,0 +1,35 @@
+/**
+ * Audit trail for administrative actions.
+ */
+import AuditLog from '../models/AuditLog.js';
+
+/**
+ * Append an audit entry. The actor and IP come from the request (omit `req` for system actions).
+ * Never throws: the action has already happened and must not be reported as failed.
+ * @param {{ req?: object, action: string, targetType?: string, targetId?: any, details?: object }} entry
+ */
+export const recordAudit = async ({ req, action, targetType = '', targetId = null, details = {} }) => {
+  try {
+    return await AuditLog.create({
+      actor: req?.user?._id || null,
+      action,
+      targetType,
+      targetId,
+      details,
+      ip: req?.ip || '',
+    });
+  } catch (error) {
+    console.error('Audit Log Error:', action, error.message);
+    return null;
+  }
+};
+
+/**
+ * Audit a moderation action: a change to a record owned by someone else. Owners editing their
+ * own posts are not audited.
+ * @param {{ req: object, action: string, targetType: string, record: { _id: any }, ownerId: any, details?: object }} entry
+ */
+export const recordModeration = ({ req, action, targetType, record, ownerId, details = {} }) => {
+  if (String(ownerId?._id || ownerId) === String(req.user._id)) return null;
+  return recordAudit({ req, action, targetType, targetId: record._id, details });
+};
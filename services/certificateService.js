@@ -0,0 +1,51 @@
+/**
+ * Issuing certificates for passed mock test attempts.
+ */
+import Certificate from '../models/Certificate.js';
+import MockTest from '../models/MockTest.js';
+import User from '../models/User.js';
+import { generateCertificateCode } from '../utils/certificate.js';
+
+const GRADED_STATUSES = ['submitted', 'auto_submitted'];
+const MAX_CODE_ATTEMPTS = 5;
+
+const isDuplicateKey = (error, field) => error?.code === 11000 && Boolean(error.keyPattern?.[field]);
+
+/**
+ * Certificate for a graded, passed attempt; created on first call and returned as-is afterwards.
+ * @returns {Promise<object|null>} null when the attempt is not graded or did not pass
+ */
+export const issueCertificateForAttempt = async (attempt) => {
+  if (!attempt?.passed || !GRADED_STATUSES.includes(attempt.status)) return null;
+
+  const existing = await Certificate.findOne({ attempt: attempt._id });
+  if (existing) return existing;
+
+  const [user, test] = await Promise.all([
+    User.findById(attempt.user).select('name'),
+    MockTest.findById(attempt.test).select('title'),
+  ]);
+  if (!user || !test) return null;
+
+  for (let i = 0; i < MAX_CODE_ATTEMPTS; i += 1) {
+    try {
+      return await Certificate.create({
+        code: generateCertificateCode(),
+        user: attempt.user,
+        test: attempt.test,
+        attempt: attempt._id,
+        recipientName: user.name,
+        testTitle: test.title,
+        score: attempt.score,
+        totalMarks: attempt.totalMarks,
+        percentage: attempt.percentage,
+        issuedAt: attempt.submittedAt || new Date(),
+      });
+    } catch (error) {
+      // Another request issued it first
+      if (isDuplicateKey(error, 'attempt')) return Certificate.findOne({ attempt: attempt._id });
+      if (!isDuplicateKey(error, 'code')) throw error;
+    }
+  }
+  throw new Error('Could not generate a unique certificate code');
+};
@@ -0,0 +1,162 @@
+/**
+ * Claim status changes, shared by single updates (PUT /api/claims/:id) and payout batch
+ * reconciliation. Callers check the transition (isValidClaimStatusTransition) and permissions.
+ */
+import Claim from '../models/Claim.js';
+import PayoutBatch from '../models/PayoutBatch.js';
+import PointTransaction from '../models/PointTransaction.js';
+import User from '../models/User.js';
+import { applyClaimStatusEffects } from '../utils/claimStatusRules.js';
+import { BATCH_CLAIM_STATUSES, summarizeBatchClaims } from '../utils/payoutBatch.js';
+import { recordAudit } from './auditLogService.js';
+import { recordPointTransaction } from './pointsService.js';
+
+/**
+ * Recount a payout batch from its claims; it is completed once none are left awaiting payment.
+ * @returns {Promise<object>} the saved batch
+ */
+export const refreshBatch = async (batch) => {
+  const claims = await Claim.find({ payoutBatch: batch._id, status: { $in: BATCH_CLAIM_STATUSES } })
+    .select('status amount')
+    .lean();
+  const { claimCount, totalAmount, unpaid } = summarizeBatchClaims(claims);
+  batch.claimCount = claimCount;
+  batch.totalAmount = totalAmount;
+  if (batch.status === 'open' && claimCount > 0 && unpaid === 0) {
+    batch.status = 'completed';
+    batch.completedAt = new Date();
+  }
+  await batch.save();
+  return batch;
+};
+
+/**
+ * Move a claim to `nextStatus` and apply the effects on the user's earnings, milestones and
+ * points. The claim only changes if its status is still the one the caller read, so two admins
+ * (or two reconciliation uploads) cannot apply the same transition twice. A claim that will no
+ * longer be paid (e.g. rejected) leaves its payout batch.
+ * @returns {Promise<boolean>} false if the claim changed in the meantime
+ */
+export const changeClaimStatus = async ({ req, claim, nextStatus, transactionId, notes, details = {} }) => {
+  const previousStatus = claim.status;
+  const update = {
+    status: nextStatus,
+    transactionId: transactionId || claim.transactionId,
+    notes: notes || claim.notes,
+    processedBy: req?.user?._id || null,
+    processedAt: new Date(),
+  };
+  const leftBatch = claim.payoutBatch && !BATCH_CLAIM_STATUSES.includes(nextStatus) ? claim.payoutBatch : null;
+  if (leftBatch) update.payoutBatch = null;
+
+  const result = await Claim.updateOne({ _id: claim._id, status: previousStatus }, { $set: update });
+  if (result.matchedCount === 0) return false;
+  Object.assign(claim, update);
+
+  if (leftBatch) {
+    const batch = await PayoutBatch.findById(leftBatch._id || leftBatch);
+    if (batch) await refreshBatch(batch);
+  }
+
+  await recordAudit({
+    req,
+    action: previousStatus !== nextStatus ? `claim.${nextStatus}` : 'claim.updated',
+    targetType: 'Claim',
+    targetId: claim._id,
+    details: { previousStatus, status: nextStatus, points: claim.points, transactionId: claim.transactionId, ...details },
+  });
+
+  // Apply side effects only on status transition to keep operation idempotent
+  if (previousStatus !== nextStatus) {
+    const user = await User.findById(claim.user._id || claim.user);
+    const pointsDelta = applyClaimStatusEffects({ previousStatus, nextStatus, claim, user });
+    await user.save();
+    if (pointsDelta) {
+      await recordPointTransaction({
+        req,
+        userId: user._id,
+        delta: pointsDelta,
+        reason: pointsDelta > 0 ? 'claim_refunded' : 'claim_reinstated',
+        sourceType: 'Claim',
+        sourceId: claim._id,
+        once: true,
+        floorAtZero: true,
+      });
+    }
+  }
+
+  return true;
+};
+
+/**
+ * Startup migration for the one-pending-claim-per-user index (see models/Claim.js). Before it
+ * existed, racing requests could leave a user with several pending claims, and the index cannot
+ * be built over them. Every such user keeps their oldest pending claim and the later ones are
+ * rejected. A rejected duplicate is refunded only if the ledger shows its own deduction: before
+ * the ledger, racing claims read the same balance and took the points once between them.
+ * The index is built afterwards.
+ * @returns {Promise<number>} the number of claims rejected
+ */
+export const resolveDuplicatePendingClaims = async () => {
+  const duplicates = await Claim.aggregate([
+    { $match: { status: 'pending' } },
+    { $sort: { createdAt: 1, _id: 1 } },
+    { $group: { _id: '$user', claims: { $push: { _id: '$_id', points: '$points' } } } },
+    { $match: { 'claims.1': { $exists: true } } },
+  ]);
+
+  let rejected = 0;
+  for (const { _id: userId, claims } of duplicates) {
+    const [kept, ...extra] = claims;
+    for (const { _id } of extra) {
+      const claim = await Claim.findById(_id);
+      if (!claim || claim.status !== 'pending') continue;
+
+      const deducted = await PointTransaction.exists({
+        reason: 'claim_submitted',
+        sourceType: 'Claim',
+        sourceId: claim._id,
+        status: { $ne: 'voided' },
+      });
+      if (deducted) {
+        const changed = await changeClaimStatus({
+          req: null,
+          claim,
+          nextStatus: 'rejected',
+          notes: 'Duplicate pending claim submitted at the same time as an earlier one; points refunded',
+          details: { duplicateOf: kept._id, refunded: true },
+        });
+        if (changed) rejected += 1;
+        continue;
+      }
+
+      const result = await Claim.updateOne(
+        { _id: claim._id, status: 'pending' },
+        {
+          $set: {
+            status: 'rejected',
+            notes: 'Duplicate pending claim submitted at the same time as an earlier one; no points were taken for it',
+            processedAt: new Date(),
+          },
+        }
+      );
+      if (result.matchedCount === 0) continue;
+      rejected += 1;
+      if (claim.points !== kept.points) {
+        await User.updateOne({ _id: userId }, { $pull: { claimedMilestones: claim.points } });
+      }
+      await recordAudit({
+        action: 'claim.rejected',
+        targetType: 'Claim',
+        targetId: claim._id,
+        details: { previousStatus: 'pending', status: 'rejected', points: claim.points, duplicateOf: kept._id, refunded: false },
+      });
+    }
+    // Rejecting a duplicate of the same milestone unmarked it; the kept claim still holds it
+    await User.updateOne({ _id: userId }, { $addToSet: { claimedMilestones: kept.points } });
+  }
+  if (rejected > 0) console.warn(`⚠️  Rejected ${rejected} duplicate pending claim(s)`);
+
+  await Claim.createIndexes();
+  return rejected;
+};
@@ -0,0 +1,68 @@
+/**
+ * Per-account lockout counters and login history (see utils/loginSecurity.js for the rules).
+ */
+import User from '../models/User.js';
+import LoginEvent from '../models/LoginEvent.js';
+import { describeUserAgent } from '../utils/userAgent.js';
+import { detectLoginAnomalies, getLockoutDurationMs } from '../utils/loginSecurity.js';
+
+// Earlier logins compared against when flagging a new device or IP
+const ANOMALY_HISTORY_SIZE = 50;
+
+/**
+ * Count a failed password and lock the account once the threshold is reached.
+ * The counter is incremented atomically so parallel guesses are all counted.
+ * @returns {Promise<Date|null>} lockUntil if the account is now locked
+ */
+export const registerFailedLogin = async (userId) => {
+  const user = await User.findByIdAndUpdate(
+    userId,
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true, projection: { failedLoginAttempts: 1 } }
+  );
+  if (!user) return null;
+
+  const lockMs = getLockoutDurationMs(user.failedLoginAttempts);
+  if (!lockMs) return null;
+
+  const lockUntil = new Date(Date.now() + lockMs);
+  await User.updateOne({ _id: userId }, { $set: { lockUntil } });
+  return lockUntil;
+};
+
+export const clearFailedLogins = (userId) =>
+  User.updateOne({ _id: userId }, { $set: { failedLoginAttempts: 0, lockUntil: null } });
+
+/**
+ * Store a login attempt on an existing account. Successful logins are flagged when they
+ * come from a device or IP the user has not logged in from before.
+ * Never throws: a history write must not break login.
+ */
+export const recordLoginEvent = async ({ userId, req, success, reason = '', method = 'password' }) => {
+  try {
+    const userAgent = String(req?.get?.('user-agent') || '').slice(0, 500);
+    const event = {
+      user: userId,
+      method,
+      success,
+      reason,
+      ip: req?.ip || '',
+      userAgent,
+      device: describeUserAgent(userAgent),
+    };
+
+    if (success) {
+      const history = await LoginEvent.find({ user: userId })
+        .sort({ createdAt: -1 })
+        .limit(ANOMALY_HISTORY_SIZE)
+        .select('success ip device')
+        .lean();
+      event.anomalies = detectLoginAnomalies(event, history);
+    }
+
+    return await LoginEvent.create(event);
+  } catch (error) {
+    console.error('Record Login Event Error:', error.message);
+    return null;
+  }
+};
@@ -0,0 +1,58 @@
+/**
+ * Outgoing mail through a pluggable transport.
+ *
+ * A transport is an async function `(message) => void` taking `{ to, subject, text, html }`.
+ * Built in:
+ * - console: prints the message (default; for local development)
+ * - file:    writes each message as a JSON file to MAIL_FILE_DIR (default ./tmp/mail)
+ * Production senders (SMTP, an email API) plug in with `registerMailTransport`.
+ */
+import fs from 'fs/promises';
+import path from 'path';
+
+export const consoleTransport = async (message) => {
+  console.log(`📧 [Mail] To: ${message.to} | Subject: ${message.subject}\n${message.text}`);
+};
+
+export const createFileTransport = (dir) => async (message) => {
+  await fs.mkdir(dir, { recursive: true });
+  const safeTo = String(message.to).replace(/[^a-zA-Z0-9@._-]/g, '_');
+  const file = path.join(dir, `${Date.now()}-${safeTo}.json`);
+  await fs.writeFile(file, JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2));
+};
+
+const transports = new Map([
+  ['console', () => consoleTransport],
+  ['file', () => createFileTransport(path.resolve(process.env.MAIL_FILE_DIR || 'tmp/mail'))],
+]);
+
+let activeTransport = null;
+
+/** Make a transport available under MAIL_TRANSPORT=<name>. */
+export const registerMailTransport = (name, factory) => {
+  transports.set(name, factory);
+  activeTransport = null;
+};
+
+/** Override the transport (tests, or wiring a sender at startup). Pass null to go back to MAIL_TRANSPORT. */
+export const setMailTransport = (transport) => {
+  activeTransport = transport;
+};
+
+const getMailTransport = () => {
+  if (activeTransport) return activeTransport;
+  const name = process.env.MAIL_TRANSPORT || 'console';
+  const factory = transports.get(name);
+  if (!factory) throw new Error(`Unknown MAIL_TRANSPORT "${name}"`);
+  activeTransport = factory();
+  return activeTransport;
+};
+
+/**
+ * Send an email.
+ * @param {{ to: string, subject: string, text: string, html?: string }} message
+ */
+export const sendMail = async (message) => {
+  if (!message?.to || !message.subject) throw new Error('Mail needs a recipient and a subject');
+  await getMailTransport()(message);
+};
@@ -0,0 +1,64 @@
+/**
+ * Role and permission lookup. Roles are read from the database and cached briefly, so `protect`
+ * can resolve a user's permissions on every request without a query each time. Edits through
+ * the roles API clear the cache; other server instances pick them up within CACHE_TTL_MS.
+ */
+import Role from '../models/Role.js';
+import { DEFAULT_ROLES, resolvePermissions } from '../utils/permissions.js';
+import { getUserRoles } from '../utils/roles.js';
+
+const CACHE_TTL_MS = 60 * 1000;
+
+let cache = null;
+
+export const invalidateRoleCache = () => {
+  cache = null;
+};
+
+/**
+ * All roles by name. Built-in defaults fill in for roles not (yet) in the database, so
+ * permissions work before the first seed.
+ * @returns {Promise<Map<string, { name: string, permissions: string[] }>>}
+ */
+export const getRolesByName = async () => {
+  if (cache && Date.now() - cache.loadedAt < CACHE_TTL_MS) return cache.rolesByName;
+
+  const rolesByName = new Map(DEFAULT_ROLES.map((role) => [role.name, { ...role, isSystem: true }]));
+  const stored = await Role.find().lean();
+  for (const role of stored) rolesByName.set(role.name, role);
+
+  cache = { rolesByName, loadedAt: Date.now() };
+  return rolesByName;
+};
+
+/** @returns {Promise<Set<string>>} everything the user's roles allow */
+export const getUserPermissions = async (user) =>
+  resolvePermissions(getUserRoles(user), await getRolesByName(), user?.moderatedSections || []);
+
+export const roleExists = async (name) => (await getRolesByName()).has(name);
+
+/** Whether users may pick the role at signup or ask for it through a role request */
+export const isRequestableRole = async (name) => Boolean((await getRolesByName()).get(name)?.requestable);
+
+/** Insert built-in roles that are missing. Existing roles keep any edits made through the API. */
+export const ensureDefaultRoles = async () => {
+  await Role.bulkWrite(
+    DEFAULT_ROLES.map((role) => ({
+      updateOne: {
+        filter: { name: role.name },
+        update: {
+          $setOnInsert: {
+            name: role.name,
+            label: role.label,
+            permissions: role.permissions,
+            requestable: Boolean(role.requestable),
+            sectionScoped: Boolean(role.sectionScoped),
+            isSystem: true,
+          },
+        },
+        upsert: true,
+      },
+    }))
+  );
+  invalidateRoleCache();
+};
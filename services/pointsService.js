@@ -0,0 +1,330 @@
+/**
+ * Contributor points. Balances only change through `recordPointTransaction`, `spendPoints` and
+ * `confirmPendingPoints`, which write the ledger entry first and then move User.points; the
+ * reconciliation job flags any drift between the two (e.g. a crash in between).
+ * Pending transactions (see utils/pointsLedger.js) leave User.points alone until confirmed.
+ */
+import mongoose from 'mongoose';
+import PointTransaction from '../models/PointTransaction.js';
+import User from '../models/User.js';
+import { clampDeduction, findBalanceDrift, getPointTransactionKey } from '../utils/pointsLedger.js';
+import { recordAudit } from './auditLogService.js';
+
+/**
+ * Record a points change and apply it to the user's balance.
+ * With `once`, a second call for the same reason, source and `variant` is ignored.
+ * With `floorAtZero`, a deduction is reduced so the balance does not go negative.
+ * With `pending`, an award is recorded as pending and the balance is left alone.
+ * @returns {Promise<object|null>} the transaction, or null if nothing changed
+ */
+export const recordPointTransaction = async ({
+  userId,
+  delta,
+  reason,
+  sourceType = '',
+  sourceId = null,
+  rule = '',
+  req,
+  once = false,
+  variant,
+  floorAtZero = false,
+  pending = false,
+}) => {
+  let amount = delta;
+  if (floorAtZero && amount < 0) {
+    const user = await User.findById(userId).select('points');
+    amount = clampDeduction(amount, user?.points);
+  }
+  if (!amount) return null;
+  const isPending = pending && amount > 0;
+  if (!isPending) await openPointsLedger(userId);
+
+  let transaction;
+  try {
+    transaction = await PointTransaction.create({
+      user: userId,
+      delta: amount,
+      reason,
+      sourceType,
+      sourceId,
+      rule,
+      status: isPending ? 'pending' : 'confirmed',
+      actor: req?.user?._id || null,
+      key: once ? getPointTransactionKey(reason, sourceType, sourceId, variant) : undefined,
+    });
+  } catch (error) {
+    if (error.code === 11000) return null;
+    throw error;
+  }
+
+  if (!isPending) await applyToBalance(transaction);
+  return transaction;
+};
+
+/**
+ * Hand a user's balance over to the ledger, once, before its first confirmed change. Whatever the
+ * balance holds beyond the confirmed transactions so far is from before the ledger and becomes an
+ * `opening_balance` entry. The balance is read in the same update that marks the ledger opened,
+ * so changes made after that are not counted twice.
+ * @returns {Promise<object|null>} the opening transaction, or null if none was needed
+ */
+export const openPointsLedger = async (userId) => {
+  const openedAt = new Date();
+  // Returns the user as it was before the update
+  const user = await User.findOneAndUpdate(
+    { _id: userId, pointsLedgerOpenedAt: null },
+    { $set: { pointsLedgerOpenedAt: openedAt } }
+  ).select('points');
+  if (!user) return null;
+
+  const [ledger] = await PointTransaction.aggregate([
+    {
+      $match: {
+        user: new mongoose.Types.ObjectId(String(userId)),
+        status: { $nin: ['pending', 'voided'] },
+        createdAt: { $lt: openedAt },
+      },
+    },
+    { $group: { _id: null, balance: { $sum: '$delta' } } },
+  ]);
+  const delta = (user.points || 0) - (ledger?.balance || 0);
+  if (!delta) return null;
+
+  try {
+    return await PointTransaction.create({
+      user: userId,
+      delta,
+      reason: 'opening_balance',
+      balanceAfter: user.points,
+      key: getPointTransactionKey('opening_balance', 'User', userId),
+    });
+  } catch (error) {
+    if (error.code === 11000) return null;
+    throw error;
+  }
+};
+
+const applyToBalance = async (transaction) => {
+  const user = await User.findByIdAndUpdate(transaction.user, { $inc: { points: transaction.delta } }, { new: true })
+    .select('points');
+  if (user) {
+    transaction.balanceAfter = user.points;
+    await PointTransaction.updateOne({ _id: transaction._id }, { $set: { balanceAfter: user.points } });
+  }
+};
+
+/**
+ * Spend points only if the confirmed balance covers them. The balance check and the deduction are
+ * one conditional update, so parallel requests cannot both spend the same points. `condition` and
+ * `update` extend that filter and update, e.g. to mark a milestone as claimed in the same write.
+ * @returns {Promise<object|null>} the transaction, or null if the balance or condition did not allow it
+ */
+export const spendPoints = async ({ userId, amount, reason, sourceType = '', sourceId = null, req, condition = {}, update = {} }) => {
+  await openPointsLedger(userId);
+  const transaction = await PointTransaction.create({
+    user: userId,
+    delta: -amount,
+    reason,
+    sourceType,
+    sourceId,
+    actor: req?.user?._id || null,
+    key: getPointTransactionKey(reason, sourceType, sourceId),
+  });
+
+  const user = await User.findOneAndUpdate(
+    { _id: userId, points: { $gte: amount }, ...condition },
+    { ...update, $inc: { points: -amount } },
+    { new: true }
+  ).select('points');
+
+  if (!user) {
+    await PointTransaction.deleteOne({ _id: transaction._id });
+    return null;
+  }
+
+  transaction.balanceAfter = user.points;
+  await PointTransaction.updateOne({ _id: transaction._id }, { $set: { balanceAfter: user.points } });
+  return transaction;
+};
+
+/**
+ * Move a pending transaction into the user's balance. Safe to call twice: only the call that
+ * flips it from pending applies it.
+ * @returns {Promise<object|null>} the confirmed transaction, or null if it was not pending
+ */
+export const confirmPendingPoints = async (transactionId) => {
+  const pending = await PointTransaction.findOne({ _id: transactionId, status: 'pending' }).select('user').lean();
+  if (!pending) return null;
+  await openPointsLedger(pending.user);
+
+  const transaction = await PointTransaction.findOneAndUpdate(
+    { _id: transactionId, status: 'pending' },
+    { $set: { status: 'confirmed', resolvedAt: new Date() } },
+    { new: true }
+  );
+  if (!transaction) return null;
+  await applyToBalance(transaction);
+  return transaction;
+};
+
+/** Confirm everything pending on one post, e.g. when a moderator approves it. */
+export const confirmPendingPointsForSource = async (sourceId) => {
+  const pending = await PointTransaction.find({ sourceId, status: 'pending' }).select('_id').lean();
+  const confirmed = [];
+  for (const { _id } of pending) {
+    const transaction = await confirmPendingPoints(_id);
+    if (transaction) confirmed.push(transaction);
+  }
+  return confirmed;
+};
+
+/**
+ * Void pending transactions, e.g. when their post is deleted. Pass `transactionIds`, or a
+ * `sourceId` for everything pending on one post.
+ * @returns {Promise<object[]>} the transactions that were voided
+ */
+export const voidPendingPoints = async ({ transactionIds, sourceId }) => {
+  const filter = { status: 'pending', ...(transactionIds ? { _id: { $in: transactionIds } } : { sourceId }) };
+  const pending = await PointTransaction.find(filter).select('_id user delta reason sourceType sourceId').lean();
+  if (!pending.length) return [];
+
+  // Re-check the status so a transaction confirmed in between is not voided
+  await PointTransaction.updateMany(
+    { _id: { $in: pending.map((t) => t._id) }, status: 'pending' },
+    { $set: { status: 'voided', resolvedAt: new Date() } }
+  );
+  return pending;
+};
+
+/** Sum of a user's pending points; they are not part of User.points until confirmed. */
+export const getPendingPoints = async (userId) => {
+  const [result] = await PointTransaction.aggregate([
+    { $match: { user: new mongoose.Types.ObjectId(String(userId)), status: 'pending' } },
+    { $group: { _id: null, total: { $sum: '$delta' } } },
+  ]);
+  return result?.total || 0;
+};
+
+/**
+ * Points for something that happened to a post (see services/rewardService.js). Failures are
+ * logged, not thrown: the post itself has already been saved or deleted.
+ */
+export const recordContentPoints = async ({ req, userId, delta, reason, sourceType, sourceId, rule, variant, pending }) => {
+  try {
+    return await recordPointTransaction({
+      req,
+      userId,
+      delta,
+      reason,
+      sourceType,
+      sourceId,
+      rule,
+      variant,
+      pending,
+      once: true,
+      floorAtZero: delta < 0,
+    });
+  } catch (error) {
+    console.error('Error updating points:', error.message);
+    return null;
+  }
+};
+
+/** A user's transactions, newest first. */
+export const getPointHistory = async (userId, { page = 1, limit = 20 } = {}) => {
+  const [transactions, total] = await Promise.all([
+    PointTransaction.find({ user: userId })
+      .populate('actor', 'name')
+      .sort({ createdAt: -1, _id: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    PointTransaction.countDocuments({ user: userId }),
+  ]);
+  return { transactions, total };
+};
+
+const sumLedger = (match) =>
+  PointTransaction.aggregate([
+    { $match: { ...match, status: { $nin: ['pending', 'voided'] } } },
+    { $group: { _id: '$user', balance: { $sum: '$delta' }, count: { $sum: 1 } } },
+  ]);
+
+/**
+ * Compare every active user's stored balance with the sum of their confirmed transactions.
+ * Balances are never changed here; see `resetPointBalance` for that.
+ * - openLedgers: open the ledger (`openPointsLedger`) of users who have not had a points change
+ *   since it was introduced, so their older balance is not mistaken for drift
+ * - flag: record a `points.drift_detected` audit entry per drifted user
+ */
+export const reconcilePointBalances = async ({ openLedgers = false, flag = false, req } = {}) => {
+  let ledgersOpened = 0;
+  if (openLedgers) {
+    const unopened = await User.find({ status: { $ne: 'deleted' }, pointsLedgerOpenedAt: null }).select('_id').lean();
+    for (const { _id } of unopened) {
+      await openPointsLedger(_id);
+      ledgersOpened += 1;
+    }
+  }
+
+  const sums = await sumLedger({});
+  const ledgerByUser = new Map(sums.map((s) => [String(s._id), s]));
+
+  const users = await User.find({
+    status: { $ne: 'deleted' },
+    $or: [{ points: { $ne: 0 } }, { _id: { $in: sums.map((s) => s._id) } }],
+  })
+    .select('name email points pointsLedgerOpenedAt')
+    .lean();
+
+  const { drifted, missingLedger } = findBalanceDrift(users, ledgerByUser);
+
+  const usersById = new Map(users.map((u) => [String(u._id), u]));
+  for (const entry of drifted) {
+    const { storedBalance, ledgerBalance, difference } = entry;
+    if (flag) {
+      await recordAudit({
+        req,
+        action: 'points.drift_detected',
+        targetType: 'User',
+        targetId: entry.userId,
+        details: { storedBalance, ledgerBalance, difference },
+      });
+    }
+
+    const user = usersById.get(String(entry.userId));
+    entry.name = user.name;
+    entry.email = user.email;
+  }
+
+  return {
+    checked: users.length,
+    withoutLedger: missingLedger.length,
+    ledgersOpened,
+    drifted,
+  };
+};
+
+/**
+ * Reset one user's balance to their ledger total, after an admin has looked into the drift.
+ * Only applied if the balance has not moved since it was read.
+ * @returns {Promise<{ storedBalance: number, ledgerBalance: number, difference: number, fixed: boolean }|null>}
+ *   null if there is no such user
+ */
+export const resetPointBalance = async ({ userId, req }) => {
+  await openPointsLedger(userId);
+  const user = await User.findById(userId).select('points');
+  if (!user) return null;
+
+  const [ledger] = await sumLedger({ user: new mongoose.Types.ObjectId(String(userId)) });
+  const storedBalance = user.points || 0;
+  const ledgerBalance = ledger?.balance || 0;
+  const details = { storedBalance, ledgerBalance, difference: storedBalance - ledgerBalance };
+  if (details.difference === 0) return { ...details, fixed: false };
+
+  const result = await User.updateOne({ _id: userId, points: storedBalance }, { $set: { points: ledgerBalance } });
+  const fixed = result.modifiedCount > 0;
+  if (fixed) {
+    await recordAudit({ req, action: 'points.balance_reconciled', targetType: 'User', targetId: userId, details });
+  }
+  return { ...details, fixed };
+};
@@ -0,0 +1,263 @@
+/**
+ * Reward rules and claim milestones. Both are read from the database and cached briefly, like
+ * roles (see permissionService.js); edits through the rewards API clear the cache.
+ *
+ * Awards for a post are pending until a moderator approves it or it has been up for
+ * POINTS_HOLD_DAYS without being deleted or reported (`confirmDuePoints`, run by a cron job).
+ */
+import Blog from '../models/Blog.js';
+import ContentReport from '../models/ContentReport.js';
+import DigitalProduct from '../models/DigitalProduct.js';
+import Job from '../models/Job.js';
+import PointTransaction from '../models/PointTransaction.js';
+import Resource from '../models/Resource.js';
+import RewardMilestone from '../models/RewardMilestone.js';
+import RewardRule from '../models/RewardRule.js';
+import User from '../models/User.js';
+import { DEFAULT_POINTS_HOLD_DAYS, getHoldCutoff } from '../utils/pointsLedger.js';
+import {
+  DEFAULT_MILESTONES,
+  DEFAULT_REWARD_RULES,
+  findEventRule,
+  findReachedEngagementRules,
+  getRewardReason,
+} from '../utils/rewardRules.js';
+import { confirmPendingPoints, recordContentPoints, voidPendingPoints } from './pointsService.js';
+
+const CACHE_TTL_MS = 60 * 1000;
+
+let cache = null;
+
+// Each content type that earns points, and the field holding its author
+const CONTENT = {
+  Job: { model: Job, ownerField: 'postedBy' },
+  Resource: { model: Resource, ownerField: 'postedBy' },
+  Blog: { model: Blog, ownerField: 'author' },
+  DigitalProduct: { model: DigitalProduct, ownerField: 'postedBy' },
+};
+
+/** A post that has not been deleted, with its author id, or null. */
+export const findLiveContent = async (contentType, contentId) => {
+  const content = CONTENT[contentType];
+  if (!content) return null;
+  const record = await content.model
+    .findOne({ _id: contentId, isDeleted: { $ne: true } })
+    .select(content.ownerField)
+    .lean();
+  return record ? { record, ownerId: record[content.ownerField] } : null;
+};
+
+/** Days a post's points stay pending before the holding period confirms them. */
+export const getPointsHoldDays = () => {
+  // Read here rather than at import: server.js loads .env after its imports
+  const days = parseFloat(process.env.POINTS_HOLD_DAYS);
+  return Number.isFinite(days) && days >= 0 ? days : DEFAULT_POINTS_HOLD_DAYS;
+};
+
+export const invalidateRewardCache = () => {
+  cache = null;
+};
+
+const load = async () => {
+  if (cache && Date.now() - cache.loadedAt < CACHE_TTL_MS) return cache;
+
+  // Built-in rules fill in for ones not (yet) in the database, so points work before the first seed
+  const rulesByName = new Map(DEFAULT_REWARD_RULES.map((rule) => [rule.name, { ...rule, isActive: true, isSystem: true }]));
+  const [storedRules, storedMilestones] = await Promise.all([
+    RewardRule.find().lean(),
+    RewardMilestone.find().sort({ points: 1 }).lean(),
+  ]);
+  for (const rule of storedRules) rulesByName.set(rule.name, rule);
+
+  cache = {
+    rules: [...rulesByName.values()],
+    milestones: storedMilestones.length ? storedMilestones : DEFAULT_MILESTONES.map((m) => ({ ...m, isActive: true })),
+    loadedAt: Date.now(),
+  };
+  return cache;
+};
+
+/** @returns {Promise<object[]>} every reward rule, active or not */
+export const getRewardRules = async () => (await load()).rules;
+
+/** @returns {Promise<object[]>} every milestone, lowest first */
+export const getMilestones = async () => (await load()).milestones;
+
+/** Insert built-in rules that are missing, and the default milestones if there are none. */
+export const ensureDefaultRewards = async () => {
+  await RewardRule.bulkWrite(
+    DEFAULT_REWARD_RULES.map((rule) => ({
+      updateOne: {
+        filter: { name: rule.name },
+        update: { $setOnInsert: { ...rule, isActive: true, isSystem: true } },
+        upsert: true,
+      },
+    }))
+  );
+  if ((await RewardMilestone.countDocuments()) === 0) {
+    await RewardMilestone.insertMany(DEFAULT_MILESTONES);
+  }
+  invalidateRewardCache();
+};
+
+// Super admins post on behalf of the site and do not collect points
+const earnsPoints = async (req, ownerId) => {
+  if (!ownerId) return false;
+  if (req?.user && String(req.user._id) === String(ownerId)) return req.user.role !== 'super_admin';
+  const owner = await User.findById(ownerId).select('role');
+  return Boolean(owner) && owner.role !== 'super_admin';
+};
+
+/**
+ * Apply the rule for a post being created, deleted by its author or removed by a moderator.
+ * Awards for a new post are pending. Never throws.
+ * @param {'content_created'|'content_deleted'|'content_removed'} event
+ * @returns {Promise<object|null>} the point transaction, if any
+ */
+export const applyContentReward = async ({ req, event, contentType, record, ownerId }) => {
+  try {
+    const rule = findEventRule(await getRewardRules(), event, contentType);
+    if (!rule?.points || !(await earnsPoints(req, ownerId))) return null;
+
+    return await recordContentPoints({
+      req,
+      userId: ownerId,
+      delta: rule.points,
+      reason: getRewardReason(event),
+      sourceType: contentType,
+      sourceId: record._id,
+      rule: rule.name,
+      pending: event === 'content_created',
+    });
+  } catch (error) {
+    console.error('Error applying reward rule:', error.message);
+    return null;
+  }
+};
+
+/**
+ * Deleting a post voids its pending points, then applies `content_deleted` when the author does
+ * it or `content_removed` for anyone else. An author deleting a post whose points were never
+ * confirmed loses nothing more; a moderator's removal penalty always applies. Never throws.
+ */
+export const applyRemovalReward = async ({ req, contentType, record, ownerId }) => {
+  const removedByAuthor = String(ownerId) === String(req.user._id);
+  let voided = [];
+  try {
+    voided = await voidPendingPoints({ sourceId: record._id });
+  } catch (error) {
+    console.error('Error voiding pending points:', error.message);
+  }
+  if (removedByAuthor && voided.some((t) => t.reason === 'content_created')) return null;
+
+  return applyContentReward({
+    req,
+    event: removedByAuthor ? 'content_deleted' : 'content_removed',
+    contentType,
+    record,
+    ownerId,
+  });
+};
+
+/**
+ * Pay the engagement bonuses a post reached when its views or likes went from `previous` to
+ * `current`. Each rule pays once per post, so unlike/like again does not pay twice. Recorded as
+ * a system change (no actor), since the viewer did not award anything. Never throws.
+ * @param {'views'|'likes'} metric
+ */
+export const applyEngagementRewards = async ({ contentType, record, ownerId, metric, previous, current }) => {
+  try {
+    if (record.isDeleted) return [];
+    const rules = findReachedEngagementRules(await getRewardRules(), contentType, metric, previous, current);
+    const payable = rules.filter((rule) => rule.points);
+    // The author may have been populated for the response
+    const authorId = ownerId?._id || ownerId;
+    if (!payable.length || !(await earnsPoints(null, authorId))) return [];
+
+    const transactions = [];
+    for (const rule of payable) {
+      const transaction = await recordContentPoints({
+        userId: authorId,
+        delta: rule.points,
+        reason: 'engagement_bonus',
+        sourceType: contentType,
+        sourceId: record._id,
+        rule: rule.name,
+        variant: `${rule.metric}:${rule.threshold}`,
+        pending: true,
+      });
+      if (transaction) transactions.push(transaction);
+    }
+    return transactions;
+  } catch (error) {
+    console.error('Error applying engagement rewards:', error.message);
+    return [];
+  }
+};
+
+/**
+ * Confirm pending points that have been held long enough. Points for posts deleted since are
+ * voided; posts with an open report stay pending until a moderator resolves it.
+ * @returns {Promise<{ confirmed: number, voided: number, held: number }>}
+ */
+export const confirmDuePoints = async ({ holdDays = getPointsHoldDays(), limit = 500 } = {}) => {
+  const result = { confirmed: 0, voided: 0, held: 0 };
+  const due = await PointTransaction.find({ status: 'pending', createdAt: { $lte: getHoldCutoff(holdDays) } })
+    .sort({ createdAt: 1 })
+    .limit(limit)
+    .select('_id sourceType sourceId')
+    .lean();
+  if (!due.length) return result;
+
+  const sourceIds = due.map((t) => t.sourceId);
+  const reported = new Set(
+    (await ContentReport.distinct('contentId', { contentId: { $in: sourceIds }, status: 'open' })).map(String)
+  );
+
+  const live = new Set();
+  for (const [contentType, { model }] of Object.entries(CONTENT)) {
+    const ids = due.filter((t) => t.sourceType === contentType).map((t) => t.sourceId);
+    if (!ids.length) continue;
+    const found = await model.find({ _id: { $in: ids }, isDeleted: { $ne: true } }).select('_id').lean();
+    for (const doc of found) live.add(String(doc._id));
+  }
+
+  const gone = [];
+  for (const transaction of due) {
+    const sourceId = String(transaction.sourceId);
+    if (!live.has(sourceId)) gone.push(transaction._id);
+    else if (reported.has(sourceId)) result.held += 1;
+    else if (await confirmPendingPoints(transaction._id)) result.confirmed += 1;
+  }
+  if (gone.length) result.voided = (await voidPendingPoints({ transactionIds: gone })).length;
+
+  return result;
+};
+
+/**
+ * Pending points awaiting review, oldest first, each with the number of open reports on its post.
+ * @param {string[]} contentTypes the sections the reviewer moderates
+ */
+export const getPendingPointsQueue = async ({ contentTypes, page = 1, limit = 20 }) => {
+  const query = { status: 'pending', sourceType: { $in: contentTypes } };
+  const [transactions, total] = await Promise.all([
+    PointTransaction.find(query)
+      .populate('user', 'name email')
+      .sort({ createdAt: 1, _id: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    PointTransaction.countDocuments(query),
+  ]);
+
+  const reports = await ContentReport.aggregate([
+    { $match: { contentId: { $in: transactions.map((t) => t.sourceId) }, status: 'open' } },
+    { $group: { _id: '$contentId', count: { $sum: 1 } } },
+  ]);
+  const reportsBySource = new Map(reports.map((r) => [String(r._id), r.count]));
+
+  return {
+    transactions: transactions.map((t) => ({ ...t, openReports: reportsBySource.get(String(t.sourceId)) || 0 })),
+    total,
+  };
+};
@@ -0,0 +1,130 @@
+/**
+ * Server-side sessions: a short-lived access JWT (carrying the session id) plus an opaque
+ * refresh token that rotates on every use. Revoking a session stops both at once. Rotation
+ * extends a session, but never past its maximum lifetime from sign-in.
+ */
+import Session from '../models/Session.js';
+import generateToken, { getAccessTokenTtlSeconds } from '../utils/generateToken.js';
+import { createOneTimeToken, hashToken } from '../utils/authTokens.js';
+
+// Two tabs refreshing at the same moment both present the same token; only the first
+// rotates it. Within this window the second is refused without treating it as theft.
+const REFRESH_REUSE_GRACE_MS = 10 * 1000;
+
+// Read on use: this module is imported before server.js loads .env
+const getRefreshTokenTtlMs = () => {
+  const days = Number.parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '', 10);
+  return (Number.isFinite(days) && days > 0 ? days : 30) * 24 * 60 * 60 * 1000;
+};
+
+const getSessionMaxLifetimeMs = () => {
+  const days = Number.parseInt(process.env.SESSION_MAX_LIFETIME_DAYS || '', 10);
+  return (Number.isFinite(days) && days > 0 ? days : 90) * 24 * 60 * 60 * 1000;
+};
+
+/** Expiry after a rotation: a full refresh TTL from now, capped at the session's absolute limit. */
+export const getRotatedExpiry = (now, refreshTtlMs, maxExpiresAt) =>
+  new Date(Math.min(new Date(now).getTime() + refreshTtlMs, new Date(maxExpiresAt).getTime()));
+
+const requestInfo = (req) => ({
+  userAgent: String(req?.get?.('user-agent') || '').slice(0, 500),
+  ip: req?.ip || '',
+});
+
+const buildTokens = (userId, session, refreshToken) => ({
+  token: generateToken(userId, session._id),
+  refreshToken,
+  expiresIn: getAccessTokenTtlSeconds(),
+  refreshTokenExpiresAt: session.expiresAt,
+});
+
+export const isSessionActive = (session, now = Date.now()) =>
+  Boolean(session) && !session.revokedAt && new Date(session.expiresAt).getTime() > now;
+
+/**
+ * Start a session for a user who just authenticated.
+ * @returns {Promise<{ token: string, refreshToken: string, expiresIn: number, refreshTokenExpiresAt: Date }>}
+ */
+export const createSession = async (user, req) => {
+  const { token: refreshToken, hash } = createOneTimeToken();
+  const now = Date.now();
+  const maxExpiresAt = new Date(now + getSessionMaxLifetimeMs());
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hash,
+    expiresAt: getRotatedExpiry(now, getRefreshTokenTtlMs(), maxExpiresAt),
+    maxExpiresAt,
+    ...requestInfo(req),
+  });
+  return buildTokens(user._id, session, refreshToken);
+};
+
+/**
+ * Exchange a refresh token for a new access token and refresh token.
+ * Presenting a token that was already rotated away revokes the session, since it means
+ * the token was copied. A session at its maximum lifetime is not rotated again.
+ * @returns {Promise<{ tokens?: object, session?: object, error?: string }>}
+ */
+export const rotateSession = async (refreshToken, req) => {
+  const hash = hashToken(refreshToken);
+  const now = new Date();
+  const { token: nextToken, hash: nextHash } = createOneTimeToken();
+
+  const current = await Session.findOne({ refreshTokenHash: hash, revokedAt: null, expiresAt: { $gt: now } })
+    .select('createdAt maxExpiresAt');
+  if (current) {
+    // Sessions from before the limit existed count it from when they were created
+    const maxExpiresAt = current.maxExpiresAt || new Date(current.createdAt.getTime() + getSessionMaxLifetimeMs());
+    if (maxExpiresAt <= now) {
+      await revokeSession(current._id, 'max_lifetime_reached');
+      return { error: 'This session has reached its maximum lifetime. Please log in again.' };
+    }
+
+    // Matching the presented token again makes the swap atomic: a racing rotation wins only once
+    const session = await Session.findOneAndUpdate(
+      { _id: current._id, refreshTokenHash: hash, revokedAt: null },
+      {
+        $set: {
+          refreshTokenHash: nextHash,
+          previousRefreshTokenHash: hash,
+          rotatedAt: now,
+          lastUsedAt: now,
+          expiresAt: getRotatedExpiry(now, getRefreshTokenTtlMs(), maxExpiresAt),
+          maxExpiresAt,
+          ...requestInfo(req),
+        },
+      },
+      { new: true }
+    );
+    if (session) return { session, tokens: buildTokens(session.user, session, nextToken) };
+  }
+
+  const reused = await Session.findOne({ previousRefreshTokenHash: hash, revokedAt: null });
+  if (reused) {
+    if (now.getTime() - new Date(reused.rotatedAt).getTime() > REFRESH_REUSE_GRACE_MS) {
+      await revokeSession(reused._id, 'refresh_token_reused');
+      return { error: 'This session was signed out because its refresh token was used twice. Please log in again.' };
+    }
+    return { error: 'Refresh token already used' };
+  }
+
+  return { error: 'Invalid or expired refresh token' };
+};
+
+export const revokeSession = (sessionId, reason = 'logout') =>
+  Session.updateOne({ _id: sessionId, revokedAt: null }, { $set: { revokedAt: new Date(), revokedReason: reason } });
+
+/**
+ * Revoke every active session of a user (password change, block, ...).
+ * @param {{ exceptSessionId?: string }} options keep one session, e.g. the one making the request
+ * @returns {Promise<number>} sessions revoked
+ */
+export const revokeUserSessions = async (userId, reason, { exceptSessionId } = {}) => {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+  const result = await Session.updateMany(filter, { $set: { revokedAt: new Date(), revokedReason: reason } });
+  return result.modifiedCount;
+};
+
+export const getActiveSessions = (userId) =>
+  Session.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } }).sort({ lastUsedAt: -1 });
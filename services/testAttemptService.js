@@ -0,0 +1,418 @@
+/**
+ * Timed mock test sessions: server-side deadlines, per-attempt question draws,
+ * progressive answer saves, timed sections and (auto-)submission with grading.
+ */
+import mongoose from 'mongoose';
+import MockTest from '../models/MockTest.js';
+import TestAttempt from '../models/TestAttempt.js';
+import {
+  gradeMockTest,
+  normalizeSubmittedAnswers,
+  sanitizeQuestionsForCandidate,
+} from '../utils/mockTestGrading.js';
+import { computeRankAndPercentile } from '../utils/leaderboard.js';
+import { issueCertificateForAttempt } from './certificateService.js';
+import {
+  buildAttemptLayout,
+  toDisplayOption,
+  toDisplayResults,
+  toOriginalOption,
+} from '../utils/mockTestShuffle.js';
+import {
+  advanceSectionTimers,
+  buildSectionTimers,
+  closeOpenSection,
+  getOpenSectionIndex,
+  getTimedAttemptDeadline,
+  hasTimedSections,
+  summarizeSections,
+} from '../utils/mockTestSections.js';
+
+// Allowance for network latency on submissions made right at the deadline.
+// Read on use: this module is imported before server.js loads .env.
+export const getSubmissionGraceMs = () => {
+  const seconds = Number.parseInt(process.env.MOCK_TEST_GRACE_SECONDS || '', 10);
+  return (Number.isFinite(seconds) && seconds >= 0 ? seconds : 30) * 1000;
+};
+
+export const GRADED_ATTEMPT_STATUSES = ['submitted', 'auto_submitted'];
+
+export const isPastDeadline = (attempt, now = Date.now()) => now > new Date(attempt.deadline).getTime();
+
+export const isPastGracePeriod = (attempt, now = Date.now()) =>
+  now > new Date(attempt.deadline).getTime() + getSubmissionGraceMs();
+
+/**
+ * Questions drawn for an attempt, in the order the candidate sees them.
+ * Attempts started before pooling existed have no layout and use every question.
+ */
+export const getAttemptQuestions = (attempt, test) => {
+  if (!attempt.layout || attempt.layout.length === 0) return test.questions;
+  const byId = new Map(test.questions.map((q) => [String(q._id), q]));
+  return attempt.layout.map((l) => byId.get(String(l.questionId))).filter(Boolean);
+};
+
+/** Whether the attempt runs its sections one after another on their own timers. */
+export const isSectionTimed = (attempt) => Boolean(attempt.sections?.[0]?.startedAt);
+
+/**
+ * Close sections whose time has run out and move the attempt deadline accordingly.
+ * Mutates the attempt; the caller decides whether to persist it.
+ * @returns {number} index of the open section (-1 when none is open or sections are not timed)
+ */
+export const syncSectionTimers = (attempt, now = Date.now(), graceMs = 0) => {
+  if (!isSectionTimed(attempt)) return -1;
+  const index = advanceSectionTimers(attempt.sections, now, graceMs);
+  attempt.deadline = getTimedAttemptDeadline(attempt.sections);
+  return index;
+};
+
+/**
+ * Close the open section early and start the next one.
+ * @returns {number} index of the section now open, or -1 when that was the last one
+ */
+export const moveToNextSection = (attempt, now = new Date()) => {
+  const index = closeOpenSection(attempt.sections, now);
+  attempt.deadline = getTimedAttemptDeadline(attempt.sections);
+  return index;
+};
+
+// Name of the section the candidate may work on, or null when every section is open to them
+const getOpenSectionName = (attempt) => {
+  if (!isSectionTimed(attempt)) return null;
+  const index = getOpenSectionIndex(attempt.sections);
+  return index === -1 ? '' : attempt.sections[index].name;
+};
+
+const isInOpenSection = (openSection, q) => openSection === null || (q.section || '') === openSection;
+
+const getOptionOrders = (attempt, questions) => {
+  const byId = new Map((attempt.layout || []).map((l) => [String(l.questionId), l.optionOrder]));
+  return questions.map((q) => byId.get(String(q._id)) || null);
+};
+
+/** Saved responses of an attempt as original option indexes aligned with `questions`. */
+export const getSavedSelections = (attempt, questions) => {
+  const saved = {};
+  for (const r of attempt.responses || []) saved[String(r.questionId)] = r.selectedOption;
+  return normalizeSubmittedAnswers(questions, saved);
+};
+
+/** Saved responses translated to the option positions the candidate sees. */
+export const getDisplaySelections = (attempt, test) => {
+  const questions = getAttemptQuestions(attempt, test);
+  const orders = getOptionOrders(attempt, questions);
+  return getSavedSelections(attempt, questions).map((v, i) => toDisplayOption(orders[i], v));
+};
+
+/**
+ * Questions as the candidate sees them: drawn, ordered and with shuffled options, no answer keys.
+ * With timed sections only the open section's questions are included.
+ */
+export const getCandidateQuestions = (attempt, test) => {
+  const questions = getAttemptQuestions(attempt, test);
+  const orders = getOptionOrders(attempt, questions);
+  const openSection = getOpenSectionName(attempt);
+  return sanitizeQuestionsForCandidate(questions)
+    .map((q, i) => ({
+      ...q,
+      options: orders[i] ? orders[i].map((originalIndex) => q.options[originalIndex]) : q.options,
+    }))
+    .filter((q) => isInOpenSection(openSection, q));
+};
+
+/** Saved responses keyed for the candidate-facing API. */
+export const getCandidateResponses = (attempt, test) => {
+  const questions = getAttemptQuestions(attempt, test);
+  const selections = getDisplaySelections(attempt, test);
+  const openSection = getOpenSectionName(attempt);
+  return questions
+    .map((q, i) => ({ questionId: q._id, selectedOption: selections[i], section: q.section || '' }))
+    .filter((r) => isInOpenSection(openSection, r))
+    .map(({ questionId, selectedOption }) => ({ questionId, selectedOption }));
+};
+
+/**
+ * Merge answers (in display option positions) into an in-progress attempt's saved
+ * responses, stored as original option indexes. With timed sections, answers to
+ * questions outside the open section are ignored. Not persisted.
+ */
+export const mergeResponses = (attempt, test, answers) => {
+  const questions = getAttemptQuestions(attempt, test);
+  const orders = getOptionOrders(attempt, questions);
+  const saved = getDisplaySelections(attempt, test);
+  const selected = normalizeSubmittedAnswers(questions, answers, saved);
+  const openSection = getOpenSectionName(attempt);
+  attempt.responses = questions.map((q, i) => ({
+    questionId: q._id,
+    selectedOption: toOriginalOption(orders[i], isInOpenSection(openSection, q) ? selected[i] : saved[i]),
+  }));
+  attempt.lastSavedAt = new Date();
+  return attempt;
+};
+
+// Scale a pass mark when only part of the pool is drawn
+const scalePassingMarks = (passingMarks, drawnMarks, poolMarks) =>
+  poolMarks > 0 && drawnMarks !== poolMarks ? Math.ceil((passingMarks * drawnMarks) / poolMarks) : passingMarks;
+
+// Sections for a new attempt: only those with drawn questions, with cutoffs scaled to the draw
+const buildAttemptSections = (test, drawn, startedAt) => {
+  const pool = new Map(summarizeSections(test.sections, test.questions).map((s) => [s.name, s]));
+  const sections = summarizeSections(test.sections, drawn)
+    .filter((s) => s.totalQuestions > 0)
+    .map((s) => ({
+      name: s.name,
+      duration: s.duration || 0,
+      totalQuestions: s.totalQuestions,
+      totalMarks: s.totalMarks,
+      passingMarks: scalePassingMarks(s.passingMarks || 0, s.totalMarks, pool.get(s.name).totalMarks),
+    }));
+  if (!hasTimedSections(test)) return sections;
+  return buildSectionTimers(sections, startedAt).map((timer, i) => ({ ...sections[i], ...timer }));
+};
+
+export const startAttempt = async (test, userId) => {
+  const startedAt = new Date();
+  const layout = buildAttemptLayout(test);
+  const byId = new Map(test.questions.map((q) => [String(q._id), q]));
+  const drawn = layout.map((l) => byId.get(String(l.questionId)));
+  const totalMarks = drawn.reduce((acc, q) => acc + (q.marks || 1), 0);
+  const sections = test.sections?.length ? buildAttemptSections(test, drawn, startedAt) : [];
+  const deadline = getTimedAttemptDeadline(sections)
+    || new Date(startedAt.getTime() + test.duration * 60 * 1000);
+
+  return TestAttempt.create({
+    user: userId,
+    test: test._id,
+    status: 'in_progress',
+    layout,
+    sections,
+    startedAt,
+    deadline,
+    totalQuestions: layout.length,
+    totalMarks,
+    passingMarks: scalePassingMarks(test.passingMarks, totalMarks, test.totalMarks),
+  });
+};
+
+// Section settings to grade with: the test's negative marking and the attempt's (scaled) cutoffs
+const getGradingSections = (attempt, test) => {
+  const cutoffs = new Map((attempt.sections || []).map((s) => [s.name, s.passingMarks]));
+  return (test.sections || []).map((s) => ({
+    name: s.name,
+    negativeMarks: s.negativeMarks,
+    passingMarks: cutoffs.get(s.name) ?? s.passingMarks,
+  }));
+};
+
+// Attempt sections with timers closed and results filled in
+const buildFinalSections = (attempt, result, submittedAt) => {
+  const timers = new Map((attempt.sections || []).map((s) => {
+    const plain = typeof s.toObject === 'function' ? s.toObject() : { ...s };
+    return [plain.name, plain];
+  }));
+  return result.sections.map(({ name, ...sectionResult }) => {
+    const timer = timers.get(name) || {};
+    const closedAt = timer.startedAt && !timer.closedAt
+      ? new Date(Math.min(submittedAt.getTime(), new Date(timer.deadline).getTime()))
+      : timer.closedAt ?? null;
+    return { ...timer, name, ...sectionResult, closedAt };
+  });
+};
+
+/**
+ * Grade an in-progress attempt from its saved responses and close it.
+ * Uses a conditional update so a request and the cron sweep cannot both finalize it.
+ * Passed attempts are issued a certificate. The stored answers keep original option indexes;
+ * the returned result lists answers and options in the order the candidate saw them.
+ * @returns {Promise<{ attempt: object, result: object, certificate: object|null }|null>}
+ *   null if the attempt was already closed
+ */
+export const finalizeAttempt = async (attempt, test, { autoSubmitted = false } = {}) => {
+  const submittedAt = new Date();
+  const questions = getAttemptQuestions(attempt, test);
+  const passingMarks = attempt.layout?.length ? attempt.passingMarks : test.passingMarks;
+  const sections = getGradingSections(attempt, test);
+  const result = gradeMockTest({ questions, passingMarks, sections }, getSavedSelections(attempt, questions));
+  const endedAt = Math.min(submittedAt.getTime(), new Date(attempt.deadline).getTime());
+  const timeTaken = Math.max(0, Math.round((endedAt - new Date(attempt.startedAt).getTime()) / 1000));
+
+  const finalized = await TestAttempt.findOneAndUpdate(
+    { _id: attempt._id, status: 'in_progress' },
+    {
+      $set: {
+        status: autoSubmitted ? 'auto_submitted' : 'submitted',
+        responses: attempt.responses,
+        sections: buildFinalSections(attempt, result, submittedAt),
+        answers: result.results.map((r) => ({
+          questionId: r.questionId,
+          type: r.type,
+          section: r.section,
+          selectedOption: r.selectedOption,
+          isCorrect: r.isCorrect,
+          marks: r.marks,
+          marksAwarded: r.marksAwarded,
+          difficulty: r.difficulty,
+        })),
+        score: result.score,
+        totalMarks: result.totalMarks,
+        passingMarks: result.passingMarks,
+        percentage: result.percentage,
+        passed: result.passed,
+        correctCount: result.correctCount,
+        attemptedCount: result.attemptedCount,
+        totalQuestions: result.totalQuestions,
+        timeTaken,
+        submittedAt,
+      },
+    },
+    { new: true }
+  );
+
+  if (!finalized) return null;
+
+  // Running average without a read-modify-write race
+  await MockTest.updateOne({ _id: test._id }, [
+    {
+      $set: {
+        avgScore: {
+          $round: [
+            {
+              $divide: [
+                { $add: [{ $multiply: ['$avgScore', '$attempts'] }, result.score] },
+                { $add: ['$attempts', 1] },
+              ],
+            },
+            2,
+          ],
+        },
+        attempts: { $add: ['$attempts', 1] },
+      },
+    },
+  ]);
+
+  // A certificate problem must not lose the graded result; it can be issued again on request
+  let certificate = null;
+  if (finalized.passed) {
+    try {
+      certificate = await issueCertificateForAttempt(finalized);
+    } catch (error) {
+      console.error('Issue Certificate Error:', error);
+    }
+  }
+
+  const results = toDisplayResults(result.results, questions, getOptionOrders(attempt, questions));
+  return { attempt: finalized, result: { ...result, results }, certificate };
+};
+
+/** Auto-submit every in-progress attempt whose deadline and grace period have passed. */
+export const autoSubmitExpiredAttempts = async ({ limit = 200 } = {}) => {
+  const cutoff = new Date(Date.now() - getSubmissionGraceMs());
+  const expired = await TestAttempt.find({ status: 'in_progress', deadline: { $lt: cutoff } })
+    .sort({ deadline: 1 })
+    .limit(limit);
+
+  const tests = new Map();
+  let submitted = 0;
+  for (const attempt of expired) {
+    const key = String(attempt.test);
+    if (!tests.has(key)) tests.set(key, await MockTest.findById(attempt.test));
+    const test = tests.get(key);
+    if (!test) {
+      // Test was deleted mid-attempt; close the session without grading
+      await TestAttempt.updateOne(
+        { _id: attempt._id, status: 'in_progress' },
+        { $set: { status: 'auto_submitted', submittedAt: new Date() } }
+      );
+      continue;
+    }
+    if (await finalizeAttempt(attempt, test, { autoSubmitted: true })) submitted += 1;
+  }
+
+  return { found: expired.length, submitted };
+};
+
+/**
+ * Startup migration for the one-open-attempt index (see models/TestAttempt.js). Before it
+ * existed, racing /start requests could leave a user with several open attempts on a test, and
+ * the index cannot be built over them. The newest one (the one /start resumes) stays open; the
+ * others are auto-submitted with their saved answers. The index is built afterwards.
+ * @returns {Promise<number>} the number of attempts closed
+ */
+export const resolveDuplicateOpenAttempts = async () => {
+  const duplicates = await TestAttempt.aggregate([
+    { $match: { status: 'in_progress' } },
+    { $sort: { createdAt: -1, _id: -1 } },
+    { $group: { _id: { user: '$user', test: '$test' }, attempts: { $push: '$_id' } } },
+    { $match: { 'attempts.1': { $exists: true } } },
+  ]);
+
+  let closed = 0;
+  for (const { _id: key, attempts } of duplicates) {
+    const test = await MockTest.findById(key.test);
+    for (const attemptId of attempts.slice(1)) {
+      const attempt = await TestAttempt.findById(attemptId);
+      if (!attempt || attempt.status !== 'in_progress') continue;
+      if (test) {
+        if (await finalizeAttempt(attempt, test, { autoSubmitted: true })) closed += 1;
+        continue;
+      }
+      const result = await TestAttempt.updateOne(
+        { _id: attempt._id, status: 'in_progress' },
+        { $set: { status: 'auto_submitted', submittedAt: new Date() } }
+      );
+      if (result.matchedCount > 0) closed += 1;
+    }
+  }
+  if (closed > 0) console.warn(`⚠️  Closed ${closed} duplicate open test attempt(s)`);
+
+  await TestAttempt.createIndexes();
+  return closed;
+};
+
+/** Each user's best graded attempt on a test (highest score, then fastest). */
+export const getBestAttemptsForTest = (testId) =>
+  TestAttempt.aggregate([
+    {
+      $match: {
+        test: new mongoose.Types.ObjectId(String(testId)),
+        status: { $in: GRADED_ATTEMPT_STATUSES },
+      },
+    },
+    { $sort: { score: -1, timeTaken: 1, submittedAt: 1 } },
+    {
+      $group: {
+        _id: '$user',
+        attemptId: { $first: '$_id' },
+        score: { $first: '$score' },
+        totalMarks: { $first: '$totalMarks' },
+        percentage: { $first: '$percentage' },
+        timeTaken: { $first: '$timeTaken' },
+        submittedAt: { $first: '$submittedAt' },
+      },
+    },
+    {
+      $project: {
+        _id: 0,
+        user: '$_id',
+        attemptId: 1,
+        score: 1,
+        totalMarks: 1,
+        percentage: 1,
+        timeTaken: 1,
+        submittedAt: 1,
+      },
+    },
+  ]);
+
+/** Rank and percentile of a user's best attempt on a test, or null if they have none. */
+export const getUserRanking = async (testId, userId) => {
+  const entries = await getBestAttemptsForTest(testId);
+  const mine = entries.find((e) => String(e.user) === String(userId));
+  if (!mine) return null;
+  return {
+    bestScore: mine.score,
+    bestAttemptId: mine.attemptId,
+    ...computeRankAndPercentile(mine, entries),
+  };
+};
@@ -0,0 +1,126 @@
+/**
+ * TOTP two-factor authentication: enrollment, code checks and recovery codes.
+ * Codes are consumed with conditional updates, so the same code (or recovery code) cannot
+ * complete two logins even when they race.
+ */
+import User from '../models/User.js';
+import { hashToken } from '../utils/authTokens.js';
+import { hasAnyRole } from '../utils/roles.js';
+import {
+  buildOtpauthUri,
+  generateRecoveryCodes,
+  generateTotpSecret,
+  normalizeRecoveryCode,
+  verifyTotp,
+} from '../utils/totp.js';
+
+const TWO_FACTOR_FIELDS = '+twoFactorSecret +twoFactorPendingSecret +twoFactorLastUsedStep +twoFactorRecoveryCodes';
+
+// Read on use: this module is imported before server.js loads .env
+export const getTwoFactorRequiredRoles = () =>
+  (process.env.TWO_FACTOR_REQUIRED_ROLES || '')
+    .split(',')
+    .map((role) => role.trim())
+    .filter(Boolean);
+
+/** Whether the user's role makes 2FA mandatory (they cannot log in or disable it without). */
+export const isTwoFactorRequired = (user) => hasAnyRole(user, getTwoFactorRequiredRoles());
+
+/**
+ * Start (or restart) enrollment with a fresh secret. 2FA stays off until a code is confirmed.
+ * @returns {Promise<{ secret: string, otpauthUri: string }>}
+ */
+export const beginEnrollment = async (user) => {
+  const secret = generateTotpSecret();
+  await User.updateOne({ _id: user._id }, { $set: { twoFactorPendingSecret: secret } });
+  return { secret, otpauthUri: buildOtpauthUri({ secret, accountName: user.email }) };
+};
+
+const issueRecoveryCodes = () => {
+  const recoveryCodes = generateRecoveryCodes();
+  return { recoveryCodes, hashes: recoveryCodes.map(hashToken) };
+};
+
+/**
+ * Turn 2FA on once the user proves their app generates codes for the pending secret.
+ * @returns {Promise<{ recoveryCodes?: string[], error?: string }>} codes are only ever shown here
+ */
+export const confirmEnrollment = async (userId, code) => {
+  const user = await User.findById(userId).select(TWO_FACTOR_FIELDS);
+  if (!user?.twoFactorPendingSecret) return { error: 'Start two-factor setup first' };
+
+  const step = verifyTotp(user.twoFactorPendingSecret, code);
+  if (step === null) return { error: 'Invalid authentication code' };
+
+  const { recoveryCodes, hashes } = issueRecoveryCodes();
+  const result = await User.updateOne(
+    { _id: userId, twoFactorPendingSecret: user.twoFactorPendingSecret },
+    {
+      $set: {
+        twoFactorEnabled: true,
+        twoFactorEnabledAt: new Date(),
+        twoFactorSecret: user.twoFactorPendingSecret,
+        twoFactorPendingSecret: null,
+        twoFactorLastUsedStep: step,
+        twoFactorRecoveryCodes: hashes,
+      },
+    }
+  );
+  if (result.modifiedCount !== 1) return { error: 'Two-factor setup changed meanwhile. Please start again.' };
+  return { recoveryCodes };
+};
+
+/**
+ * Check a TOTP code or a recovery code and consume it.
+ * @param {{ code?: string, recoveryCode?: string, allowRecoveryCode?: boolean }} input
+ * @returns {Promise<{ ok: boolean, usedRecoveryCode?: boolean, recoveryCodesRemaining?: number }>}
+ */
+export const verifySecondFactor = async (userId, { code, recoveryCode, allowRecoveryCode = true }) => {
+  if (recoveryCode && allowRecoveryCode) {
+    const hash = hashToken(normalizeRecoveryCode(recoveryCode));
+    const user = await User.findOneAndUpdate(
+      { _id: userId, twoFactorEnabled: true, twoFactorRecoveryCodes: hash },
+      { $pull: { twoFactorRecoveryCodes: hash } },
+      { new: true, projection: { twoFactorRecoveryCodes: 1 } }
+    );
+    if (!user) return { ok: false };
+    return { ok: true, usedRecoveryCode: true, recoveryCodesRemaining: user.twoFactorRecoveryCodes.length };
+  }
+
+  const user = await User.findById(userId).select(TWO_FACTOR_FIELDS);
+  if (!user?.twoFactorEnabled || !user.twoFactorSecret) return { ok: false };
+
+  const step = verifyTotp(user.twoFactorSecret, code);
+  if (step === null) return { ok: false };
+
+  const result = await User.updateOne(
+    {
+      _id: userId,
+      $or: [{ twoFactorLastUsedStep: null }, { twoFactorLastUsedStep: { $lt: step } }],
+    },
+    { $set: { twoFactorLastUsedStep: step } }
+  );
+  return { ok: result.modifiedCount === 1, usedRecoveryCode: false };
+};
+
+/** Replace all recovery codes (the old ones stop working). */
+export const regenerateRecoveryCodes = async (userId) => {
+  const { recoveryCodes, hashes } = issueRecoveryCodes();
+  await User.updateOne({ _id: userId, twoFactorEnabled: true }, { $set: { twoFactorRecoveryCodes: hashes } });
+  return recoveryCodes;
+};
+
+export const disableTwoFactor = (userId) =>
+  User.updateOne(
+    { _id: userId },
+    {
+      $set: {
+        twoFactorEnabled: false,
+        twoFactorEnabledAt: null,
+        twoFactorSecret: null,
+        twoFactorPendingSecret: null,
+        twoFactorLastUsedStep: null,
+        twoFactorRecoveryCodes: [],
+      },
+    }
+  );
@@ -0,0 +1,59 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import {
+  DELETED_USER_NAME,
+  buildAnonymizedUserUpdate,
+  getAnonymizedEmail,
+  getDeletionDate,
+  sanitizeUserForExport,
+} from '../utils/accountDeletion.js';
+
+test('deletion happens after the cooling-off period', () => {
+  const requestedAt = new Date('2026-03-01T10:00:00Z');
+  assert.equal(getDeletionDate(requestedAt, 14).toISOString(), '2026-03-15T10:00:00.000Z');
+});
+
+test('anonymized users keep no personal data and still validate', async () => {
+  const id = new mongoose.Types.ObjectId();
+  const user = new User({
+    _id: id,
+    name: 'Asha Verma',
+    email: 'asha@example.in',
+    password: 'Secret#1234',
+    phone: '9999999999',
+    linkedin: 'https://linkedin.com/in/asha',
+    points: 40,
+    twoFactorEnabled: true,
+  });
+
+  const update = buildAnonymizedUserUpdate(id, new Date('2026-03-15T10:00:00Z'));
+  user.set(update.$set);
+  for (const field of Object.keys(update.$unset)) user.set(field, undefined);
+  // Neither a password nor a Firebase uid is left, and the document must still save
+  await user.validate();
+
+  assert.equal(user.name, DELETED_USER_NAME);
+  assert.equal(user.email, getAnonymizedEmail(id));
+  assert.equal(user.status, 'deleted');
+  assert.equal(user.phone, '');
+  assert.equal(user.linkedin, '');
+  assert.equal(user.points, 0);
+  assert.equal(user.twoFactorEnabled, false);
+  assert.equal(user.password, undefined);
+  assert.notEqual(getAnonymizedEmail(id), getAnonymizedEmail(new mongoose.Types.ObjectId()));
+});
+
+test('exports never include credentials or token hashes', () => {
+  const exported = sanitizeUserForExport({
+    name: 'Asha',
+    email: 'asha@example.in',
+    password: 'hash',
+    passwordResetToken: 'hash',
+    twoFactorSecret: 'SECRET',
+    twoFactorRecoveryCodes: ['hash'],
+    points: 12,
+  });
+  assert.deepEqual(exported, { name: 'Asha', email: 'asha@example.in', points: 12 });
+});
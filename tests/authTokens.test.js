@@ -0,0 +1,24 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createOneTimeToken, hashToken, isIssuedBeforePasswordChange } from '../utils/authTokens.js';
+
+test('one-time tokens are random and only their hash is kept', () => {
+  const a = createOneTimeToken();
+  const b = createOneTimeToken();
+  assert.match(a.token, /^[a-f0-9]{64}$/);
+  assert.notEqual(a.token, b.token);
+  assert.equal(a.hash, hashToken(a.token));
+  assert.notEqual(a.hash, a.token);
+});
+
+test('rejects JWTs issued before the password changed', () => {
+  const changedAt = new Date('2026-03-01T10:00:05.700Z');
+  const seconds = (iso) => Math.floor(new Date(iso).getTime() / 1000);
+
+  assert.equal(isIssuedBeforePasswordChange(seconds('2026-03-01T09:00:00Z'), changedAt), true);
+  assert.equal(isIssuedBeforePasswordChange(seconds('2026-03-01T10:00:04Z'), changedAt), true);
+  // Same second as the change (e.g. logging in right after a reset) is still accepted
+  assert.equal(isIssuedBeforePasswordChange(seconds('2026-03-01T10:00:05.900Z'), changedAt), false);
+  assert.equal(isIssuedBeforePasswordChange(seconds('2026-03-01T11:00:00Z'), changedAt), false);
+  assert.equal(isIssuedBeforePasswordChange(seconds('2026-03-01T09:00:00Z'), null), false);
+});
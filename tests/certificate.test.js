@@ -0,0 +1,44 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  CERTIFICATE_CODE_PATTERN,
+  generateCertificateCode,
+  normalizeCertificateCode,
+  renderCertificatePdf,
+} from '../utils/certificate.js';
+
+test('generates codes in the documented format without ambiguous characters', () => {
+  const codes = new Set(Array.from({ length: 200 }, () => generateCertificateCode()));
+  assert.equal(codes.size, 200);
+  for (const code of codes) {
+    assert.match(code, CERTIFICATE_CODE_PATTERN);
+    assert.doesNotMatch(code.slice(4), /[01OIL]/);
+  }
+});
+
+test('skips biased bytes when sampling code characters', () => {
+  // 248 and above would skew the distribution and must be rejected
+  const bytes = (n) => Buffer.from(Array.from({ length: n }, (_, i) => (i % 2 === 0 ? 255 : 0)));
+  assert.equal(generateCertificateCode(bytes), 'EDX-2222-2222-2222');
+});
+
+test('normalizes typed codes and rejects anything else', () => {
+  assert.equal(normalizeCertificateCode(' edx-7kq2-m9xd-4tpa '), 'EDX-7KQ2-M9XD-4TPA');
+  assert.equal(normalizeCertificateCode('EDX-7KQ2-M9XD'), null);
+  assert.equal(normalizeCertificateCode('EDX-0000-0000-0000'), null);
+  assert.equal(normalizeCertificateCode({ $ne: null }), null);
+});
+
+test('renders a PDF certificate', async () => {
+  const pdf = await renderCertificatePdf({
+    code: 'EDX-7KQ2-M9XD-4TPA',
+    recipientName: 'Asha Verma',
+    testTitle: 'TCS NQT Aptitude Mock 1',
+    score: 42,
+    totalMarks: 50,
+    percentage: 84,
+    issuedAt: new Date('2026-01-15T10:00:00Z'),
+  });
+  assert.equal(pdf.subarray(0, 5).toString(), '%PDF-');
+  assert.ok(pdf.length > 1000);
+});
@@ -0,0 +1,163 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Claim from '../models/Claim.js';
+import PointTransaction from '../models/PointTransaction.js';
+import RewardMilestone from '../models/RewardMilestone.js';
+import RewardRule from '../models/RewardRule.js';
+import User from '../models/User.js';
+import { createClaim } from '../controllers/claimController.js';
+import { DEFAULT_MILESTONES } from '../utils/rewardRules.js';
+
+// An in-memory stand-in for MongoDB. Every operation yields first, so parallel requests
+// interleave between their reads and writes as they would against a real server, and each
+// single operation is atomic, as MongoDB's are. Claim.create enforces the unique pending-claim
+// index and User.findOneAndUpdate applies its filter, which is all createClaim may rely on.
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+// Query stand-in: chainable like a mongoose query, resolves to `value`
+const chain = (value) => ({
+  select: () => chain(value),
+  populate: () => chain(value),
+  sort: () => chain(value),
+  lean: () => chain(value),
+  then: (resolve, reject) => Promise.resolve(value).then(resolve, reject),
+});
+
+const db = { users: [], claims: [], transactions: [] };
+
+const matchesUser = (user, filter) =>
+  String(user._id) === String(filter._id) &&
+  (filter.pointsLedgerOpenedAt !== null || user.pointsLedgerOpenedAt === null) &&
+  (filter.points?.$gte === undefined || user.points >= filter.points.$gte) &&
+  (filter.claimedMilestones?.$ne === undefined || !user.claimedMilestones.includes(filter.claimedMilestones.$ne));
+
+User.findById = (id) =>
+  chain(
+    tick().then(() => {
+      const user = db.users.find((u) => String(u._id) === String(id));
+      return user && { ...user, claimedMilestones: [...user.claimedMilestones] };
+    })
+  );
+User.findOneAndUpdate = (filter, update) =>
+  chain(
+    tick().then(() => {
+      const user = db.users.find((u) => matchesUser(u, filter));
+      if (!user) return null;
+      user.points += update.$inc.points;
+      const milestone = update.$addToSet?.claimedMilestones;
+      if (milestone !== undefined && !user.claimedMilestones.includes(milestone)) user.claimedMilestones.push(milestone);
+      return { points: user.points };
+    })
+  );
+
+Claim.findOne = (filter) =>
+  chain(tick().then(() => db.claims.find((c) => String(c.user) === String(filter.user) && c.status === filter.status) || null));
+Claim.create = async (data) => {
+  await tick();
+  if (db.claims.some((c) => String(c.user) === String(data.user) && c.status === 'pending')) {
+    throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+  }
+  const claim = { _id: new mongoose.Types.ObjectId(), status: 'pending', ...data };
+  db.claims.push(claim);
+  return claim;
+};
+Claim.deleteOne = async ({ _id }) => {
+  await tick();
+  db.claims = db.claims.filter((c) => String(c._id) !== String(_id));
+};
+Claim.findById = (id) => chain(db.claims.find((c) => String(c._id) === String(id)));
+
+PointTransaction.create = async (data) => {
+  await tick();
+  if (data.key && db.transactions.some((t) => t.key === data.key)) {
+    throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+  }
+  const transaction = { _id: new mongoose.Types.ObjectId(), ...data };
+  db.transactions.push(transaction);
+  return transaction;
+};
+PointTransaction.deleteOne = async ({ _id }) => {
+  await tick();
+  db.transactions = db.transactions.filter((t) => String(t._id) !== String(_id));
+};
+PointTransaction.updateOne = async () => tick();
+PointTransaction.aggregate = async () => [];
+
+RewardRule.find = () => chain([]);
+RewardMilestone.find = () => chain(DEFAULT_MILESTONES.map((m) => ({ ...m, isActive: true })));
+
+const resetWith = (points, claimedMilestones = []) => {
+  const user = { _id: new mongoose.Types.ObjectId(), points, claimedMilestones, pointsLedgerOpenedAt: new Date() };
+  db.users = [user];
+  db.claims = [];
+  db.transactions = [];
+  return user;
+};
+
+const submitClaim = async (user, points) => {
+  const req = { user: { ...user, id: String(user._id) }, body: { points, paymentMethod: 'upi', paymentDetails: 'me@upi' } };
+  const res = {
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+  await createClaim(req, res);
+  return res;
+};
+
+test('the schema declares the unique pending-claim index the stand-in enforces', () => {
+  const index = Claim.schema.indexes().find(([fields]) => JSON.stringify(fields) === JSON.stringify({ user: 1 }));
+  assert.ok(index, 'missing { user: 1 } index');
+  assert.equal(index[1].unique, true);
+  assert.deepEqual(index[1].partialFilterExpression, { status: 'pending' });
+});
+
+test('parallel claims for the same milestone create one claim and deduct once', async () => {
+  const user = resetWith(30);
+
+  const results = await Promise.all(Array.from({ length: 8 }, () => submitClaim(user, 10)));
+
+  assert.equal(results.filter((r) => r.statusCode === 201).length, 1);
+  assert.ok(results.filter((r) => r.statusCode !== 201).every((r) => r.statusCode === 400));
+  assert.equal(db.claims.length, 1);
+  assert.equal(db.users[0].points, 20);
+  assert.deepEqual(db.users[0].claimedMilestones, [10]);
+  assert.equal(db.transactions.length, 1);
+  assert.equal(db.transactions[0].delta, -10);
+});
+
+test('parallel claims for different milestones leave at most one pending claim', async () => {
+  const user = resetWith(200);
+
+  const results = await Promise.all([10, 25, 50, 100].map((points) => submitClaim(user, points)));
+
+  const created = results.filter((r) => r.statusCode === 201);
+  assert.equal(created.length, 1);
+  assert.equal(db.claims.length, 1);
+  assert.equal(db.users[0].points, 200 - created[0].body.data.points);
+  assert.equal(db.transactions.length, 1);
+});
+
+test('a balance spent in between is not spent twice', async () => {
+  const user = resetWith(30);
+  // Another request spends the points after the pre-checks have read the old balance
+  const { findOneAndUpdate } = User;
+  User.findOneAndUpdate = (filter, update) => {
+    db.users[0].points = 5;
+    User.findOneAndUpdate = findOneAndUpdate;
+    return findOneAndUpdate(filter, update);
+  };
+
+  const res = await submitClaim(user, 25);
+
+  assert.equal(res.statusCode, 400);
+  assert.match(res.body.message, /Insufficient points/);
+  assert.equal(db.claims.length, 0);
+  assert.equal(db.transactions.length, 0);
+  assert.equal(db.users[0].points, 5);
+});
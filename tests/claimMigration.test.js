@@ -0,0 +1,101 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import AuditLog from '../models/AuditLog.js';
+import Claim from '../models/Claim.js';
+import PointTransaction from '../models/PointTransaction.js';
+import User from '../models/User.js';
+import { resolveDuplicatePendingClaims } from '../services/claimService.js';
+
+// In-memory stand-ins for the models resolveDuplicatePendingClaims touches
+const db = { user: null, claims: [], transactions: [] };
+
+// Awaitable like a mongoose query, with .select(); runs once
+const query = (get) => {
+  const promise = Promise.resolve().then(get);
+  promise.select = () => promise;
+  return promise;
+};
+
+const findClaim = (id) => db.claims.find((c) => String(c._id) === String(id));
+
+Claim.aggregate = async () => {
+  const pending = db.claims.filter((c) => c.status === 'pending');
+  return pending.length > 1 ? [{ _id: db.user._id, claims: pending.map((c) => ({ _id: c._id, points: c.points })) }] : [];
+};
+Claim.findById = (id) => query(() => findClaim(id) && { ...findClaim(id) });
+Claim.updateOne = async (filter, update) => {
+  const claim = findClaim(filter._id);
+  if (!claim || claim.status !== filter.status) return { matchedCount: 0 };
+  Object.assign(claim, update.$set);
+  return { matchedCount: 1 };
+};
+Claim.createIndexes = async () => {};
+
+PointTransaction.exists = async (filter) =>
+  db.transactions.some((t) => t.reason === filter.reason && String(t.sourceId) === String(filter.sourceId));
+PointTransaction.create = async (data) => {
+  const transaction = { _id: new mongoose.Types.ObjectId(), ...data };
+  db.transactions.push(transaction);
+  return transaction;
+};
+PointTransaction.updateOne = async () => {};
+
+const userDoc = () => ({
+  ...db.user,
+  claimedMilestones: [...db.user.claimedMilestones],
+  save: async function save() {
+    db.user.claimedMilestones = [...this.claimedMilestones];
+  },
+});
+User.findById = () => query(userDoc);
+User.findOneAndUpdate = () => query(() => null);
+User.findByIdAndUpdate = (id, update) =>
+  query(() => {
+    db.user.points += update.$inc.points;
+    return { points: db.user.points };
+  });
+User.updateOne = async (filter, update) => {
+  const milestones = db.user.claimedMilestones;
+  if (update.$addToSet && !milestones.includes(update.$addToSet.claimedMilestones)) {
+    milestones.push(update.$addToSet.claimedMilestones);
+  }
+  if (update.$pull) db.user.claimedMilestones = milestones.filter((m) => m !== update.$pull.claimedMilestones);
+};
+
+AuditLog.create = async (entry) => entry;
+
+const setUp = (points, claimPoints) => {
+  db.user = { _id: new mongoose.Types.ObjectId(), points, claimedMilestones: [...new Set(claimPoints)], pointsLedgerOpenedAt: new Date() };
+  db.claims = claimPoints.map((p) => ({ _id: new mongoose.Types.ObjectId(), user: db.user._id, status: 'pending', points: p, amount: 15 }));
+  db.transactions = [];
+};
+
+test('racing claims that took the points once are not refunded twice', async () => {
+  // 30 points, two claims for the 10-point milestone, one deduction between them
+  setUp(20, [10, 10]);
+
+  const rejected = await resolveDuplicatePendingClaims();
+
+  assert.equal(rejected, 1);
+  assert.deepEqual(db.claims.map((c) => c.status), ['pending', 'rejected']);
+  assert.match(db.claims[1].notes, /no points were taken/);
+  assert.equal(db.user.points, 20);
+  assert.equal(db.transactions.length, 0);
+  assert.deepEqual(db.user.claimedMilestones, [10]);
+});
+
+test('a duplicate with its own ledger deduction is refunded', async () => {
+  setUp(10, [10, 10]);
+  for (const claim of db.claims) {
+    db.transactions.push({ reason: 'claim_submitted', sourceType: 'Claim', sourceId: claim._id, delta: -10 });
+  }
+
+  const rejected = await resolveDuplicatePendingClaims();
+
+  assert.equal(rejected, 1);
+  assert.equal(db.claims[1].status, 'rejected');
+  assert.match(db.claims[1].notes, /points refunded/);
+  assert.equal(db.user.points, 20);
+  assert.deepEqual(db.user.claimedMilestones, [10]);
+});
@@ -21,7 +21,7 @@ test('apply status effects for paid transition', () => {
   const claim = { amount: 30, points: 25 };
   const user = { totalEarnings: 70, points: 120, claimedMilestones: [25] };
 
-  applyClaimStatusEffects({
+  const pointsDelta = applyClaimStatusEffects({
     previousStatus: 'processing',
     nextStatus: 'paid',
     claim,
@@ -29,6 +29,7 @@ test('apply status effects for paid transition', () => {
   });
 
   assert.equal(user.totalEarnings, 100);
+  assert.equal(pointsDelta, 0);
   assert.equal(user.points, 120);
   assert.deepEqual(user.claimedMilestones, [25]);
 });
@@ -37,7 +38,7 @@ test('apply status effects for rejected transition', () => {
   const claim = { amount: 30, points: 25 };
   const user = { totalEarnings: 100, points: 95, claimedMilestones: [10, 25] };
 
-  applyClaimStatusEffects({
+  const pointsDelta = applyClaimStatusEffects({
     previousStatus: 'processing',
     nextStatus: 'rejected',
     claim,
@@ -45,6 +46,8 @@ test('apply status effects for rejected transition', () => {
   });
 
   assert.equal(user.totalEarnings, 100);
-  assert.equal(user.points, 120);
+  // The refund is returned for the points ledger rather than applied to the user directly
+  assert.equal(pointsDelta, 25);
+  assert.equal(user.points, 95);
   assert.deepEqual(user.claimedMilestones, [10]);
 });
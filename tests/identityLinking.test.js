@@ -0,0 +1,33 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  REAUTH_MAX_AGE_MS,
+  getLinkedProviders,
+  getUnlinkError,
+  isRecentAuthentication,
+} from '../utils/identityLinking.js';
+
+test('lists the sign-in methods on an account', () => {
+  assert.deepEqual(getLinkedProviders({ password: 'hash', firebaseUid: null }), ['password']);
+  assert.deepEqual(getLinkedProviders({ firebaseUid: 'uid-1' }), ['firebase']);
+  assert.deepEqual(getLinkedProviders({ password: 'hash', firebaseUid: 'uid-1' }), ['password', 'firebase']);
+});
+
+test('never unlinks the last way to log in', () => {
+  const both = { password: 'hash', firebaseUid: 'uid-1' };
+  assert.equal(getUnlinkError(both, 'password'), null);
+  assert.equal(getUnlinkError(both, 'firebase'), null);
+
+  assert.match(getUnlinkError({ password: 'hash' }, 'password'), /Link Google first/);
+  assert.match(getUnlinkError({ firebaseUid: 'uid-1' }, 'firebase'), /Set a password first/);
+  assert.match(getUnlinkError({ password: 'hash' }, 'firebase'), /No Google/);
+  assert.match(getUnlinkError({ firebaseUid: 'uid-1' }, 'password'), /no password/);
+});
+
+test('only a recent Firebase sign-in counts as re-authentication', () => {
+  const now = Date.parse('2026-04-01T12:00:00Z');
+  const seconds = (ms) => Math.floor(ms / 1000);
+  assert.equal(isRecentAuthentication(seconds(now - 60 * 1000), now), true);
+  assert.equal(isRecentAuthentication(seconds(now - REAUTH_MAX_AGE_MS - 1000), now), false);
+  assert.equal(isRecentAuthentication(undefined, now), false);
+});
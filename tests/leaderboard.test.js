@@ -0,0 +1,41 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  computeRankAndPercentile,
+  rankLeaderboardEntries,
+} from '../utils/leaderboard.js';
+
+test('ranks by score then time taken, sharing ranks on exact ties', () => {
+  const ranked = rankLeaderboardEntries([
+    { user: 'a', score: 8, timeTaken: 400 },
+    { user: 'b', score: 9, timeTaken: 500 },
+    { user: 'c', score: 8, timeTaken: 300 },
+    { user: 'd', score: 8, timeTaken: 300 },
+    { user: 'e', score: 2, timeTaken: 100 },
+  ]);
+
+  assert.deepEqual(ranked.map((e) => [e.user, e.rank]), [
+    ['b', 1],
+    ['c', 2],
+    ['d', 2],
+    ['a', 4],
+    ['e', 5],
+  ]);
+});
+
+test('computes rank and percentile among participants', () => {
+  const entries = [
+    { user: 'a', score: 8, timeTaken: 400 },
+    { user: 'b', score: 9, timeTaken: 500 },
+    { user: 'c', score: 4, timeTaken: 300 },
+  ];
+
+  assert.deepEqual(computeRankAndPercentile(entries[0], entries), {
+    rank: 2,
+    totalParticipants: 3,
+    percentile: 50,
+  });
+  assert.equal(computeRankAndPercentile(entries[1], entries).percentile, 100);
+  assert.equal(computeRankAndPercentile(entries[2], entries).percentile, 0);
+  assert.equal(computeRankAndPercentile(entries[0], [entries[0]]).percentile, 100);
+});
@@ -0,0 +1,50 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  LOCKOUT_THRESHOLD,
+  MAX_LOCKOUT_MINUTES,
+  detectLoginAnomalies,
+  getLockRemainingSeconds,
+  getLockoutDurationMs,
+  isAccountLocked,
+} from '../utils/loginSecurity.js';
+
+const MINUTE = 60 * 1000;
+
+test('lockout starts at the threshold and doubles up to the cap', () => {
+  assert.equal(getLockoutDurationMs(0), 0);
+  assert.equal(getLockoutDurationMs(LOCKOUT_THRESHOLD - 1), 0);
+  assert.equal(getLockoutDurationMs(LOCKOUT_THRESHOLD), 1 * MINUTE);
+  assert.equal(getLockoutDurationMs(LOCKOUT_THRESHOLD + 1), 2 * MINUTE);
+  assert.equal(getLockoutDurationMs(LOCKOUT_THRESHOLD + 3), 8 * MINUTE);
+  assert.equal(getLockoutDurationMs(LOCKOUT_THRESHOLD + 50), MAX_LOCKOUT_MINUTES * MINUTE);
+});
+
+test('an account is locked only while lockUntil is in the future', () => {
+  const now = Date.parse('2026-05-01T12:00:00Z');
+  assert.equal(isAccountLocked({ lockUntil: null }, now), false);
+  assert.equal(isAccountLocked({ lockUntil: new Date(now - 1) }, now), false);
+  assert.equal(isAccountLocked({ lockUntil: new Date(now + 90 * 1000) }, now), true);
+  assert.equal(getLockRemainingSeconds({ lockUntil: new Date(now + 90 * 1000 + 1) }, now), 91);
+  assert.equal(getLockRemainingSeconds({ lockUntil: new Date(now - 1) }, now), 0);
+});
+
+test('flags logins from unseen devices and IPs, and after a run of failures', () => {
+  const chrome = { success: true, device: 'Chrome on Windows', ip: '10.0.0.1' };
+
+  // Nothing to compare the first login with
+  assert.deepEqual(detectLoginAnomalies(chrome, []), []);
+  assert.deepEqual(detectLoginAnomalies(chrome, [{ ...chrome, success: false }]), []);
+
+  assert.deepEqual(detectLoginAnomalies(chrome, [chrome]), []);
+  assert.deepEqual(
+    detectLoginAnomalies({ device: 'Safari on iOS', ip: '10.0.0.9' }, [chrome]),
+    ['new_device', 'new_ip']
+  );
+
+  const failure = { success: false, device: 'Chrome on Windows', ip: '10.0.0.1' };
+  const failures = Array.from({ length: LOCKOUT_THRESHOLD - 2 }, () => failure);
+  assert.deepEqual(detectLoginAnomalies(chrome, [...failures, chrome]), ['after_failures']);
+  // Failures before the last successful login don't count
+  assert.deepEqual(detectLoginAnomalies(chrome, [chrome, ...failures, chrome]), []);
+});
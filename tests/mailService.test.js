@@ -0,0 +1,52 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createFileTransport, sendMail, setMailTransport } from '../services/mailService.js';
+import { emailVerificationEmail, passwordResetEmail } from '../utils/emailTemplates.js';
+
+test('sends through the configured transport', async (t) => {
+  const sent = [];
+  setMailTransport(async (message) => sent.push(message));
+  t.after(() => setMailTransport(null));
+
+  await sendMail({ to: 'a@example.com', subject: 'Hi', text: 'Hello' });
+  assert.deepEqual(sent, [{ to: 'a@example.com', subject: 'Hi', text: 'Hello' }]);
+  await assert.rejects(sendMail({ subject: 'No recipient' }), /recipient/);
+});
+
+test('file transport writes one JSON file per message', async (t) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'mail-'));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+
+  await createFileTransport(dir)({ to: 'b@example.com', subject: 'Reset', text: 'link' });
+  const files = await fs.readdir(dir);
+  assert.equal(files.length, 1);
+  const saved = JSON.parse(await fs.readFile(path.join(dir, files[0]), 'utf8'));
+  assert.equal(saved.to, 'b@example.com');
+  assert.equal(saved.subject, 'Reset');
+});
+
+test('reset email links to the token and escapes user content', () => {
+  const mail = passwordResetEmail({
+    name: '<b>Asha</b>',
+    resetUrl: 'https://edulumix.in/reset-password?token=abc',
+    expiresInMinutes: 30,
+  });
+  assert.match(mail.text, /token=abc/);
+  assert.match(mail.text, /30 minutes/);
+  assert.match(mail.html, /&lt;b&gt;Asha&lt;\/b&gt;/);
+  assert.doesNotMatch(mail.html, /<b>Asha/);
+});
+
+test('verification email links to the verify page', () => {
+  const mail = emailVerificationEmail({
+    name: 'Asha',
+    verifyUrl: 'https://edulumix.in/verify-email/abc',
+    expiresInHours: 24,
+  });
+  assert.match(mail.subject, /Verify/);
+  assert.match(mail.text, /verify-email\/abc/);
+  assert.match(mail.html, /href="https:\/\/edulumix.in\/verify-email\/abc"/);
+});
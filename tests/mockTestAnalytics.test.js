@@ -0,0 +1,71 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { buildAttemptAnalytics } from '../utils/mockTestAnalytics.js';
+
+const answer = (difficulty, isCorrect, marks = 1) => ({
+  difficulty,
+  isCorrect,
+  selectedOption: 0,
+  marks,
+  marksAwarded: isCorrect ? marks : 0,
+});
+
+const attempts = [
+  {
+    _id: 'a2',
+    test: { title: 'DBMS 1', category: 'Technical - DBMS', tags: ['SQL', 'joins'] },
+    answers: [answer('Easy', true), answer('Hard', false), answer('Hard', false), answer('Medium', false), answer('Medium', false)],
+    score: 1,
+    totalMarks: 5,
+    percentage: 20,
+    submittedAt: '2026-03-10T10:00:00Z',
+  },
+  {
+    _id: 'a1',
+    test: { title: 'Aptitude 1', category: 'Aptitude', tags: ['sql'] },
+    answers: [answer('Easy', true), answer('Easy', true), answer('Medium', true), answer('Hard', false), answer('Hard', true)],
+    score: 4,
+    totalMarks: 5,
+    percentage: 80,
+    submittedAt: '2026-03-02T10:00:00Z',
+  },
+];
+
+test('groups accuracy by category, difficulty and tag', () => {
+  const result = buildAttemptAnalytics(attempts);
+
+  assert.equal(result.overall.questions, 10);
+  assert.equal(result.overall.accuracy, 50);
+  assert.deepEqual(result.byCategory.map((c) => [c.key, c.accuracy]), [
+    ['Technical - DBMS', 20],
+    ['Aptitude', 80],
+  ]);
+  assert.deepEqual(result.byDifficulty.map((d) => [d.key, d.correct, d.questions]), [
+    ['Hard', 1, 4],
+    ['Medium', 1, 3],
+    ['Easy', 3, 3],
+  ]);
+  // Tags are case-insensitive
+  assert.deepEqual(result.byTag.find((t) => t.key === 'sql').attempts, 2);
+});
+
+test('orders the trend chronologically and lists weakest categories first', () => {
+  const result = buildAttemptAnalytics(attempts);
+  assert.deepEqual(result.trend.map((t) => t.attemptId), ['a1', 'a2']);
+  assert.equal(result.weakestCategories[0].key, 'Technical - DBMS');
+});
+
+test('buckets the trend by ISO week', () => {
+  const result = buildAttemptAnalytics(attempts, { trendBy: 'week' });
+  assert.deepEqual(result.trend, [
+    { weekStart: '2026-03-02', attempts: 1, avgPercentage: 80 },
+    { weekStart: '2026-03-09', attempts: 1, avgPercentage: 20 },
+  ]);
+});
+
+test('returns empty groups when there are no attempts', () => {
+  const result = buildAttemptAnalytics([]);
+  assert.equal(result.overall.accuracy, 0);
+  assert.deepEqual(result.byCategory, []);
+  assert.deepEqual(result.weakestCategories, []);
+});
@@ -0,0 +1,156 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  gradeMockTest,
+  normalizeSubmittedAnswers,
+  sanitizeQuestionsForCandidate,
+  summarizeWeakAreas,
+} from '../utils/mockTestGrading.js';
+
+const questions = [
+  { _id: 'q1', question: '2 + 2?', options: ['3', '4'], correctAnswer: 1, explanation: 'Basic sum', marks: 1 },
+  { _id: 'q2', question: 'Capital of India?', options: ['Delhi', 'Mumbai', 'Pune'], correctAnswer: 0, marks: 2 },
+  { _id: 'q3', question: 'Largest planet?', options: ['Mars', 'Jupiter'], correctAnswer: 1, marks: 1 },
+];
+
+test('normalizes array and object answer formats', () => {
+  assert.deepEqual(normalizeSubmittedAnswers(questions, [1, null, '1']), [1, null, 1]);
+  assert.deepEqual(
+    normalizeSubmittedAnswers(questions, [{ questionId: 'q3', selectedOption: 0 }]),
+    [null, null, 0]
+  );
+  assert.deepEqual(normalizeSubmittedAnswers(questions, { q2: 2, unknown: 1 }), [null, 2, null]);
+  assert.deepEqual(normalizeSubmittedAnswers(questions, [-1, 1.5, 'x']), [null, null, null]);
+});
+
+test('grades answers using correctAnswer and marks', () => {
+  const result = gradeMockTest({ questions, passingMarks: 2 }, [1, 0, 0]);
+
+  assert.equal(result.score, 3);
+  assert.equal(result.totalMarks, 4);
+  assert.equal(result.correctCount, 2);
+  assert.equal(result.attemptedCount, 3);
+  assert.equal(result.passed, true);
+  assert.equal(result.percentage, 75);
+  assert.deepEqual(result.results.map((r) => r.isCorrect), [true, true, false]);
+  assert.equal(result.results[0].explanation, 'Basic sum');
+});
+
+test('ignores out-of-range options and fails below passing marks', () => {
+  const result = gradeMockTest({ questions, passingMarks: 2 }, [5, null, 1]);
+
+  assert.equal(result.score, 1);
+  assert.equal(result.attemptedCount, 1);
+  assert.equal(result.results[0].selectedOption, null);
+  assert.equal(result.passed, false);
+});
+
+test('sanitized questions do not include answer keys', () => {
+  const [first] = sanitizeQuestionsForCandidate(questions);
+  assert.equal(first.correctAnswer, undefined);
+  assert.equal(first.explanation, undefined);
+  assert.deepEqual(first.options, ['3', '4']);
+});
+
+test('summarizes accuracy per difficulty, weakest first', () => {
+  const summary = summarizeWeakAreas([
+    { difficulty: 'Easy', isCorrect: true, selectedOption: 1 },
+    { difficulty: 'Hard', isCorrect: false, selectedOption: 0 },
+    { difficulty: 'Hard', isCorrect: false, selectedOption: null },
+    { difficulty: 'Easy', isCorrect: false, selectedOption: 2 },
+  ]);
+
+  assert.deepEqual(summary.map((s) => s.difficulty), ['Hard', 'Easy']);
+  assert.equal(summary[0].accuracy, 0);
+  assert.equal(summary[0].attempted, 1);
+  assert.equal(summary[1].accuracy, 50);
+});
+
+test('merges new answers over previously saved ones', () => {
+  const saved = [1, 0, null];
+  assert.deepEqual(normalizeSubmittedAnswers(questions, { q3: 1 }, saved), [1, 0, 1]);
+  assert.deepEqual(normalizeSubmittedAnswers(questions, { q1: null }, saved), [null, 0, null]);
+});
+
+test('grades multi-select, numeric and code-output questions with negative marking', () => {
+  const typed = [
+    { _id: 'm', type: 'multiple', options: ['a', 'b', 'c'], correctAnswers: [0, 2], marks: 2, negativeMarks: 0.5 },
+    { _id: 'n', type: 'numeric', options: [], numericAnswer: 9.81, tolerance: 0.05, marks: 1 },
+    { _id: 'c', type: 'code_output', options: [], expectedOutput: 'Hello\n42', marks: 1, negativeMarks: 1 },
+    { _id: 's', options: ['x', 'y'], correctAnswer: 0, marks: 1, negativeMarks: 0.25 },
+  ];
+
+  const result = gradeMockTest({ questions: typed, passingMarks: 3 }, {
+    m: [2, 0],
+    n: '9.78',
+    c: 'Hello  \r\n42\n',
+    s: 1,
+  });
+  assert.deepEqual(result.results.map((r) => r.isCorrect), [true, true, true, false]);
+  assert.equal(result.score, 3.75);
+  assert.equal(result.passed, true);
+  assert.deepEqual(result.results[0].correctAnswer, [0, 2]);
+
+  const wrong = gradeMockTest({ questions: typed, passingMarks: 3 }, { m: [0], n: 10, c: 'Hello' });
+  assert.deepEqual(wrong.results.map((r) => r.marksAwarded), [-0.5, 0, -1, 0]);
+  assert.equal(wrong.score, -1.5);
+  assert.equal(wrong.attemptedCount, 3);
+});
+
+test('applies section negative marking and sectional cutoffs', () => {
+  const sectioned = {
+    passingMarks: 2,
+    sections: [
+      { name: 'Quant', negativeMarks: 0.5, passingMarks: 1 },
+      { name: 'English', negativeMarks: 0, passingMarks: 1 },
+    ],
+    questions: [
+      { _id: 'q1', section: 'Quant', options: ['a', 'b'], correctAnswer: 0, marks: 2 },
+      { _id: 'q2', section: 'Quant', options: ['a', 'b'], correctAnswer: 1, marks: 1 },
+      { _id: 'q3', section: 'Quant', options: ['a', 'b'], correctAnswer: 1, marks: 1, negativeMarks: 1 },
+      { _id: 'e1', section: 'English', options: ['a', 'b'], correctAnswer: 1, marks: 1 },
+    ],
+  };
+
+  const result = gradeMockTest(sectioned, [0, 0, 0, 0]);
+
+  assert.deepEqual(result.results.map((r) => r.marksAwarded), [2, -0.5, -1, 0]);
+  assert.equal(result.score, 0.5);
+  assert.deepEqual(
+    result.sections.map((s) => [s.name, s.score, s.totalMarks, s.passed]),
+    [['Quant', 0.5, 4, false], ['English', 0, 1, false]]
+  );
+  assert.equal(result.passed, false);
+
+  const passing = gradeMockTest(sectioned, [0, 1, null, 1]);
+  assert.equal(passing.score, 4);
+  assert.deepEqual(passing.sections.map((s) => s.passed), [true, true]);
+  assert.equal(passing.sections[0].attemptedCount, 2);
+  assert.equal(passing.passed, true);
+
+  // Overall pass mark met, but the English cutoff is not
+  assert.equal(gradeMockTest(sectioned, [0, 1, 1, 0]).passed, false);
+});
+
+test('a section without a cutoff passes even with a negative score', () => {
+  const sectioned = {
+    passingMarks: 1,
+    sections: [
+      { name: 'Quant', negativeMarks: 0, passingMarks: 1 },
+      { name: 'English', negativeMarks: 1 },
+    ],
+    questions: [
+      { _id: 'q1', section: 'Quant', options: ['a', 'b'], correctAnswer: 0, marks: 3 },
+      { _id: 'e1', section: 'English', options: ['a', 'b'], correctAnswer: 1, marks: 1 },
+    ],
+  };
+
+  const result = gradeMockTest(sectioned, [0, 0]);
+
+  assert.equal(result.score, 2);
+  assert.deepEqual(
+    result.sections.map((s) => [s.name, s.score, s.passed]),
+    [['Quant', 3, true], ['English', -1, true]]
+  );
+  assert.equal(result.passed, true);
+});
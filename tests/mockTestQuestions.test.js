@@ -0,0 +1,110 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCsv, toCsv } from '../utils/csv.js';
+import {
+  parseQuestionsFile,
+  questionsToCsv,
+  questionsToJson,
+  validateQuestionsInput,
+} from '../utils/mockTestQuestions.js';
+
+test('parses quoted CSV fields with commas, quotes and newlines', () => {
+  const rows = parseCsv('a,b\r\n"x, y","say ""hi""\nthere"\n\n');
+  assert.deepEqual(rows, [['a', 'b'], ['x, y', 'say "hi"\nthere']]);
+  assert.deepEqual(parseCsv(toCsv(rows)), rows);
+});
+
+test('imports CSV questions with per-row validation errors', () => {
+  const csv = [
+    'Question,Option1,Option2,Option3,Correct Option,Explanation,Difficulty,Marks',
+    'What is 2+2?,3,4,5,2,Simple sum,easy,1',
+    'Pick B,A,B,,B,,Hard,2',
+    ',A,B,,1,,,',
+    'Out of range,A,B,,4,,,',
+    'Bad difficulty,A,B,,1,,Extreme,0',
+  ].join('\n');
+
+  const { questions, errors, total } = parseQuestionsFile(csv, 'csv');
+
+  assert.equal(total, 5);
+  assert.equal(questions.length, 2);
+  assert.deepEqual(questions[0], {
+    type: 'single',
+    question: 'What is 2+2?',
+    options: ['3', '4', '5'],
+    correctAnswer: 1,
+    explanation: 'Simple sum',
+    difficulty: 'Easy',
+    marks: 1,
+    negativeMarks: 0,
+  });
+  assert.deepEqual(questions[1].options, ['A', 'B']);
+  assert.equal(questions[1].correctAnswer, 1);
+
+  assert.deepEqual(errors.map((e) => e.row), [4, 5, 6]);
+  assert.match(errors[0].errors[0], /Question text is required/);
+  assert.match(errors[1].errors[0], /out of range/);
+  assert.equal(errors[2].errors.length, 2);
+});
+
+test('imports JSON questions and reports malformed files', () => {
+  const json = JSON.stringify({
+    questions: [
+      { question: 'Q1', options: ['a', 'b'], correctAnswer: 0 },
+      { question: 'Q2', options: ['a'], correctOption: 1 },
+    ],
+  });
+  const { questions, errors } = parseQuestionsFile(json, 'json');
+  assert.equal(questions.length, 1);
+  assert.equal(questions[0].difficulty, 'Medium');
+  assert.deepEqual(errors, [{ row: 2, errors: ['At least 2 options are required'] }]);
+
+  assert.match(parseQuestionsFile('{oops', 'json').errors[0].errors[0], /Invalid JSON/);
+});
+
+test('exported CSV and JSON can be imported back unchanged', () => {
+  const original = [
+    { type: 'single', question: 'Q, with comma', options: ['a', 'b', 'c'], correctAnswer: 2, explanation: 'x', difficulty: 'Hard', marks: 2, negativeMarks: 0.5 },
+    { type: 'single', section: 'Reasoning', question: 'Q2', options: ['yes', 'no'], correctAnswer: 0, explanation: '', difficulty: 'Easy', marks: 1, negativeMarks: 0 },
+    { type: 'multiple', question: 'Q3', options: ['w', 'x', 'y', 'z'], correctAnswers: [0, 3], explanation: '', difficulty: 'Medium', marks: 2, negativeMarks: 0 },
+    { type: 'numeric', question: 'Q4', options: [], numericAnswer: 3.14, tolerance: 0.01, explanation: '', difficulty: 'Medium', marks: 1, negativeMarks: 0 },
+    { type: 'code_output', question: 'Q5', options: [], code: 'print("a,b")\nprint(1)', expectedOutput: 'a,b\n1', explanation: '', difficulty: 'Hard', marks: 1, negativeMarks: 0 },
+  ];
+
+  assert.deepEqual(parseQuestionsFile(questionsToCsv(original), 'csv').questions, original);
+  assert.deepEqual(parseQuestionsFile(JSON.stringify(questionsToJson(original)), 'json').questions, original);
+});
+
+test('questions and options starting with a sign survive the CSV round trip', () => {
+  const original = [
+    { type: 'single', question: '-5 + 3 equals?', options: ['-2', '-8', '+2'], correctAnswer: 0, explanation: '=-2', difficulty: 'Easy', marks: 1, negativeMarks: 0 },
+    { type: 'single', question: '@mention is?', options: ['a tag', 'an email'], correctAnswer: 0, explanation: '', difficulty: 'Easy', marks: 1, negativeMarks: 0 },
+  ];
+
+  assert.deepEqual(parseQuestionsFile(questionsToCsv(original), 'csv').questions, original);
+});
+
+test('validates type-specific fields', () => {
+  const { questions, errors } = validateQuestionsInput([
+    { type: 'multiple', question: 'Pick primes', options: ['2', '4', '5'], correctAnswers: [2, 0] },
+    { type: 'multiple', question: 'No key', options: ['a', 'b'] },
+    { type: 'numeric', question: 'Pi?', numericAnswer: '3.14', tolerance: 0.01, options: ['ignored'] },
+    { type: 'numeric', question: 'Missing', tolerance: -1 },
+    { type: 'code_output', question: 'Output?', code: 'print(1)' },
+    { type: 'essay', question: 'Nope' },
+    { _id: '65f1c0ffee0000000000abcd', question: 'Keep id', options: ['a', 'b'], correctAnswer: 1, negativeMarks: 0.25 },
+  ]);
+
+  assert.equal(questions.length, 3);
+  assert.deepEqual(questions[0].correctAnswers, [0, 2]);
+  assert.deepEqual(questions[1].options, []);
+  assert.equal(questions[1].numericAnswer, 3.14);
+  assert.equal(questions[2]._id, '65f1c0ffee0000000000abcd');
+  assert.equal(questions[2].negativeMarks, 0.25);
+
+  assert.deepEqual(errors.map((e) => e.index), [1, 3, 4, 5]);
+  assert.match(errors[0].errors[0], /At least one correct option/);
+  assert.deepEqual(errors[1].errors, ['Numeric answer is required', 'Tolerance must be a non-negative number']);
+  assert.deepEqual(errors[2].errors, ['Expected output is required for code output questions']);
+  assert.match(errors[3].errors[0], /Type must be one of/);
+});
@@ -0,0 +1,79 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  advanceSectionTimers,
+  buildSectionTimers,
+  closeOpenSection,
+  getTimedAttemptDeadline,
+  orderBySection,
+  summarizeSections,
+  validateSections,
+} from '../utils/mockTestSections.js';
+
+const sections = [
+  { name: 'Quant', duration: 20, negativeMarks: 0.25, passingMarks: 2 },
+  { name: 'Reasoning', duration: 10, negativeMarks: 0, passingMarks: 1 },
+];
+
+const questions = [
+  { _id: 'r1', section: 'Reasoning', marks: 1 },
+  { _id: 'q1', section: 'Quant', marks: 2 },
+  { _id: 'q2', section: 'Quant', marks: 1 },
+];
+
+const at = (minutes) => new Date(Date.UTC(2026, 0, 1, 10, minutes));
+
+test('validates section names, timing and question assignment', () => {
+  assert.equal(validateSections({ sections, questions }), null);
+  assert.equal(validateSections({ sections: [], questions: [{ section: '' }] }), null);
+
+  assert.match(validateSections({ sections: [...sections, { name: 'quant' }], questions }), /Duplicate section/);
+  assert.match(validateSections({ sections: [sections[0], { name: 'Reasoning' }], questions }), /every section has a duration/);
+  assert.match(validateSections({ sections, questions: [...questions, { section: 'English' }] }), /unknown section "English"/);
+  assert.match(validateSections({ sections, questions: [...questions, {}] }), /not assigned to a section/);
+  assert.match(validateSections({ sections, questions: questions.slice(1) }), /"Reasoning" has no questions/);
+  assert.match(
+    validateSections({ sections: [{ ...sections[0], passingMarks: 4 }, sections[1]], questions }),
+    /exceed the section's 3 marks/
+  );
+  assert.match(validateSections({ sections: [], questions }), /reference sections/);
+});
+
+test('summarizes section totals and groups questions in section order', () => {
+  assert.deepEqual(
+    summarizeSections(sections, questions).map((s) => [s.name, s.totalQuestions, s.totalMarks]),
+    [['Quant', 2, 3], ['Reasoning', 1, 1]]
+  );
+  assert.deepEqual(orderBySection(questions, sections).map((q) => q._id), ['q1', 'q2', 'r1']);
+});
+
+test('opens sections one after another as their time runs out', () => {
+  const timers = buildSectionTimers(sections, at(0));
+  assert.deepEqual(timers[0].deadline, at(20));
+  assert.equal(timers[1].startedAt, null);
+  assert.deepEqual(getTimedAttemptDeadline(timers), at(30));
+
+  assert.equal(advanceSectionTimers(timers, at(20).getTime()), 0);
+  assert.equal(advanceSectionTimers(timers, at(21).getTime(), 2 * 60 * 1000), 0);
+
+  assert.equal(advanceSectionTimers(timers, at(25).getTime()), 1);
+  assert.deepEqual(timers[0].closedAt, at(20));
+  assert.deepEqual(timers[1].startedAt, at(20));
+  assert.deepEqual(timers[1].deadline, at(30));
+
+  assert.equal(advanceSectionTimers(timers, at(45).getTime()), -1);
+  assert.deepEqual(getTimedAttemptDeadline(timers), at(30));
+});
+
+test('moving on early starts the next section immediately and pulls the deadline in', () => {
+  const timers = buildSectionTimers(sections, at(0));
+
+  assert.equal(closeOpenSection(timers, at(5)), 1);
+  assert.deepEqual(timers[0].closedAt, at(5));
+  assert.deepEqual(timers[1].deadline, at(15));
+  assert.deepEqual(getTimedAttemptDeadline(timers), at(15));
+
+  assert.equal(closeOpenSection(timers, at(8)), -1);
+  assert.deepEqual(getTimedAttemptDeadline(timers), at(8));
+  assert.equal(closeOpenSection(timers, at(9)), -1);
+});
@@ -0,0 +1,110 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  buildAttemptLayout,
+  drawQuestions,
+  shuffle,
+  toDisplayOption,
+  toDisplayResults,
+  toOriginalOption,
+  validatePoolSettings,
+} from '../utils/mockTestShuffle.js';
+
+// Deterministic pseudo-random sequence for repeatable shuffles
+const seeded = (seed = 42) => () => {
+  seed = (seed * 16807) % 2147483647;
+  return (seed - 1) / 2147483646;
+};
+
+const pool = [
+  { _id: 'e1', difficulty: 'Easy', options: ['a', 'b', 'c', 'd'] },
+  { _id: 'e2', difficulty: 'Easy', options: ['a', 'b', 'c', 'd'] },
+  { _id: 'm1', difficulty: 'Medium', options: ['a', 'b'] },
+  { _id: 'm2', difficulty: 'Medium', options: ['a', 'b'] },
+  { _id: 'h1', difficulty: 'Hard', options: ['a', 'b', 'c'] },
+  { _id: 'h2', difficulty: 'Hard', options: ['a', 'b', 'c'] },
+];
+
+test('shuffle returns a permutation without mutating the input', () => {
+  const input = [1, 2, 3, 4, 5];
+  const output = shuffle(input, seeded());
+  assert.deepEqual(input, [1, 2, 3, 4, 5]);
+  assert.deepEqual([...output].sort(), [1, 2, 3, 4, 5]);
+});
+
+test('draws the requested difficulty mix and fills up to questionsPerAttempt', () => {
+  const drawn = drawQuestions(
+    { questions: pool, questionsPerAttempt: 4, difficultyMix: { Easy: 1, Hard: 2 } },
+    seeded()
+  );
+
+  assert.equal(drawn.length, 4);
+  assert.equal(drawn.filter((q) => q.difficulty === 'Easy').length >= 1, true);
+  assert.equal(drawn.filter((q) => q.difficulty === 'Hard').length, 2);
+});
+
+test('uses every question when no pool settings are set', () => {
+  assert.deepEqual(drawQuestions({ questions: pool }).map((q) => q._id), pool.map((q) => q._id));
+});
+
+test('layout keeps identity option order unless options are shuffled', () => {
+  const plain = buildAttemptLayout({ questions: pool }, seeded());
+  assert.deepEqual(plain[0], { questionId: 'e1', optionOrder: [0, 1, 2, 3] });
+
+  const shuffled = buildAttemptLayout({ questions: pool, shuffleQuestions: true, shuffleOptions: true }, seeded());
+  assert.equal(shuffled.length, pool.length);
+  for (const entry of shuffled) {
+    const q = pool.find((p) => p._id === entry.questionId);
+    assert.deepEqual([...entry.optionOrder].sort(), q.options.map((_, i) => i));
+  }
+});
+
+test('maps display option positions to original indexes and back', () => {
+  const order = [2, 0, 3, 1];
+  assert.equal(toOriginalOption(order, 0), 2);
+  assert.equal(toDisplayOption(order, 2), 0);
+  assert.equal(toOriginalOption(order, null), null);
+  assert.equal(toOriginalOption([], 3), 3);
+  assert.equal(toDisplayOption(order, 9), null);
+});
+
+test('rejects pool settings that cannot be satisfied', () => {
+  assert.equal(validatePoolSettings({ questions: pool, questionsPerAttempt: 4 }), null);
+  assert.match(validatePoolSettings({ questions: pool, questionsPerAttempt: 10 }), /exceeds/);
+  assert.match(validatePoolSettings({ questions: pool, difficultyMix: { Hard: 3 } }), /only 2 are available/);
+  assert.match(
+    validatePoolSettings({ questions: pool, questionsPerAttempt: 2, difficultyMix: { Easy: 2, Hard: 1 } }),
+    /exceeds questions per attempt/
+  );
+});
+
+test('maps multi-select responses element-wise', () => {
+  const order = [2, 0, 3, 1];
+  assert.deepEqual(toOriginalOption(order, [3, 0]), [1, 2]);
+  assert.deepEqual(toDisplayOption(order, [1, 2]), [0, 3]);
+  assert.equal(toOriginalOption(order, [7]), null);
+});
+
+test('reports graded answers in the option order of a shuffled attempt', () => {
+  const questions = [
+    { _id: 'q1', options: ['Paris', 'Rome', 'Oslo', 'Bern'] },
+    { _id: 'q2', options: ['1', '2', '3'] },
+    { _id: 'q3' },
+  ];
+  const results = [
+    { questionId: 'q1', selectedOption: 1, correctAnswer: 0 },
+    { questionId: 'q2', selectedOption: [0, 2], correctAnswer: [0, 2] },
+    { questionId: 'q3', selectedOption: 42, correctAnswer: 42 },
+  ];
+
+  const [single, multi, numeric] = toDisplayResults(results, questions, [[2, 0, 3, 1], [1, 2, 0], []]);
+
+  assert.deepEqual(single.options, ['Oslo', 'Paris', 'Bern', 'Rome']);
+  assert.equal(single.options[single.selectedOption], 'Rome');
+  assert.equal(single.options[single.correctAnswer], 'Paris');
+  assert.deepEqual(multi.options, ['2', '3', '1']);
+  assert.deepEqual(multi.correctAnswer, [1, 2]);
+  assert.equal(numeric.selectedOption, 42);
+  assert.equal(numeric.correctAnswer, 42);
+  assert.deepEqual(numeric.options, []);
+});
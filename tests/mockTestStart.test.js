@@ -0,0 +1,72 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import MockTest from '../models/MockTest.js';
+import TestAttempt from '../models/TestAttempt.js';
+import { startMockTest } from '../controllers/mockTestController.js';
+
+// In-memory stand-ins that yield before each operation, so parallel requests interleave between
+// their reads and writes. TestAttempt.create enforces the unique open-attempt index.
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+const chain = (get) => {
+  const promise = tick().then(get);
+  promise.sort = () => promise;
+  return promise;
+};
+
+const mockTest = {
+  _id: new mongoose.Types.ObjectId(),
+  isPublished: true,
+  duration: 30,
+  passingMarks: 1,
+  totalMarks: 2,
+  sections: [],
+  questions: [
+    { _id: new mongoose.Types.ObjectId(), question: 'One?', options: ['a', 'b'], correctAnswer: 0 },
+    { _id: new mongoose.Types.ObjectId(), question: 'Two?', options: ['a', 'b'], correctAnswer: 1 },
+  ],
+};
+const attempts = [];
+
+const isOpenFor = (filter) => (a) =>
+  String(a.user) === String(filter.user) && String(a.test) === String(filter.test) && a.status === filter.status;
+
+MockTest.findById = () => chain(() => mockTest);
+TestAttempt.findOne = (filter) => chain(() => attempts.find(isOpenFor(filter)) || null);
+TestAttempt.create = async (data) => {
+  await tick();
+  const attempt = new TestAttempt(data);
+  if (attempts.some(isOpenFor(attempt))) {
+    throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+  }
+  attempts.push(attempt);
+  return attempt;
+};
+
+const call = async (userId) => {
+  const res = {
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+  await startMockTest({ params: { id: String(mockTest._id) }, user: { id: userId } }, res);
+  return res;
+};
+
+test('parallel starts share one open attempt', async () => {
+  const userId = new mongoose.Types.ObjectId();
+
+  const responses = await Promise.all([call(userId), call(userId)]);
+
+  assert.equal(attempts.length, 1);
+  assert.deepEqual(responses.map((r) => r.statusCode).sort(), [200, 201]);
+  for (const res of responses) {
+    assert.equal(res.body.success, true);
+    assert.equal(String(res.body.data.attemptId), String(attempts[0]._id));
+  }
+});
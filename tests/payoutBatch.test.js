@@ -0,0 +1,117 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCsv } from '../utils/csv.js';
+import {
+  PAYOUT_CSV_HEADER,
+  formatBatchReference,
+  parseReconciliationCsv,
+  payoutBatchToCsv,
+  summarizeBatchClaims,
+} from '../utils/payoutBatch.js';
+
+const CLAIM_A = '64b7f0c2a1b2c3d4e5f60718';
+const CLAIM_B = '64b7f0c2a1b2c3d4e5f60719';
+const CLAIM_C = '64b7f0c2a1b2c3d4e5f6071a';
+
+test('batch references combine the creation date and the end of the batch id', () => {
+  assert.equal(
+    formatBatchReference('64b7f0c2a1b2c3d4e54f2a9c', new Date('2026-10-19T12:00:00Z')),
+    'PB-20261019-4F2A9C'
+  );
+});
+
+test('batch totals leave out claims rejected after batching', () => {
+  const summary = summarizeBatchClaims([
+    { status: 'processing', amount: 30 },
+    { status: 'paid', amount: 15 },
+    { status: 'rejected', amount: 60 },
+  ]);
+  assert.deepEqual(summary, { claimCount: 2, totalAmount: 45, unpaid: 1 });
+
+  // Nothing left to pay once the last unpaid claim is rejected
+  assert.equal(summarizeBatchClaims([{ status: 'paid', amount: 15 }, { status: 'rejected', amount: 30 }]).unpaid, 0);
+});
+
+test('exports UPI IDs and phone numbers in their own columns', () => {
+  const csv = payoutBatchToCsv('PB-20261019-4F2A9C', [
+    { _id: CLAIM_A, user: { name: 'Doe, Jane', email: 'jane@example.com' }, paymentMethod: 'upi', paymentDetails: 'jane@upi', amount: 30, points: 25 },
+    { _id: CLAIM_B, user: { name: 'Sam', email: 'sam@example.com' }, paymentMethod: 'phone', paymentDetails: '9876543210', amount: 15, points: 10 },
+  ]);
+
+  const [header, upi, phone] = parseCsv(csv);
+  assert.deepEqual(header, PAYOUT_CSV_HEADER);
+  assert.deepEqual(upi, [CLAIM_A, 'Doe, Jane', 'jane@example.com', 'upi', 'jane@upi', '', '30', 'PB-20261019-4F2A9C reward 25 points', '']);
+  assert.deepEqual(phone.slice(3, 7), ['phone', '', '9876543210', '15']);
+});
+
+test('phone numbers with a country code are exported as entered', () => {
+  const csv = payoutBatchToCsv('PB-20261019-4F2A9C', [
+    { _id: CLAIM_A, user: { name: 'Sam', email: 'sam@example.com' }, paymentMethod: 'phone', paymentDetails: '+91 98765-43210', amount: 15, points: 10 },
+  ]);
+
+  const [, row] = parseCsv(csv);
+  assert.equal(row[5], '+91 98765-43210');
+});
+
+test('neutralizes spreadsheet formulas in user-provided cells', () => {
+  const csv = payoutBatchToCsv('PB-20261019-4F2A9C', [
+    {
+      _id: CLAIM_A,
+      user: { name: '=HYPERLINK("http://evil.example","Click")', email: '@evil' },
+      paymentMethod: 'upi',
+      paymentDetails: '+cmd|\' /C calc\'!A0',
+      amount: 30,
+      points: 25,
+    },
+  ]);
+
+  assert.ok(csv.includes(`"'=HYPERLINK(""http://evil.example"",""Click"")"`));
+  const [, row] = parseCsv(csv);
+  assert.equal(row[1], `'=HYPERLINK("http://evil.example","Click")`);
+  assert.equal(row[2], "'@evil");
+  assert.equal(row[4], "'+cmd|' /C calc'!A0");
+  assert.equal(row[6], '30');
+});
+
+test('reads the exported file back with transaction IDs filled in', () => {
+  const csv = [
+    'claim_id,name,amount,transaction_id',
+    `${CLAIM_A},Jane,30,UTR123`,
+    `${CLAIM_B},Sam,15,`,
+    `${CLAIM_C},Ann,60, UTR456 `,
+  ].join('\n');
+
+  const { rows, skipped, errors, total } = parseReconciliationCsv(csv);
+
+  assert.equal(total, 3);
+  assert.deepEqual(rows, [
+    { row: 2, claimId: CLAIM_A, transactionId: 'UTR123' },
+    { row: 4, claimId: CLAIM_C, transactionId: 'UTR456' },
+  ]);
+  assert.deepEqual(skipped, [3]);
+  assert.deepEqual(errors, []);
+});
+
+test('reports invalid claim IDs, duplicates and long transaction IDs per row', () => {
+  const csv = [
+    'Claim ID,Transaction ID',
+    `${CLAIM_A},UTR1`,
+    'not-a-claim,UTR2',
+    `${CLAIM_A},UTR3`,
+    `${CLAIM_B},UTR1`,
+    `${CLAIM_C},${'9'.repeat(101)}`,
+    'bad,',
+  ].join('\n');
+
+  const { rows, skipped, errors } = parseReconciliationCsv(csv);
+
+  assert.deepEqual(rows.map((r) => r.row), [2]);
+  assert.deepEqual(skipped, []);
+  assert.deepEqual(
+    errors.map((e) => [e.row, e.errors.length]),
+    [[3, 1], [4, 1], [5, 1], [6, 1], [7, 1]]
+  );
+  assert.match(errors[1].errors[0], /claim appears more than once/);
+  assert.match(errors[2].errors[0], /transaction_id appears more than once/);
+  assert.match(errors[3].errors[0], /cannot exceed 100/);
+});
@@ -0,0 +1,91 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_ROLES,
+  MODERATION_SECTIONS,
+  canGrantPermissions,
+  canModifyRecord,
+  hasAnyPermission,
+  hasPermission,
+  isValidPermission,
+  resolvePermissions,
+} from '../utils/permissions.js';
+
+const rolesByName = new Map(DEFAULT_ROLES.map((role) => [role.name, role]));
+
+test('default roles grant what the old hard-coded checks allowed', () => {
+  const admin = resolvePermissions(['super_admin'], rolesByName);
+  assert.equal(hasPermission(admin, 'claims:pay'), true);
+  assert.equal(hasPermission(admin, 'roles:manage'), true);
+
+  const techBlogger = resolvePermissions(['tech_blog_poster'], rolesByName);
+  assert.equal(hasPermission(techBlogger, 'blogs:create'), true);
+  assert.equal(hasPermission(techBlogger, 'jobs:create'), false);
+
+  assert.equal(resolvePermissions(['others'], rolesByName).size, 0);
+  assert.equal(resolvePermissions(['no_such_role'], rolesByName).size, 0);
+});
+
+test('permissions of several roles are combined', () => {
+  const granted = resolvePermissions(['job_poster', 'blog_poster'], rolesByName);
+  assert.deepEqual([...granted].sort(), ['blogs:create', 'jobs:create']);
+  assert.equal(hasAnyPermission(granted, ['products:create', 'blogs:create']), true);
+  assert.equal(hasAnyPermission(granted, ['products:create', 'courses:create']), false);
+});
+
+test('resource wildcards cover every action of that resource only', () => {
+  const granted = new Set(['courses:*']);
+  assert.equal(hasPermission(granted, 'courses:publish'), true);
+  assert.equal(hasPermission(granted, 'mocktests:publish'), false);
+  assert.equal(hasPermission(['*'], 'anything:at_all'), true);
+});
+
+test('validates permission names and wildcards', () => {
+  assert.equal(isValidPermission('jobs:create'), true);
+  assert.equal(isValidPermission('jobs:*'), true);
+  assert.equal(isValidPermission('*'), true);
+  assert.equal(isValidPermission('jobs:fly'), false);
+  assert.equal(isValidPermission('spaceships:*'), false);
+});
+
+test('owners with create, or anyone with manage, may modify a record', () => {
+  const perms = { createPermission: 'courses:create', managePermission: 'courses:manage' };
+  const author = new Set(['courses:create']);
+  assert.equal(canModifyRecord(author, perms, 'u1', 'u1'), true);
+  assert.equal(canModifyRecord(author, perms, { _id: 'u1' }, 'u1'), true);
+  assert.equal(canModifyRecord(author, perms, 'u2', 'u1'), false);
+  assert.equal(canModifyRecord(new Set(['courses:manage']), perms, 'u2', 'u1'), true);
+  assert.equal(canModifyRecord(new Set(), perms, 'u1', 'u1'), false);
+});
+
+test('only permissions the admin holds can be granted', () => {
+  const moderator = new Set(['blogs:*', 'users:approve', 'roles:assign']);
+  assert.equal(canGrantPermissions(moderator, ['blogs:create', 'blogs:purge']), true);
+  assert.equal(canGrantPermissions(moderator, ['blogs:*']), true);
+  assert.equal(canGrantPermissions(moderator, ['blogs:create', 'claims:pay']), false);
+  assert.equal(canGrantPermissions(moderator, ['*']), false);
+  assert.equal(canGrantPermissions(new Set(['*']), ['*']), true);
+  assert.equal(canGrantPermissions(moderator, []), true);
+});
+
+test('moderators get content permissions only in their assigned sections', () => {
+  const blogsOnly = resolvePermissions(['moderator'], rolesByName, ['blogs']);
+  assert.equal(hasPermission(blogsOnly, 'blogs:manage'), true);
+  assert.equal(hasPermission(blogsOnly, 'jobs:manage'), false);
+  assert.equal(hasPermission(blogsOnly, 'users:approve'), true);
+  assert.equal(hasPermission(blogsOnly, 'claims:review'), true);
+
+  const everywhere = resolvePermissions(['moderator'], rolesByName, MODERATION_SECTIONS);
+  for (const forbidden of ['claims:pay', 'roles:assign', 'roles:manage', 'users:manage']) {
+    assert.equal(hasPermission(everywhere, forbidden), false, forbidden);
+  }
+  for (const section of MODERATION_SECTIONS) {
+    assert.equal(hasPermission(everywhere, `${section}:manage`), true, section);
+    assert.equal(hasPermission(everywhere, `${section}:purge`), false, section);
+  }
+
+  // Sections do not limit unscoped roles, and scoped roles never pass on `*`
+  const scopedAll = new Map([['wide', { permissions: ['*'], sectionScoped: true }]]);
+  assert.equal(resolvePermissions(['wide'], scopedAll, MODERATION_SECTIONS).size, 0);
+  assert.equal(hasPermission(resolvePermissions(['job_poster'], rolesByName, []), 'jobs:create'), true);
+});
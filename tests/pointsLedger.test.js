@@ -0,0 +1,57 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { clampDeduction, findBalanceDrift, getHoldCutoff, getPointTransactionKey } from '../utils/pointsLedger.js';
+
+test('deductions stop at zero; awards are unchanged', () => {
+  assert.equal(clampDeduction(-1, 5), -1);
+  assert.equal(clampDeduction(-25, 10), -10);
+  assert.equal(clampDeduction(-1, 0), 0);
+  assert.equal(clampDeduction(-1, -3), 0);
+  assert.equal(clampDeduction(3, 0), 3);
+});
+
+test('transaction keys identify reason and source', () => {
+  assert.equal(getPointTransactionKey('content_created', 'Job', 'abc'), 'content_created:Job:abc');
+  assert.equal(
+    getPointTransactionKey('engagement_bonus', 'Blog', 'abc', 'views:100'),
+    'engagement_bonus:Blog:abc:views:100'
+  );
+});
+
+test('finds drifted balances and users without a ledger', () => {
+  const openedAt = new Date('2026-01-01T00:00:00Z');
+  const users = [
+    { _id: 'a', points: 5, pointsLedgerOpenedAt: openedAt },
+    { _id: 'b', points: 7, pointsLedgerOpenedAt: openedAt },
+    { _id: 'c', points: 12 },
+    { _id: 'd', points: 0 },
+    { _id: 'e', points: 3, pointsLedgerOpenedAt: openedAt },
+  ];
+  const ledger = new Map([
+    ['a', { balance: 5, count: 5 }],
+    ['b', { balance: 4, count: 6 }],
+  ]);
+
+  const { drifted, missingLedger } = findBalanceDrift(users, ledger);
+  assert.deepEqual(drifted, [
+    { userId: 'b', storedBalance: 7, ledgerBalance: 4, difference: 3 },
+    { userId: 'e', storedBalance: 3, ledgerBalance: 0, difference: 3 },
+  ]);
+  assert.deepEqual(missingLedger.map((u) => u._id), ['c']);
+});
+
+test('a balance from before the ledger is not drift while the ledger is unopened', () => {
+  // 20 points from before the ledger, then 2 earned through it
+  const users = [{ _id: 'a', points: 22 }];
+  const ledger = new Map([['a', { balance: 2, count: 2 }]]);
+
+  const { drifted, missingLedger } = findBalanceDrift(users, ledger);
+  assert.deepEqual(drifted, []);
+  assert.deepEqual(missingLedger.map((u) => u._id), ['a']);
+});
+
+test('pending points are due once the holding period has passed', () => {
+  const now = new Date('2026-03-10T12:00:00Z');
+  assert.equal(getHoldCutoff(7, now).toISOString(), '2026-03-03T12:00:00.000Z');
+  assert.equal(getHoldCutoff(0, now).toISOString(), now.toISOString());
+});
@@ -0,0 +1,82 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_REWARD_RULES,
+  describePointsChange,
+  describeTransaction,
+  findEventRule,
+  findMilestone,
+  findReachedEngagementRules,
+  getReviewableContentTypes,
+  getRewardReason,
+} from '../utils/rewardRules.js';
+
+const rules = [
+  ...DEFAULT_REWARD_RULES,
+  { name: 'blog_published', event: 'content_created', contentType: 'Blog', points: 3 },
+  { name: 'job_removed', event: 'content_removed', contentType: 'Job', points: -5, isActive: false },
+  { name: 'views_100', event: 'engagement', contentType: null, metric: 'views', threshold: 100, points: 2 },
+  { name: 'blog_likes_10', event: 'engagement', contentType: 'Blog', metric: 'likes', threshold: 10, points: 1 },
+];
+
+test('defaults keep +1 per post and -1 per delete or removal', () => {
+  assert.equal(findEventRule(DEFAULT_REWARD_RULES, 'content_created', 'Job').points, 1);
+  assert.equal(findEventRule(DEFAULT_REWARD_RULES, 'content_deleted', 'Resource').points, -1);
+  assert.equal(findEventRule(DEFAULT_REWARD_RULES, 'content_removed', 'DigitalProduct').points, -1);
+});
+
+test('a rule for the content type wins over the catch-all; inactive rules are ignored', () => {
+  assert.equal(findEventRule(rules, 'content_created', 'Blog').name, 'blog_published');
+  assert.equal(findEventRule(rules, 'content_created', 'Job').name, 'post_created');
+  assert.equal(findEventRule(rules, 'content_removed', 'Job').name, 'post_removed');
+  assert.equal(findEventRule([], 'content_created', 'Job'), null);
+});
+
+test('engagement rules pay only when the threshold is crossed', () => {
+  const names = (found) => found.map((r) => r.name);
+  assert.deepEqual(names(findReachedEngagementRules(rules, 'Job', 'views', 99, 100)), ['views_100']);
+  assert.deepEqual(names(findReachedEngagementRules(rules, 'Job', 'views', 100, 101)), []);
+  assert.deepEqual(names(findReachedEngagementRules(rules, 'Job', 'likes', 9, 10)), []);
+  assert.deepEqual(names(findReachedEngagementRules(rules, 'Blog', 'likes', 9, 10)), ['blog_likes_10']);
+  // unlike
+  assert.deepEqual(names(findReachedEngagementRules(rules, 'Blog', 'likes', 10, 9)), []);
+});
+
+test('engagement bonuses have their own ledger reason', () => {
+  assert.equal(getRewardReason('engagement'), 'engagement_bonus');
+  assert.equal(getRewardReason('content_removed'), 'content_removed');
+});
+
+test('finds active milestones by points', () => {
+  const milestones = [
+    { points: 10, amount: 15 },
+    { points: 25, amount: 30, isActive: false },
+  ];
+  assert.equal(findMilestone(milestones, 10).amount, 15);
+  assert.equal(findMilestone(milestones, '10').amount, 15);
+  assert.equal(findMilestone(milestones, 25), null);
+  assert.equal(findMilestone(milestones, 11), null);
+});
+
+test('describes points changes for response messages', () => {
+  assert.equal(describePointsChange(1), 'You earned 1 point!');
+  assert.equal(describePointsChange(3), 'You earned 3 points!');
+  assert.equal(describePointsChange(-2), '2 points deducted.');
+  assert.equal(describePointsChange(0), '');
+  assert.equal(describePointsChange(undefined), '');
+});
+
+test('pending awards say they wait for review', () => {
+  assert.equal(
+    describeTransaction({ delta: 2, status: 'pending' }),
+    'You earned 2 points, pending until the post is reviewed.'
+  );
+  assert.equal(describeTransaction({ delta: -1, status: 'confirmed' }), '1 point deducted.');
+  assert.equal(describeTransaction(null), '');
+});
+
+test('reviewers see the sections they manage', () => {
+  assert.deepEqual(getReviewableContentTypes(new Set(['blogs:manage', 'jobs:create'])), ['Blog']);
+  assert.deepEqual(getReviewableContentTypes(new Set(['*'])), ['Job', 'Resource', 'Blog', 'DigitalProduct']);
+  assert.deepEqual(getReviewableContentTypes(new Set()), []);
+});
@@ -0,0 +1,41 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { applyRoleChange, getUserRoles, hasAnyRole } from '../utils/roles.js';
+
+test('lists primary and additional roles without duplicates', () => {
+  assert.deepEqual(getUserRoles({ role: 'job_poster' }), ['job_poster']);
+  assert.deepEqual(
+    getUserRoles({ role: 'job_poster', additionalRoles: ['blog_poster', 'job_poster'] }),
+    ['job_poster', 'blog_poster']
+  );
+  assert.deepEqual(getUserRoles(null), []);
+});
+
+test('any held role grants access', () => {
+  const user = { role: 'resource_poster', additionalRoles: ['blog_poster'] };
+  assert.equal(hasAnyRole(user, ['super_admin', 'blog_poster', 'tech_blog_poster']), true);
+  assert.equal(hasAnyRole(user, ['super_admin', 'job_poster']), false);
+});
+
+test('approving a request adds or replaces roles', () => {
+  const poster = { role: 'resource_poster', additionalRoles: ['blog_poster'] };
+
+  assert.deepEqual(applyRoleChange(poster, 'job_poster', 'add'), {
+    role: 'resource_poster',
+    additionalRoles: ['blog_poster', 'job_poster'],
+  });
+  assert.deepEqual(applyRoleChange(poster, 'job_poster', 'replace'), {
+    role: 'job_poster',
+    additionalRoles: ['blog_poster'],
+  });
+  // Promoting an additional role to primary doesn't list it twice
+  assert.deepEqual(applyRoleChange(poster, 'blog_poster', 'replace'), {
+    role: 'blog_poster',
+    additionalRoles: [],
+  });
+  // `others` has nothing worth keeping, so the requested role becomes primary
+  assert.deepEqual(applyRoleChange({ role: 'others' }, 'job_poster', 'add'), {
+    role: 'job_poster',
+    additionalRoles: [],
+  });
+});
@@ -0,0 +1,47 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { getRotatedExpiry, isSessionActive } from '../services/sessionService.js';
+import { describeUserAgent } from '../utils/userAgent.js';
+
+test('labels common browsers and platforms', () => {
+  assert.equal(
+    describeUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0.0.0 Safari/537.36'),
+    'Chrome on Windows'
+  );
+  assert.equal(
+    describeUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0.0.0 Safari/537.36 Edg/126.0.0.0'),
+    'Edge on Windows'
+  );
+  assert.equal(
+    describeUserAgent('Mozilla/5.0 (iPhone; CPU iPhone OS 17_5 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.5 Mobile/15E148 Safari/604.1'),
+    'Safari on iOS'
+  );
+  assert.equal(
+    describeUserAgent('Mozilla/5.0 (Linux; Android 14; SM-S918B) AppleWebKit/537.36 (KHTML, like Gecko) SamsungBrowser/25.0 Chrome/121.0.0.0 Mobile Safari/537.36'),
+    'Samsung Internet on Android'
+  );
+  assert.equal(describeUserAgent('PostmanRuntime/7.39.0'), 'API client');
+  assert.equal(describeUserAgent(''), 'Unknown device');
+});
+
+test('sessions are active until revoked or expired', () => {
+  const now = Date.parse('2026-05-01T00:00:00Z');
+  const session = { revokedAt: null, expiresAt: new Date('2026-05-02T00:00:00Z') };
+
+  assert.equal(isSessionActive(session, now), true);
+  assert.equal(isSessionActive({ ...session, revokedAt: new Date(now) }, now), false);
+  assert.equal(isSessionActive({ ...session, expiresAt: new Date(now - 1) }, now), false);
+  assert.equal(isSessionActive(null, now), false);
+});
+
+test('rotation extends a session only up to its maximum lifetime', () => {
+  const day = 24 * 60 * 60 * 1000;
+  const now = Date.parse('2026-05-01T00:00:00Z');
+  const maxExpiresAt = new Date(now + 10 * day);
+
+  assert.equal(getRotatedExpiry(now, 30 * day, new Date(now + 90 * day)).getTime(), now + 30 * day);
+  assert.equal(getRotatedExpiry(now, 30 * day, maxExpiresAt).getTime(), maxExpiresAt.getTime());
+  // Refreshing every day does not move the end of the session
+  const later = getRotatedExpiry(now + day, 30 * day, maxExpiresAt);
+  assert.equal(later.getTime(), maxExpiresAt.getTime());
+});
@@ -0,0 +1,63 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  base32Decode,
+  base32Encode,
+  buildOtpauthUri,
+  generateHotp,
+  generateRecoveryCodes,
+  generateTotp,
+  generateTotpSecret,
+  normalizeRecoveryCode,
+  verifyTotp,
+} from '../utils/totp.js';
+
+// RFC 6238 appendix B test secret ("12345678901234567890")
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+test('base32 round-trips and ignores case, spaces and padding', () => {
+  assert.equal(RFC_SECRET, 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+  assert.equal(base32Decode('gezd gnbv gy3t qojq gezd gnbv gy3t qojq==').toString(), '12345678901234567890');
+  assert.throws(() => base32Decode('not-base32!'), /Invalid base32/);
+  assert.match(generateTotpSecret(), /^[A-Z2-7]{32}$/);
+});
+
+test('matches the RFC 4226 and RFC 6238 SHA-1 test vectors', () => {
+  assert.equal(generateHotp(RFC_SECRET, 0), '755224');
+  assert.equal(generateHotp(RFC_SECRET, 9), '520489');
+  assert.equal(generateTotp(RFC_SECRET, 59 * 1000, 8), '94287082');
+  assert.equal(generateTotp(RFC_SECRET, 1111111109 * 1000, 8), '07081804');
+  assert.equal(generateTotp(RFC_SECRET, 20000000000 * 1000, 8), '65353130');
+});
+
+test('accepts codes within one step of drift and reports the step used', () => {
+  const now = 1111111109 * 1000;
+  const step = Math.floor(1111111109 / 30);
+  assert.equal(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, now), { now }), step);
+  assert.equal(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, now - 30 * 1000), { now }), step - 1);
+  assert.equal(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, now + 30 * 1000), { now }), step + 1);
+  assert.equal(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, now - 90 * 1000), { now }), null);
+  assert.equal(verifyTotp(RFC_SECRET, '12345', { now }), null);
+  assert.equal(verifyTotp(RFC_SECRET, undefined, { now }), null);
+});
+
+test('builds an otpauth URI for authenticator apps', () => {
+  const uri = new URL(buildOtpauthUri({ secret: RFC_SECRET, accountName: 'admin@edulumix.in' }));
+  assert.equal(uri.protocol, 'otpauth:');
+  assert.equal(uri.host, 'totp');
+  assert.equal(decodeURIComponent(uri.pathname), '/EduLumix:admin@edulumix.in');
+  assert.equal(uri.searchParams.get('secret'), RFC_SECRET);
+  assert.equal(uri.searchParams.get('issuer'), 'EduLumix');
+  assert.equal(uri.searchParams.get('digits'), '6');
+});
+
+test('recovery codes are unique and normalize from user input', () => {
+  const codes = generateRecoveryCodes(10);
+  assert.equal(codes.length, 10);
+  assert.equal(new Set(codes).size, 10);
+  for (const code of codes) assert.match(code, /^[a-z2-9]{5}-[a-z2-9]{5}$/);
+
+  assert.equal(normalizeRecoveryCode(' K3F9Q 7BX2M '), 'k3f9q-7bx2m');
+  assert.equal(normalizeRecoveryCode('k3f9q-7bx2m'), 'k3f9q-7bx2m');
+  assert.equal(normalizeRecoveryCode('short'), '');
+});
@@ -0,0 +1,75 @@
+/**
+ * Self-service account deletion: what is left of an account once its cooling-off period
+ * ends, and what a personal data export may contain.
+ */
+
+export const DELETED_USER_NAME = 'Deleted user';
+
+// example.com is reserved (RFC 2606), so the placeholder can never reach a real inbox.
+// It still passes the User email validator and stays unique per account.
+export const getAnonymizedEmail = (userId) => `deleted-${userId}@example.com`;
+
+export const getDeletionDate = (requestedAt, coolingOffDays) =>
+  new Date(new Date(requestedAt).getTime() + coolingOffDays * 24 * 60 * 60 * 1000);
+
+/**
+ * Update that strips every personal field from a user. Points and roles go too; the
+ * document itself stays so claims, attempts and audit references keep resolving.
+ */
+export const buildAnonymizedUserUpdate = (userId, now = new Date()) => ({
+  $set: {
+    name: DELETED_USER_NAME,
+    email: getAnonymizedEmail(userId),
+    firebaseUid: null,
+    status: 'deleted',
+    avatar: '',
+    bio: '',
+    phone: '',
+    location: '',
+    website: '',
+    linkedin: '',
+    rejectionReason: '',
+    showOnLeaderboard: false,
+    points: 0,
+    claimedMilestones: [],
+    lastLogin: null,
+    emailVerified: false,
+    emailVerifiedAt: null,
+    emailVerificationToken: null,
+    emailVerificationExpires: null,
+    passwordResetToken: null,
+    passwordResetExpires: null,
+    failedLoginAttempts: 0,
+    lockUntil: null,
+    twoFactorEnabled: false,
+    twoFactorEnabledAt: null,
+    twoFactorSecret: null,
+    twoFactorPendingSecret: null,
+    twoFactorLastUsedStep: null,
+    twoFactorRecoveryCodes: [],
+    deletionScheduledFor: null,
+    deletedAt: now,
+  },
+  $unset: { password: 1 },
+});
+
+// Credentials and token hashes never leave the server, not even to their owner
+const EXPORT_EXCLUDED_FIELDS = [
+  'password',
+  'passwordResetToken',
+  'passwordResetExpires',
+  'emailVerificationToken',
+  'emailVerificationExpires',
+  'twoFactorSecret',
+  'twoFactorPendingSecret',
+  'twoFactorLastUsedStep',
+  'twoFactorRecoveryCodes',
+  '__v',
+];
+
+/** Plain copy of a user document that is safe to hand to its owner. */
+export const sanitizeUserForExport = (user) => {
+  const plain = typeof user?.toObject === 'function' ? user.toObject() : { ...user };
+  for (const field of EXPORT_EXCLUDED_FIELDS) delete plain[field];
+  return plain;
+};
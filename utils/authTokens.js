@@ -0,0 +1,24 @@
+import crypto from 'crypto';
+
+/** SHA-256 of a one-time token; only the hash is stored so a database leak cannot be replayed. */
+export const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Random URL-safe one-time token (password reset, email verification).
+ * @returns {{ token: string, hash: string }} send `token` to the user, store `hash`
+ */
+export const createOneTimeToken = (bytes = 32) => {
+  const token = crypto.randomBytes(bytes).toString('hex');
+  return { token, hash: hashToken(token) };
+};
+
+/**
+ * Whether a JWT was issued before the password last changed (and must be rejected).
+ * JWT `iat` has one-second resolution, so tokens from the same second are still accepted.
+ * @param {number} issuedAt JWT `iat` in seconds
+ * @param {Date|null} passwordChangedAt
+ */
+export const isIssuedBeforePasswordChange = (issuedAt, passwordChangedAt) => {
+  if (!passwordChangedAt || !issuedAt) return false;
+  return Math.floor(new Date(passwordChangedAt).getTime() / 1000) > issuedAt;
+};
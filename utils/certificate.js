@@ -0,0 +1,103 @@
+/**
+ * Certificate codes and PDF rendering for passed mock tests.
+ * Codes look like `EDX-7KQ2-M9XD-4TPA`: Crockford-style base32 without 0/O/1/I/L, so they
+ * survive being read aloud or retyped from a printout.
+ */
+import crypto from 'crypto';
+import PDFDocument from 'pdfkit';
+
+const CODE_ALPHABET = '23456789ABCDEFGHJKMNPQRSTUVWXYZ';
+const CODE_GROUPS = 3;
+const GROUP_LENGTH = 4;
+
+export const CERTIFICATE_CODE_PATTERN = new RegExp(
+  `^EDX(-[${CODE_ALPHABET}]{${GROUP_LENGTH}}){${CODE_GROUPS}}$`
+);
+
+/** Random, unguessable certificate code. */
+export const generateCertificateCode = (randomBytes = crypto.randomBytes) => {
+  const length = CODE_GROUPS * GROUP_LENGTH;
+  // Rejection sampling keeps every character equally likely
+  const limit = 256 - (256 % CODE_ALPHABET.length);
+  const chars = [];
+  while (chars.length < length) {
+    for (const byte of randomBytes(length * 2)) {
+      if (byte < limit && chars.length < length) chars.push(CODE_ALPHABET[byte % CODE_ALPHABET.length]);
+    }
+  }
+  const groups = [];
+  for (let i = 0; i < length; i += GROUP_LENGTH) groups.push(chars.slice(i, i + GROUP_LENGTH).join(''));
+  return `EDX-${groups.join('-')}`;
+};
+
+/** Uppercase and trim a code typed by a user; returns null if it cannot be a certificate code. */
+export const normalizeCertificateCode = (code) => {
+  const normalized = String(code ?? '').trim().toUpperCase();
+  return CERTIFICATE_CODE_PATTERN.test(normalized) ? normalized : null;
+};
+
+/** Public verification URL, on the frontend when CLIENT_URL is set. */
+export const getCertificateVerifyUrl = (code) => {
+  const base = (process.env.CLIENT_URL || '').replace(/\/+$/, '');
+  return base ? `${base}/certificates/${code}` : `/api/certificates/${code}`;
+};
+
+const formatDate = (date) =>
+  new Date(date).toLocaleDateString('en-IN', { day: 'numeric', month: 'long', year: 'numeric', timeZone: 'Asia/Kolkata' });
+
+/**
+ * Render a certificate as a landscape A4 PDF.
+ * @param {{ code: string, recipientName: string, testTitle: string, score: number,
+ *   totalMarks: number, percentage: number, issuedAt: Date }} certificate
+ * @returns {Promise<Buffer>}
+ */
+export const renderCertificatePdf = (certificate) =>
+  new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: 'A4',
+      layout: 'landscape',
+      margin: 50,
+      info: {
+        Title: `Certificate ${certificate.code}`,
+        Author: 'EduLumix',
+        Subject: certificate.testTitle,
+      },
+    });
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const { width, height } = doc.page;
+    const contentWidth = width - 100;
+
+    doc.lineWidth(3).strokeColor('#1e3a8a').rect(25, 25, width - 50, height - 50).stroke();
+    doc.lineWidth(1).strokeColor('#93c5fd').rect(35, 35, width - 70, height - 70).stroke();
+
+    doc.fillColor('#1e3a8a').font('Helvetica-Bold').fontSize(34)
+      .text('Certificate of Achievement', 50, 90, { width: contentWidth, align: 'center' });
+    doc.fillColor('#374151').font('Helvetica').fontSize(15)
+      .text('This is to certify that', 50, 160, { width: contentWidth, align: 'center' });
+    doc.fillColor('#111827').font('Helvetica-Bold').fontSize(30)
+      .text(certificate.recipientName, 50, 195, { width: contentWidth, align: 'center' });
+    doc.fillColor('#374151').font('Helvetica').fontSize(15)
+      .text('has successfully passed the mock test', 50, 250, { width: contentWidth, align: 'center' });
+    doc.fillColor('#111827').font('Helvetica-Bold').fontSize(20)
+      .text(certificate.testTitle, 50, 280, { width: contentWidth, align: 'center' });
+    doc.fillColor('#374151').font('Helvetica').fontSize(14)
+      .text(
+        `Score: ${certificate.score} / ${certificate.totalMarks} (${certificate.percentage}%)`,
+        50,
+        340,
+        { width: contentWidth, align: 'center' }
+      );
+
+    doc.fontSize(11).fillColor('#4b5563')
+      .text(`Issued on ${formatDate(certificate.issuedAt)}`, 70, height - 120)
+      .text(`Certificate ID: ${certificate.code}`, 70, height - 102)
+      .text(`Verify at ${getCertificateVerifyUrl(certificate.code)}`, 70, height - 84);
+    doc.font('Helvetica-Bold').fontSize(16).fillColor('#1e3a8a')
+      .text('EduLumix', width - 270, height - 110, { width: 200, align: 'right' });
+
+    doc.end();
+  });
@@ -10,8 +10,14 @@ export const isValidClaimStatusTransition = (fromStatus, toStatus) => {
   return Boolean(allowedNext && allowedNext.has(toStatus));
 };
 
+/**
+ * Apply a claim's status change to the user's earnings and claimed milestones. Points are not
+ * changed here: the returned delta (points given back on rejection, or taken again) is for the
+ * caller to record in the points ledger.
+ * @returns {number}
+ */
 export const applyClaimStatusEffects = ({ previousStatus, nextStatus, claim, user }) => {
-  if (previousStatus === nextStatus) return;
+  if (previousStatus === nextStatus) return 0;
 
   if (previousStatus !== 'paid' && nextStatus === 'paid') {
     user.totalEarnings += claim.amount;
@@ -20,15 +26,17 @@ export const applyClaimStatusEffects = ({ previousStatus, nextStatus, claim, use
   }
 
   if (previousStatus !== 'rejected' && nextStatus === 'rejected') {
-    user.points += claim.points;
     if (user.claimedMilestones) {
       user.claimedMilestones = user.claimedMilestones.filter((m) => m !== claim.points);
     }
-  } else if (previousStatus === 'rejected' && nextStatus !== 'rejected') {
-    user.points = Math.max(0, user.points - claim.points);
+    return claim.points;
+  }
+  if (previousStatus === 'rejected' && nextStatus !== 'rejected') {
     if (!user.claimedMilestones) user.claimedMilestones = [];
     if (!user.claimedMilestones.includes(claim.points)) {
       user.claimedMilestones.push(claim.points);
     }
+    return -claim.points;
   }
+  return 0;
 };
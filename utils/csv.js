@@ -0,0 +1,79 @@
+/**
+ * Minimal RFC 4180 CSV helpers (quoted fields, escaped quotes, CRLF/LF line endings).
+ */
+
+/**
+ * Parse CSV text into rows of string cells. Blank lines are skipped.
+ * @param {string} text
+ * @returns {string[][]}
+ */
+export const parseCsv = (text) => {
+  const input = String(text || '').replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0].trim() !== '') rows.push(row);
+    row = [];
+    field = '';
+  };
+
+  for (let i = 0; i < input.length; i += 1) {
+    const ch = input[i];
+    if (inQuotes) {
+      if (ch === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && input[i + 1] === '\n') i += 1;
+      endRow();
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length > 0) endRow();
+
+  return rows;
+};
+
+/**
+ * Parse CSV with a header row into objects keyed by normalized header
+ * (lowercase, spaces/dashes to underscores). Each record carries `_row`, its 1-based row
+ * number counting the header as row 1 (blank lines are not counted).
+ */
+export const parseCsvRecords = (text) => {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) return [];
+  const keys = header.map((h) => h.trim().toLowerCase().replace(/[\s-]+/g, '_'));
+  return rows.map((cells, i) => {
+    const record = { _row: i + 2 };
+    keys.forEach((key, k) => {
+      if (key) record[key] = (cells[k] ?? '').trim();
+    });
+    return record;
+  });
+};
+
+const escapeCell = (value) => {
+  const s = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+/**
+ * Serialize rows (arrays of cells) to CSV text.
+ * @param {Array<Array<unknown>>} rows
+ */
+export const toCsv = (rows) => rows.map((cells) => cells.map(escapeCell).join(',')).join('\r\n') + '\r\n';
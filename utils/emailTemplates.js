@@ -0,0 +1,117 @@
+/**
+ * Transactional email content. Each template returns `{ subject, text, html }` for sendMail.
+ */
+
+const escapeHtml = (s) =>
+  String(s ?? '').replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+
+/** Absolute link into the frontend (CLIENT_URL, or the local Vite dev server). */
+export const buildClientUrl = (pathname, params = {}) => {
+  const url = new URL(pathname, process.env.CLIENT_URL || 'http://localhost:5173');
+  for (const [key, value] of Object.entries(params)) url.searchParams.set(key, value);
+  return url.toString();
+};
+
+const layout = (heading, paragraphs, action) => `
+<div style="font-family:Arial,sans-serif;max-width:560px;margin:0 auto;color:#111827">
+  <h2 style="color:#1e3a8a">${escapeHtml(heading)}</h2>
+  ${paragraphs.map((p) => `<p>${escapeHtml(p)}</p>`).join('\n  ')}
+  ${action ? `<p><a href="${escapeHtml(action.url)}" style="background:#1e3a8a;color:#fff;padding:10px 18px;border-radius:6px;text-decoration:none">${escapeHtml(action.label)}</a></p>
+  <p style="font-size:12px;color:#6b7280">Or open this link: ${escapeHtml(action.url)}</p>` : ''}
+  <p style="font-size:12px;color:#6b7280">EduLumix</p>
+</div>`.trim();
+
+export const emailVerificationEmail = ({ name, verifyUrl, expiresInHours }) => {
+  const lines = [
+    `Hi ${name},`,
+    `Please confirm that this is your email address. The link below expires in ${expiresInHours} hours.`,
+    'If you did not sign up for EduLumix, you can ignore this email.',
+  ];
+  return {
+    subject: 'Verify your EduLumix email address',
+    text: `${lines[0]}\n\n${lines[1]}\n\n${verifyUrl}\n\n${lines[2]}`,
+    html: layout('Verify your email', lines, { url: verifyUrl, label: 'Verify email' }),
+  };
+};
+
+export const passwordResetEmail = ({ name, resetUrl, expiresInMinutes }) => {
+  const lines = [
+    `Hi ${name},`,
+    `We received a request to reset your EduLumix password. The link below works once and expires in ${expiresInMinutes} minutes.`,
+    'If you did not ask for this, you can ignore this email; your password will not change.',
+  ];
+  return {
+    subject: 'Reset your EduLumix password',
+    text: `${lines[0]}\n\n${lines[1]}\n\n${resetUrl}\n\n${lines[2]}`,
+    html: layout('Reset your password', lines, { url: resetUrl, label: 'Reset password' }),
+  };
+};
+
+export const twoFactorChangedEmail = ({ name, enabled }) => {
+  const lines = [
+    `Hi ${name},`,
+    enabled
+      ? 'Two-factor authentication was turned on for your EduLumix account. Keep your recovery codes somewhere safe.'
+      : 'Two-factor authentication was turned off for your EduLumix account.',
+    'If this was not you, reset your password right away and contact us.',
+  ];
+  return {
+    subject: enabled ? 'Two-factor authentication enabled' : 'Two-factor authentication disabled',
+    text: lines.join('\n\n'),
+    html: layout(enabled ? 'Two-factor authentication on' : 'Two-factor authentication off', lines),
+  };
+};
+
+export const accountDeletionScheduledEmail = ({ name, scheduledFor }) => {
+  const date = new Date(scheduledFor).toDateString();
+  const lines = [
+    `Hi ${name},`,
+    `Your EduLumix account is scheduled for deletion on ${date}. Until then you can log in and cancel the deletion from your profile.`,
+    'After that date your profile is anonymized and your posts are removed. This cannot be undone.',
+  ];
+  return {
+    subject: 'Your EduLumix account will be deleted',
+    text: lines.join('\n\n'),
+    html: layout('Account deletion scheduled', lines),
+  };
+};
+
+export const accountDeletedEmail = ({ name }) => {
+  const lines = [
+    `Hi ${name},`,
+    'Your EduLumix account has been deleted and your personal data removed, as you asked.',
+  ];
+  return {
+    subject: 'Your EduLumix account has been deleted',
+    text: lines.join('\n\n'),
+    html: layout('Account deleted', lines),
+  };
+};
+
+export const roleRequestReviewedEmail = ({ name, role, approved, note }) => {
+  const label = role.replace(/_/g, ' ');
+  const lines = [
+    `Hi ${name},`,
+    approved
+      ? `Your request for the ${label} role was approved. It is active the next time you open EduLumix.`
+      : `Your request for the ${label} role was not approved.${note ? ` Reason: ${note}` : ''}`,
+  ];
+  return {
+    subject: approved ? 'Your EduLumix role request was approved' : 'Your EduLumix role request was declined',
+    text: lines.join('\n\n'),
+    html: layout(approved ? 'Role request approved' : 'Role request declined', lines),
+  };
+};
+
+export const passwordChangedEmail = ({ name }) => {
+  const lines = [
+    `Hi ${name},`,
+    'Your EduLumix password was just reset and you have been signed out on all devices.',
+    'If this was not you, reset your password again right away and contact us.',
+  ];
+  return {
+    subject: 'Your EduLumix password was changed',
+    text: lines.join('\n\n'),
+    html: layout('Password changed', lines),
+  };
+};
@@ -1,9 +1,42 @@
 import jwt from 'jsonwebtoken';
 
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: '30d',
+// Short-lived; clients get a new one from POST /api/auth/refresh. Read on use (after .env loads).
+export const getAccessTokenTtlSeconds = () => {
+  const minutes = Number.parseInt(process.env.ACCESS_TOKEN_TTL_MINUTES || '', 10);
+  return (Number.isFinite(minutes) && minutes > 0 ? minutes : 15) * 60;
+};
+
+/** Access token for a user's session (`sid` lets `protect` check the session is still active). */
+const generateToken = (id, sessionId) => {
+  return jwt.sign({ id, sid: String(sessionId) }, process.env.JWT_SECRET, {
+    expiresIn: getAccessTokenTtlSeconds(),
   });
 };
 
+const TWO_FACTOR_CHALLENGE_TTL_SECONDS = 5 * 60;
+
+/**
+ * Short-lived token proving the password step of a login passed, pending the second factor.
+ * It has no session id, so `protect` never accepts it as an access token.
+ * @param {'login'|'setup'} purpose verify a code, or enroll first (2FA required but not set up)
+ * @param {'password'|'firebase'} method how the first step was done (for login history)
+ */
+export const generateTwoFactorChallenge = (id, purpose, method) => ({
+  challengeToken: jwt.sign({ id, purpose, method }, process.env.JWT_SECRET, {
+    expiresIn: TWO_FACTOR_CHALLENGE_TTL_SECONDS,
+    audience: 'two_factor',
+  }),
+  expiresIn: TWO_FACTOR_CHALLENGE_TTL_SECONDS,
+});
+
+/** Decoded challenge, or null if it is invalid, expired or for another purpose. */
+export const verifyTwoFactorChallenge = (challengeToken, purpose) => {
+  try {
+    const decoded = jwt.verify(String(challengeToken), process.env.JWT_SECRET, { audience: 'two_factor' });
+    return decoded.purpose === purpose ? decoded : null;
+  } catch {
+    return null;
+  }
+};
+
 export default generateToken;
@@ -0,0 +1,35 @@
+/**
+ * Sign-in methods on one account: a password, a linked Firebase identity (Google or Firebase
+ * email), or both. Linking or unlinking needs a recent sign-in and must never leave the
+ * account without a way to log in.
+ */
+
+// Firebase ID tokens used to link, unlink or add a password must come from a sign-in this recent
+export const REAUTH_MAX_AGE_MS = 5 * 60 * 1000;
+
+/** Whether a Firebase `auth_time` (seconds) is recent enough to count as re-authentication. */
+export const isRecentAuthentication = (authTimeSeconds, now = Date.now(), maxAgeMs = REAUTH_MAX_AGE_MS) =>
+  Number.isFinite(authTimeSeconds) && now - authTimeSeconds * 1000 <= maxAgeMs;
+
+/** The account's sign-in methods, e.g. `['password', 'firebase']`. */
+export const getLinkedProviders = (user) => [
+  ...(user.password ? ['password'] : []),
+  ...(user.firebaseUid ? ['firebase'] : []),
+];
+
+/**
+ * Why a provider cannot be removed, or null if it can.
+ * @param {'password'|'firebase'} provider
+ */
+export const getUnlinkError = (user, provider) => {
+  const providers = getLinkedProviders(user);
+  if (!providers.includes(provider)) {
+    return provider === 'password' ? 'This account has no password' : 'No Google / Firebase login is linked';
+  }
+  if (providers.length === 1) {
+    return provider === 'password'
+      ? 'Link Google first; otherwise you could no longer log in'
+      : 'Set a password first; otherwise you could no longer log in';
+  }
+  return null;
+};
@@ -0,0 +1,39 @@
+/**
+ * Ranking helpers for mock test leaderboards.
+ * Entries are each user's best graded attempt: higher score wins, ties broken by less time taken.
+ */
+
+export const compareLeaderboardEntries = (a, b) => {
+  if (b.score !== a.score) return b.score - a.score;
+  return (a.timeTaken || 0) - (b.timeTaken || 0);
+};
+
+/**
+ * Sort entries and assign competition ranks (1, 2, 2, 4): equal score and time share a rank.
+ * @returns {object[]} copies of the entries with a `rank` field
+ */
+export const rankLeaderboardEntries = (entries = []) => {
+  const sorted = [...entries].sort(compareLeaderboardEntries);
+  let rank = 0;
+  return sorted.map((entry, i) => {
+    if (i === 0 || compareLeaderboardEntries(sorted[i - 1], entry) !== 0) rank = i + 1;
+    return { ...entry, rank };
+  });
+};
+
+/**
+ * Rank and percentile of one entry among all participants' best entries.
+ * Percentile is the share of other participants ranked strictly below this entry.
+ */
+export const computeRankAndPercentile = (entry, entries = []) => {
+  const total = entries.length;
+  const better = entries.filter((e) => compareLeaderboardEntries(e, entry) < 0).length;
+  const worse = entries.filter((e) => compareLeaderboardEntries(e, entry) > 0).length;
+  const others = total - 1;
+
+  return {
+    rank: better + 1,
+    totalParticipants: total,
+    percentile: others > 0 ? Math.round((worse / others) * 10000) / 100 : 100,
+  };
+};
@@ -0,0 +1,47 @@
+/**
+ * Progressive account lockout and login anomaly flags.
+ *
+ * After LOCKOUT_THRESHOLD consecutive failed passwords the account locks for one minute;
+ * every further failure doubles the lock, up to MAX_LOCKOUT_MINUTES. A successful login
+ * resets the count.
+ */
+
+export const LOCKOUT_THRESHOLD = 5;
+export const MAX_LOCKOUT_MINUTES = 60;
+
+/** Lock duration in ms after `failedAttempts` consecutive failures (0 = no lock). */
+export const getLockoutDurationMs = (failedAttempts) => {
+  if (failedAttempts < LOCKOUT_THRESHOLD) return 0;
+  const minutes = Math.min(2 ** (failedAttempts - LOCKOUT_THRESHOLD), MAX_LOCKOUT_MINUTES);
+  return minutes * 60 * 1000;
+};
+
+export const isAccountLocked = (user, now = Date.now()) =>
+  Boolean(user?.lockUntil) && new Date(user.lockUntil).getTime() > now;
+
+/** Whole seconds until the lock lifts (for Retry-After). */
+export const getLockRemainingSeconds = (user, now = Date.now()) =>
+  isAccountLocked(user, now) ? Math.ceil((new Date(user.lockUntil).getTime() - now) / 1000) : 0;
+
+/**
+ * Flags for a successful login compared with the user's earlier logins (newest first):
+ * - new_device:     browser/platform not seen in earlier successful logins
+ * - new_ip:         IP address not seen in earlier successful logins
+ * - after_failures: at least LOCKOUT_THRESHOLD - 2 failed attempts since the last success
+ * The very first login has no history to compare with and is never flagged.
+ * @param {{ device: string, ip: string }} current
+ * @param {{ success: boolean, device: string, ip: string }[]} history
+ */
+export const detectLoginAnomalies = (current, history = []) => {
+  const successes = history.filter((e) => e.success);
+  if (successes.length === 0) return [];
+
+  const anomalies = [];
+  if (!successes.some((e) => e.device === current.device)) anomalies.push('new_device');
+  if (current.ip && !successes.some((e) => e.ip === current.ip)) anomalies.push('new_ip');
+
+  const lastSuccess = history.findIndex((e) => e.success);
+  const recentFailures = history.slice(0, lastSuccess).length;
+  if (recentFailures >= LOCKOUT_THRESHOLD - 2) anomalies.push('after_failures');
+  return anomalies;
+};
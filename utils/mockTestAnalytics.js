@@ -0,0 +1,122 @@
+/**
+ * Topic-wise performance analytics across a student's graded mock test attempts.
+ * Accuracy is correct answers / questions seen; score percentage is marks-based.
+ */
+
+// Topics with fewer questions than this are not ranked as "weak" (too little signal)
+export const MIN_QUESTIONS_FOR_WEAK_TOPIC = 5;
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+const createBucket = (key) => ({ key, attempts: 0, questions: 0, attempted: 0, correct: 0, score: 0, totalMarks: 0 });
+
+const addToBucket = (bucket, { questions, attempted, correct, score, totalMarks }) => {
+  bucket.attempts += 1;
+  bucket.questions += questions;
+  bucket.attempted += attempted;
+  bucket.correct += correct;
+  bucket.score += score;
+  bucket.totalMarks += totalMarks;
+};
+
+const finalizeBucket = (bucket) => ({
+  ...bucket,
+  score: round2(bucket.score),
+  accuracy: bucket.questions > 0 ? round2((bucket.correct / bucket.questions) * 100) : 0,
+  scorePercentage: bucket.totalMarks > 0 ? round2((bucket.score / bucket.totalMarks) * 100) : 0,
+});
+
+const sortedBuckets = (map) => [...map.values()].map(finalizeBucket).sort((a, b) => a.accuracy - b.accuracy);
+
+/**
+ * @param {object[]} attempts graded attempts with `answers`, `score`, `totalMarks`, `percentage`,
+ *   `submittedAt` and a populated `test` ({ _id, title, slug, category, tags })
+ * @param {{ trendBy?: 'attempt'|'week' }} [options]
+ */
+export const buildAttemptAnalytics = (attempts = [], { trendBy = 'attempt' } = {}) => {
+  const overall = createBucket('overall');
+  const byCategory = new Map();
+  const byDifficulty = new Map();
+  const byTag = new Map();
+
+  const chronological = [...attempts].sort((a, b) => new Date(a.submittedAt) - new Date(b.submittedAt));
+
+  for (const attempt of chronological) {
+    const answers = attempt.answers || [];
+    const stats = {
+      questions: answers.length,
+      attempted: answers.filter((a) => a.selectedOption !== null && a.selectedOption !== undefined).length,
+      correct: answers.filter((a) => a.isCorrect).length,
+      score: attempt.score || 0,
+      totalMarks: attempt.totalMarks || 0,
+    };
+
+    addToBucket(overall, stats);
+
+    const category = attempt.test?.category || 'Others';
+    if (!byCategory.has(category)) byCategory.set(category, createBucket(category));
+    addToBucket(byCategory.get(category), stats);
+
+    const tags = new Set((attempt.test?.tags || []).map((t) => String(t).trim().toLowerCase()).filter(Boolean));
+    for (const tag of tags) {
+      if (!byTag.has(tag)) byTag.set(tag, createBucket(tag));
+      addToBucket(byTag.get(tag), stats);
+    }
+
+    // Difficulty is per question, so each difficulty group gets a partial view of the attempt
+    const perDifficulty = new Map();
+    for (const a of answers) {
+      const key = a.difficulty || 'Medium';
+      const d = perDifficulty.get(key) || { questions: 0, attempted: 0, correct: 0, score: 0, totalMarks: 0 };
+      d.questions += 1;
+      if (a.selectedOption !== null && a.selectedOption !== undefined) d.attempted += 1;
+      if (a.isCorrect) d.correct += 1;
+      d.score += a.marksAwarded || 0;
+      d.totalMarks += a.marks || 0;
+      perDifficulty.set(key, d);
+    }
+    for (const [key, d] of perDifficulty) {
+      if (!byDifficulty.has(key)) byDifficulty.set(key, createBucket(key));
+      addToBucket(byDifficulty.get(key), d);
+    }
+  }
+
+  let trend;
+  if (trendBy === 'week') {
+    const weeks = new Map();
+    for (const attempt of chronological) {
+      const date = new Date(attempt.submittedAt);
+      const monday = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+      monday.setUTCDate(monday.getUTCDate() - ((monday.getUTCDay() + 6) % 7));
+      const key = monday.toISOString().slice(0, 10);
+      const w = weeks.get(key) || { weekStart: key, attempts: 0, percentageSum: 0 };
+      w.attempts += 1;
+      w.percentageSum += attempt.percentage || 0;
+      weeks.set(key, w);
+    }
+    trend = [...weeks.values()].map((w) => ({
+      weekStart: w.weekStart,
+      attempts: w.attempts,
+      avgPercentage: round2(w.percentageSum / w.attempts),
+    }));
+  } else {
+    trend = chronological.map((attempt) => ({
+      attemptId: attempt._id,
+      testTitle: attempt.test?.title || '',
+      category: attempt.test?.category || 'Others',
+      percentage: attempt.percentage || 0,
+      submittedAt: attempt.submittedAt,
+    }));
+  }
+
+  const categories = sortedBuckets(byCategory);
+
+  return {
+    overall: finalizeBucket(overall),
+    byCategory: categories,
+    byDifficulty: sortedBuckets(byDifficulty),
+    byTag: sortedBuckets(byTag),
+    trend,
+    weakestCategories: categories.filter((c) => c.questions >= MIN_QUESTIONS_FOR_WEAK_TOPIC).slice(0, 3),
+  };
+};
@@ -0,0 +1,259 @@
+/**
+ * Server-side grading for mock tests. The client only ever sends its response for each
+ * question; correctness and marks are computed here.
+ *
+ * Response shape per question type:
+ * - single:      option index
+ * - multiple:    array of option indexes (all correct options, and only those, must be chosen)
+ * - numeric:     number, correct within `numericAnswer ± tolerance`
+ * - code_output: text, compared with `expectedOutput` ignoring trailing whitespace
+ */
+
+export const QUESTION_TYPES = ['single', 'multiple', 'numeric', 'code_output'];
+
+const MAX_TEXT_RESPONSE_LENGTH = 2000;
+
+export const questionType = (q) => q?.type || 'single';
+
+const toOptionIndex = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const n = Number(value);
+  return Number.isInteger(n) && n >= 0 ? n : null;
+};
+
+/** Coerce a raw response into the shape expected for the question's type (null = unanswered). */
+export const normalizeResponse = (question, value) => {
+  if (value === null || value === undefined) return null;
+
+  switch (questionType(question)) {
+    case 'multiple': {
+      const list = (Array.isArray(value) ? value : [value]).map(toOptionIndex);
+      if (list.some((v) => v === null)) return null;
+      const unique = [...new Set(list)].sort((a, b) => a - b);
+      return unique.length > 0 ? unique : null;
+    }
+    case 'numeric': {
+      if (value === '' || typeof value === 'boolean') return null;
+      const n = Number(value);
+      return Number.isFinite(n) ? n : null;
+    }
+    case 'code_output': {
+      if (typeof value !== 'string' && typeof value !== 'number') return null;
+      const text = String(value).slice(0, MAX_TEXT_RESPONSE_LENGTH);
+      return text.trim() ? text : null;
+    }
+    default:
+      return toOptionIndex(value);
+  }
+};
+
+/**
+ * Align submitted answers with the test's questions.
+ * Accepts either an array (response per question, or `{ questionId, selectedOption }` entries)
+ * or an object keyed by question id. Answers not present in `answers` keep their value from `base`.
+ * @returns {Array} normalized response per question (null = unanswered)
+ */
+export const normalizeSubmittedAnswers = (questions, answers, base = null) => {
+  const selected = questions.map((_, i) => (base ? base[i] ?? null : null));
+  if (!answers || typeof answers !== 'object') return selected;
+
+  const indexById = new Map(questions.map((q, i) => [String(q._id), i]));
+
+  if (Array.isArray(answers)) {
+    answers.forEach((entry, i) => {
+      if (entry && typeof entry === 'object' && !Array.isArray(entry)) {
+        const qIndex = indexById.get(String(entry.questionId));
+        if (qIndex !== undefined) selected[qIndex] = normalizeResponse(questions[qIndex], entry.selectedOption);
+      } else if (i < selected.length) {
+        selected[i] = normalizeResponse(questions[i], entry);
+      }
+    });
+    return selected;
+  }
+
+  for (const [questionId, value] of Object.entries(answers)) {
+    const qIndex = indexById.get(questionId);
+    if (qIndex !== undefined) selected[qIndex] = normalizeResponse(questions[qIndex], value);
+  }
+  return selected;
+};
+
+const normalizeOutput = (text) =>
+  String(text ?? '')
+    .replace(/\r\n/g, '\n')
+    .split('\n')
+    .map((line) => line.trimEnd())
+    .join('\n')
+    .trim();
+
+/** The answer key for a question, in the same shape as a response. */
+export const getAnswerKey = (q) => {
+  switch (questionType(q)) {
+    case 'multiple':
+      return [...(q.correctAnswers || [])].sort((a, b) => a - b);
+    case 'numeric':
+      return { value: q.numericAnswer, tolerance: q.tolerance || 0 };
+    case 'code_output':
+      return q.expectedOutput ?? '';
+    default:
+      return q.correctAnswer;
+  }
+};
+
+/**
+ * Check one normalized response.
+ * @returns {{ answered: boolean, isCorrect: boolean }}
+ */
+export const evaluateResponse = (q, response) => {
+  if (response === null || response === undefined) return { answered: false, isCorrect: false };
+  const optionCount = q.options?.length || 0;
+
+  switch (questionType(q)) {
+    case 'multiple': {
+      if (!Array.isArray(response) || response.some((i) => i >= optionCount)) {
+        return { answered: false, isCorrect: false };
+      }
+      const key = getAnswerKey(q);
+      const isCorrect = key.length === response.length && key.every((v, i) => v === response[i]);
+      return { answered: true, isCorrect };
+    }
+    case 'numeric': {
+      const isCorrect = Number.isFinite(q.numericAnswer)
+        && Math.abs(response - q.numericAnswer) <= (q.tolerance || 0) + 1e-9;
+      return { answered: true, isCorrect };
+    }
+    case 'code_output':
+      return { answered: true, isCorrect: normalizeOutput(response) === normalizeOutput(q.expectedOutput) };
+    default:
+      if (response >= optionCount) return { answered: false, isCorrect: false };
+      return { answered: true, isCorrect: response === q.correctAnswer };
+  }
+};
+
+const roundMarks = (n) => Math.round(n * 100) / 100;
+
+const toPercentage = (score, totalMarks) =>
+  totalMarks > 0 ? Math.round((score / totalMarks) * 10000) / 100 : 0;
+
+// Per-section totals and cutoffs; sections without questions in this attempt are left out. A
+// section without a cutoff always passes, even if negative marking took its score below zero.
+const summarizeSectionResults = (sections, results) =>
+  sections
+    .map((section) => {
+      const name = String(section.name).trim();
+      const inSection = results.filter((r) => r.section === name);
+      const score = roundMarks(inSection.reduce((acc, r) => acc + r.marksAwarded, 0));
+      const totalMarks = inSection.reduce((acc, r) => acc + r.marks, 0);
+      const passingMarks = section.passingMarks || 0;
+      return {
+        name,
+        score,
+        totalMarks,
+        passingMarks,
+        passed: passingMarks > 0 ? score >= passingMarks : true,
+        correctCount: inSection.filter((r) => r.isCorrect).length,
+        attemptedCount: inSection.filter((r) => r.selectedOption !== null).length,
+        totalQuestions: inSection.length,
+        percentage: toPercentage(score, totalMarks),
+      };
+    })
+    .filter((s) => s.totalQuestions > 0);
+
+/**
+ * Grade answers against a mock test's questions.
+ * Wrong answers lose the question's `negativeMarks`, or its section's when the question sets
+ * none; unanswered questions score 0. With sections, passing also requires every sectional cutoff.
+ * @param {{ questions: object[], passingMarks?: number, sections?: object[] }} test
+ * @param {Array|Object} answers
+ */
+export const gradeMockTest = (test, answers) => {
+  const questions = test.questions || [];
+  const sections = test.sections || [];
+  const selected = normalizeSubmittedAnswers(questions, answers);
+  const sectionPenalty = new Map(sections.map((s) => [String(s.name).trim(), s.negativeMarks || 0]));
+
+  let score = 0;
+  let totalMarks = 0;
+  let correctCount = 0;
+  let attemptedCount = 0;
+
+  const results = questions.map((q, i) => {
+    const marks = q.marks || 1;
+    const section = String(q.section ?? '').trim();
+    const negativeMarks = q.negativeMarks || sectionPenalty.get(section) || 0;
+    const { answered, isCorrect } = evaluateResponse(q, selected[i]);
+
+    let marksAwarded = 0;
+    if (isCorrect) marksAwarded = marks;
+    else if (answered && negativeMarks > 0) marksAwarded = -negativeMarks;
+
+    totalMarks += marks;
+    score += marksAwarded;
+    if (answered) attemptedCount += 1;
+    if (isCorrect) correctCount += 1;
+
+    return {
+      questionId: q._id,
+      type: questionType(q),
+      section,
+      selectedOption: answered ? selected[i] : null,
+      correctAnswer: getAnswerKey(q),
+      isCorrect,
+      marksAwarded,
+      marks,
+      negativeMarks,
+      difficulty: q.difficulty || 'Medium',
+      explanation: q.explanation || '',
+    };
+  });
+
+  score = roundMarks(score);
+  const passingMarks = test.passingMarks || 0;
+  const sectionResults = summarizeSectionResults(sections, results);
+
+  return {
+    score,
+    totalMarks,
+    passingMarks,
+    passed: score >= passingMarks && sectionResults.every((s) => s.passed),
+    correctCount,
+    attemptedCount,
+    totalQuestions: questions.length,
+    percentage: toPercentage(score, totalMarks),
+    sections: sectionResults,
+    results,
+  };
+};
+
+/**
+ * Accuracy per question difficulty for a graded attempt, weakest first.
+ * @param {{ difficulty?: string, isCorrect: boolean, selectedOption: unknown }[]} answers
+ */
+export const summarizeWeakAreas = (answers = []) => {
+  const groups = new Map();
+  for (const a of answers) {
+    const key = a.difficulty || 'Medium';
+    const g = groups.get(key) || { difficulty: key, total: 0, attempted: 0, correct: 0 };
+    g.total += 1;
+    if (a.selectedOption !== null && a.selectedOption !== undefined) g.attempted += 1;
+    if (a.isCorrect) g.correct += 1;
+    groups.set(key, g);
+  }
+  return [...groups.values()]
+    .map((g) => ({ ...g, accuracy: Math.round((g.correct / g.total) * 10000) / 100 }))
+    .sort((a, b) => a.accuracy - b.accuracy);
+};
+
+/** Strip answer keys so questions can be sent to a candidate before submission. */
+export const sanitizeQuestionsForCandidate = (questions = []) =>
+  questions.map((q) => ({
+    _id: q._id,
+    type: questionType(q),
+    section: q.section || '',
+    question: q.question,
+    code: q.code || '',
+    options: q.options,
+    difficulty: q.difficulty,
+    marks: q.marks,
+    negativeMarks: q.negativeMarks || 0,
+  }));
@@ -0,0 +1,290 @@
+/**
+ * Validation, bulk import and export of mock test questions.
+ *
+ * CSV columns: question, type, section, code, option1..optionN (or a single `options` column separated by "|"),
+ * correct_option (1-based number or letter; "1|3" for multi-select), numeric_answer, tolerance,
+ * expected_output, explanation, difficulty, marks, negative_marks.
+ * JSON: an array (or `{ questions: [...] }`) of objects with the same fields in camelCase, where
+ * `correctAnswer` / `correctAnswers` (0-based) may be given instead of `correctOption`.
+ */
+import { parseCsvRecords, toCsv } from './csv.js';
+import { QUESTION_TYPES } from './mockTestGrading.js';
+
+export const QUESTION_DIFFICULTIES = ['Easy', 'Medium', 'Hard'];
+export const MAX_IMPORT_QUESTIONS = 1000;
+
+// Reads camelCase (JSON / API) or snake_case (CSV header) field names
+const field = (record, camel, snake) => (record[camel] !== undefined ? record[camel] : record[snake]);
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+const parseOptionRef = (value) => {
+  const s = String(value ?? '').trim();
+  if (!s) return null;
+  if (/^[A-Za-z]$/.test(s)) return s.toUpperCase().charCodeAt(0) - 65;
+  const n = Number(s);
+  return Number.isInteger(n) ? n - 1 : null;
+};
+
+// 1-based references ("2", "B", "1|3", [1, 3]) to 0-based indexes
+const parseCorrectOptions = (value) => {
+  if (isBlank(value)) return [];
+  const parts = Array.isArray(value) ? value : String(value).split(/[|;]/);
+  return parts.map(parseOptionRef);
+};
+
+const parseZeroBased = (value) => {
+  const n = Number(value);
+  return Number.isInteger(n) ? n : null;
+};
+
+const extractOptions = (record) => {
+  if (Array.isArray(record.options)) return record.options.map((o) => String(o ?? '').trim());
+  if (typeof record.options === 'string' && record.options.trim()) {
+    return record.options.split('|').map((o) => o.trim());
+  }
+  return Object.keys(record)
+    .filter((k) => /^option_?\d+$/.test(k))
+    .sort((a, b) => Number(a.replace(/\D/g, '')) - Number(b.replace(/\D/g, '')))
+    .map((k) => String(record[k] ?? '').trim())
+    .filter((o, i, all) => o !== '' || all.slice(i + 1).some(Boolean));
+};
+
+const parseNonNegative = (value, fallback) => {
+  if (isBlank(value)) return fallback;
+  const n = Number(value);
+  return Number.isFinite(n) && n >= 0 ? n : NaN;
+};
+
+/**
+ * Validate and normalize one question from the API or an import file.
+ * An existing `_id` is kept so edits do not orphan in-progress attempts.
+ * @returns {{ question: object|null, errors: string[] }}
+ */
+export const normalizeQuestionInput = (record = {}) => {
+  const errors = [];
+  const text = String(record.question ?? '').trim();
+  if (!text) errors.push('Question text is required');
+
+  const rawType = String(record.type ?? '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+  const type = rawType || 'single';
+  if (!QUESTION_TYPES.includes(type)) {
+    errors.push(`Type must be one of: ${QUESTION_TYPES.join(', ')}`);
+  }
+
+  const normalized = { type, question: text };
+
+  if (type === 'single' || type === 'multiple') {
+    const options = extractOptions(record);
+    if (options.length < 2) errors.push('At least 2 options are required');
+    if (options.some((o) => o === '')) errors.push('Options cannot be empty');
+    normalized.options = options;
+
+    let indexes;
+    if (type === 'single') {
+      const zeroBased = field(record, 'correctAnswer', 'correct_answer');
+      indexes = !isBlank(zeroBased)
+        ? [parseZeroBased(zeroBased)]
+        : parseCorrectOptions(field(record, 'correctOption', 'correct_option')).slice(0, 2);
+      if (indexes.length !== 1 || indexes[0] === null) {
+        errors.push('Exactly one correct option is required (1-based number or letter)');
+        indexes = [];
+      }
+    } else {
+      const zeroBased = field(record, 'correctAnswers', 'correct_answers');
+      indexes = Array.isArray(zeroBased)
+        ? zeroBased.map(parseZeroBased)
+        : parseCorrectOptions(
+          field(record, 'correctOptions', 'correct_options') ?? field(record, 'correctOption', 'correct_option')
+        );
+      if (indexes.length === 0 || indexes.some((i) => i === null)) {
+        errors.push('At least one correct option is required (e.g. "1|3")');
+        indexes = [];
+      } else if (new Set(indexes).size !== indexes.length) {
+        errors.push('Correct options must not repeat');
+      }
+    }
+    if (indexes.some((i) => i < 0 || i >= options.length)) {
+      errors.push(`Correct option is out of range (question has ${options.length} options)`);
+    }
+    if (type === 'single') normalized.correctAnswer = indexes[0];
+    else normalized.correctAnswers = [...indexes].sort((a, b) => a - b);
+  } else {
+    normalized.options = [];
+  }
+
+  if (type === 'numeric') {
+    const answer = field(record, 'numericAnswer', 'numeric_answer');
+    const value = isBlank(answer) ? NaN : Number(answer);
+    if (!Number.isFinite(value)) errors.push('Numeric answer is required');
+    const tolerance = parseNonNegative(record.tolerance, 0);
+    if (Number.isNaN(tolerance)) errors.push('Tolerance must be a non-negative number');
+    normalized.numericAnswer = value;
+    normalized.tolerance = tolerance;
+  }
+
+  if (type === 'code_output') {
+    const code = String(record.code ?? '');
+    const expectedOutput = String(field(record, 'expectedOutput', 'expected_output') ?? '');
+    if (!code.trim()) errors.push('Code snippet is required for code output questions');
+    if (!expectedOutput.trim()) errors.push('Expected output is required for code output questions');
+    normalized.code = code;
+    normalized.expectedOutput = expectedOutput;
+  }
+
+  const rawDifficulty = String(record.difficulty ?? '').trim();
+  const difficulty = rawDifficulty
+    ? QUESTION_DIFFICULTIES.find((d) => d.toLowerCase() === rawDifficulty.toLowerCase())
+    : 'Medium';
+  if (!difficulty) errors.push(`Difficulty must be one of: ${QUESTION_DIFFICULTIES.join(', ')}`);
+
+  const marks = isBlank(record.marks) ? 1 : Number(record.marks);
+  if (!Number.isFinite(marks) || marks <= 0) errors.push('Marks must be a positive number');
+
+  const negativeMarks = parseNonNegative(field(record, 'negativeMarks', 'negative_marks'), 0);
+  if (Number.isNaN(negativeMarks)) errors.push('Negative marks must be a non-negative number');
+
+  if (errors.length > 0) return { question: null, errors };
+
+  if (record._id && /^[a-f\d]{24}$/i.test(String(record._id))) normalized._id = String(record._id);
+  const section = String(record.section ?? '').trim();
+  if (section) normalized.section = section;
+
+  return {
+    question: {
+      ...normalized,
+      explanation: String(record.explanation ?? '').trim(),
+      difficulty,
+      marks,
+      negativeMarks,
+    },
+    errors,
+  };
+};
+
+/**
+ * Validate a list of questions sent to createMockTest / updateMockTest.
+ * @returns {{ questions: object[], errors: { index: number, errors: string[] }[] }}
+ */
+export const validateQuestionsInput = (list) => {
+  if (!Array.isArray(list)) return { questions: [], errors: [{ index: -1, errors: ['Questions must be an array'] }] };
+  const questions = [];
+  const errors = [];
+  list.forEach((record, index) => {
+    const { question, errors: questionErrors } = normalizeQuestionInput(record && typeof record === 'object' ? record : {});
+    if (question) questions.push(question);
+    else errors.push({ index, errors: questionErrors });
+  });
+  return { questions, errors };
+};
+
+/**
+ * Parse an uploaded questions file.
+ * @param {Buffer|string} content
+ * @param {'csv'|'json'} format
+ * @returns {{ questions: object[], errors: { row: number, errors: string[] }[], total: number }}
+ */
+export const parseQuestionsFile = (content, format) => {
+  let records;
+  if (format === 'json') {
+    let parsed;
+    try {
+      parsed = JSON.parse(String(content));
+    } catch (error) {
+      return { questions: [], errors: [{ row: 0, errors: [`Invalid JSON: ${error.message}`] }], total: 0 };
+    }
+    const list = Array.isArray(parsed) ? parsed : parsed?.questions;
+    if (!Array.isArray(list)) {
+      return { questions: [], errors: [{ row: 0, errors: ['JSON must be an array of questions or { "questions": [...] }'] }], total: 0 };
+    }
+    records = list.map((r, i) => ({ ...(r && typeof r === 'object' ? r : {}), _row: i + 1 }));
+  } else {
+    records = parseCsvRecords(String(content));
+  }
+
+  if (records.length > MAX_IMPORT_QUESTIONS) {
+    return {
+      questions: [],
+      errors: [{ row: 0, errors: [`Too many questions (${records.length}). Maximum is ${MAX_IMPORT_QUESTIONS} per file.`] }],
+      total: records.length,
+    };
+  }
+
+  const questions = [];
+  const errors = [];
+  for (const record of records) {
+    const { question, errors: rowErrors } = normalizeQuestionInput(record);
+    if (question) questions.push(question);
+    else errors.push({ row: record._row, errors: rowErrors });
+  }
+
+  return { questions, errors, total: records.length };
+};
+
+const formatCorrectOption = (q) => {
+  if (q.type === 'multiple') return (q.correctAnswers || []).map((i) => i + 1).join('|');
+  if ((q.type || 'single') === 'single') return q.correctAnswer + 1;
+  return '';
+};
+
+/** Export questions as CSV in the same layout the importer accepts (1-based correct option). */
+export const questionsToCsv = (questions = []) => {
+  const optionCount = Math.max(2, ...questions.map((q) => q.options?.length || 0));
+  const header = [
+    'question',
+    'type',
+    'section',
+    'code',
+    ...Array.from({ length: optionCount }, (_, i) => `option${i + 1}`),
+    'correct_option',
+    'numeric_answer',
+    'tolerance',
+    'expected_output',
+    'explanation',
+    'difficulty',
+    'marks',
+    'negative_marks',
+  ];
+  const rows = questions.map((q) => [
+    q.question,
+    q.type || 'single',
+    q.section || '',
+    q.code || '',
+    ...Array.from({ length: optionCount }, (_, i) => q.options?.[i] ?? ''),
+    formatCorrectOption(q),
+    q.type === 'numeric' ? q.numericAnswer : '',
+    q.type === 'numeric' ? q.tolerance || 0 : '',
+    q.type === 'code_output' ? q.expectedOutput : '',
+    q.explanation || '',
+    q.difficulty || 'Medium',
+    q.marks || 1,
+    q.negativeMarks || 0,
+  ]);
+  return toCsv([header, ...rows]);
+};
+
+/** Export questions as JSON in the same shape the importer accepts. */
+export const questionsToJson = (questions = []) =>
+  questions.map((q) => {
+    const type = q.type || 'single';
+    const out = { type, question: q.question };
+    if (q.section) out.section = q.section;
+    if (type === 'single' || type === 'multiple') out.options = [...(q.options || [])];
+    if (type === 'single') out.correctAnswer = q.correctAnswer;
+    if (type === 'multiple') out.correctAnswers = [...(q.correctAnswers || [])];
+    if (type === 'numeric') {
+      out.numericAnswer = q.numericAnswer;
+      out.tolerance = q.tolerance || 0;
+    }
+    if (type === 'code_output') {
+      out.code = q.code || '';
+      out.expectedOutput = q.expectedOutput || '';
+    }
+    return {
+      ...out,
+      explanation: q.explanation || '',
+      difficulty: q.difficulty || 'Medium',
+      marks: q.marks || 1,
+      negativeMarks: q.negativeMarks || 0,
+    };
+  });
@@ -0,0 +1,170 @@
+/**
+ * Sections for mock tests (e.g. Quant, Reasoning, English).
+ *
+ * Every question belongs to a section by name. A section can carry its own negative
+ * marking and a sectional cutoff. When every section has a duration the sections are
+ * timed: the candidate works through them in order, and each one closes when its time
+ * runs out or the candidate moves on. Otherwise the test's overall duration applies.
+ *
+ * An attempt keeps one entry per section: `{ name, duration, startedAt, deadline, closedAt }`.
+ */
+
+const toNumber = (value, fallback = 0) => {
+  if (value === undefined || value === null || value === '') return fallback;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : NaN;
+};
+
+const sectionNameOf = (q) => String(q?.section ?? '').trim();
+
+export const hasSections = (test) => (test?.sections?.length || 0) > 0;
+
+export const hasTimedSections = (test) =>
+  hasSections(test) && test.sections.every((s) => (Number(s.duration) || 0) > 0);
+
+/**
+ * Check sections against the test's questions.
+ * @returns {string|null} error message, or null when valid
+ */
+export const validateSections = ({ sections = [], questions = [] }) => {
+  if (!Array.isArray(sections)) return 'Sections must be an array';
+  if (sections.length === 0) {
+    return questions.some((q) => sectionNameOf(q))
+      ? 'Questions reference sections but the test has none'
+      : null;
+  }
+
+  const names = new Set();
+  for (const section of sections) {
+    const name = String(section?.name ?? '').trim();
+    if (!name) return 'Every section needs a name';
+    if (names.has(name.toLowerCase())) return `Duplicate section "${name}"`;
+    names.add(name.toLowerCase());
+
+    for (const key of ['duration', 'negativeMarks', 'passingMarks']) {
+      const value = toNumber(section[key]);
+      if (Number.isNaN(value) || value < 0) return `Section "${name}": ${key} must be a non-negative number`;
+    }
+  }
+
+  const timed = sections.filter((s) => (Number(s.duration) || 0) > 0).length;
+  if (timed > 0 && timed < sections.length) {
+    return 'Either every section has a duration or none do';
+  }
+
+  const totals = new Map(sections.map((s) => [String(s.name).trim(), { count: 0, marks: 0 }]));
+  for (const [i, q] of questions.entries()) {
+    const name = sectionNameOf(q);
+    if (!totals.has(name)) {
+      return name
+        ? `Question ${i + 1} belongs to unknown section "${name}"`
+        : `Question ${i + 1} is not assigned to a section`;
+    }
+    const t = totals.get(name);
+    t.count += 1;
+    t.marks += q.marks || 1;
+  }
+
+  for (const section of sections) {
+    const name = String(section.name).trim();
+    const { count, marks } = totals.get(name);
+    if (questions.length > 0 && count === 0) return `Section "${name}" has no questions`;
+    if (questions.length > 0 && toNumber(section.passingMarks) > marks) {
+      return `Section "${name}": passing marks exceed the section's ${marks} marks`;
+    }
+  }
+  return null;
+};
+
+/** Sections with question and mark totals filled in from the questions. */
+export const summarizeSections = (sections = [], questions = []) =>
+  sections.map((section) => {
+    const plain = typeof section.toObject === 'function' ? section.toObject() : { ...section };
+    const name = String(plain.name).trim();
+    const inSection = questions.filter((q) => sectionNameOf(q) === name);
+    return {
+      ...plain,
+      name,
+      totalQuestions: inSection.length,
+      totalMarks: inSection.reduce((acc, q) => acc + (q.marks || 1), 0),
+    };
+  });
+
+/** Test duration implied by timed sections (minutes), or null when sections are not timed. */
+export const getSectionsDuration = (test) =>
+  hasTimedSections(test) ? test.sections.reduce((acc, s) => acc + Number(s.duration), 0) : null;
+
+/** Stable-sort questions into section order (questions keep their order within a section). */
+export const orderBySection = (questions, sections = []) => {
+  if (sections.length === 0) return [...questions];
+  const rank = new Map(sections.map((s, i) => [String(s.name).trim(), i]));
+  return questions
+    .map((q, i) => ({ q, i, r: rank.get(sectionNameOf(q)) ?? sections.length }))
+    .sort((a, b) => a.r - b.r || a.i - b.i)
+    .map(({ q }) => q);
+};
+
+const minutes = (n) => n * 60 * 1000;
+
+/** Timers for a new attempt: the first section opens at `startedAt`, the rest wait. */
+export const buildSectionTimers = (sections, startedAt) =>
+  sections.map((s, i) => ({
+    name: s.name,
+    duration: s.duration,
+    startedAt: i === 0 ? startedAt : null,
+    deadline: i === 0 ? new Date(startedAt.getTime() + minutes(s.duration)) : null,
+    closedAt: null,
+  }));
+
+/** Index of the open section, or -1 when every section is closed (or none has started). */
+export const getOpenSectionIndex = (timers = []) =>
+  timers.findIndex((t) => t.startedAt && !t.closedAt);
+
+const openNext = (timers, index, at) => {
+  const next = timers[index + 1];
+  if (!next) return;
+  next.startedAt = at;
+  next.deadline = new Date(at.getTime() + minutes(next.duration));
+};
+
+/**
+ * Close sections whose time (plus `graceMs`) has run out, opening the next one at the
+ * previous deadline. Mutates `timers`.
+ * @returns {number} index of the open section, or -1 when all are closed
+ */
+export const advanceSectionTimers = (timers, now = Date.now(), graceMs = 0) => {
+  let index = getOpenSectionIndex(timers);
+  while (index !== -1 && now > new Date(timers[index].deadline).getTime() + graceMs) {
+    const closedAt = new Date(timers[index].deadline);
+    timers[index].closedAt = closedAt;
+    openNext(timers, index, closedAt);
+    index = getOpenSectionIndex(timers);
+  }
+  return index;
+};
+
+/**
+ * Close the open section early and open the next one now. Mutates `timers`.
+ * @returns {number} index of the newly opened section, or -1 when that was the last one
+ */
+export const closeOpenSection = (timers, now = new Date()) => {
+  const index = getOpenSectionIndex(timers);
+  if (index === -1) return -1;
+  timers[index].closedAt = now;
+  openNext(timers, index, now);
+  return getOpenSectionIndex(timers);
+};
+
+/**
+ * Latest time the attempt can end: the open section's deadline plus the durations of the
+ * sections still waiting. When every section is closed, the time the last one closed.
+ */
+export const getTimedAttemptDeadline = (timers = []) => {
+  const index = getOpenSectionIndex(timers);
+  if (index === -1) {
+    const closed = timers.filter((t) => t.closedAt).map((t) => new Date(t.closedAt).getTime());
+    return closed.length > 0 ? new Date(Math.max(...closed)) : null;
+  }
+  const remaining = timers.slice(index + 1).reduce((acc, t) => acc + minutes(t.duration), 0);
+  return new Date(new Date(timers[index].deadline).getTime() + remaining);
+};
@@ -0,0 +1,135 @@
+/**
+ * Question pooling and per-attempt shuffling for mock tests.
+ *
+ * An attempt's layout is a list of `{ questionId, optionOrder }` in display order, where
+ * `optionOrder[displayIndex] = originalIndex`. Saved responses and grading always use
+ * original option indexes; only the candidate-facing API works in display indexes.
+ */
+import { orderBySection } from './mockTestSections.js';
+
+const DIFFICULTIES = ['Easy', 'Medium', 'Hard'];
+
+/** Fisher-Yates shuffle; returns a new array. */
+export const shuffle = (items, random = Math.random) => {
+  const copy = [...items];
+  for (let i = copy.length - 1; i > 0; i -= 1) {
+    const j = Math.floor(random() * (i + 1));
+    [copy[i], copy[j]] = [copy[j], copy[i]];
+  }
+  return copy;
+};
+
+const mixCounts = (difficultyMix) =>
+  DIFFICULTIES.map((d) => [d, Math.max(0, Number(difficultyMix?.[d]) || 0)]);
+
+export const usesQuestionPool = (test) =>
+  (test.questionsPerAttempt || 0) > 0 || mixCounts(test.difficultyMix).some(([, n]) => n > 0);
+
+/**
+ * Check pool settings against the questions available.
+ * @returns {string|null} error message, or null when valid
+ */
+export const validatePoolSettings = ({ questions = [], questionsPerAttempt = 0, difficultyMix }) => {
+  const perAttempt = Number(questionsPerAttempt) || 0;
+  if (perAttempt < 0) return 'Questions per attempt cannot be negative';
+  if (perAttempt > questions.length) {
+    return `Questions per attempt (${perAttempt}) exceeds the ${questions.length} questions in the pool`;
+  }
+
+  let mixTotal = 0;
+  for (const [difficulty, count] of mixCounts(difficultyMix)) {
+    const available = questions.filter((q) => (q.difficulty || 'Medium') === difficulty).length;
+    if (count > available) {
+      return `Difficulty mix asks for ${count} ${difficulty} questions but only ${available} are available`;
+    }
+    mixTotal += count;
+  }
+  if (perAttempt > 0 && mixTotal > perAttempt) {
+    return `Difficulty mix (${mixTotal}) exceeds questions per attempt (${perAttempt})`;
+  }
+  return null;
+};
+
+/**
+ * Draw the questions for one attempt: first the difficulty mix, then fill up to
+ * `questionsPerAttempt` from the remaining pool. Without pool settings every question is used.
+ * Returned questions keep their pool order.
+ */
+export const drawQuestions = (test, random = Math.random) => {
+  const questions = test.questions || [];
+  if (!usesQuestionPool(test)) return [...questions];
+
+  const picked = new Set();
+  for (const [difficulty, count] of mixCounts(test.difficultyMix)) {
+    if (count === 0) continue;
+    const candidates = questions.filter((q) => (q.difficulty || 'Medium') === difficulty);
+    shuffle(candidates, random).slice(0, count).forEach((q) => picked.add(q));
+  }
+
+  const target = Math.max(test.questionsPerAttempt || 0, picked.size);
+  if (picked.size < target) {
+    const rest = shuffle(questions.filter((q) => !picked.has(q)), random);
+    rest.slice(0, target - picked.size).forEach((q) => picked.add(q));
+  }
+
+  return questions.filter((q) => picked.has(q));
+};
+
+/**
+ * Build the per-attempt layout (drawn questions, question order and option order).
+ * Questions stay grouped by section; shuffling only reorders them within their section.
+ */
+export const buildAttemptLayout = (test, random = Math.random) => {
+  const drawn = drawQuestions(test, random);
+  const ordered = orderBySection(test.shuffleQuestions ? shuffle(drawn, random) : drawn, test.sections || []);
+  return ordered.map((q) => {
+    const identity = (q.options || []).map((_, i) => i);
+    return {
+      questionId: q._id,
+      optionOrder: test.shuffleOptions ? shuffle(identity, random) : identity,
+    };
+  });
+};
+
+/**
+ * Map an option index the candidate saw to the question's original index.
+ * Arrays (multi-select) are mapped element-wise; non-choice responses pass through unchanged.
+ */
+export const toOriginalOption = (optionOrder, displayIndex) => {
+  if (displayIndex === null || displayIndex === undefined) return null;
+  if (!optionOrder || optionOrder.length === 0) return displayIndex;
+  if (Array.isArray(displayIndex)) {
+    const mapped = displayIndex.map((i) => optionOrder[i]);
+    return mapped.some((i) => i === undefined) ? null : mapped.sort((a, b) => a - b);
+  }
+  return optionOrder[displayIndex] ?? null;
+};
+
+/** Map an original option index (or index array) to the position the candidate sees it at. */
+export const toDisplayOption = (optionOrder, originalIndex) => {
+  if (originalIndex === null || originalIndex === undefined) return null;
+  if (!optionOrder || optionOrder.length === 0) return originalIndex;
+  if (Array.isArray(originalIndex)) {
+    const mapped = originalIndex.map((i) => optionOrder.indexOf(i));
+    return mapped.some((i) => i === -1) ? null : mapped.sort((a, b) => a - b);
+  }
+  const displayIndex = optionOrder.indexOf(originalIndex);
+  return displayIndex === -1 ? null : displayIndex;
+};
+
+/**
+ * Graded results (from gradeMockTest) as the candidate saw the questions: `selectedOption` and
+ * `correctAnswer` in display positions, with the options listed in that same order.
+ * `optionOrders` is aligned with `questions`; a missing order means the options were not shuffled.
+ */
+export const toDisplayResults = (results, questions, optionOrders) =>
+  results.map((r, i) => {
+    const order = optionOrders[i];
+    const options = questions[i]?.options || [];
+    return {
+      ...r,
+      options: order?.length ? order.map((originalIndex) => options[originalIndex]) : [...options],
+      selectedOption: toDisplayOption(order, r.selectedOption),
+      correctAnswer: toDisplayOption(order, r.correctAnswer),
+    };
+  });
@@ -0,0 +1,128 @@
+/**
+ * Payout batches: approved claims (status `processing`) are grouped into a batch, exported as a
+ * CSV for the bank / UPI bulk payout, and the same CSV with transaction IDs filled in is uploaded
+ * back to mark each claim paid.
+ */
+import { parseCsvRecords, toCsv } from './csv.js';
+
+export const MAX_BATCH_CLAIMS = 500;
+
+export const PAYOUT_CSV_HEADER = [
+  'claim_id',
+  'name',
+  'email',
+  'payment_method',
+  'upi_id',
+  'phone',
+  'amount',
+  'narration',
+  'transaction_id',
+];
+
+/** Claims a batch pays; a claim moved to any other status leaves its batch. */
+export const BATCH_CLAIM_STATUSES = ['processing', 'paid'];
+
+// Text starting with one of these is run as a formula when the file is opened in a spreadsheet
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+const PHONE_PATTERN = /^\+?[\d\s-]+$/;
+
+// Free text from users opens as plain text: prefixed with ' when it could be read as a formula
+const asText = (value) => {
+  const s = value === null || value === undefined ? '' : String(value);
+  return FORMULA_PREFIX.test(s) ? `'${s}` : s;
+};
+
+// Phone numbers and UPI IDs go to the bank portal as entered; only values that are neither
+// (e.g. "=HYPERLINK(...)") are neutralized
+const asPaymentDetails = (value) => {
+  const s = value === null || value === undefined ? '' : String(value);
+  return PHONE_PATTERN.test(s) ? s : asText(s);
+};
+
+const OBJECT_ID_PATTERN = /^[a-f0-9]{24}$/i;
+const MAX_TRANSACTION_ID_LENGTH = 100;
+
+/** e.g. PB-20261019-4F2A9C, from the creation date and the batch id */
+export const formatBatchReference = (batchId, createdAt = new Date()) =>
+  `PB-${new Date(createdAt).toISOString().slice(0, 10).replace(/-/g, '')}-${String(batchId).slice(-6).toUpperCase()}`;
+
+/**
+ * Count and total of the claims a batch pays, and how many are still unpaid. Claims in any other
+ * status (e.g. rejected after batching) are left out.
+ * @param {{ status: string, amount: number }[]} claims
+ */
+export const summarizeBatchClaims = (claims) => {
+  const summary = { claimCount: 0, totalAmount: 0, unpaid: 0 };
+  for (const claim of claims) {
+    if (!BATCH_CLAIM_STATUSES.includes(claim.status)) continue;
+    summary.claimCount += 1;
+    summary.totalAmount += claim.amount || 0;
+    if (claim.status === 'processing') summary.unpaid += 1;
+  }
+  return summary;
+};
+
+/**
+ * The payout file for a batch. `claims` have `user` populated with name and email.
+ * @returns {string} CSV text
+ */
+export const payoutBatchToCsv = (reference, claims) =>
+  toCsv([
+    PAYOUT_CSV_HEADER,
+    ...claims.map((claim) => [
+      claim._id,
+      asText(claim.user?.name),
+      asText(claim.user?.email),
+      claim.paymentMethod,
+      claim.paymentMethod === 'upi' ? asPaymentDetails(claim.paymentDetails) : '',
+      claim.paymentMethod === 'phone' ? asPaymentDetails(claim.paymentDetails) : '',
+      claim.amount,
+      asText(`${reference} reward ${claim.points} points`),
+      claim.transactionId || '',
+    ]),
+  ]);
+
+/**
+ * Read a reconciliation CSV (`claim_id` and `transaction_id` columns; others are ignored, so the
+ * exported file can be uploaded back). Rows without a transaction ID were not paid yet and are
+ * skipped. Rows repeating a claim or a transaction ID are errors.
+ * @returns {{ rows: { row: number, claimId: string, transactionId: string }[], skipped: number[],
+ *   errors: { row: number, claimId: string, errors: string[] }[], total: number }}
+ */
+export const parseReconciliationCsv = (text) => {
+  const records = parseCsvRecords(text);
+  const rows = [];
+  const skipped = [];
+  const errors = [];
+  const seenClaims = new Set();
+  const seenTransactions = new Set();
+
+  for (const record of records) {
+    const claimId = record.claim_id || '';
+    const transactionId = record.transaction_id || '';
+    const rowErrors = [];
+
+    if (!OBJECT_ID_PATTERN.test(claimId)) rowErrors.push('claim_id must be a claim ID from the payout file');
+    if (!transactionId) {
+      if (rowErrors.length === 0) {
+        skipped.push(record._row);
+        continue;
+      }
+    } else if (transactionId.length > MAX_TRANSACTION_ID_LENGTH) {
+      rowErrors.push(`transaction_id cannot exceed ${MAX_TRANSACTION_ID_LENGTH} characters`);
+    }
+    if (claimId && seenClaims.has(claimId.toLowerCase())) rowErrors.push('claim appears more than once');
+    if (transactionId && seenTransactions.has(transactionId)) rowErrors.push('transaction_id appears more than once');
+
+    seenClaims.add(claimId.toLowerCase());
+    if (transactionId) seenTransactions.add(transactionId);
+
+    if (rowErrors.length > 0) {
+      errors.push({ row: record._row, claimId, errors: rowErrors });
+    } else {
+      rows.push({ row: record._row, claimId, transactionId });
+    }
+  }
+
+  return { rows, skipped, errors, total: records.length };
+};
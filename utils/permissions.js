@@ -0,0 +1,139 @@
+/**
+ * Permissions are `resource:action` strings. Roles are bundles of permissions stored in the
+ * Role collection; the defaults below seed it and mirror the original hard-coded role checks.
+ * A bundle may use `resource:*` or `*` (everything).
+ *
+ * A section-scoped role (e.g. moderator) grants its content permissions only in the sections
+ * listed on the user (`User.moderatedSections`).
+ */
+
+/** Every permission the API checks, with what it allows. */
+export const PERMISSIONS = {
+  'jobs:create': 'Post jobs and edit or delete own jobs',
+  'jobs:manage': 'Edit and soft-delete any job; see deleted jobs',
+  'jobs:purge': 'Permanently delete jobs',
+  'jobs:import': 'Fetch jobs from external APIs',
+  'resources:create': 'Post resources and edit or delete own resources',
+  'resources:manage': 'Edit and soft-delete any resource; see deleted resources',
+  'resources:purge': 'Permanently delete resources',
+  'resources:import': 'Fetch resources from external APIs',
+  'blogs:create': 'Write blogs and edit or delete own blogs',
+  'blogs:manage': 'Edit and soft-delete any blog; see deleted blogs',
+  'blogs:purge': 'Permanently delete blogs',
+  'blogs:import': 'Fetch blogs from external APIs',
+  'products:create': 'List digital products and edit or delete own products',
+  'products:manage': 'See and edit any product',
+  'products:publish': 'Toggle product availability and featured',
+  'products:purge': "Delete other users' products (products have no soft delete)",
+  'courses:create': 'Create courses and edit or delete own courses',
+  'courses:manage': 'See and edit any course',
+  'courses:publish': 'Publish and feature courses',
+  'courses:purge': "Delete other users' courses (courses have no soft delete)",
+  'courses:import': 'Fetch courses from external APIs',
+  'mocktests:create': 'Create mock tests and edit, import or delete own tests',
+  'mocktests:manage': 'See and edit any mock test; review any attempt or certificate',
+  'mocktests:publish': 'Publish and feature mock tests',
+  'mocktests:purge': "Delete other users' mock tests (mock tests have no soft delete)",
+  'claims:review': 'See all reward claims and move them through review',
+  'claims:pay': 'Mark reward claims as paid',
+  'points:manage': "See any user's point history and repair balances that drifted from the ledger",
+  'rewards:manage': 'Edit the reward rules that award points and the claim milestones',
+  'users:approve': 'Approve or reject pending signups',
+  'users:manage': 'See all users, block, unblock, unlock and delete them',
+  'roles:assign': "Change users' roles and review role requests",
+  'roles:manage': 'Create and edit roles and their permissions',
+  'audit:read': 'See the audit log of administrative and moderation actions',
+};
+
+export const PERMISSION_NAMES = Object.keys(PERMISSIONS);
+
+/** Content sections a moderator can be assigned to; each is also a permission resource. */
+export const MODERATION_SECTIONS = ['jobs', 'resources', 'blogs', 'products', 'courses', 'mocktests'];
+
+/** Built-in roles; seeded into the Role collection when missing, editable afterwards. */
+export const DEFAULT_ROLES = [
+  { name: 'super_admin', label: 'Super Admin', permissions: ['*'] },
+  { name: 'job_poster', label: 'Job Poster', permissions: ['jobs:create'], requestable: true },
+  { name: 'resource_poster', label: 'Resource Poster', permissions: ['resources:create'], requestable: true },
+  { name: 'blog_poster', label: 'Blog Poster', permissions: ['blogs:create'], requestable: true },
+  { name: 'tech_blog_poster', label: 'Tech Blog Poster', permissions: ['blogs:create'], requestable: true },
+  { name: 'digital_product_poster', label: 'Digital Product Poster', permissions: ['products:create'], requestable: true },
+  { name: 'others', label: 'Others', permissions: [] },
+  {
+    name: 'moderator',
+    label: 'Moderator',
+    permissions: [
+      'users:approve',
+      'claims:review',
+      'jobs:manage',
+      'resources:manage',
+      'blogs:manage',
+      'products:manage',
+      'products:publish',
+      'courses:manage',
+      'courses:publish',
+      'mocktests:manage',
+      'mocktests:publish',
+    ],
+    sectionScoped: true,
+  },
+];
+
+/** Whether a permission string is known or a valid wildcard for known permissions. */
+export const isValidPermission = (permission) => {
+  if (permission === '*') return true;
+  if (PERMISSIONS[permission]) return true;
+  const [resource, action] = String(permission).split(':');
+  return action === '*' && PERMISSION_NAMES.some((p) => p.startsWith(`${resource}:`));
+};
+
+/**
+ * Whether a set of granted permissions covers `permission`.
+ * @param {Iterable<string>} granted
+ */
+export const hasPermission = (granted, permission) => {
+  const set = granted instanceof Set ? granted : new Set(granted || []);
+  if (set.has('*') || set.has(permission)) return true;
+  const [resource] = permission.split(':');
+  return set.has(`${resource}:*`);
+};
+
+export const hasAnyPermission = (granted, permissions) => permissions.some((p) => hasPermission(granted, p));
+
+/**
+ * Whether every permission in `permissions` is already covered by `granted`. Admins can only
+ * hand out roles (or build bundles) within their own permissions.
+ */
+export const canGrantPermissions = (granted, permissions) => permissions.every((p) => hasPermission(granted, p));
+
+/**
+ * Union of the permissions of the named roles. Section-scoped roles only contribute section
+ * permissions for `sections`, and never `*`.
+ * @param {string[]} roleNames
+ * @param {Map<string, { permissions: string[], sectionScoped?: boolean }>} rolesByName
+ * @param {string[]} [sections] the user's moderated sections
+ * @returns {Set<string>}
+ */
+export const resolvePermissions = (roleNames, rolesByName, sections = []) => {
+  const granted = new Set();
+  for (const name of roleNames) {
+    const role = rolesByName.get(name);
+    for (const permission of role?.permissions || []) {
+      if (role.sectionScoped) {
+        if (permission === '*') continue;
+        const [resource] = permission.split(':');
+        if (MODERATION_SECTIONS.includes(resource) && !sections.includes(resource)) continue;
+      }
+      granted.add(permission);
+    }
+  }
+  return granted;
+};
+
+/**
+ * Whether the user may change a record: its owner with the `create` permission, or anyone with
+ * the `manage` permission.
+ */
+export const canModifyRecord = (granted, { createPermission, managePermission }, ownerId, userId) =>
+  hasPermission(granted, managePermission)
+  || (hasPermission(granted, createPermission) && String(ownerId?._id || ownerId) === String(userId));
@@ -0,0 +1,71 @@
+/**
+ * Contributor points ledger. Every change to a balance is a PointTransaction; User.points is the
+ * running total of a user's confirmed transactions, kept in step by services/pointsService.js.
+ *
+ * Points for a post start out pending: they count towards the pending balance only, and move to
+ * User.points once a moderator approves the post or it survives the holding period without being
+ * deleted or reported. Deleting the post voids them.
+ */
+
+export const POINT_REASONS = [
+  'opening_balance', // balance from before the ledger existed
+  'content_created',
+  'content_deleted',
+  'content_removed', // by a moderator
+  'engagement_bonus',
+  'claim_submitted',
+  'claim_refunded',
+  'claim_reinstated',
+];
+
+export const POINT_STATUSES = ['pending', 'confirmed', 'voided'];
+
+export const DEFAULT_POINTS_HOLD_DAYS = 7;
+
+/** Pending points created before this date have been held long enough to confirm. */
+export const getHoldCutoff = (holdDays, now = new Date()) =>
+  new Date(new Date(now).getTime() - holdDays * 24 * 60 * 60 * 1000);
+
+/**
+ * Idempotency key for a transaction that may happen at most once per source document.
+ * `variant` tells apart several such transactions with the same reason, e.g. each engagement bonus.
+ */
+export const getPointTransactionKey = (reason, sourceType, sourceId, variant) =>
+  variant ? `${reason}:${sourceType}:${sourceId}:${variant}` : `${reason}:${sourceType}:${sourceId}`;
+
+/** A deduction never takes the balance below zero. */
+export const clampDeduction = (delta, balance) => {
+  if (delta >= 0) return delta;
+  const amount = Math.min(-delta, Math.max(0, balance || 0));
+  return amount === 0 ? 0 : -amount;
+};
+
+/**
+ * Compare stored balances with the ledger.
+ * @param {{ _id: any, points: number, pointsLedgerOpenedAt?: Date|null }[]} users
+ * @param {Map<string, { balance: number, count: number }>} ledgerByUser keyed by user id
+ * @returns {{ drifted: object[], missingLedger: object[] }} `missingLedger`: users whose ledger was
+ *   not opened yet, so part of their balance may be from before the ledger and is not drift
+ */
+export const findBalanceDrift = (users, ledgerByUser) => {
+  const drifted = [];
+  const missingLedger = [];
+  for (const user of users) {
+    const stored = user.points || 0;
+    const ledger = ledgerByUser.get(String(user._id));
+    if (!user.pointsLedgerOpenedAt) {
+      if (stored !== 0 || ledger) missingLedger.push(user);
+      continue;
+    }
+    const ledgerBalance = ledger?.balance || 0;
+    if (stored !== ledgerBalance) {
+      drifted.push({
+        userId: user._id,
+        storedBalance: stored,
+        ledgerBalance,
+        difference: stored - ledgerBalance,
+      });
+    }
+  }
+  return { drifted, missingLedger };
+};
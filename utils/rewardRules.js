@@ -0,0 +1,97 @@
+/**
+ * Reward rules decide how many points a contributor gets for what happens to their posts. Rules
+ * are stored in the RewardRule collection and edited by admins; the defaults below seed it and
+ * mirror the original "+1 per post, -1 per delete".
+ *
+ * Events:
+ * - content_created: the post was published
+ * - content_deleted: the author deleted their own post
+ * - content_removed: someone else (a moderator) removed it
+ * - engagement: the post reached `threshold` views or likes; every rule reached pays once
+ *
+ * A rule with `contentType: null` applies to every type. For the first three events a rule for
+ * the specific type wins over a catch-all one.
+ *
+ * Awards for a new post and its engagement bonuses start out pending (see utils/pointsLedger.js).
+ */
+import { hasPermission } from './permissions.js';
+
+/** Content that earns points, by model name (also the ledger's sourceType). */
+export const REWARD_CONTENT_TYPES = ['Job', 'Resource', 'Blog', 'DigitalProduct'];
+
+/** The moderation section (and permission resource) each content type belongs to. */
+export const REWARD_CONTENT_SECTIONS = {
+  Job: 'jobs',
+  Resource: 'resources',
+  Blog: 'blogs',
+  DigitalProduct: 'products',
+};
+
+/** Content types whose reports and pending points the user may review (`<section>:manage`). */
+export const getReviewableContentTypes = (permissions) =>
+  REWARD_CONTENT_TYPES.filter((type) => hasPermission(permissions, `${REWARD_CONTENT_SECTIONS[type]}:manage`));
+
+export const REWARD_EVENTS = ['content_created', 'content_deleted', 'content_removed', 'engagement'];
+
+export const ENGAGEMENT_METRICS = ['views', 'likes'];
+
+/** Built-in rules; seeded into the RewardRule collection when missing, editable afterwards. */
+export const DEFAULT_REWARD_RULES = [
+  { name: 'post_created', label: 'Post published', event: 'content_created', contentType: null, points: 1 },
+  { name: 'post_deleted', label: 'Post deleted by its author', event: 'content_deleted', contentType: null, points: -1 },
+  { name: 'post_removed', label: 'Post removed by a moderator', event: 'content_removed', contentType: null, points: -1 },
+];
+
+/** Claim milestones (points spent → rupees paid); seeded when there are none. */
+export const DEFAULT_MILESTONES = [
+  { points: 10, amount: 15 },
+  { points: 25, amount: 30 },
+  { points: 50, amount: 60 },
+  { points: 100, amount: 120 },
+];
+
+const appliesTo = (rule, contentType) => rule.contentType == null || rule.contentType === contentType;
+
+/**
+ * The rule for a created/deleted/removed post.
+ * @returns {object|null} the matching active rule, preferring one for the exact content type
+ */
+export const findEventRule = (rules, event, contentType) => {
+  const matching = rules.filter((r) => r.isActive !== false && r.event === event && appliesTo(r, contentType));
+  return matching.find((r) => r.contentType === contentType) || matching[0] || null;
+};
+
+/**
+ * Engagement rules whose threshold was reached by going from `previous` to `current`.
+ * @param {'views'|'likes'} metric
+ */
+export const findReachedEngagementRules = (rules, contentType, metric, previous, current) =>
+  rules.filter(
+    (r) =>
+      r.isActive !== false &&
+      r.event === 'engagement' &&
+      r.metric === metric &&
+      appliesTo(r, contentType) &&
+      previous < r.threshold &&
+      current >= r.threshold
+  );
+
+/** Ledger reason for a rule's event. */
+export const getRewardReason = (event) => (event === 'engagement' ? 'engagement_bonus' : event);
+
+/** An active milestone for exactly `points`, or null. */
+export const findMilestone = (milestones, points) =>
+  milestones.find((m) => m.isActive !== false && m.points === Number(points)) || null;
+
+/** e.g. "You earned 2 points!" or "1 point deducted."; empty when nothing changed. */
+export const describePointsChange = (delta, { pending = false } = {}) => {
+  if (!delta) return '';
+  const amount = Math.abs(delta);
+  const noun = amount === 1 ? 'point' : 'points';
+  if (delta > 0 && pending) return `You earned ${amount} ${noun}, pending until the post is reviewed.`;
+  return delta > 0 ? `You earned ${amount} ${noun}!` : `${amount} ${noun} deducted.`;
+};
+
+/** Response message suffix for a point transaction returned by the reward service. */
+export const describeTransaction = (transaction) =>
+  describePointsChange(transaction?.delta, { pending: transaction?.status === 'pending' });
@@ -0,0 +1,38 @@
+/**
+ * User roles. `role` is the primary role chosen at signup (or set by an admin);
+ * `additionalRoles` holds roles granted later through role requests. Roles themselves live in
+ * the Role collection (see services/permissionService.js).
+ */
+
+// Shape of a role name; whether the role exists is checked against the Role collection
+export const ROLE_NAME_PATTERN = /^[a-z][a-z0-9_]{1,39}$/;
+
+/** Every role the user holds, primary first. */
+export const getUserRoles = (user) => {
+  if (!user) return [];
+  const roles = [user.role, ...(user.additionalRoles || [])];
+  return [...new Set(roles.filter(Boolean))];
+};
+
+export const hasAnyRole = (user, roles) => getUserRoles(user).some((role) => roles.includes(role));
+
+/**
+ * The user's roles after approving a request for `requestedRole`.
+ * - add:     keep the primary role and gain the requested one
+ * - replace: the requested role becomes the primary role; the old primary is dropped
+ * A user whose primary role is `others` (no contributor rights) always gets it as primary.
+ * @param {{ role: string, additionalRoles?: string[] }} user
+ * @param {'add'|'replace'} mode
+ * @returns {{ role: string, additionalRoles: string[] }}
+ */
+export const applyRoleChange = (user, requestedRole, mode = 'add') => {
+  const additional = (user.additionalRoles || []).filter((r) => r !== requestedRole);
+
+  if (mode === 'replace' || user.role === 'others') {
+    return { role: requestedRole, additionalRoles: additional };
+  }
+  if (user.role === requestedRole) {
+    return { role: user.role, additionalRoles: additional };
+  }
+  return { role: user.role, additionalRoles: [...additional, requestedRole] };
+};
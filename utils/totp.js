@@ -0,0 +1,114 @@
+/**
+ * Time-based one-time passwords (RFC 6238, HMAC-SHA1, 6 digits, 30 s step) as used by
+ * Google Authenticator, Authy, 1Password, etc., plus single-use recovery codes.
+ */
+import crypto from 'crypto';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+export const TOTP_STEP_SECONDS = 30;
+export const TOTP_DIGITS = 6;
+
+export const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return output;
+};
+
+/** Decodes base32, ignoring case, spaces and `=` padding. Throws on other characters. */
+export const base32Decode = (input) => {
+  const clean = String(input).toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 character');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+/** New 160-bit secret, base32-encoded (what authenticator apps expect). */
+export const generateTotpSecret = (randomBytes = crypto.randomBytes) => base32Encode(randomBytes(20));
+
+/** The time step a timestamp (ms) falls in. */
+export const getTotpStep = (now = Date.now()) => Math.floor(now / 1000 / TOTP_STEP_SECONDS);
+
+/** HOTP value for one counter (RFC 4226). */
+export const generateHotp = (secret, counter, digits = TOTP_DIGITS) => {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(message).digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** digits).padStart(digits, '0');
+};
+
+export const generateTotp = (secret, now = Date.now(), digits = TOTP_DIGITS) =>
+  generateHotp(secret, getTotpStep(now), digits);
+
+/**
+ * Check a code against the current step and `window` steps either side (clock drift).
+ * @returns {number|null} the matching step, so callers can refuse a code that was already used
+ */
+export const verifyTotp = (secret, code, { now = Date.now(), window = 1 } = {}) => {
+  const normalized = String(code ?? '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized)) return null;
+
+  const current = getTotpStep(now);
+  for (let step = current - window; step <= current + window; step += 1) {
+    const expected = generateHotp(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) return step;
+  }
+  return null;
+};
+
+/** otpauth:// URI for the enrollment QR code. */
+export const buildOtpauthUri = ({ secret, accountName, issuer = 'EduLumix' }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params}`;
+};
+
+/** Recovery codes like `k3f9q-7bx2m`; each works once in place of a TOTP code. */
+export const generateRecoveryCodes = (count = 10, randomBytes = crypto.randomBytes) => {
+  const alphabet = 'abcdefghjkmnpqrstuvwxyz23456789';
+  return Array.from({ length: count }, () => {
+    // 31 symbols: rejection sampling keeps the characters uniformly distributed
+    let chars = '';
+    while (chars.length < 10) {
+      for (const byte of randomBytes(16)) {
+        if (byte < 248 && chars.length < 10) chars += alphabet[byte % alphabet.length];
+      }
+    }
+    return `${chars.slice(0, 5)}-${chars.slice(5)}`;
+  });
+};
+
+/** Canonical form of a typed recovery code (case, spaces and dashes ignored). */
+export const normalizeRecoveryCode = (code) => {
+  const clean = String(code ?? '').toLowerCase().replace(/[\s-]/g, '');
+  return clean.length === 10 ? `${clean.slice(0, 5)}-${clean.slice(5)}` : '';
+};
@@ -0,0 +1,35 @@
+/**
+ * Short, human-readable device label from a User-Agent header, e.g. "Chrome on Windows",
+ * for the signed-in devices list. Deliberately coarse; it is a hint for the user, not a fingerprint.
+ */
+
+const BROWSERS = [
+  ['Edge', /Edg(e|A|iOS)?\//],
+  ['Opera', /OPR\/|Opera/],
+  ['Samsung Internet', /SamsungBrowser\//],
+  ['Firefox', /Firefox\/|FxiOS\//],
+  ['Chrome', /Chrome\/|CriOS\//],
+  ['Safari', /Version\/[\d.]+.*Safari\//],
+];
+
+const PLATFORMS = [
+  ['Android', /Android/],
+  ['iOS', /iPhone|iPad|iPod/],
+  ['Windows', /Windows/],
+  ['macOS', /Mac OS X|Macintosh/],
+  ['ChromeOS', /CrOS/],
+  ['Linux', /Linux/],
+];
+
+const match = (list, ua) => list.find(([, pattern]) => pattern.test(ua))?.[0];
+
+export const describeUserAgent = (userAgent) => {
+  const ua = String(userAgent || '');
+  if (!ua) return 'Unknown device';
+  if (/PostmanRuntime|curl\/|okhttp|axios\//i.test(ua)) return 'API client';
+
+  const browser = match(BROWSERS, ua);
+  const platform = match(PLATFORMS, ua);
+  if (browser && platform) return `${browser} on ${platform}`;
+  return browser || platform || 'Unknown device';
+};